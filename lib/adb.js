@@ -19,17 +19,48 @@
 const appc = require('node-appc');
 const __ = appc.i18n(__dirname).__;
 const async = require('async');
+const events = require('events');
 const fs = require('fs-extra');
 const net = require('net');
 const path = require('path');
 const spawn = require('child_process').spawn; // eslint-disable-line security/detect-child-process
 const StreamSplitter = require('stream-splitter');
+const util = require('util');
+const deviceInfo = require('./adb/device-info');
+const deviceIssues = require('./adb/device-issues');
+const diagnostics = require('./adb/diagnostics');
+const errors = require('./adb/errors');
+const logcatLib = require('./adb/logcat');
+const MultiDevice = require('./adb/multi-device');
+const packages = require('./adb/packages');
+const processes = require('./adb/processes');
+const shellLib = require('./adb/shell');
+const ServerGroup = require('./adb/server-group');
+const SyncSession = require('./adb/sync');
+const ui = require('./adb/ui');
+const adbUtil = require('./adb/util');
+
+const callbackOrPromise = adbUtil.callbackOrPromise;
+const shellQuote = adbUtil.shellQuote;
+
+const ADBError = errors.ADBError;
+const InstallError = errors.InstallError;
+const TimeoutError = errors.TimeoutError;
+const AbortError = errors.AbortError;
 
 require('colors');
 
 let connCounter = 0;
 
 module.exports = ADB;
+ADB.ADBError = ADBError;
+ADB.InstallError = InstallError;
+ADB.TimeoutError = TimeoutError;
+ADB.AbortError = AbortError;
+ADB.DeviceTracker = DeviceTracker;
+ADB.JdwpTracker = JdwpTracker;
+ADB.MultiDevice = MultiDevice;
+ADB.ServerGroup = ServerGroup;
 
 /**
  * Debug flag that is enabled via the android.debugadb setting.
@@ -70,6 +101,14 @@ const BUFFER_UNTIL_CLOSE = 3;
  */
 const WAIT_FOR_RESPONSE = 4;
 
+/**
+ * @constant
+ * The failures that are worth retrying since the device is likely to become
+ * available, such as while it's booting or waiting for the user to authorize
+ * the computer.
+ */
+const TRANSIENT_FAILURE = /^device (offline|unauthorized|still authorizing|'[^']*' not found)/;
+
 /**
  * @typedef {Function} ConfigGetFunction
  * @param {string} key key of the value to retrieve
@@ -92,10 +131,13 @@ const WAIT_FOR_RESPONSE = 4;
  */
 function Connection(adb) {
 	this.adb = adb;
-	this.port = adb.config && adb.config.get('android.adb.port') || 5037;
+	this.host = adb.server.host;
+	this.port = adb.server.port;
 	this.socket = null;
 	this.state = DO_NOTHING;
 	this.connNum = ++connCounter;
+	this.attempts = 0;
+	this.pending = null;
 }
 
 /**
@@ -105,6 +147,12 @@ function Connection(adb) {
  * @param {Connection~execCallback} callback - A function to call when the command is finished executing
  * @param {Object} [opts] - Execute options
  * @param {Boolean} [opts.bufferUntilClose=false] - Buffers all received data until ADB closes the connection
+ * @param {Boolean} [opts.raw=false] - Once the command has been accepted, stops processing the socket and
+ * passes any remaining data to the callback so that the caller can speak the service's own protocol
+ * @param {Number} [opts.timeout] - The number of milliseconds to wait for the result; defaults to the ADB
+ * instance's `timeout` option
+ * @param {AbortSignal} [opts.signal] - A signal that cancels the command; defaults to the ADB instance's
+ * `signal` option
  */
 Connection.prototype.exec = function exec(cmd, callback, opts) {
 	var conn = this,
@@ -112,21 +160,115 @@ Connection.prototype.exec = function exec(cmd, callback, opts) {
 		doSend = !!socket,
 		buffer = null,
 		len = null;
+
+	this.opts = opts || {};
+
+	const settings = this.adb.connectionOptions || {};
+	const timeout = this.opts.timeout !== undefined ? this.opts.timeout : settings.timeout;
+	const signal = this.opts.signal || settings.signal || null;
+	const done = callback;
+	const execOpts = this.opts;
+	const firstRequest = !socket;
+	const deadline = timeout ? Date.now() + timeout : 0;
+	let stage = socket ? 'response' : 'connect';
+	let settled = false;
+	let cancelled = false;
+	let stageTimer = null;
+	let deadlineTimer = null;
+	let retryTimer = null;
+
+	function clearTimers() {
+		clearTimeout(stageTimer);
+		clearTimeout(deadlineTimer);
+		clearTimeout(retryTimer);
+		stageTimer = deadlineTimer = retryTimer = null;
+		signal && signal.removeEventListener('abort', onAbort);
+	}
+
+	// tears down the socket and reports the error, ignoring anything the socket does afterwards
+	function cancel(err) {
+		if (cancelled || settled) {
+			return;
+		}
+		DEBUG && console.log('[' + conn.connNum + '] CANCELLED: ' + err.message);
+		cancelled = true;
+		clearTimers();
+		conn.pending === pending && (conn.pending = null);
+		socket.removeAllListeners();
+		socket.on('error', function () {});
+		socket.destroy();
+		if (conn.socket === socket) {
+			conn.socket = null;
+			conn.state = DO_NOTHING;
+		}
+		done(err);
+	}
+
+	function onAbort() {
+		cancel(new AbortError(cmd));
+	}
+
+	// runs the command again on a new socket within what's left of the timeout
+	function rerun() {
+		clearTimers();
+		conn.exec(cmd, callback, deadline ? Object.assign({}, execOpts, { timeout: Math.max(deadline - Date.now(), 1) }) : execOpts);
+	}
+
+	function startStage(name) {
+		stage = name;
+		clearTimeout(stageTimer);
+		stageTimer = null;
+		const ms = name === 'connect' ? settings.connectTimeout : settings.responseTimeout;
+		if (ms) {
+			stageTimer = setTimeout(() => cancel(new TimeoutError(name, ms, cmd)), ms);
+		}
+	}
+
 	function send () {
+		if (cancelled) {
+			return;
+		}
 		DEBUG && console.log('[' + conn.connNum + '] SENDING ' + cmd);
 		conn.state = WAIT_FOR_COMMAND_RESULT;
 		buffer = null;
+		startStage('response');
 		socket.write(('0000' + cmd.length.toString(16)).substr(-4).toUpperCase() + cmd);
 	}
 
-	this.opts = opts || {};
+	// lets Connection#cancel() abort the command until the caller has its result
+	const pending = err => cancel(err || new AbortError(cmd));
+
+	// once the caller has its result, the timeouts and the signal no longer apply
+	callback = function () {
+		if (!cancelled) {
+			if (!settled) {
+				settled = true;
+				clearTimers();
+				conn.pending === pending && (conn.pending = null);
+			}
+			done.apply(null, arguments);
+		}
+	};
+
+	if (signal && signal.aborted) {
+		this.end();
+		setImmediate(() => done(new AbortError(cmd)));
+		return;
+	}
+	signal && signal.addEventListener('abort', onAbort);
+	this.pending = pending;
+	if (timeout) {
+		deadlineTimer = setTimeout(() => cancel(new TimeoutError(stage, timeout, cmd)), timeout);
+	}
 
 	if (!socket) {
 		socket = this.socket = net.connect({
+			host: this.host,
 			port: this.port,
-			family: 4
+			family: net.isIPv6(this.host) ? 6 : 4
 		}, function () {
 			DEBUG && console.log('[' + this.connNum + '] CONNECTED');
+			clearTimeout(stageTimer);
 
 			// TIMOB-24906: in some circumstances sending a command to adb right away
 			// can yield no response. So we allow 200ms before sending the initial command
@@ -137,6 +279,7 @@ Connection.prototype.exec = function exec(cmd, callback, opts) {
 
 		socket.setKeepAlive(true);
 		socket.setNoDelay(true);
+		startStage('connect');
 	} else {
 		DEBUG && console.log('[' + this.connNum + '] SOCKET ALREADY OPEN, RE-LISTENING AND SENDING NEW COMMAND "' + cmd + '"');
 		socket.removeAllListeners('data');
@@ -154,7 +297,7 @@ Connection.prototype.exec = function exec(cmd, callback, opts) {
 		if (!buffer || buffer.length === 0) {
 			buffer = data;
 		} else {
-			buffer += data;
+			buffer = Buffer.concat([ buffer, data ]);
 		}
 
 		DEBUG && console.log('[' + this.connNum + '] BUFFER LENGTH = ' + buffer.length);
@@ -165,10 +308,14 @@ Connection.prototype.exec = function exec(cmd, callback, opts) {
 					const result = buffer.slice(0, 4).toString();
 					DEBUG && console.log('[' + this.connNum + '] RESULT ' + result);
 					if (!/^OKAY|FAIL$/.test(result)) {
-						callback(new Error(__('Unknown adb result "%s"', result)));
+						this.state = DO_NOTHING;
+						callback(new ADBError(__('Unknown adb result "%s"', result)));
+						conn.end();
 						return;
 					}
 					buffer = buffer.slice(4);
+					clearTimeout(stageTimer);
+					stage = 'data';
 
 					// did we fail?
 					if (result === 'FAIL') {
@@ -183,13 +330,38 @@ Connection.prototype.exec = function exec(cmd, callback, opts) {
 						this.state = DO_NOTHING;
 
 						// copy the buffer into an error so we can free up the buffer
-						var err = new Error(buffer.toString());
+						var err = new ADBError(buffer.toString(), { failure: buffer.toString() });
 						buffer = null;
+
+						// the device may just be booting or waiting to be authorized, so try again in a bit
+						if (firstRequest && this.attempts < (settings.retries || 0) && TRANSIENT_FAILURE.test(err.message)) {
+							const delay = (settings.retryDelay || 0) * Math.pow(2, this.attempts++);
+							DEBUG && console.log('[' + this.connNum + '] RETRYING IN ' + delay + 'MS');
+							socket.removeAllListeners();
+							socket.on('error', function () {});
+							conn.end();
+							retryTimer = setTimeout(rerun, delay);
+							return;
+						}
+
 						callback(err);
 						conn.end();
 						return;
 					}
 
+					// the caller wants the socket to itself, so stop listening and hand over what's left
+					if (this.opts.raw) {
+						DEBUG && console.log('[' + this.connNum + '] DONE, HANDING SOCKET OVER TO CALLER');
+						this.state = DO_NOTHING;
+						socket.removeAllListeners('data');
+						socket.removeAllListeners('end');
+						socket.removeAllListeners('error');
+						const rest = buffer;
+						buffer = null;
+						callback(null, rest);
+						return;
+					}
+
 					// if there's no more data, then we're done
 					if (buffer.length === 0) {
 						if (this.opts.bufferUntilClose) {
@@ -290,6 +462,8 @@ Connection.prototype.exec = function exec(cmd, callback, opts) {
 				callback(null, buffer);
 			}
 			buffer = null;
+		} else if (this.state === WAIT_FOR_COMMAND_RESULT) {
+			callback(new ADBError(__('The adb server closed the connection without responding to "%s"', cmd)));
 		}
 		this.end();
 	}.bind(this));
@@ -297,22 +471,69 @@ Connection.prototype.exec = function exec(cmd, callback, opts) {
 	socket.on('error', function (err) {
 		this.end();
 
-		if (!err.code || err.code !== 'ECONNREFUSED') {
+		// a remote server can't be started from here
+		if (!err.code || err.code !== 'ECONNREFUSED' || this.adb.server.remote) {
 			return callback(err);
 		}
 
-		this.adb.startServer(function (code) {
-			if (code) {
-				callback(new Error(__('Unable to start Android Debug Bridge server (exit code %s)', code)));
+		this.adb.startServer(function (err) {
+			if (cancelled) {
+				return;
+			}
+			if (err && err.exitCode) {
+				callback(new ADBError(__('Unable to start Android Debug Bridge server (exit code %s)', err.exitCode), { exitCode: err.exitCode, stderr: err.stderr }));
+			} else if (err) {
+				callback(err);
 			} else {
-				this.exec(cmd, callback, this.opts);
+				rerun();
 			}
-		}.bind(this));
+		});
 	}.bind(this));
 
 	doSend && send();
 };
 
+/**
+ * Switches the connection to the specified device's transport, then opens a
+ * service on it. Once the device accepts the service, the connection's socket
+ * is handed over to the caller who must attach its own "data", "end" and
+ * "error" listeners.
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {String} service - The service to open such as "sync:"
+ * @param {Connection~openServiceCallback} callback - A function to call when the service has been opened
+ */
+Connection.prototype.openService = function openService(deviceId, service, callback) {
+	this.exec('host:transport:' + deviceId, err => {
+		if (err) {
+			return callback(err);
+		}
+		this.exec(service, (err, data) => {
+			if (err) {
+				return callback(err);
+			}
+			callback(null, this.socket, data);
+		}, { raw: true });
+	});
+};
+
+/**
+ * Cancels the command that is waiting for the ADB server, clearing its timeouts
+ * and calling its callback with the error, then closes the connection. If no
+ * command is pending, such as once a service's socket has been handed over,
+ * the socket is destroyed.
+ * @param {Error} [err] - The error to pass to the command's callback; defaults to an AbortError
+ */
+Connection.prototype.cancel = function cancel(err) {
+	const pending = this.pending;
+	this.pending = null;
+	if (pending) {
+		pending(err);
+	} else {
+		this.socket && this.socket.destroy();
+		this.end();
+	}
+};
+
 /**
  * Closes the connection and resets the socket and state.
  */
@@ -328,35 +549,162 @@ Connection.prototype.end = function end() {
 	this.state = DO_NOTHING;
 };
 
+/**
+ * @constant
+ * The port the ADB server listens on by default.
+ */
+const DEFAULT_PORT = 5037;
+
+/**
+ * Parses an adb server socket spec such as "tcp:5037", "tcp:192.168.1.10:5037"
+ * or "tcp:[::1]:5037" as used by the ADB_SERVER_SOCKET environment variable.
+ * @param {String} spec - The socket spec
+ * @returns {Object|null} The host and port, or null if the spec is not a TCP socket
+ */
+function parseServerSocket(spec) {
+	const m = String(spec || '').trim().match(/^tcp:(?:\[([^\]]+)\]:|([^:]+):)?(\d+)$/);
+	return m ? { host: m[1] || m[2], port: parseInt(m[3]) } : null;
+}
+
+/**
+ * Determines the address of the ADB server. In order of precedence, the address
+ * comes from the options passed to the ADB constructor, the ADB_SERVER_SOCKET
+ * environment variable, the "android.adb.host" and "android.adb.port" config
+ * settings, the ANDROID_ADB_SERVER_PORT environment variable, and finally the
+ * default of 127.0.0.1:5037. The environment variables are the ones the adb
+ * executable honors.
+ * @param {Config} [config] - CLI config
+ * @param {Object} [opts] - The options passed to the ADB constructor
+ * @returns {ADB~ServerAddress}
+ */
+function resolveServer(config, opts) {
+	opts || (opts = {});
+	const get = key => (config ? config.get(key) : undefined);
+	const socket = parseServerSocket(process.env.ADB_SERVER_SOCKET);
+	const host = opts.host || (socket ? socket.host : get('android.adb.host')) || '127.0.0.1';
+	const port = parseInt(opts.port || (socket ? socket.port : get('android.adb.port') || process.env.ANDROID_ADB_SERVER_PORT)) || DEFAULT_PORT;
+	return {
+		host: host,
+		port: port,
+		remote: [ '127.0.0.1', 'localhost', '::1' ].indexOf(host) === -1
+	};
+}
+
+/**
+ * The options that control how requests to the ADB server are timed out,
+ * cancelled and retried.
+ * @type {Array<String>}
+ */
+const CONNECTION_OPTIONS = [ 'connectTimeout', 'responseTimeout', 'timeout', 'retries', 'retryDelay', 'signal' ];
+
+/**
+ * Determines how requests to the ADB server are timed out and retried. The
+ * options passed to the ADB constructor take precedence over the
+ * "android.adb.*" config settings of the same name.
+ * @param {Config} [config] - CLI config
+ * @param {Object} [opts] - The options passed to the ADB constructor
+ * @returns {ADB~ConnectionOptions}
+ */
+function resolveConnectionOptions(config, opts) {
+	opts || (opts = {});
+	const get = (name, defaultValue) => {
+		const value = opts[name] !== undefined ? opts[name] : config ? config.get('android.adb.' + name) : undefined;
+		return value === undefined || value === null || isNaN(parseInt(value)) ? defaultValue : Math.max(parseInt(value), 0);
+	};
+	return {
+		connectTimeout: get('connectTimeout', 10000),
+		responseTimeout: get('responseTimeout', 30000),
+		timeout: get('timeout', 0),
+		retries: get('retries', 0),
+		retryDelay: get('retryDelay', 500),
+		signal: opts.signal || null
+	};
+}
+
+/**
+ * Returns the arguments that point the adb executable at the instance's server.
+ * @param {ADB} adb - The ADB instance
+ * @returns {Array<String>}
+ */
+function serverArgs(adb) {
+	const args = [];
+	adb.server.remote && args.push('-H', adb.server.host);
+	adb.server.port !== DEFAULT_PORT && args.push('-P', String(adb.server.port));
+	return args;
+}
+
 /**
  * Creates an ADB object.
  * @class
  * @classdesc Provides methods to interact with the Android Debug Bridge (ADB).
  * @constructor
  * @param {Config} [config] cli config
+ * @param {Object} [opts] - Various options
+ * @param {String} [opts.host] - The host of the ADB server, such as the Docker host or a device farm; defaults to the
+ * ADB_SERVER_SOCKET environment variable or the config, otherwise 127.0.0.1
+ * @param {Number} [opts.port] - The port of the ADB server; defaults to the ADB_SERVER_SOCKET environment variable,
+ * the config or the ANDROID_ADB_SERVER_PORT environment variable, otherwise 5037
+ * @param {Number} [opts.connectTimeout=10000] - The number of milliseconds to wait to connect to the ADB server;
+ * 0 to wait forever
+ * @param {Number} [opts.responseTimeout=30000] - The number of milliseconds to wait for the ADB server to accept or
+ * reject a request; 0 to wait forever
+ * @param {Number} [opts.timeout=0] - The number of milliseconds to wait for the result of each request, such as
+ * the output of a shell command; 0 to wait forever
+ * @param {Number} [opts.retries=0] - The number of times to retry a request when the device is offline,
+ * unauthorized or not found, such as while it's booting
+ * @param {Number} [opts.retryDelay=500] - The number of milliseconds to wait before the first retry; the delay
+ * doubles with each retry
+ * @param {AbortSignal} [opts.signal] - A signal that cancels every pending request
  */
-function ADB(config) {
+function ADB(config, opts) {
 	this.config = config;
+	this.server = resolveServer(config, opts);
+	this.connectionOptions = resolveConnectionOptions(config, opts);
 	if (config && config.get('android.debugadb', false)) {
 		DEBUG = true;
 	}
 }
 
+/**
+ * Returns an ADB instance that shares this instance's server, but with
+ * different timeouts, retries or abort signal. It's meant for calls that need
+ * a shorter or longer timeout than the rest, or that need to be cancelled.
+ * @example
+ * const controller = new AbortController();
+ * adb.withOptions({ timeout: 5000, signal: controller.signal }).devices();
+ * @param {Object} opts - Any of the `connectTimeout`, `responseTimeout`, `timeout`, `retries`, `retryDelay`
+ * and `signal` options accepted by the constructor
+ * @returns {ADB}
+ */
+ADB.prototype.withOptions = function withOptions(opts) {
+	const adb = Object.create(this);
+	adb.connectionOptions = Object.assign({}, this.connectionOptions);
+	CONNECTION_OPTIONS.forEach(name => {
+		if (opts && opts[name] !== undefined) {
+			adb.connectionOptions[name] = opts[name];
+		}
+	});
+	return adb;
+};
+
 /**
  * Returns the version of the ADB server.
- * @param {ADB~versionCallback} callback - A function to call when the version has been retreived
+ * @param {ADB~versionCallback} [callback] - A function to call when the version has been retreived
+ * @returns {Promise<String>|undefined} Resolves the version when no callback is specified
  */
 ADB.prototype.version = function version(callback) {
-	const conn = new Connection(this);
-	conn.exec('host:version', function (err, data) {
-		if (err) {
-			return callback(err);
-		}
-		if (data === null || data === undefined) {
-			return callback(new Error(`Unable to get adb version, received value ${data}`));
-		}
-		// Check if parseInt result is NaN?
-		callback(null, '1.0.' + parseInt(data, 16));
+	return callbackOrPromise(callback, callback => {
+		const conn = new Connection(this);
+		conn.exec('host:version', function (err, data) {
+			if (err) {
+				return callback(err);
+			}
+			if (data === null || data === undefined) {
+				return callback(new ADBError(`Unable to get adb version, received value ${data}`));
+			}
+			// Check if parseInt result is NaN?
+			callback(null, '1.0.' + parseInt(data, 16));
+		});
 	});
 };
 
@@ -376,21 +724,14 @@ function parseDevices(adb, callback, err, data) {
 	var EmulatorManager = require('./emulator'),
 		emuMgr = new EmulatorManager(adb.config);
 
-	async.series((data || '').toString().split('\n').map(function (line) {
+	async.series(deviceInfo.parseDeviceList(data).map(function (info) {
 		return function (done) {
-			var p = line.split(/\s+/);
-			if (p.length <= 1) {
-				return done();
-			}
-
-			var info = {
-				id: p.shift(),
-				state: p.shift()
-			};
+			info.transport = transportType(info.id);
 
 			if (info.state !== 'device') {
 				emuMgr.isEmulator(info.id, function (err, emu) {
 					info.emulator = emu || false;
+					info.issues = deviceIssues.getIssues(info);
 					done(null, info);
 				});
 				return;
@@ -398,44 +739,12 @@ function parseDevices(adb, callback, err, data) {
 
 			adb.shell(info.id, 'getprop', function (err, data) {
 				if (!err && data) {
-					const re = /^\[([^\]]*)\]: \[(.*)\]\s*$/;
-					data.toString().split('\n').forEach(function (line) {
-						const m = line.match(re);
-						if (m) {
-							const key = m[1];
-							const value = m[2];
-
-							switch (key) {
-								case 'ro.product.model.internal':
-									info.modelnumber = value;
-									break;
-								case 'ro.build.version.release':
-								case 'ro.build.version.sdk':
-								case 'ro.product.brand':
-								case 'ro.product.device':
-								case 'ro.product.manufacturer':
-								case 'ro.product.model':
-								case 'ro.product.name':
-									info[key.split('.').pop()] = value;
-									break;
-								default:
-									if (key.indexOf('ro.product.cpu.abi') === 0) {
-										Array.isArray(info.abi) || (info.abi = []);
-										value.split(',').forEach(function (abi) {
-											abi = abi.trim();
-											if (abi && info.abi.indexOf(abi) === -1) {
-												info.abi.push(abi);
-											}
-										});
-									}
-									break;
-							}
-						}
-					});
+					deviceInfo.summarizeProps(deviceInfo.parseProps(data), info);
 				}
 
 				emuMgr.isEmulator(info.id, function (err, emu) {
 					info.emulator = emu || false;
+					info.issues = deviceIssues.getIssues(info);
 					done(null, info);
 				});
 			});
@@ -447,16 +756,103 @@ function parseDevices(adb, callback, err, data) {
 
 /**
  * Retrieves a list of all devices and emulators.
- * @param {ADB~devicesCallback} callback - A function that is called with the list of devices
+ * @param {ADB~devicesCallback} [callback] - A function that is called with the list of devices
+ * @returns {Promise<Array>|undefined} Resolves the list of devices when no callback is specified
  */
 ADB.prototype.devices = function devices(callback) {
-	new Connection(this).exec('host:devices', function (err, data) {
-		parseDevices(this, callback, err, data);
-	}.bind(this), { waitForResponse: true });
+	return callbackOrPromise(callback, callback => {
+		new Connection(this).exec('host:devices', function (err, data) {
+			parseDevices(this, callback, err, data);
+		}.bind(this), { waitForResponse: true });
+	});
+};
+
+/**
+ * Explains why a device or emulator can't be used, such as when it hasn't
+ * authorized this computer or is offline, and how to fix it. Build commands can
+ * show these issues before attempting to install an app.
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {ADB~getDeviceIssuesCallback} [callback] - A function to call with the issues
+ * @returns {Promise<Array<ADB~DeviceIssue>>|undefined} Resolves the issues, which is empty when the device is
+ * ready, when no callback is specified
+ */
+ADB.prototype.getDeviceIssues = function getDeviceIssues(deviceId, callback) {
+	return callbackOrPromise(callback, callback => {
+		this.devices(function (err, devices) {
+			if (err) {
+				return callback(err);
+			}
+			const device = devices.filter(d => d.id === deviceId)[0];
+			callback(null, device ? device.issues : [ deviceIssues.notFound(deviceId) ]);
+		});
+	});
+};
+
+/**
+ * Creates a {@link MultiDevice} to install, start, stop and logcat on several
+ * devices and emulators at once.
+ * @param {MultiDevice~Selector} [selector="all"] - Which devices to run operations on
+ * @param {Object} [opts] - Options
+ * @param {Number} [opts.concurrency=4] - How many devices to run an operation on at the same time
+ * @param {Object} [opts.logger] - A logger instance; messages are prefixed with the device they're about
+ * @returns {MultiDevice}
+ */
+ADB.prototype.multi = function multi(selector, opts) {
+	return new MultiDevice(this, selector, opts);
+};
+
+/**
+ * Retrieves everything there is to know about the specified device/emulator:
+ * its properties, the features it supports, its screen, battery, storage,
+ * locale and whether it's rooted or debuggable. Only the properties are
+ * required; anything else the device is unable to report is null.
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {ADB~getDeviceInfoCallback} [callback] - A function that is called with the device info
+ * @returns {Promise<ADB~DeviceInfo>|undefined} Resolves the device info when no callback is specified
+ */
+ADB.prototype.getDeviceInfo = function getDeviceInfo(deviceId, callback) {
+	return callbackOrPromise(callback, callback => {
+		// the optional commands never fail, they just report null
+		const optional = (cmd, parse) => next => {
+			this.shell(deviceId, cmd, function (err, output) {
+				next(null, err ? null : parse(output));
+			});
+		};
+
+		async.parallel({
+			props: next => this.shell(deviceId, 'getprop', function (err, output) {
+				next(err, err ? null : deviceInfo.parseProps(output));
+			}),
+			features: next => this.getFeatures(deviceId, function (err, features) {
+				next(null, err ? [] : features);
+			}),
+			screen: optional('wm size; wm density', deviceInfo.parseScreen),
+			battery: optional('dumpsys battery', deviceInfo.parseBattery),
+			storage: optional('df /data', deviceInfo.parseDf),
+			su: optional('for p in /system/xbin/su /system/bin/su /sbin/su /su/bin/su; do [ -e $p ] && echo $p; done', output => /^\/\S*\/su\s*$/m.test(output.toString()))
+		}, function (err, results) {
+			if (err) {
+				return callback(err);
+			}
+
+			const props = results.props;
+			const info = deviceInfo.summarizeProps(props, { id: deviceId });
+			info.props = props;
+			info.features = results.features;
+			info.screen = results.screen;
+			info.battery = results.battery;
+			info.storage = results.storage;
+			info.locale = deviceInfo.getLocale(props);
+			info.rooted = props['ro.secure'] === '0' || results.su;
+			info.debuggable = props['ro.debuggable'] === '1';
+			callback(null, info);
+		});
+	});
 };
 
 /**
  * Retrieves a list of all devices and emulators, then listens for changes to devices.
+ * Use a {@link DeviceTracker} to be told what changed instead of receiving the whole list.
  * @param {ADB~trackDevicesCallback} callback - A function that is continually called with the list of devices
  * @returns {Connection} The connection so you can end() it.
  */
@@ -477,6 +873,227 @@ ADB.prototype.trackDevices = function trackDevices(callback) {
 	return conn;
 };
 
+/**
+ * Reads the length prefixed messages that "host:track-devices" and
+ * "track-jdwp" send every time their list changes.
+ * @param {net.Socket} socket - The socket
+ * @param {Buffer} [data] - Any data that was received along with the OKAY
+ * @param {Function} onMessage - A function to call with each message as a String
+ * @param {Function} onEnd - A function to call when the socket closes, with an error if one occurred
+ */
+function readMessages(socket, data, onMessage, onEnd) {
+	let buffer = data || Buffer.alloc(0);
+	let ended = false;
+	const end = err => {
+		if (!ended) {
+			ended = true;
+			onEnd(err || null);
+		}
+	};
+	const parse = () => {
+		while (buffer.length >= 4) {
+			const len = parseInt(buffer.slice(0, 4).toString(), 16);
+			if (isNaN(len)) {
+				socket.destroy();
+				return end(new ADBError(__('Invalid response received from the adb server')));
+			}
+			if (buffer.length < 4 + len) {
+				break;
+			}
+			const message = buffer.slice(4, 4 + len).toString();
+			buffer = buffer.slice(4 + len);
+			onMessage(message);
+		}
+	};
+
+	socket.on('data', data => {
+		buffer = Buffer.concat([ buffer, data ]);
+		parse();
+	});
+	socket.on('end', () => end());
+	socket.on('close', () => end());
+	socket.on('error', end);
+	parse();
+}
+
+/**
+ * Creates a DeviceTracker object.
+ * @class
+ * @extends EventEmitter
+ * @classdesc Tracks the devices and emulators connected to the ADB server and
+ * emits an event for every device that is added, removed or changes state
+ * such as offline → device → unauthorized. If the connection to the ADB server
+ * is lost, such as when the server is restarted, the tracker reconnects
+ * automatically until it is stopped.
+ *
+ * Events:
+ *  - `added` (device) - A device was connected
+ *  - `removed` (device) - A device was disconnected
+ *  - `changed` (device, previousState) - A device changed state
+ *  - `devices` (devices) - The complete list of devices after every update
+ *  - `connect` - Connected to the ADB server
+ *  - `disconnect` (err) - Lost the connection to the ADB server
+ *
+ * @constructor
+ * @param {ADB} adb - The ADB instance
+ * @param {Object} [opts] - Tracker options
+ * @param {Number} [opts.reconnectDelay=1000] - Milliseconds to wait before reconnecting
+ */
+function DeviceTracker(adb, opts) {
+	events.EventEmitter.call(this);
+	this.adb = adb;
+	this.reconnectDelay = opts && opts.reconnectDelay !== undefined ? opts.reconnectDelay : 1000;
+	this.devices = {};
+	this.conn = null;
+	this.timer = null;
+	this.stopped = false;
+	this._connect();
+}
+util.inherits(DeviceTracker, events.EventEmitter);
+
+/**
+ * Connects to the ADB server and starts tracking devices.
+ */
+DeviceTracker.prototype._connect = function _connect() {
+	const conn = this.conn = new Connection(this.adb);
+	let connected = false;
+
+	const disconnect = err => {
+		if (conn !== this.conn) {
+			return;
+		}
+		conn.end();
+		this.conn = null;
+		if (!this.stopped) {
+			connected && this.emit('disconnect', err || null);
+			this.timer = setTimeout(() => {
+				this.timer = null;
+				this._connect();
+			}, this.reconnectDelay);
+		}
+	};
+
+	conn.exec('host:track-devices', (err, data) => {
+		if (err || this.stopped) {
+			return disconnect(err);
+		}
+
+		connected = true;
+		this.emit('connect');
+
+		readMessages(conn.socket, data, list => this._update(list), disconnect);
+	}, { raw: true });
+};
+
+/**
+ * Diffs the list of devices against the previous one and emits the changes.
+ * @param {String} list - The device list received from the ADB server
+ */
+DeviceTracker.prototype._update = function _update(list) {
+	const devices = {};
+	deviceInfo.parseDeviceList(list).forEach(function (device) {
+		device.transport = transportType(device.id);
+		devices[device.id] = device;
+	});
+
+	const previous = this.devices;
+	this.devices = devices;
+
+	Object.keys(previous).forEach(id => {
+		devices[id] || this.emit('removed', previous[id]);
+	});
+	Object.keys(devices).forEach(id => {
+		if (!previous[id]) {
+			this.emit('added', devices[id]);
+		} else if (previous[id].state !== devices[id].state) {
+			this.emit('changed', devices[id], previous[id].state);
+		}
+	});
+
+	this.emit('devices', Object.keys(devices).map(id => devices[id]));
+};
+
+/**
+ * Stops tracking devices.
+ */
+DeviceTracker.prototype.stop = function stop() {
+	this.stopped = true;
+	clearTimeout(this.timer);
+	this.timer = null;
+	if (this.conn) {
+		const conn = this.conn;
+		this.conn = null;
+		conn.cancel();
+	}
+};
+
+/**
+ * Creates a JdwpTracker object.
+ * @class
+ * @extends EventEmitter
+ * @classdesc Tracks the processes on a device or emulator that a debugger can
+ * attach to using the "track-jdwp" service. Only apps that are debuggable have
+ * a JDWP thread. Unlike the DeviceTracker, the tracker does not reconnect since
+ * the connection only closes when the device goes away.
+ *
+ * Events:
+ *  - `pids` (pids) - The complete list of pids after every update
+ *  - `added` (pid) - A debuggable process started
+ *  - `removed` (pid) - A debuggable process exited
+ *  - `end` (err) - The connection to the device was closed or the tracker was stopped
+ *
+ * @constructor
+ * @param {ADB} adb - The ADB instance
+ * @param {String} deviceId - The id of the device or emulator
+ */
+function JdwpTracker(adb, deviceId) {
+	events.EventEmitter.call(this);
+	this.adb = adb;
+	this.deviceId = deviceId;
+	this.pids = [];
+	this.conn = new Connection(adb);
+	this.stopped = false;
+
+	const end = err => {
+		if (this.conn) {
+			this.conn.end();
+			this.conn = null;
+			this.emit('end', this.stopped ? null : err || null);
+		}
+	};
+
+	this.conn.openService(deviceId, 'track-jdwp', (err, socket, data) => {
+		if (err || this.stopped) {
+			return end(err);
+		}
+		readMessages(socket, data, list => this._update(list), end);
+	});
+}
+util.inherits(JdwpTracker, events.EventEmitter);
+
+/**
+ * Diffs the list of pids against the previous one and emits the changes.
+ * @param {String} list - The newline separated pids received from the device
+ */
+JdwpTracker.prototype._update = function _update(list) {
+	const pids = list.split('\n').map(pid => parseInt(pid)).filter(pid => !isNaN(pid));
+	const previous = this.pids;
+	this.pids = pids;
+
+	previous.forEach(pid => pids.indexOf(pid) === -1 && this.emit('removed', pid));
+	pids.forEach(pid => previous.indexOf(pid) === -1 && this.emit('added', pid));
+	this.emit('pids', pids);
+};
+
+/**
+ * Stops tracking debuggable processes.
+ */
+JdwpTracker.prototype.stop = function stop() {
+	this.stopped = true;
+	// cancelling the handshake emits the "end" event right away, otherwise it's emitted once the socket closes
+	this.conn && this.conn.cancel();
+};
+
 /**
  * Helper function that loads the Android detection library and detects the adb settings.
  * @param {Config} config CLI config
@@ -487,98 +1104,669 @@ function androidDetect(config, callback) {
 		if (results.sdk && results.sdk.executables.adb) {
 			callback(null, results);
 		} else {
-			callback(new Error(__('Android SDK not found')));
+			callback(new ADBError(__('Android SDK not found')));
 		}
 	});
 }
 
 /**
- * Attempts to find the adb executable, then start the adb server.
- * @param {ADB~startServerCallback} callback - A function that is called when the server has started
+ * Helper function that detects the adb executable and runs it with the specified
+ * arguments against the instance's server. If adb exits with a non-zero exit
+ * code, the callback receives an ADBError containing the exit code, stderr and
+ * the adb error string.
+ * @param {ADB} adb - The ADB instance
+ * @param {Array<String>} args - The arguments to pass into adb
+ * @param {Function} callback - A function to call with the error or stdout once adb exits
  */
-ADB.prototype.startServer = function startServer(callback) {
-	androidDetect(this.config, function (err, results) {
+function runAdb(adb, args, callback) {
+	androidDetect(adb.config, function (err, results) {
 		if (err) {
 			return callback(err);
 		}
-		appc.subprocess.run(results.sdk.executables.adb, 'start-server', function (code, out, err) {
-			callback(code ? new Error(__('Failed to start ADB (code %s): %s', code, err)) : null);
+		args = serverArgs(adb).concat(args);
+		appc.subprocess.run(results.sdk.executables.adb, args, function (code, out, err) {
+			if (!code) {
+				return callback(null, out);
+			}
+			const m = err.match(/error: (.+)$/m);
+			callback(new ADBError(__('Failed to run "adb %s" (code %s): %s', args.join(' '), code, err.trim()), {
+				exitCode: code,
+				stderr: err,
+				failure: m ? m[1].trim() : null
+			}));
 		});
 	});
-};
+}
 
 /**
- * Attempts to find the adb executable, then stop the adb server.
- * @param {ADB~stopServerCallback} callback - A callback that is fired when the server has stopped
+ * Attempts to find the adb executable, then start the adb server. A remote
+ * server can't be started, so this fails without running adb.
+ * @param {ADB~startServerCallback} [callback] - A function that is called when the server has started
+ * @returns {Promise|undefined} Resolves once the server has started when no callback is specified
  */
-ADB.prototype.stopServer = function stopServer(callback) {
-	androidDetect(this.config, function (err, results) {
-		if (err) {
-			return callback(err);
+ADB.prototype.startServer = function startServer(callback) {
+	return callbackOrPromise(callback, callback => {
+		if (this.server.remote) {
+			return callback(new ADBError(__('Unable to start the adb server on %s, it must be started on that host', formatAddress(this.server.host, this.server.port))));
 		}
-		appc.subprocess.run(results.sdk.executables.adb, 'kill-server', function (code, _out, _err) {
-			callback(code);
+		runAdb(this, [ 'start-server' ], function (err) {
+			callback(err || null);
 		});
 	});
 };
 
 /**
- * Runs the specified command on the Android emulator/device. Note that ADB
- * converts all \n to \r\n. So data will probably be larger than the original
- * output on the device.
- * @param {String} deviceId - android emulator id (of form 'android-5554', gotten from emulator.id after starting it (not to be confused with ids from emulator.detect listing))
- * @param {String} cmd - The command to run
- * @param {ADB~shellCallback} callback - A callback that is fired when the command has completed
+ * Attempts to find the adb executable, then stop the adb server.
+ * @param {ADB~stopServerCallback} [callback] - A callback that is fired when the server has stopped
+ * @returns {Promise|undefined} Resolves once the server has stopped when no callback is specified
  */
-ADB.prototype.shell = function shell(deviceId, cmd, callback) {
-	var conn = new Connection(this);
-	conn.exec('host:transport:' + deviceId, function (err, _data) {
-		if (err) {
-			callback(err);
-		} else {
-			conn.exec('shell:' + cmd.replace(/^shell:/, ''), function (err, result) {
-				callback(err, result);
-			}, { bufferUntilClose: true, noLength: true });
-		}
+ADB.prototype.stopServer = function stopServer(callback) {
+	return callbackOrPromise(callback, callback => {
+		runAdb(this, [ 'kill-server' ], function (err) {
+			callback(err || null);
+		});
 	});
 };
 
 /**
- * Installs an app to the specified device/emulator.
- * @param {String} deviceId - The id of the device or emulator
- * @param {String} apkFile - The application apk file to install
- * @param {Object} [opts] - Install options
- * @param {Object} [opts.logger] - A logger instance
- * @param {ADB~installAppCallback} callback - A callback that is fired when the application has been installed
+ * Determines how a device is attached from its id. Network devices are either
+ * connected by address, such as "192.168.1.5:5555", or discovered using mDNS,
+ * such as "adb-0123456789-AbCdEf._adb-tls-connect._tcp".
+ * @param {String} id - The id of the device or emulator
+ * @returns {String} "network", "emulator" or "usb"
  */
-ADB.prototype.installApp = function installApp(deviceId, apkFile, opts, callback) {
-	if (typeof opts === 'function') {
-		callback = opts;
-		opts = {};
-	}
-	apkFile = appc.fs.resolvePath(apkFile);
-	if (!fs.existsSync(apkFile)) {
-		callback(new Error(__('APK file "%s" does not exist', apkFile)));
-		return;
+function transportType(id) {
+	if (/^\[?[\w.:-]+\]?:\d+$/.test(id) || /\._adb(-tls-connect)?\._tcp\.?$/.test(id)) {
+		return 'network';
 	}
+	return /^emulator-\d+$/.test(id) ? 'emulator' : 'usb';
+}
 
-	this.devices(function (err, devices) {
-		if (err) {
-			return callback(err);
-		}
+/**
+ * Sends a host request that replies with a message, such as "host:connect:<address>".
+ * @param {ADB} adb - The ADB instance
+ * @param {String} service - The service to request
+ * @param {Function} callback - A function to call with the message
+ */
+function hostRequest(adb, service, callback) {
+	const conn = new Connection(adb);
+	conn.exec(service, function (err, data) {
+		conn.end();
+		callback(err, err ? undefined : (data || '').toString().trim());
+	});
+}
 
-		// Fetch info about the device we're installing to.
-		devices = devices.filter(d => d.id === deviceId);
-		if (devices.length < 1) {
-			return callback(new Error(__('device not found')));
-		}
-		const deviceInfo = devices[0];
+/**
+ * Formats a host and port as an address, wrapping IPv6 addresses in brackets.
+ * @param {String} host - The host name or IP address
+ * @param {Number} [port] - The port
+ * @returns {String}
+ */
+function formatAddress(host, port) {
+	if (!port) {
+		return host;
+	}
+	return (host.indexOf(':') !== -1 && host[0] !== '[' ? '[' + host + ']' : host) + ':' + port;
+}
 
-		androidDetect(this.config, function (err, results) {
-			if (err) {
-				return callback(err);
+/**
+ * Pairs with a device using the pairing code shown in the device's wireless
+ * debugging settings. Requires Android 11 (API level 30) or newer. Note that
+ * the pairing port differs from the port used to connect to the device.
+ * @param {String} host - The device's host name or IP address
+ * @param {Number} port - The pairing port
+ * @param {String} code - The pairing code
+ * @param {ADB~pairCallback} [callback] - A function that is called once the device has been paired
+ * @returns {Promise<String>|undefined} Resolves the message from adb when no callback is specified
+ */
+ADB.prototype.pair = function pair(host, port, code, callback) {
+	return callbackOrPromise(callback, callback => {
+		hostRequest(this, 'host:pair:' + code + ':' + formatAddress(host, port), function (err, message) {
+			if (!err && !/^Successfully paired/i.test(message)) {
+				err = new ADBError(message || __('Failed to pair with %s', formatAddress(host, port)), { failure: message });
 			}
-
+			callback(err || null, err ? undefined : message);
+		});
+	});
+};
+
+/**
+ * Connects to a device over the network. Once connected, the device is listed
+ * by `devices()` with its address as the id and a "network" transport.
+ * @param {String} host - The device's host name or IP address
+ * @param {Number} [port=5555] - The port
+ * @param {ADB~connectCallback} [callback] - A function that is called with the id of the connected device
+ * @returns {Promise<String>|undefined} Resolves the id of the connected device when no callback is specified
+ */
+ADB.prototype.connect = function connect(host, port, callback) {
+	if (typeof port === 'function') {
+		callback = port;
+		port = null;
+	}
+
+	return callbackOrPromise(callback, callback => {
+		const address = /:\d+$/.test(host) && !port ? host : formatAddress(host, port || 5555);
+		hostRequest(this, 'host:connect:' + address, function (err, message) {
+			if (!err && !/^(already )?connected to/i.test(message)) {
+				err = new ADBError(message || __('Failed to connect to %s', address), { failure: message });
+			}
+			callback(err || null, err ? undefined : address);
+		});
+	});
+};
+
+/**
+ * Disconnects a network device. When no host is specified, every network
+ * device is disconnected.
+ * @param {String} [host] - The device's host name or IP address
+ * @param {Number} [port=5555] - The port
+ * @param {ADB~disconnectCallback} [callback] - A function that is called once disconnected
+ * @returns {Promise|undefined} Resolves once disconnected when no callback is specified
+ */
+ADB.prototype.disconnect = function disconnect(host, port, callback) {
+	if (typeof host === 'function') {
+		callback = host;
+		host = port = null;
+	} else if (typeof port === 'function') {
+		callback = port;
+		port = null;
+	}
+
+	return callbackOrPromise(callback, callback => {
+		const address = !host ? '' : /:\d+$/.test(host) && !port ? host : formatAddress(host, port || 5555);
+		hostRequest(this, 'host:disconnect:' + address, function (err) {
+			callback(err || null);
+		});
+	});
+};
+
+/**
+ * Lists the adb services advertised on the local network using mDNS, such as
+ * devices with wireless debugging enabled that are waiting to be paired.
+ * @param {ADB~mdnsServicesCallback} [callback] - A function that is called with the services
+ * @returns {Promise<Array<ADB~MdnsService>>|undefined} Resolves the services when no callback is specified
+ */
+ADB.prototype.mdnsServices = function mdnsServices(callback) {
+	return callbackOrPromise(callback, callback => {
+		hostRequest(this, 'host:mdns:services', function (err, output) {
+			if (err) {
+				return callback(err);
+			}
+
+			const types = {
+				'_adb-tls-pairing._tcp': 'pairing',
+				'_adb-tls-connect._tcp': 'connect',
+				'_adb._tcp': 'legacy'
+			};
+			callback(null, output.split('\n').map(line => line.trim().split(/\t+|\s+/)).filter(cols => cols.length >= 3).map(cols => {
+				const m = cols[2].match(/^\[?(.*?)\]?:(\d+)$/);
+				const service = cols[1].replace(/\.$/, '');
+				return {
+					name: cols[0],
+					service: service,
+					type: types[service] || null,
+					host: m ? m[1] : cols[2],
+					port: m ? parseInt(m[2]) : null
+				};
+			}));
+		});
+	});
+};
+
+/**
+ * Returns the features supported by both the adb server and the specified
+ * device/emulator, such as "shell_v2" or "cmd".
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {ADB~getFeaturesCallback} [callback] - A function to call when the features have been retrieved
+ * @returns {Promise<Array<String>>|undefined} Resolves the features when no callback is specified
+ */
+ADB.prototype.getFeatures = function getFeatures(deviceId, callback) {
+	return callbackOrPromise(callback, callback => {
+		const conn = new Connection(this);
+		conn.exec('host-serial:' + deviceId + ':features', function (err, data) {
+			conn.end();
+			if (err) {
+				return callback(err);
+			}
+			callback(null, data ? data.toString().trim().split(',').filter(Boolean) : []);
+		});
+	});
+};
+
+/**
+ * Runs the specified command on the Android emulator/device.
+ *
+ * When called without an options object, the command is run using the legacy
+ * "shell:" service and the callback receives stdout and stderr merged into a
+ * single Buffer. Note that ADB converts all \n to \r\n. So data will probably
+ * be larger than the original output on the device.
+ *
+ * When an options object is passed, the command is run using the
+ * "shell,v2,raw:" service if the device supports it, otherwise it falls back to
+ * the legacy service. The result contains stdout, stderr and the exit code.
+ * With the legacy service, stderr is merged into stdout and the exit code is
+ * recovered by echoing it after the command.
+ *
+ * Long-running commands can be streamed by passing `opts.onStdout` and
+ * `opts.onStderr` and stopped using the returned handle.
+ *
+ * @param {String} deviceId - android emulator id (of form 'android-5554', gotten from emulator.id after starting it (not to be confused with ids from emulator.detect listing))
+ * @param {String} cmd - The command to run
+ * @param {Object} [opts] - Shell options
+ * @param {String|Buffer|stream.Readable} [opts.stdin] - Data to write to the command's stdin. Only shell v2 can signal
+ * the end of the input, so with the legacy service the command must not wait for stdin to close.
+ * @param {Function} [opts.onStdout] - A function to call with each chunk of stdout as it arrives; stdout is then
+ * not collected in the result
+ * @param {Function} [opts.onStderr] - A function to call with each chunk of stderr as it arrives; stderr is then
+ * not collected in the result
+ * @param {String|null} [opts.encoding="utf8"] - The encoding of stdout and stderr; null for Buffers
+ * @param {Boolean} [opts.legacy=false] - Always use the legacy "shell:" service
+ * @param {Number} [opts.timeout] - The number of milliseconds to wait for each request to the ADB server and
+ * then for the command to finish, after which the command is stopped; defaults to the instance's `timeout`
+ * @param {AbortSignal} [opts.signal] - A signal that stops the command; defaults to the instance's `signal`
+ * @param {ADB~shellCallback} [callback] - A function to call when the command has finished
+ * @returns {ADB~ShellHandle|Promise<ADB~ShellResult|Buffer>|undefined} A handle to stop the command; when no
+ * callback is specified, the handle is also a Promise that resolves the result
+ */
+ADB.prototype.shell = function shell(deviceId, cmd, opts, callback) {
+	if (typeof opts === 'function') {
+		callback = opts;
+		opts = null;
+	}
+	cmd = cmd.replace(/^shell:/, '');
+
+	if (!opts || typeof opts !== 'object') {
+		return callbackOrPromise(callback, callback => {
+			var conn = new Connection(this);
+			conn.exec('host:transport:' + deviceId, function (err, _data) {
+				if (err) {
+					callback(err);
+				} else {
+					conn.exec('shell:' + cmd, function (err, result) {
+						callback(err, result);
+					}, { bufferUntilClose: true, noLength: true });
+				}
+			});
+		});
+	}
+
+	const encoding = opts.encoding === undefined ? 'utf8' : opts.encoding;
+	const timeout = opts.timeout !== undefined ? opts.timeout : this.connectionOptions.timeout;
+	const signal = opts.signal || this.connectionOptions.signal;
+	const adb = this.withOptions({ timeout: timeout, signal: signal });
+	let socket = null;
+	let stopped = false;
+
+	const handle = callbackOrPromise(callback, callback => {
+		const stdout = [];
+		const stderr = [];
+		const onStdout = typeof opts.onStdout === 'function' ? opts.onStdout : chunk => stdout.push(chunk);
+		const onStderr = typeof opts.onStderr === 'function' ? opts.onStderr : chunk => stderr.push(chunk);
+		const result = (protocol, exitCode) => {
+			const decode = chunks => {
+				const buf = Buffer.concat(chunks);
+				return encoding ? buf.toString(encoding) : buf;
+			};
+			return { stdout: decode(stdout), stderr: decode(stderr), exitCode: exitCode, protocol: protocol };
+		};
+
+		async.waterfall([
+			next => {
+				if (opts.legacy) {
+					return next(null, []);
+				}
+				adb.getFeatures(deviceId, next);
+			},
+			(features, next) => {
+				const v2 = features.indexOf('shell_v2') !== -1;
+				const service = v2 ? 'shell,v2,raw:' + cmd : 'shell:' + shellLib.wrapLegacyCommand(cmd);
+				new Connection(adb).openService(deviceId, service, function (err, s, data) {
+					next(err, v2, s, data);
+				});
+			}
+		], (err, v2, s, data) => {
+			if (err) {
+				return callback(err);
+			}
+
+			socket = s;
+			if (stopped) {
+				socket.destroy();
+				return callback(null, result(v2 ? 'v2' : 'legacy', null));
+			}
+
+			let exitCode = null;
+			let finished = false;
+			let timer = null;
+			let parser;
+
+			function onAbort() {
+				done(new AbortError('shell:' + cmd));
+			}
+
+			function done(err) {
+				if (!finished) {
+					finished = true;
+					clearTimeout(timer);
+					signal && signal.removeEventListener('abort', onAbort);
+					if (err) {
+						socket.destroy();
+						return callback(err);
+					}
+					if (!v2) {
+						parser.flush();
+						exitCode = parser.exitCode;
+					}
+					callback(null, result(v2 ? 'v2' : 'legacy', stopped ? null : exitCode));
+				}
+			}
+
+			if (v2) {
+				parser = new shellLib.ShellV2Decoder({
+					stdout: onStdout,
+					stderr: onStderr,
+					exit: code => {
+						exitCode = code;
+						socket.end();
+					}
+				});
+			} else {
+				parser = new shellLib.LegacyOutputFilter(onStdout);
+			}
+
+			// the requests are done, so now the timeout and signal apply to the command itself
+			if (timeout) {
+				timer = setTimeout(() => done(new TimeoutError('data', timeout, 'shell:' + cmd)), timeout);
+			}
+			signal && signal.addEventListener('abort', onAbort);
+
+			data && data.length && parser.push(data);
+			socket.on('data', data => parser.push(data));
+			socket.on('end', () => done());
+			socket.on('close', () => done());
+			socket.on('error', err => done(stopped ? null : err));
+
+			const write = chunk => {
+				if (!finished) {
+					socket.write(v2 ? shellLib.encode(shellLib.PACKETS.STDIN, chunk) : chunk);
+				}
+			};
+			const closeStdin = () => {
+				v2 && !finished && socket.write(shellLib.encode(shellLib.PACKETS.CLOSE_STDIN));
+			};
+
+			const stdin = opts.stdin;
+			if (stdin && typeof stdin.pipe === 'function') {
+				stdin.on('data', write);
+				stdin.on('end', closeStdin);
+				stdin.on('error', done);
+			} else {
+				if (stdin !== undefined && stdin !== null) {
+					write(stdin);
+				}
+				closeStdin();
+			}
+		});
+	}) || {};
+
+	handle.stop = function stop() {
+		stopped = true;
+		socket && socket.destroy();
+	};
+
+	return handle;
+};
+
+/**
+ * Runs a command on a device or emulator using the "exec:" service. Unlike
+ * "shell:", no pty is allocated, so the output is left untouched.
+ * @param {ADB} adb - The ADB instance
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {String} cmd - The command to run
+ * @param {Object} [opts] - Exec options
+ * @param {String} [opts.input] - A local file to stream into the command's stdin
+ * @param {Function} callback - A function to call with the command's output
+ */
+function execOut(adb, deviceId, cmd, opts, callback) {
+	new Connection(adb).openService(deviceId, 'exec:' + cmd, function (err, socket, data) {
+		if (err) {
+			return callback(err);
+		}
+
+		const chunks = data && data.length ? [ data ] : [];
+		let finished = false;
+		function done(err) {
+			if (!finished) {
+				finished = true;
+				socket.end();
+				callback(err || null, err ? undefined : Buffer.concat(chunks));
+			}
+		}
+
+		socket.on('data', chunk => chunks.push(chunk));
+		socket.on('end', () => done());
+		socket.on('close', () => done());
+		socket.on('error', done);
+
+		if (opts && opts.input) {
+			const stream = fs.createReadStream(opts.input);
+			stream.on('error', done);
+			stream.pipe(socket, { end: false });
+		}
+	});
+}
+
+/**
+ * Checks the output of a package manager command for a failure.
+ * @param {Buffer|String} output - The output of the command
+ * @param {String} what - A description of what was being done, used if the output is unrecognized
+ * @returns {ADBError|null} An error if the command failed, otherwise null
+ */
+function checkInstallOutput(output, what) {
+	output = String(output || '');
+	const err = errors.parseInstallOutput(output);
+	if (err || /^Success/m.test(output)) {
+		return err;
+	}
+	return new ADBError(__('%s failed: %s', what, output.trim() || __('no output')), { failure: output.trim() });
+}
+
+/**
+ * Returns a name for an apk in an install session.
+ * @param {String} file - The apk file
+ * @param {Number} index - The index of the apk in the session
+ * @returns {String}
+ */
+function splitName(file, index) {
+	return index + '_' + path.basename(file).replace(/[^\w.-]/g, '_');
+}
+
+/**
+ * Installs one or more apks by streaming them directly into a package manager
+ * install session. Requires Android 7.0 (API level 24) or newer.
+ * @param {ADB} adb - The ADB instance
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {Array<String>} files - The apk files
+ * @param {Array<String>} flags - The package manager install flags
+ * @param {Object} opts - Install options
+ * @param {Function} callback - A function to call when the apks have been installed
+ */
+function streamInstall(adb, deviceId, files, flags, opts, callback) {
+	const sizes = files.map(file => fs.statSync(file).size);
+	const totalSize = sizes.reduce((total, size) => total + size, 0);
+
+	execOut(adb, deviceId, 'cmd package install-create ' + flags.concat('-S', totalSize).join(' '), null, function (err, output) {
+		if (err) {
+			return callback(err);
+		}
+
+		const m = output.toString().match(/\[(\d+)\]/);
+		if (!m) {
+			return callback(checkInstallOutput(output, __('Creating the install session')) || new ADBError(__('Unable to determine the install session id')));
+		}
+		const session = m[1];
+		opts.logger && opts.logger.trace(__('Created install session %s', session.cyan));
+
+		async.eachOfSeries(files, function (file, i, next) {
+			opts.logger && opts.logger.trace(__('Streaming %s into install session %s', file.cyan, session.cyan));
+			execOut(adb, deviceId, 'cmd package install-write -S ' + sizes[i] + ' ' + session + ' ' + splitName(file, i) + ' -', { input: file }, function (err, output) {
+				next(err || checkInstallOutput(output, __('Writing "%s" to the install session', file)));
+			});
+		}, function (err) {
+			if (err) {
+				// don't leave the session lying around on the device
+				return execOut(adb, deviceId, 'cmd package install-abandon ' + session, null, () => callback(err));
+			}
+			execOut(adb, deviceId, 'cmd package install-commit ' + session, null, function (err, output) {
+				callback(err || checkInstallOutput(output, __('Committing the install session')));
+			});
+		});
+	});
+}
+
+/**
+ * Installs one or more apks by pushing them to a temp directory on the device,
+ * then running the package manager. Works on all Android versions, however
+ * split apks require Android 5.0 (API level 21) or newer.
+ * @param {ADB} adb - The ADB instance
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {Array<String>} files - The apk files
+ * @param {Array<String>} flags - The package manager install flags
+ * @param {Object} opts - Install options
+ * @param {Function} callback - A function to call when the apks have been installed
+ */
+function pushInstall(adb, deviceId, files, flags, opts, callback) {
+	const remoteFiles = files.map((file, i) => '/data/local/tmp/' + splitName(file, i));
+
+	function pm(cmd, what, next) {
+		adb.shell(deviceId, cmd, function (err, output) {
+			next(err || checkInstallOutput(output, what), output);
+		});
+	}
+
+	async.series([
+		function (next) {
+			async.eachOfSeries(files, function (file, i, cb) {
+				opts.logger && opts.logger.trace(__('Copying %s to %s', file.cyan, remoteFiles[i].cyan));
+				adb.push(deviceId, file, remoteFiles[i], err => cb(err));
+			}, next);
+		},
+		function (next) {
+			if (files.length === 1) {
+				return pm('pm install ' + flags.join(' ') + ' ' + remoteFiles[0], __('Installing the app'), next);
+			}
+
+			const totalSize = files.reduce((total, file) => total + fs.statSync(file).size, 0);
+			adb.shell(deviceId, 'pm install-create ' + flags.concat('-S', totalSize).join(' '), function (err, output) {
+				const m = !err && output.toString().match(/\[(\d+)\]/);
+				if (!m) {
+					return next(err || checkInstallOutput(output, __('Creating the install session')) || new ADBError(__('Unable to determine the install session id')));
+				}
+				const session = m[1];
+				async.eachOfSeries(files, function (file, i, cb) {
+					pm('pm install-write -S ' + fs.statSync(file).size + ' ' + session + ' ' + splitName(file, i) + ' ' + remoteFiles[i], __('Writing "%s" to the install session', file), cb);
+				}, function (err) {
+					if (err) {
+						return adb.shell(deviceId, 'pm install-abandon ' + session, () => next(err));
+					}
+					pm('pm install-commit ' + session, __('Committing the install session'), next);
+				});
+			});
+		}
+	], function (err) {
+		// clean up the copied apks regardless of the result
+		adb.shell(deviceId, 'rm -f ' + remoteFiles.join(' '), function () {
+			callback(err || null);
+		});
+	});
+}
+
+/**
+ * Installs one or more apks by running the adb executable. This is used for
+ * incremental installs which rely on the adb executable serving the apk data
+ * to the device on demand. Requires Android 11 (API level 30) or newer.
+ * @param {ADB} adb - The ADB instance
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {Array<String>} files - The apk files
+ * @param {Array<String>} flags - The package manager install flags
+ * @param {Object} opts - Install options
+ * @param {Function} callback - A function to call when the apks have been installed
+ */
+function adbInstall(adb, deviceId, files, flags, opts, callback) {
+	androidDetect(adb.config, function (err, results) {
+		if (err) {
+			return callback(err);
+		}
+
+		const args = serverArgs(adb).concat('-s', deviceId, files.length > 1 ? 'install-multiple' : 'install', flags, files);
+
+		opts.logger && opts.logger.trace(__('Executing: %s', [ results.sdk.executables.adb ].concat(args).join(' ').cyan));
+		appc.subprocess.run(results.sdk.executables.adb, args, function (code, out, err) {
+			const info = { exitCode: code, stderr: err };
+			const installErr = errors.parseInstallOutput(out, info);
+			if (installErr) {
+				callback(installErr);
+			} else if (code && err.indexOf('No space left on device') !== -1) {
+				callback(new InstallError('INSTALL_FAILED_INSUFFICIENT_STORAGE', info));
+			} else if (code) {
+				callback(new ADBError(out.trim() + '\n' + err.trim(), info));
+			} else {
+				callback();
+			}
+		});
+	});
+}
+
+/**
+ * Installs an app to the specified device/emulator. Multiple apks, such as the
+ * base and split apks generated from an Android App Bundle, are installed
+ * together in a single install session.
+ *
+ * By default, the apks are streamed straight into the package manager on
+ * Android 7.0 and newer. Older devices have the apks copied to the device
+ * first.
+ *
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {String|Array<String>} apkFile - The application apk file or the base and split apk files to install
+ * @param {Object} [opts] - Install options
+ * @param {Object} [opts.logger] - A logger instance
+ * @param {Boolean} [opts.allowDowngrade=true] - Allows an older version of the app to replace a newer one (Android 4.2 and newer)
+ * @param {Boolean} [opts.grantPermissions=false] - Grants all runtime permissions listed in the app manifest (Android 6.0 and newer)
+ * @param {Boolean} [opts.allowTestOnly=false] - Allows apks that are marked as test only
+ * @param {String} [opts.mode="auto"] - How the apks are transferred: "stream", "push", "incremental" or "auto"
+ * @param {ADB~installAppCallback} [callback] - A callback that is fired when the application has been installed
+ * @returns {Promise|undefined} Resolves once the app has been installed when no callback is specified
+ */
+ADB.prototype.installApp = function installApp(deviceId, apkFile, opts, callback) {
+	if (typeof opts === 'function') {
+		callback = opts;
+		opts = {};
+	}
+	opts || (opts = {});
+
+	return callbackOrPromise(callback, callback => {
+		const files = (Array.isArray(apkFile) ? apkFile : [ apkFile ]).map(file => appc.fs.resolvePath(file));
+		if (!files.length) {
+			return callback(new ADBError(__('No APK files specified')));
+		}
+		for (const file of files) {
+			if (!fs.existsSync(file)) {
+				return callback(new ADBError(__('APK file "%s" does not exist', file)));
+			}
+		}
+
+		this.devices(function (err, devices) {
+			if (err) {
+				return callback(err);
+			}
+
+			// Fetch info about the device we're installing to.
+			devices = devices.filter(d => d.id === deviceId);
+			if (devices.length < 1) {
+				return callback(new ADBError(__('device not found'), { failure: 'device not found' }));
+			}
+			const deviceInfo = devices[0];
+
 			// Fetch the device's API Level.
 			let deviceApiLevel = 1;
 			if (deviceInfo.sdk) {
@@ -588,100 +1776,189 @@ ADB.prototype.installApp = function installApp(deviceId, apkFile, opts, callback
 				}
 			}
 
-			// Set up the 'adb' arguments array.
-			const args = [];
-			args.push('-s', deviceId);
-			args.push('install');
-			args.push('-r');
-			if (deviceApiLevel >= 17) {
+			if (files.length > 1 && deviceApiLevel < 21) {
+				return callback(new ADBError(__('Installing split APKs requires Android 5.0 (API level 21) or newer')));
+			}
+
+			// Set up the package manager flags
+			const flags = [ '-r' ];
+			if (opts.allowDowngrade !== false && deviceApiLevel >= 17) {
 				// Allow installation of an older APK version over a newer one.
 				// Note: Only supported on Android 4.2 (API Level 17) and higher.
-				args.push('-d');
+				flags.push('-d');
 			}
-			args.push(apkFile);
-
-			// Run the adb install command.
-			opts.logger && opts.logger.trace(__('Executing: %s', [ results.sdk.executables.adb ].concat(args).join(' ').cyan));
-			appc.subprocess.run(results.sdk.executables.adb, args, function (code, out, err) {
-				var m = out.match(/^Failure \[(.+)\]$/m);
-				if ((code && err.indexOf('No space left on device') !== -1) || (!code && m && m[1] === 'INSTALL_FAILED_INSUFFICIENT_STORAGE')) {
-					callback(new Error(__('Not enough free space on device')));
-				} else if (m && m[1] === 'INSTALL_PARSE_FAILED_INCONSISTENT_CERTIFICATES') {
-					callback(__('The app is already installed, but signed with a different certificate') + '\n'
-						+ __('You need to either manually uninstall the app or rebuild using the same certificate that was used to sign the installed app'));
-				} else if (m) {
-					callback(new Error(m[1]));
-				} else if (code) {
-					callback(new Error(out.trim() + '\n' + err.trim()));
-				} else {
-					// no obvious errors, now we need to check stdout
-					m = out.match(/^Error: (.+)$/m);
-					if (m) {
-						callback(new Error(m[1]));
-					} else {
-						callback();
-					}
-				}
-			});
-		});
-	}.bind(this));
+			if (opts.grantPermissions && deviceApiLevel >= 23) {
+				// Note: Runtime permissions were introduced in Android 6.0 (API Level 23).
+				flags.push('-g');
+			}
+			if (opts.allowTestOnly) {
+				flags.push('-t');
+			}
+
+			let mode = opts.mode || 'auto';
+			if (mode === 'auto') {
+				mode = deviceApiLevel >= 24 ? 'stream' : 'push';
+			}
+
+			opts.logger && opts.logger.trace(__('Installing %s using the "%s" method', files.join(', ').cyan, mode));
+
+			switch (mode) {
+				case 'stream':
+					return streamInstall(this, deviceId, files, flags, opts, callback);
+				case 'push':
+					return pushInstall(this, deviceId, files, flags, opts, callback);
+				case 'incremental':
+					return adbInstall(this, deviceId, files, flags.concat('--incremental'), opts, callback);
+			}
+			callback(new ADBError(__('Invalid install mode "%s"', mode)));
+		}.bind(this));
+	});
 };
 
 /**
  * Returns the ps output of the specified app and device/emulator, if running.
  * @param {String} deviceId - The id of the device or emulator
- * @param {ADB~psCallback} callback - A callback that is fired once ps is executed
+ * @param {ADB~psCallback} [callback] - A callback that is fired once ps is executed
+ * @returns {Promise<Buffer>|undefined} Resolves the ps output when no callback is specified
  */
 ADB.prototype.ps = function ps(deviceId, callback) {
-	var outputCallback = function (err, data) {
-		if (err) {
-			callback(err);
-		} else {
-			// old ps, does not support '-A' parameter
-			var dataStr = data.toString().trim();
-			if (dataStr.startsWith('bad pid \'-A\'') || dataStr.endsWith('NAME')) {
-				this.shell(deviceId, 'ps', outputCallback);
+	return callbackOrPromise(callback, callback => {
+		var outputCallback = function (err, data) {
+			if (err) {
+				callback(err);
 			} else {
-				callback(null, data);
+				// old ps, does not support '-A' parameter
+				var dataStr = data.toString().trim();
+				if (dataStr.startsWith('bad pid \'-A\'') || dataStr.endsWith('NAME')) {
+					this.shell(deviceId, 'ps', outputCallback);
+				} else {
+					callback(null, data);
+				}
 			}
-		}
-	}.bind(this);
-	this.shell(deviceId, 'ps -A', outputCallback);
+		}.bind(this);
+		this.shell(deviceId, 'ps -A', outputCallback);
+	});
+};
+
+/**
+ * Returns the processes running on the specified device/emulator. The toybox
+ * "ps" is asked for just the columns we need and the legacy "ps" is used on
+ * devices that don't support it.
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {String} [appid] - Only returns the processes of this application, including any named sub-processes
+ * such as "com.example.app:remote"
+ * @param {ADB~getProcessesCallback} [callback] - A function that is called with the processes
+ * @returns {Promise<Array<ADB~Process>>|undefined} Resolves the processes when no callback is specified
+ */
+ADB.prototype.getProcesses = function getProcesses(deviceId, appid, callback) {
+	if (typeof appid === 'function') {
+		callback = appid;
+		appid = null;
+	}
+
+	return callbackOrPromise(callback, callback => {
+		const done = list => callback(null, appid ? list.filter(p => processes.isAppProcess(p, appid)) : list);
+
+		this.shell(deviceId, processes.PS_COMMAND, (err, data) => {
+			if (err) {
+				return callback(err);
+			}
+			const list = processes.parsePs(data);
+			if (list && list.length) {
+				return done(list);
+			}
+			this.ps(deviceId, function (err, data) {
+				if (err) {
+					return callback(err);
+				}
+				const list = processes.parsePs(data);
+				if (!list) {
+					return callback(new ADBError(__('Unable to parse the output of "ps": %s', data.toString().trim())));
+				}
+				done(list);
+			});
+		});
+	});
 };
 
 /**
- * Returns the pid of the specified app and device/emulator, if running.
+ * Returns the pid of the specified app and device/emulator, if running. Uses
+ * "pidof" when the device has it, otherwise looks the app up with "ps".
  * @param {String} deviceId - The id of the device or emulator
  * @param {String} appid - The application's id
- * @param {ADB~getPidCallback} callback - A callback that is fired once the pid has been determined
+ * @param {ADB~getPidCallback} [callback] - A callback that is fired once the pid has been determined
+ * @returns {Promise<Number>|undefined} Resolves the pid when no callback is specified
  */
 ADB.prototype.getPid = function getPid(deviceId, appid, callback) {
-	this.ps(deviceId, function (err, data) {
-		if (err) {
-			callback(err);
-		} else {
-			var lines = data.toString().split('\n'),
-				i = 0,
-				len = lines.length,
-				columns;
-			for (; i < len; i++) {
-				columns = lines[i].trim().split(/\s+/);
-				if (columns.pop() == appid) { // eslint-disable-line eqeqeq
-					callback(null, parseInt(columns[1]));
-					return;
-				}
+	return callbackOrPromise(callback, callback => {
+		this.shell(deviceId, 'pidof ' + shellQuote(appid), (err, data) => {
+			if (err) {
+				return callback(err);
 			}
-			callback(null, 0);
-		}
+			const pids = processes.parsePidof(data);
+			if (pids) {
+				// the lowest pid is the oldest process in case the app is restarting
+				return callback(null, pids.length ? Math.min.apply(null, pids) : 0);
+			}
+			this.getProcesses(deviceId, appid, function (err, list) {
+				const main = !err && list.filter(p => p.name === appid)[0];
+				callback(err, err ? undefined : main ? main.pid : 0);
+			});
+		});
 	});
 };
 
 /**
- * Starts an application on the specified device/emulator.
+ * Waits for an application to start or exit by polling its processes.
  * @param {String} deviceId - The id of the device or emulator
  * @param {String} appid - The application's id
- * @param {String} activity - The name of the activity to run
- * @param {ADB~startAppCallback} callback - A function that is called once the application has been started
+ * @param {Object} [opts] - Various options
+ * @param {Boolean} [opts.exit=false] - Waits for every process of the app to exit instead of for one to appear
+ * @param {Number} [opts.interval=500] - How often in milliseconds to check the processes
+ * @param {Number} [opts.timeout=30000] - How long in milliseconds to wait; zero waits forever
+ * @param {ADB~getProcessesCallback} [callback] - A function that is called with the app's processes once it has
+ * started, or with an empty list once it has exited
+ * @returns {Promise<Array<ADB~Process>>|undefined} Resolves the app's processes when no callback is specified
+ */
+ADB.prototype.waitForProcess = function waitForProcess(deviceId, appid, opts, callback) {
+	if (typeof opts === 'function') {
+		callback = opts;
+		opts = {};
+	}
+	opts || (opts = {});
+
+	const interval = opts.interval || 500;
+	const timeout = opts.timeout === undefined ? 30000 : opts.timeout;
+
+	return callbackOrPromise(callback, callback => {
+		const started = Date.now();
+		const check = () => {
+			this.getProcesses(deviceId, appid, function (err, list) {
+				if (err) {
+					return callback(err);
+				}
+				if (opts.exit ? !list.length : list.length) {
+					return callback(null, list);
+				}
+				if (timeout && Date.now() - started + interval > timeout) {
+					return callback(new ADBError(opts.exit
+						? __('Timed out after %sms waiting for "%s" to exit', timeout, appid)
+						: __('Timed out after %sms waiting for "%s" to start', timeout, appid)));
+				}
+				setTimeout(check, interval);
+			});
+		};
+		check();
+	});
+};
+
+/**
+ * Starts an application on the specified device/emulator.
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {String} appid - The application's id
+ * @param {String} activity - The name of the activity to run
+ * @param {ADB~startAppCallback} [callback] - A function that is called once the application has been started
+ * @returns {Promise<Buffer>|undefined} Resolves the output of "am start" when no callback is specified
  */
 ADB.prototype.startApp = function startApp(deviceId, appid, activity, callback) {
 	// This launches the app via an intent just like how the Android OS would do it when tapping on the app.
@@ -690,127 +1967,1345 @@ ADB.prototype.startApp = function startApp(deviceId, appid, activity, callback)
 	// - The "-a" sets the intent's action.
 	// - The "-c" sets the intent's category.
 	// - The "-f 0x10200000" sets intent flags: FLAG_ACTIVITY_NEW_TASK | FLAG_ACTIVITY_RESET_TASK_IF_NEEDED
-	this.shell(deviceId, 'am start -n ' + appid + '/.' + activity.replace(/^\./, '') + ' -a android.intent.action.MAIN -c android.intent.category.LAUNCHER -f 0x10200000', callback);
+	return this.shell(deviceId, 'am start -n ' + appid + '/.' + activity.replace(/^\./, '') + ' -a android.intent.action.MAIN -c android.intent.category.LAUNCHER -f 0x10200000', callback);
 };
 
 /**
  * Stops an application on the specified device/emulator.
  * @param {String} deviceId - The id of the device or emulator
  * @param {String} appid - The application's id
- * @param {ADB~stopAppCallback} callback - A function that is called once the application has been stopped
+ * @param {ADB~stopAppCallback} [callback] - A function that is called once the application has been stopped
+ * @returns {Promise<Buffer>|undefined} Resolves the output of the stop command when no callback is specified
  */
 ADB.prototype.stopApp = function stopApp(deviceId, appid, callback) {
-	this.getPid(deviceId, appid, function (err, pid) {
-		if (!err && pid) {
-			this.shell(deviceId, 'am force-stop ' + appid, function (err, data) {
-				if (data.toString().indexOf('Unknown command: force-stop') !== -1) {
-					this.shell(deviceId, 'kill ' + pid, callback);
-				} else {
-					callback(err, data);
+	return callbackOrPromise(callback, callback => {
+		this.getPid(deviceId, appid, function (err, pid) {
+			if (!err && pid) {
+				this.shell(deviceId, 'am force-stop ' + appid, function (err, data) {
+					if (err) {
+						callback(err);
+					} else if (data.toString().indexOf('Unknown command: force-stop') !== -1) {
+						this.shell(deviceId, 'kill ' + pid, callback);
+					} else {
+						callback(null, data);
+					}
+				}.bind(this));
+				return;
+			}
+			callback(err || new ADBError(__('Application "%s" is not running', appid)));
+		}.bind(this));
+	});
+};
+
+/**
+ * Checks the output of a package manager command that prints "Success" when it
+ * works, such as "pm uninstall" and "pm clear".
+ * @param {Buffer|String} output - The output of the command
+ * @param {String} what - A description of what was being done
+ * @returns {ADBError|null} An error if the command failed, otherwise null
+ */
+function checkPmOutput(output, what) {
+	output = String(output || '').trim();
+	if (/^Success/m.test(output)) {
+		return null;
+	}
+	const m = output.match(/^Failure \[(.+)\]$/m) || output.match(/^(?:Failure|Error):?\s*(.+)$/m);
+	const failure = m ? m[1].trim() : output;
+	return new ADBError(__('%s failed: %s', what, failure || __('no output')), { failure: failure });
+}
+
+/**
+ * Uninstalls an application from the specified device/emulator.
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {String} appid - The application's id
+ * @param {Object} [opts] - Uninstall options
+ * @param {Boolean} [opts.keepData=false] - Keeps the app's data and cache directories
+ * @param {ADB~uninstallAppCallback} [callback] - A function that is called once the application has been uninstalled
+ * @returns {Promise|undefined} Resolves once the application has been uninstalled when no callback is specified
+ */
+ADB.prototype.uninstallApp = function uninstallApp(deviceId, appid, opts, callback) {
+	if (typeof opts === 'function') {
+		callback = opts;
+		opts = {};
+	}
+	opts || (opts = {});
+
+	return callbackOrPromise(callback, callback => {
+		this.shell(deviceId, 'pm uninstall ' + (opts.keepData ? '-k ' : '') + shellQuote(appid), function (err, data) {
+			callback(err || checkPmOutput(data, __('Uninstalling "%s"', appid)));
+		});
+	});
+};
+
+/**
+ * Deletes all of an application's data, the same as "Clear storage" in the
+ * app's settings. The application is stopped if it's running.
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {String} appid - The application's id
+ * @param {ADB~clearAppDataCallback} [callback] - A function that is called once the data has been cleared
+ * @returns {Promise|undefined} Resolves once the data has been cleared when no callback is specified
+ */
+ADB.prototype.clearAppData = function clearAppData(deviceId, appid, callback) {
+	return callbackOrPromise(callback, callback => {
+		this.shell(deviceId, 'pm clear ' + shellQuote(appid), function (err, data) {
+			callback(err || checkPmOutput(data, __('Clearing the data of "%s"', appid)));
+		});
+	});
+};
+
+/**
+ * Determines if an application is installed on the specified device/emulator.
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {String} appid - The application's id
+ * @param {ADB~isInstalledCallback} [callback] - A function that is called with whether the application is installed
+ * @returns {Promise<Boolean>|undefined} Resolves whether the application is installed when no callback is specified
+ */
+ADB.prototype.isInstalled = function isInstalled(deviceId, appid, callback) {
+	return callbackOrPromise(callback, callback => {
+		this.shell(deviceId, 'pm path ' + shellQuote(appid), function (err, data) {
+			callback(err, err ? undefined : /^package:/m.test(data.toString()));
+		});
+	});
+};
+
+/**
+ * Returns the version, SDK levels, install times and permissions of an
+ * installed application as reported by "dumpsys package".
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {String} appid - The application's id
+ * @param {ADB~getPackageInfoCallback} [callback] - A function that is called with the package info
+ * @returns {Promise<ADB~PackageInfo|null>|undefined} Resolves the package info, or null if the application is not
+ * installed, when no callback is specified
+ */
+ADB.prototype.getPackageInfo = function getPackageInfo(deviceId, appid, callback) {
+	return callbackOrPromise(callback, callback => {
+		this.shell(deviceId, 'dumpsys package ' + shellQuote(appid), function (err, data) {
+			callback(err, err ? undefined : packages.parseDumpsysPackage(data, appid));
+		});
+	});
+};
+
+/**
+ * Grants or revokes a runtime permission.
+ * @param {ADB} adb - The ADB instance
+ * @param {String} action - Either "grant" or "revoke"
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {String} appid - The application's id
+ * @param {String} permission - The permission such as "android.permission.CAMERA"
+ * @param {Function} callback - A function to call when done
+ */
+function changePermission(adb, action, deviceId, appid, permission, callback) {
+	adb.shell(deviceId, 'pm ' + action + ' ' + shellQuote(appid) + ' ' + shellQuote(permission), function (err, data) {
+		if (err) {
+			return callback(err);
+		}
+		// "pm grant" and "pm revoke" print nothing when they succeed
+		const output = data.toString().trim();
+		if (output) {
+			// failures are reported as a java exception, so report its message
+			const m = output.match(/^[\w.$]+(?:Exception|Error): (.+)$/m);
+			return callback(new ADBError(__('Failed to %s "%s" for "%s": %s', action, permission, appid, m ? m[1].trim() : output), { failure: output }));
+		}
+		callback();
+	});
+}
+
+/**
+ * Grants a runtime permission to an application. Only permissions that are
+ * requested by the app and have a "dangerous" protection level can be granted.
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {String} appid - The application's id
+ * @param {String} permission - The permission such as "android.permission.CAMERA"
+ * @param {ADB~permissionCallback} [callback] - A function that is called once the permission has been granted
+ * @returns {Promise|undefined} Resolves once the permission has been granted when no callback is specified
+ */
+ADB.prototype.grantPermission = function grantPermission(deviceId, appid, permission, callback) {
+	return callbackOrPromise(callback, callback => changePermission(this, 'grant', deviceId, appid, permission, callback));
+};
+
+/**
+ * Revokes a runtime permission from an application. The application is killed
+ * if it's running.
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {String} appid - The application's id
+ * @param {String} permission - The permission such as "android.permission.CAMERA"
+ * @param {ADB~permissionCallback} [callback] - A function that is called once the permission has been revoked
+ * @returns {Promise|undefined} Resolves once the permission has been revoked when no callback is specified
+ */
+ADB.prototype.revokePermission = function revokePermission(deviceId, appid, permission, callback) {
+	return callbackOrPromise(callback, callback => changePermission(this, 'revoke', deviceId, appid, permission, callback));
+};
+
+/**
+ * Sends an intent to the specified device/emulator, such as a deep link to open
+ * a screen of an app with some extras. Activities are started with "am start"
+ * unless `intent.broadcast` is set in which case the intent is broadcast.
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {ADB~Intent} intent - The intent to send
+ * @param {ADB~startIntentCallback} [callback] - A function that is called once the intent has been sent
+ * @returns {Promise<String>|undefined} Resolves the output of "am" when no callback is specified
+ */
+ADB.prototype.startIntent = function startIntent(deviceId, intent, callback) {
+	return callbackOrPromise(callback, callback => {
+		const cmd = [ 'am', intent.broadcast ? 'broadcast' : 'start' ];
+		intent.wait && !intent.broadcast && cmd.push('-W');
+		this.shell(deviceId, cmd.concat(packages.buildIntentArgs(intent)).join(' '), function (err, data) {
+			if (err) {
+				return callback(err);
+			}
+			const output = data.toString().trim();
+			const failure = packages.checkIntentOutput(output);
+			if (failure) {
+				return callback(new ADBError(__('Failed to send intent: %s', failure), { failure: failure }));
+			}
+			callback(null, output);
+		});
+	});
+};
+
+/**
+ * Sends a forward or reverse request and reads the reply. These requests reply
+ * with a second OKAY or FAIL once the request has been carried out, optionally
+ * followed by a length prefixed payload, then the connection is closed.
+ * Requests starting with "reverse:" are sent to the device itself.
+ * @param {ADB} adb - The ADB instance
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {String} service - The service such as "host-serial:<id>:forward:tcp:0;tcp:8081" or "reverse:list-forward"
+ * @param {Function} callback - A function to call with the payload, if any
+ */
+function forwardRequest(adb, deviceId, service, callback) {
+	const conn = new Connection(adb);
+
+	function readReply(err, socket, data) {
+		if (err) {
+			return callback(err);
+		}
+
+		const chunks = data && data.length ? [ data ] : [];
+		let finished = false;
+		function done(err) {
+			if (finished) {
+				return;
+			}
+			finished = true;
+			conn.end();
+			if (err) {
+				return callback(err);
+			}
+
+			let reply = Buffer.concat(chunks);
+			const status = reply.slice(0, 4).toString();
+			if (status === 'OKAY' || status === 'FAIL') {
+				reply = reply.slice(4);
+			}
+			const len = reply.length >= 4 ? parseInt(reply.slice(0, 4).toString(), 16) : NaN;
+			const payload = isNaN(len) ? null : reply.slice(4, 4 + len).toString();
+
+			if (status === 'FAIL') {
+				return callback(new ADBError(payload || __('adb request "%s" failed', service), { failure: payload }));
+			}
+			callback(null, payload);
+		}
+
+		socket.on('data', data => chunks.push(data));
+		socket.on('end', () => done());
+		socket.on('close', () => done());
+		socket.on('error', done);
+	}
+
+	if (/^reverse:/.test(service)) {
+		conn.openService(deviceId, service, readReply);
+	} else {
+		conn.exec(service, (err, data) => readReply(err, conn.socket, data), { raw: true });
+	}
+}
+
+/**
+ * Parses the output of a "list-forward" request.
+ * @param {String|null} output - The list of forwards, one per line
+ * @returns {Array<Object>} The id of the device, the local socket and the remote socket of each forward
+ */
+function parseForwardList(output) {
+	return (output || '').split('\n').map(line => line.trim().split(/\s+/)).filter(cols => cols.length === 3).map(cols => {
+		return { id: cols[0], local: cols[1], remote: cols[2] };
+	});
+}
+
+/**
+ * Forwards the specified device/emulator's socket connections to the destination.
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {String} src - The local socket in the format "tcp:<port>"; "tcp:0" picks a free port
+ * @param {String} dest - The destination port in the format "tcp:<port>" or "jdwp:<pid>"
+ * @param {Object} [opts] - Forward options
+ * @param {Boolean} [opts.noRebind=false] - Fails if the local socket is already forwarded
+ * @param {ADB~forwardCallback} [callback] - A function that is called once the sockets have been forwarded
+ * @returns {Promise<String>|undefined} Resolves the local socket, including the port that was picked for "tcp:0",
+ * once the sockets have been forwarded when no callback is specified
+ */
+ADB.prototype.forward = function forward(deviceId, src, dest, opts, callback) {
+	if (typeof opts === 'function') {
+		callback = opts;
+		opts = {};
+	}
+	opts || (opts = {});
+
+	return callbackOrPromise(callback, callback => {
+		const service = 'host-serial:' + deviceId + ':forward:' + (opts.noRebind ? 'norebind:' : '') + src + ';' + dest;
+		forwardRequest(this, deviceId, service, function (err, port) {
+			if (err) {
+				return callback(err);
+			}
+			callback(null, port ? 'tcp:' + parseInt(port) : src);
+		});
+	});
+};
+
+/**
+ * Lists the active forwards.
+ * @param {String} [deviceId] - Only list the forwards of this device or emulator
+ * @param {ADB~listForwardsCallback} [callback] - A function that is called with the forwards
+ * @returns {Promise<Array<ADB~Forward>>|undefined} Resolves the forwards when no callback is specified
+ */
+ADB.prototype.listForwards = function listForwards(deviceId, callback) {
+	if (typeof deviceId === 'function') {
+		callback = deviceId;
+		deviceId = null;
+	}
+
+	return callbackOrPromise(callback, callback => {
+		forwardRequest(this, deviceId, 'host:list-forward', function (err, output) {
+			if (err) {
+				return callback(err);
+			}
+			callback(null, parseForwardList(output).filter(fwd => !deviceId || fwd.id === deviceId));
+		});
+	});
+};
+
+/**
+ * Removes a forward.
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {String} src - The local socket of the forward such as "tcp:<port>"
+ * @param {ADB~forwardCallback} [callback] - A function that is called once the forward has been removed
+ * @returns {Promise|undefined} Resolves once the forward has been removed when no callback is specified
+ */
+ADB.prototype.removeForward = function removeForward(deviceId, src, callback) {
+	return callbackOrPromise(callback, callback => {
+		forwardRequest(this, deviceId, 'host-serial:' + deviceId + ':killforward:' + src, err => callback(err || null));
+	});
+};
+
+/**
+ * Removes all forwards. Note that adb removes the forwards of every device,
+ * not just the specified one.
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {ADB~forwardCallback} [callback] - A function that is called once the forwards have been removed
+ * @returns {Promise|undefined} Resolves once the forwards have been removed when no callback is specified
+ */
+ADB.prototype.removeAllForwards = function removeAllForwards(deviceId, callback) {
+	return callbackOrPromise(callback, callback => {
+		forwardRequest(this, deviceId, 'host-serial:' + deviceId + ':killforward-all', err => callback(err || null));
+	});
+};
+
+/**
+ * Reverse forwards the specified device/emulator's socket connections to this
+ * computer, such as for live reload or a local debug proxy.
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {String} remote - The socket on the device in the format "tcp:<port>"; "tcp:0" picks a free port
+ * @param {String} local - The socket on this computer in the format "tcp:<port>"
+ * @param {Object} [opts] - Reverse options
+ * @param {Boolean} [opts.noRebind=false] - Fails if the remote socket is already reversed
+ * @param {ADB~forwardCallback} [callback] - A function that is called once the sockets have been reversed
+ * @returns {Promise<String>|undefined} Resolves the remote socket, including the port that was picked for "tcp:0",
+ * once the sockets have been reversed when no callback is specified
+ */
+ADB.prototype.reverse = function reverse(deviceId, remote, local, opts, callback) {
+	if (typeof opts === 'function') {
+		callback = opts;
+		opts = {};
+	}
+	opts || (opts = {});
+
+	return callbackOrPromise(callback, callback => {
+		const service = 'reverse:forward:' + (opts.noRebind ? 'norebind:' : '') + remote + ';' + local;
+		forwardRequest(this, deviceId, service, function (err, port) {
+			if (err) {
+				return callback(err);
+			}
+			callback(null, port ? 'tcp:' + parseInt(port) : remote);
+		});
+	});
+};
+
+/**
+ * Lists the active reverse forwards of the specified device/emulator.
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {ADB~listReversesCallback} [callback] - A function that is called with the reverse forwards
+ * @returns {Promise<Array<ADB~Reverse>>|undefined} Resolves the reverse forwards when no callback is specified
+ */
+ADB.prototype.listReverses = function listReverses(deviceId, callback) {
+	return callbackOrPromise(callback, callback => {
+		forwardRequest(this, deviceId, 'reverse:list-forward', function (err, output) {
+			if (err) {
+				return callback(err);
+			}
+			// the device lists its own transport name, the remote socket and the local socket
+			callback(null, parseForwardList(output).map(fwd => {
+				return { remote: fwd.local, local: fwd.remote };
+			}));
+		});
+	});
+};
+
+/**
+ * Removes a reverse forward.
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {String} remote - The socket on the device such as "tcp:<port>"
+ * @param {ADB~forwardCallback} [callback] - A function that is called once the reverse forward has been removed
+ * @returns {Promise|undefined} Resolves once the reverse forward has been removed when no callback is specified
+ */
+ADB.prototype.removeReverse = function removeReverse(deviceId, remote, callback) {
+	return callbackOrPromise(callback, callback => {
+		forwardRequest(this, deviceId, 'reverse:killforward:' + remote, err => callback(err || null));
+	});
+};
+
+/**
+ * Removes all reverse forwards of the specified device/emulator.
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {ADB~forwardCallback} [callback] - A function that is called once the reverse forwards have been removed
+ * @returns {Promise|undefined} Resolves once the reverse forwards have been removed when no callback is specified
+ */
+ADB.prototype.removeAllReverses = function removeAllReverses(deviceId, callback) {
+	return callbackOrPromise(callback, callback => {
+		forwardRequest(this, deviceId, 'reverse:killforward-all', err => callback(err || null));
+	});
+};
+
+/**
+ * Tracks the processes on the specified device/emulator that a debugger can
+ * attach to.
+ * @param {String} deviceId - The id of the device or emulator
+ * @returns {JdwpTracker}
+ */
+ADB.prototype.trackJdwp = function trackJdwp(deviceId) {
+	return new JdwpTracker(this, deviceId);
+};
+
+/**
+ * Returns the processes on the specified device/emulator that a debugger can
+ * attach to along with the app each process belongs to.
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {ADB~getJdwpProcessesCallback} [callback] - A function that is called with the processes
+ * @returns {Promise<Array<ADB~JdwpProcess>>|undefined} Resolves the processes when no callback is specified
+ */
+ADB.prototype.getJdwpProcesses = function getJdwpProcesses(deviceId, callback) {
+	return callbackOrPromise(callback, callback => {
+		const tracker = this.trackJdwp(deviceId);
+		let finished = false;
+
+		tracker.once('pids', pids => {
+			finished = true;
+			tracker.stop();
+			this.getProcesses(deviceId, function (err, list) {
+				if (err) {
+					return callback(err);
 				}
-			}.bind(this));
-			return;
+				callback(null, pids.map(function (pid) {
+					const proc = list.filter(p => p.pid === pid)[0];
+					return { pid: pid, appid: proc ? proc.name : null, user: proc ? proc.user : null };
+				}));
+			});
+		});
+
+		tracker.on('end', err => {
+			finished || callback(err || new ADBError(__('The connection to the device was closed')));
+			finished = true;
+		});
+	});
+};
+
+/**
+ * Forwards a local port to the JDWP thread of an application so that a
+ * debugger can attach to it. The app must be debuggable and running, or start
+ * within the timeout.
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {String} appid - The application's id
+ * @param {Object} [opts] - Various options
+ * @param {Number} [opts.port=0] - The local port to forward; zero picks a free port
+ * @param {Number} [opts.timeout=0] - How long in milliseconds to wait for the app to become debuggable; zero fails
+ * right away if it isn't
+ * @param {ADB~forwardJdwpCallback} [callback] - A function that is called once the port has been forwarded
+ * @returns {Promise<ADB~JdwpForward>|undefined} Resolves the forward when no callback is specified
+ */
+ADB.prototype.forwardJdwp = function forwardJdwp(deviceId, appid, opts, callback) {
+	if (typeof opts === 'function') {
+		callback = opts;
+		opts = {};
+	}
+	opts || (opts = {});
+
+	return callbackOrPromise(callback, callback => {
+		const tracker = this.trackJdwp(deviceId);
+		let finished = false;
+		let timer = null;
+		let busy = false;
+		let pending = null;
+
+		const finish = (err, result) => {
+			if (!finished) {
+				finished = true;
+				clearTimeout(timer);
+				tracker.stop();
+				callback(err || null, result);
+			}
+		};
+
+		const notFound = () => finish(new ADBError(__('Application "%s" is not running or is not debuggable', appid)));
+
+		const check = pids => {
+			if (busy) {
+				pending = pids;
+				return;
+			}
+			busy = true;
+			this.getProcesses(deviceId, appid, (err, list) => {
+				busy = false;
+				if (err || finished) {
+					return err && finish(err);
+				}
+				const proc = list.filter(p => p.name === appid && pids.indexOf(p.pid) !== -1)[0];
+				if (proc) {
+					const local = 'tcp:' + (opts.port || 0);
+					return this.forward(deviceId, local, 'jdwp:' + proc.pid, function (err, socket) {
+						finish(err, err ? undefined : {
+							appid: appid,
+							pid: proc.pid,
+							local: socket,
+							port: parseInt(socket.split(':')[1])
+						});
+					});
+				}
+				if (pending) {
+					const next = pending;
+					pending = null;
+					return check(next);
+				}
+				opts.timeout || notFound();
+			});
+		};
+
+		if (opts.timeout) {
+			timer = setTimeout(() => finish(new ADBError(__('Timed out after %sms waiting for "%s" to become debuggable', opts.timeout, appid))), opts.timeout);
 		}
-		callback(new Error(__('Application "%s" is not running', appid)));
-	}.bind(this));
+		tracker.on('pids', check);
+		tracker.on('end', err => finish(err || new ADBError(__('The connection to the device was closed'))));
+	});
+};
+
+/**
+ * Opens a sync session with the specified device or emulator.
+ * @param {ADB} adb - The ADB instance
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {Function} callback - A function to call with the sync session
+ */
+function openSync(adb, deviceId, callback) {
+	// the features tell whether the device can follow symbolic links to files
+	adb.getFeatures(deviceId, function (err, features) {
+		const opts = { features: err ? [] : features };
+		new Connection(adb).openService(deviceId, 'sync:', function (err, socket, data) {
+			callback(err, err ? null : new SyncSession(socket, data, opts));
+		});
+	});
+}
+
+/**
+ * Recursively collects all files in a local directory.
+ * @param {String} dir - The local directory
+ * @param {String} remoteDir - The remote directory the files will be copied to
+ * @param {Array<Object>} files - The array to add the files to
+ * @returns {Array<Object>} The array of files
+ */
+function walkLocal(dir, remoteDir, files) {
+	fs.readdirSync(dir).forEach(function (name) {
+		const file = path.join(dir, name);
+		const stat = fs.statSync(file);
+		if (stat.isDirectory()) {
+			walkLocal(file, path.posix.join(remoteDir, name), files);
+		} else if (stat.isFile()) {
+			files.push({ src: file, dest: path.posix.join(remoteDir, name), size: stat.size });
+		}
+	});
+	return files;
+}
+
+/**
+ * Recursively collects all files and directories in a directory on the device.
+ * Symbolic links to files are collected as the file they point to. Links to
+ * directories are skipped since they can lead back into the directory being
+ * walked, as are links that point to nothing.
+ * @param {SyncSession} sync - The sync session
+ * @param {String} remoteDir - The directory on the device
+ * @param {String} localDir - The local directory the files will be copied to
+ * @param {Object} results - An object containing the `files`, `dirs` and `skipped` arrays to populate
+ * @param {Function} callback - A function to call once the directory has been walked
+ */
+function walkRemote(sync, remoteDir, localDir, results, callback) {
+	results.dirs.push(localDir);
+	sync.list(remoteDir, function (err, entries) {
+		if (err) {
+			return callback(err);
+		}
+		async.eachSeries(entries, function (entry, next) {
+			const src = path.posix.join(remoteDir, entry.name);
+			const dest = path.join(localDir, entry.name);
+			if (entry.isDirectory) {
+				walkRemote(sync, src, dest, results, next);
+			} else if (entry.isSymbolicLink) {
+				sync.stat(src, function (err, target) {
+					if (err) {
+						return next(err);
+					}
+					if (target.isFile) {
+						results.files.push({ src: src, dest: dest, size: target.size, mode: target.mode, mtime: target.mtime });
+					} else {
+						results.skipped.push(src);
+					}
+					next();
+				});
+			} else {
+				if (entry.isFile) {
+					results.files.push({ src: src, dest: dest, size: entry.size, mode: entry.mode, mtime: entry.mtime });
+				}
+				next();
+			}
+		}, callback);
+	});
+}
+
+/**
+ * Pushes a file or directory to a device or emulator using the adb sync
+ * protocol. Files keep their permissions and last modified times.
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {String} src - The source file or directory to copy to the device
+ * @param {String} dest - The destination to write the file. If it's an existing directory, the source is copied into it.
+ * @param {Object} [opts] - Push options
+ * @param {ADB~transferProgress} [opts.progress] - A function that is called as data is sent
+ * @param {ADB~pushCallback} [callback] - A function that is called once the file has been copied
+ * @returns {Promise<ADB~TransferResult>|undefined} Resolves once the files have been copied when no callback is specified
+ */
+ADB.prototype.push = function push(deviceId, src, dest, opts, callback) {
+	if (typeof opts === 'function') {
+		callback = opts;
+		opts = {};
+	}
+	opts || (opts = {});
+
+	return callbackOrPromise(callback, callback => {
+		src = appc.fs.resolvePath(src);
+		if (!fs.existsSync(src)) {
+			return callback(new ADBError(__('Source file "%s" does not exist', src)));
+		}
+
+		openSync(this, deviceId, function (err, sync) {
+			if (err) {
+				return callback(err);
+			}
+
+			sync.stat(dest, function (err, destStat) {
+				if (err) {
+					sync.end();
+					return callback(new ADBError(err.message, { failure: err.message }));
+				}
+
+				// just like "adb push", copy into the destination if it's a directory
+				if (destStat.isDirectory || /\/$/.test(dest)) {
+					dest = path.posix.join(dest, path.basename(src));
+				}
+
+				const srcStat = fs.statSync(src);
+				const files = srcStat.isDirectory() ? walkLocal(src, dest, []) : [ { src: src, dest: dest, size: srcStat.size } ];
+				const totalSize = files.reduce((total, file) => total + file.size, 0);
+				let totalTransferred = 0;
+
+				async.eachSeries(files, function (file, next) {
+					sync.send(file.src, file.dest, {
+						progress: function (transferred) {
+							opts.progress && opts.progress({
+								src: file.src,
+								dest: file.dest,
+								transferred: transferred,
+								size: file.size,
+								totalTransferred: totalTransferred + transferred,
+								totalSize: totalSize
+							});
+						}
+					}, function (err) {
+						if (err) {
+							return next(new ADBError(__('Failed to push "%s" to "%s": %s', file.src, file.dest, err.message), { failure: err.message }));
+						}
+						totalTransferred += file.size;
+						next();
+					});
+				}, function (err) {
+					sync.end();
+					callback(err || null, err ? undefined : { files: files.length, bytes: totalSize });
+				});
+			});
+		});
+	});
+};
+
+/**
+ * Pulls a file or directory from a device or emulator using the adb sync
+ * protocol. Files keep their permissions and last modified times. Symbolic
+ * links are followed; inside a pulled directory, links to directories are
+ * skipped and listed in the result's `skipped` array.
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {String} src - The source file or directory to copy from the device
+ * @param {String} dest - The destination to write the file. If it's an existing directory, the source is copied into it.
+ * @param {Object} [opts] - Pull options
+ * @param {ADB~transferProgress} [opts.progress] - A function that is called as data is received
+ * @param {ADB~pullCallback} [callback] - A function that is called once the file has been copied
+ * @returns {Promise<ADB~TransferResult>|undefined} Resolves once the files have been copied when no callback is specified
+ */
+ADB.prototype.pull = function pull(deviceId, src, dest, opts, callback) {
+	if (typeof opts === 'function') {
+		callback = opts;
+		opts = {};
+	}
+	opts || (opts = {});
+
+	return callbackOrPromise(callback, callback => {
+		dest = appc.fs.resolvePath(dest);
+
+		openSync(this, deviceId, function (err, sync) {
+			if (err) {
+				return callback(err);
+			}
+
+			function finish(err, result) {
+				sync.end();
+				callback(err || null, result);
+			}
+
+			sync.stat(src, function (err, srcStat) {
+				if (err) {
+					return finish(new ADBError(err.message, { failure: err.message }));
+				}
+				if (!srcStat.exists) {
+					return finish(new ADBError(__('Remote file "%s" does not exist', src)));
+				}
+
+				// just like "adb pull", copy into the destination if it's a directory
+				if (fs.existsSync(dest) && fs.statSync(dest).isDirectory()) {
+					dest = path.join(dest, path.posix.basename(src.replace(/\/+$/, '')));
+				}
+
+				const results = { files: [], dirs: [], skipped: [] };
+				const collect = srcStat.isDirectory
+					? cb => walkRemote(sync, src, dest, results, cb)
+					: cb => {
+						results.files.push({ src: src, dest: dest, size: srcStat.size, mode: srcStat.mode, mtime: srcStat.mtime });
+						cb();
+					};
+
+				collect(function (err) {
+					if (err) {
+						return finish(new ADBError(__('Failed to read remote directory "%s": %s', src, err.message), { failure: err.message }));
+					}
+
+					const totalSize = results.files.reduce((total, file) => total + file.size, 0);
+					let totalTransferred = 0;
+
+					try {
+						results.dirs.forEach(dir => fs.ensureDirSync(dir));
+						results.files.forEach(file => fs.ensureDirSync(path.dirname(file.dest)));
+					} catch (ex) {
+						return finish(new ADBError(__('Failed to create destination directory "%s"', ex.path || dest)));
+					}
+
+					async.eachSeries(results.files, function (file, next) {
+						let received = 0;
+						sync.recv(file.src, file.dest, {
+							size: file.size,
+							progress: function (transferred) {
+								received = transferred;
+								opts.progress && opts.progress({
+									src: file.src,
+									dest: file.dest,
+									transferred: transferred,
+									size: file.size,
+									totalTransferred: totalTransferred + transferred,
+									totalSize: totalSize
+								});
+							}
+						}, function (err) {
+							if (err) {
+								return next(new ADBError(__('Failed to pull "%s" to "%s": %s', file.src, file.dest, err.message), { failure: err.message }));
+							}
+							totalTransferred += received;
+							try {
+								fs.chmodSync(file.dest, file.mode & 0o777);
+								fs.utimesSync(file.dest, file.mtime, file.mtime);
+							} catch (e) {
+								// not fatal, the file was transferred
+							}
+							next();
+						});
+					}, function (err) {
+						finish(err, err ? undefined : { files: results.files.length, bytes: totalTransferred, skipped: results.skipped });
+					});
+				});
+			});
+		});
+	});
+};
+
+/**
+ * @constant
+ * The signature every PNG file starts with.
+ */
+const PNG_SIGNATURE = Buffer.from([ 0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a ]);
+
+/**
+ * Takes a screenshot of the specified device/emulator. The PNG is read using
+ * the "exec:" service so that it isn't mangled by a pty, however older devices
+ * that don't support it fall back to "shell:" and have their line endings
+ * restored.
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {String} [dest] - The file to write the PNG to
+ * @param {ADB~screencapCallback} [callback] - A function that is called with the screenshot
+ * @returns {Promise<Buffer|String>|undefined} Resolves the PNG, or the path of the file it was written to if `dest`
+ * is specified, when no callback is specified
+ */
+ADB.prototype.screencap = function screencap(deviceId, dest, callback) {
+	if (typeof dest === 'function') {
+		callback = dest;
+		dest = null;
+	}
+
+	return callbackOrPromise(callback, callback => {
+		const done = (err, png) => {
+			if (err) {
+				return callback(err);
+			}
+			if (png.slice(0, PNG_SIGNATURE.length).compare(PNG_SIGNATURE) !== 0) {
+				const output = png.toString().trim();
+				return callback(new ADBError(__('Failed to take a screenshot: %s', output || __('no output')), { failure: output }));
+			}
+			if (!dest) {
+				return callback(null, png);
+			}
+			dest = path.resolve(dest);
+			fs.outputFile(dest, png, err => callback(err || null, err ? undefined : dest));
+		};
+
+		execOut(this, deviceId, 'screencap -p', null, (err, png) => {
+			if (!err || !/closed|unknown|not supported/i.test(err.message)) {
+				return done(err, png);
+			}
+			this.shell(deviceId, 'screencap -p', function (err, png) {
+				// a pty converts every \n into \r\n, so undo it
+				done(err, err ? undefined : Buffer.from(png.toString('latin1').replace(/\r\n/g, '\n'), 'latin1'));
+			});
+		});
+	});
+};
+
+/**
+ * Records the screen of the specified device/emulator to an mp4 file using
+ * "screenrecord" and pulls it once the recording ends, either because the time
+ * limit was reached or because the returned handle was stopped. The recording
+ * is stopped with SIGINT so that screenrecord finishes writing the file.
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {Object} opts - Recording options
+ * @param {String} opts.dest - The file to write the mp4 to
+ * @param {String} [opts.size] - The video size such as "1280x720"; defaults to the screen size
+ * @param {Number} [opts.bitRate] - The video bit rate in bits per second such as 4000000
+ * @param {Number} [opts.timeLimit] - The maximum length of the recording in seconds; screenrecord's default and
+ * maximum is 180
+ * @param {String} [opts.remotePath] - Where to record the video on the device; defaults to a unique file in /sdcard
+ * @param {Boolean} [opts.keep=false] - Leaves the video on the device after it has been pulled
+ * @param {ADB~screenrecordCallback} [callback] - A function that is called once the video has been pulled
+ * @returns {ADB~ScreenrecordHandle} A handle to stop the recording; when no callback is specified, the handle is also
+ * a Promise that resolves the result
+ */
+ADB.prototype.screenrecord = function screenrecord(deviceId, opts, callback) {
+	opts || (opts = {});
+
+	let pid = null;
+	let stopped = false;
+	let finished = false;
+
+	const stopRecording = () => {
+		// the kill may fail if screenrecord has already exited which is fine
+		pid && !finished && this.shell(deviceId, 'kill -2 ' + pid, () => {});
+	};
+
+	const handle = callbackOrPromise(callback, callback => {
+		if (!opts.dest) {
+			return callback(new ADBError(__('Missing destination for the screen recording')));
+		}
+
+		const dest = path.resolve(opts.dest);
+		const remotePath = opts.remotePath || '/sdcard/screenrecord-' + Date.now() + '.mp4';
+		const args = [ 'screenrecord' ];
+		opts.size && args.push('--size', opts.size);
+		opts.bitRate && args.push('--bit-rate', opts.bitRate);
+		opts.timeLimit && args.push('--time-limit', opts.timeLimit);
+		args.push(remotePath);
+
+		// print the shell's pid, then replace the shell with screenrecord so that the pid is screenrecord's
+		let stdout = '';
+		const cmd = 'echo $$; exec ' + args.map(shellQuote).join(' ');
+
+		this.shell(deviceId, cmd, {
+			onStdout: function (data) {
+				stdout += data;
+				const m = pid === null && stdout.match(/^(\d+)\r?\n/);
+				if (m) {
+					pid = parseInt(m[1]);
+					stopped && stopRecording();
+				}
+			}
+		}, (err, result) => {
+			finished = true;
+			if (err) {
+				return callback(err);
+			}
+
+			// the exit code is only known with shell v2 since the legacy shell never gets to echo it after the exec
+			const output = (stdout.replace(/^\d+\r?\n/, '') + (result.stderr || '')).trim();
+			if (result.exitCode) {
+				return callback(new ADBError(__('screenrecord exited with code %s: %s', result.exitCode, output || __('no output')), { exitCode: result.exitCode, failure: output }));
+			}
+
+			this.pull(deviceId, remotePath, dest, err => {
+				if (err) {
+					return callback(err);
+				}
+				const file = fs.statSync(dest).isDirectory() ? path.join(dest, path.basename(remotePath)) : dest;
+				const done = () => callback(null, { file: file, size: fs.statSync(file).size });
+				opts.keep ? done() : this.shell(deviceId, 'rm -f ' + shellQuote(remotePath), done);
+			});
+		});
+	}) || {};
+
+	handle.stop = function stop() {
+		stopped = true;
+		stopRecording();
+	};
+
+	return handle;
+};
+
+/**
+ * Runs an "input" command. It prints nothing when it works and an error or its
+ * usage when it doesn't.
+ * @param {ADB} adb - The ADB instance
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {String} cmd - The command to run
+ * @param {Function} callback - A function to call when done
+ */
+function runInput(adb, deviceId, cmd, callback) {
+	adb.shell(deviceId, cmd, function (err, data) {
+		const output = !err && data.toString().trim();
+		if (output && /error|exception|usage/i.test(output)) {
+			err = new ADBError(__('"%s" failed: %s', cmd, output.split('\n')[0].trim()), { failure: output });
+		}
+		callback(err || null);
+	});
+}
+
+/**
+ * Taps the screen of the specified device/emulator.
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {Number} x - The x coordinate in pixels
+ * @param {Number} y - The y coordinate in pixels
+ * @param {ADB~inputCallback} [callback] - A function that is called once the screen has been tapped
+ * @returns {Promise|undefined} Resolves once the screen has been tapped when no callback is specified
+ */
+ADB.prototype.tap = function tap(deviceId, x, y, callback) {
+	return callbackOrPromise(callback, callback => {
+		runInput(this, deviceId, 'input tap ' + Math.round(x) + ' ' + Math.round(y), callback);
+	});
+};
+
+/**
+ * Swipes across the screen of the specified device/emulator.
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {Number} x1 - The starting x coordinate in pixels
+ * @param {Number} y1 - The starting y coordinate in pixels
+ * @param {Number} x2 - The ending x coordinate in pixels
+ * @param {Number} y2 - The ending y coordinate in pixels
+ * @param {Number} [duration] - How long the swipe takes in milliseconds; a long duration with the same start and
+ * end is a long press
+ * @param {ADB~inputCallback} [callback] - A function that is called once the swipe has finished
+ * @returns {Promise|undefined} Resolves once the swipe has finished when no callback is specified
+ */
+ADB.prototype.swipe = function swipe(deviceId, x1, y1, x2, y2, duration, callback) {
+	if (typeof duration === 'function') {
+		callback = duration;
+		duration = null;
+	}
+
+	return callbackOrPromise(callback, callback => {
+		const args = [ x1, y1, x2, y2 ].concat(duration ? [ duration ] : []).map(Math.round);
+		runInput(this, deviceId, 'input swipe ' + args.join(' '), callback);
+	});
+};
+
+/**
+ * Types text into the focused view of the specified device/emulator. Only
+ * ASCII text is supported by "input text".
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {String} text - The text to type
+ * @param {ADB~inputCallback} [callback] - A function that is called once the text has been typed
+ * @returns {Promise|undefined} Resolves once the text has been typed when no callback is specified
+ */
+ADB.prototype.inputText = function inputText(deviceId, text, callback) {
+	return callbackOrPromise(callback, callback => {
+		runInput(this, deviceId, ui.inputTextCommand(text), callback);
+	});
+};
+
+/**
+ * Presses one or more keys on the specified device/emulator.
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {Number|String|Array<Number|String>} keys - The key codes or names such as "HOME", "BACK" or "KEYCODE_ENTER"
+ * @param {ADB~inputCallback} [callback] - A function that is called once the keys have been pressed
+ * @returns {Promise|undefined} Resolves once the keys have been pressed when no callback is specified
+ */
+ADB.prototype.keyevent = function keyevent(deviceId, keys, callback) {
+	return callbackOrPromise(callback, callback => {
+		const cmd = ui.keyeventCommand(keys);
+		if (!cmd) {
+			return callback(new ADBError(__('Invalid key: %s', [].concat(keys).join(', '))));
+		}
+		runInput(this, deviceId, cmd, callback);
+	});
+};
+
+/**
+ * Dumps the view hierarchy of the specified device/emulator's screen using
+ * "uiautomator dump". The dump is written to a temporary file on the device
+ * since not every version of uiautomator can write it to stdout.
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {ADB~dumpHierarchyCallback} [callback] - A function that is called with the view hierarchy
+ * @returns {Promise<ADB~UiHierarchy>|undefined} Resolves the view hierarchy when no callback is specified
+ */
+ADB.prototype.dumpHierarchy = function dumpHierarchy(deviceId, callback) {
+	return callbackOrPromise(callback, callback => {
+		const file = '/data/local/tmp/window_dump.xml';
+		this.shell(deviceId, 'uiautomator dump ' + file + ' >/dev/null && cat ' + file + '; rm -f ' + file, function (err, data) {
+			if (err) {
+				return callback(err);
+			}
+			const hierarchy = ui.parseHierarchy(data);
+			if (!hierarchy) {
+				const output = data.toString().trim();
+				return callback(new ADBError(__('Failed to dump the view hierarchy: %s', output || __('no output')), { failure: output }));
+			}
+			callback(null, hierarchy);
+		});
+	});
 };
 
 /**
- * Forwards the specified device/emulator's socket connections to the destination.
+ * Dumps the view hierarchy of the specified device/emulator's screen and
+ * returns the views that match a query.
  * @param {String} deviceId - The id of the device or emulator
- * @param {String} src - The source port in the format "tcp:<port>"
- * @param {String} dest - The destination port in the format "tcp:<port>" or "jdwp:<pid>"
- * @param {ADB~forwardCallback} callback - A function that is called once the sockets have been forwarded
+ * @param {ADB~UiQuery} query - The criteria every matching view must meet
+ * @param {ADB~findNodesCallback} [callback] - A function that is called with the matching views
+ * @returns {Promise<Array<ADB~UiNode>>|undefined} Resolves the matching views when no callback is specified
  */
-ADB.prototype.forward = function forward(deviceId, src, dest, callback) {
-	androidDetect(this.config, function (err, results) {
-		if (err) {
-			return callback(err);
-		}
-		appc.subprocess.run(results.sdk.executables.adb, [ '-s', deviceId, 'forward', src, dest ], function (code, _out, _err) {
-			callback(code);
+ADB.prototype.findNodes = function findNodes(deviceId, query, callback) {
+	return callbackOrPromise(callback, callback => {
+		this.dumpHierarchy(deviceId, function (err, hierarchy) {
+			callback(err, err ? undefined : ui.findNodes(hierarchy, query));
 		});
 	});
 };
 
 /**
- * Pushes a single file to a device or emulator.
+ * Taps the center of the first view matching a query.
  * @param {String} deviceId - The id of the device or emulator
- * @param {String} src - The source file to copy to the device
- * @param {String} dest - The destination to write the file
- * @param {ADB~pushCallback} callback - A function that is called once the file has been copied
+ * @param {ADB~UiQuery} query - The criteria the view must meet
+ * @param {ADB~tapNodeCallback} [callback] - A function that is called once the view has been tapped
+ * @returns {Promise<ADB~UiNode>|undefined} Resolves the view that was tapped when no callback is specified
  */
-ADB.prototype.push = function push(deviceId, src, dest, callback) {
-	src = appc.fs.resolvePath(src);
-	if (!fs.existsSync(src)) {
-		callback(new Error(__('Source file "%s" does not exist', src)));
-	} else {
-		androidDetect(this.config, function (err, results) {
+ADB.prototype.tapNode = function tapNode(deviceId, query, callback) {
+	return callbackOrPromise(callback, callback => {
+		this.findNodes(deviceId, query, (err, nodes) => {
 			if (err) {
 				return callback(err);
 			}
-			appc.subprocess.run(results.sdk.executables.adb, [ '-s', deviceId, 'push', src, dest ], function (code, _out, _err) {
-				callback(code);
-			});
+			const node = nodes.filter(node => node.bounds)[0];
+			if (!node) {
+				return callback(new ADBError(__('No view matches %s', JSON.stringify(query))));
+			}
+			this.tap(deviceId, node.bounds.centerX, node.bounds.centerY, err => callback(err, err ? undefined : node));
 		});
-	}
+	});
 };
 
 /**
- * Pulls a single file from a device or emulator.
+ * Reads binary log entries by running "logcat -B" over a socket to the adb
+ * server and decodes them. The "exec:" service is used so that the binary
+ * data isn't mangled by a pty, however older devices that don't support it
+ * fall back to "shell:" and have their line endings restored.
+ * @param {ADB} adb - The ADB instance
  * @param {String} deviceId - The id of the device or emulator
- * @param {String} src - The source file to copy from the device
- * @param {String} dest - The destination to write the file
- * @param {ADB~pullCallback} callback - A function that is called once the file has been copied
+ * @param {Array<String>} args - The logcat arguments
+ * @param {Function} handler - A function to call with each log entry
+ * @param {Function} callback - A function to call when the connection closes
+ * @returns {Connection} The connection so it can be ended
  */
-ADB.prototype.pull = function pull(deviceId, src, dest, callback) {
-	dest = appc.fs.resolvePath(dest);
-	var destDir = path.dirname(dest);
+function socketLogcat(adb, deviceId, args, handler, callback) {
+	const conn = new Connection(adb);
+	const cmd = [ 'logcat', '-B' ].concat(args).map(shellQuote).join(' ');
+	const decoder = new logcatLib.BinaryLogDecoder(handler);
+
+	function start(socket, data, fixLineEndings) {
+		let finished = false;
+		let pendingCR = false;
+		function done(err) {
+			finished || callback(err || null);
+			finished = true;
+		}
+
+		function push(data) {
+			if (fixLineEndings) {
+				// a pty converts every \n into \r\n, so undo it being careful of a \r at the end of the chunk
+				pendingCR && (data = Buffer.concat([ Buffer.from('\r'), data ]));
+				pendingCR = data[data.length - 1] === 0x0d;
+				pendingCR && (data = data.slice(0, -1));
+				data = Buffer.from(data.toString('latin1').replace(/\r\n/g, '\n'), 'latin1');
+			}
+			data.length && decoder.push(data);
+		}
 
-	try {
-		fs.ensureDirSync(destDir);
+		data && data.length && push(data);
+		socket.on('data', push);
+		socket.on('end', () => done());
+		socket.on('close', () => done());
+		socket.on('error', done);
+	}
 
-		androidDetect(this.config, function (err, results) {
+	conn.openService(deviceId, 'exec:' + cmd, function (err, socket, data) {
+		if (!err) {
+			return start(socket, data, false);
+		}
+		if (!/closed|unknown|not supported/i.test(err.message)) {
+			return callback(err);
+		}
+		conn.end();
+		conn.openService(deviceId, 'shell:' + cmd, function (err, socket, data) {
 			if (err) {
 				return callback(err);
 			}
-			appc.subprocess.run(results.sdk.executables.adb, [ '-s', deviceId, 'pull', src, dest ], function (code, _out, _err) {
-				callback(code);
-			});
+			start(socket, data, true);
 		});
-	} catch (ex) {
-		callback(new Error(__('Failed to create destination directory "%s"', destDir)));
-	}
-};
+	});
+
+	return conn;
+}
 
 /**
- * Streams output from logcat into the specified handler until the adb logcat
- * process ends.
+ * Streams output from logcat into the specified handler until logcat ends or
+ * the returned handle is stopped.
+ *
+ * By default, logcat is read by spawning the adb executable. Alternatively,
+ * the "socket" transport reads binary log entries directly from the adb
+ * server, which doesn't require the adb executable or a process per device.
+ *
+ * For backwards compatibility, when called without an options object, the
+ * handler receives raw lines in the "brief" format from the main buffer.
+ * Otherwise the handler receives parsed log entries unless `opts.raw` is set.
+ *
  * @param {String} deviceId - The id of the device or emulator
- * @param {Function} handler - A function to call whenever data becomes available
- * @param {Function} callback - A function that is called once 'adb logcat' exits
+ * @param {Object} [opts] - Logcat options
+ * @param {String} [opts.transport="adb"] - How to read the log: "adb" spawns the adb executable, "socket" talks to the adb server
+ * @param {String|Array<String>} [opts.buffers="main"] - The buffers to read: main, system, radio, events, crash or all
+ * @param {Array<String>} [opts.filters] - Filter specs in the form "tag:priority" such as "TiAPI:V" or "*:S"
+ * @param {Number} [opts.pid] - Only show entries logged by this process (Android 7.0 and newer)
+ * @param {String} [opts.appId] - Only show entries logged by this running app (Android 7.0 and newer)
+ * @param {Date|String|Number} [opts.since] - Only show entries since this time or the most recent number of lines
+ * @param {Boolean} [opts.clear=false] - Clears the buffers before reading them
+ * @param {Boolean} [opts.dump=false] - Reads the entries already in the buffers and exits instead of waiting for new ones
+ * @param {Boolean} [opts.raw=false] - Passes raw lines in the "threadtime" format to the handler instead of parsed
+ * entries; not supported by the "socket" transport
+ * @param {ADB~logcatHandler} handler - A function to call whenever data becomes available
+ * @param {ADB~logcatCallback} [callback] - A function that is called once logcat exits
+ * @returns {ADB~LogcatHandle} A handle to stop logcat; when no callback is specified, the handle is also a
+ * Promise that resolves once logcat exits
  */
-ADB.prototype.logcat = function logcat(deviceId, handler, callback) {
-	androidDetect(this.config, function (err, results) {
-		if (err) {
-			return callback(err);
-		}
+ADB.prototype.logcat = function logcat(deviceId, opts, handler, callback) {
+	if (typeof opts === 'function') {
+		callback = handler;
+		handler = opts;
+		opts = { raw: true, format: 'brief' };
+	}
+	opts || (opts = {});
+
+	const useSocket = opts.transport === 'socket';
+	let child = null;
+	let conn = null;
+	let stopped = false;
+
+	const handle = callbackOrPromise(callback, callback => {
+		const buffers = Array.isArray(opts.buffers) ? opts.buffers : [ opts.buffers || 'main' ];
+		const bufferArgs = [];
+		buffers.forEach(b => bufferArgs.push('-b', b));
+		let adbPath = null;
+
+		async.series([
+			next => {
+				if (useSocket) {
+					return next();
+				}
+				androidDetect(this.config, function (err, results) {
+					adbPath = results && results.sdk.executables.adb;
+					next(err);
+				});
+			},
+			next => {
+				if (!opts.appId) {
+					return next();
+				}
+				this.getPid(deviceId, opts.appId, function (err, pid) {
+					if (!err && !pid) {
+						err = new ADBError(__('Application "%s" is not running', opts.appId));
+					}
+					opts = Object.assign({}, opts, { pid: pid });
+					next(err);
+				});
+			},
+			next => {
+				if (!opts.clear) {
+					return next();
+				}
+				if (useSocket) {
+					return execOut(this, deviceId, [ 'logcat' ].concat(bufferArgs, '-c').join(' '), null, err => next(err));
+				}
+				appc.subprocess.run(adbPath, serverArgs(this).concat('-s', deviceId, 'logcat', bufferArgs, '-c'), function (code, out, err) {
+					next(code ? new ADBError(__('Failed to clear logcat buffers (code %s): %s', code, err.trim()), { exitCode: code, stderr: err }) : null);
+				});
+			}
+		], err => {
+			if (err) {
+				return callback(err);
+			}
+			if (stopped) {
+				return callback();
+			}
 
-		var child = spawn(results.sdk.executables.adb, [ '-s', deviceId, 'logcat', '-v', 'brief', '-b', 'main' ]), // , '-s', '*:d,*,TiAPI:V']);
-			splitter = child.stdout.pipe(StreamSplitter('\n'));
+			const args = bufferArgs.slice();
+			if (opts.dump) {
+				args.push('-d');
+			}
+			if (opts.pid) {
+				args.push('--pid=' + opts.pid);
+			}
+			if (opts.since instanceof Date) {
+				args.push('-T', logcatLib.formatTime(opts.since));
+			} else if (opts.since !== undefined && opts.since !== null) {
+				args.push('-T', String(opts.since));
+			}
+			if (Array.isArray(opts.filters)) {
+				args.push.apply(args, opts.filters);
+			}
 
-		// Set encoding on the splitter Stream, so tokens come back as a String.
-		splitter.encoding = 'utf8';
-		splitter.on('token', function (data) {
-			handler(data);
-		});
+			if (useSocket) {
+				conn = socketLogcat(this, deviceId, args, handler, callback);
+				return;
+			}
+
+			const parser = opts.raw ? null : new logcatLib.LogcatParser(handler);
+			const splitter = (child = spawn(adbPath, serverArgs(this).concat('-s', deviceId, 'logcat', '-v', opts.format || 'threadtime', args))).stdout.pipe(StreamSplitter('\n'));
+
+			// Set encoding on the splitter Stream, so tokens come back as a String.
+			splitter.encoding = 'utf8';
+			splitter.on('token', function (data) {
+				parser ? parser.push(data) : handler(data);
+			});
 
-		child.on('close', function () {
-			callback();
+			var finished = false;
+
+			child.on('error', function (err) {
+				finished || callback(new ADBError(err.message));
+				finished = true;
+			});
+
+			child.on('close', function (code) {
+				parser && parser.flush();
+				finished || callback(code && !stopped ? new ADBError(__('adb logcat exited with code %s', code), { exitCode: code }) : null);
+				finished = true;
+			});
 		});
-	});
+	}) || {};
+
+	handle.stop = function stop() {
+		stopped = true;
+		child && child.kill();
+		conn && conn.socket && conn.socket.destroy();
+	};
+
+	return handle;
+};
+
+/**
+ * Collects what's needed to investigate a crash into a local directory: ANR
+ * traces, native crash tombstones, the app's memory usage, the activity
+ * manager state, the crash log buffer and optionally a full bug report. A
+ * "manifest.json" describing every item, including those that could not be
+ * collected and why, is written along with them.
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {String} dest - The directory to write the diagnostics to
+ * @param {Object} [opts] - Which diagnostics to collect
+ * @param {String} [opts.appid] - The application's id; required for its memory usage
+ * @param {Boolean} [opts.anr=true] - Pulls the ANR traces in /data/anr
+ * @param {Boolean} [opts.tombstones=true] - Pulls the native crash tombstones in /data/tombstones
+ * @param {Boolean} [opts.meminfo=true] - Dumps the app's memory usage
+ * @param {Boolean} [opts.activity=true] - Dumps the activity manager state
+ * @param {Boolean} [opts.crashLog=true] - Dumps the crash log buffer
+ * @param {Boolean} [opts.bugreport=false] - Generates a bug report, which may take several minutes
+ * @param {Object} [opts.logger] - A logger instance
+ * @param {ADB~collectDiagnosticsCallback} [callback] - A function that is called with the manifest
+ * @returns {Promise<ADB~DiagnosticsManifest>|undefined} Resolves the manifest when no callback is specified
+ */
+ADB.prototype.collectDiagnostics = function collectDiagnostics(deviceId, dest, opts, callback) {
+	if (typeof opts === 'function') {
+		callback = opts;
+		opts = {};
+	}
+
+	return callbackOrPromise(callback, callback => diagnostics.collect(this, deviceId, dest, opts || {}, callback));
 };
 
+/**
+ * The address of an ADB server.
+ * @typedef {Object} ADB~ServerAddress
+ * @property {String} host - The host
+ * @property {Number} port - The port
+ * @property {Boolean} remote - Whether the server runs on another host, in which case it can't be started locally
+ */
+
+/**
+ * How requests to the ADB server are timed out, cancelled and retried. A
+ * timeout of 0 waits forever.
+ * @typedef {Object} ADB~ConnectionOptions
+ * @property {Number} connectTimeout - The milliseconds to wait to connect to the server
+ * @property {Number} responseTimeout - The milliseconds to wait for the server to accept or reject a request
+ * @property {Number} timeout - The milliseconds to wait for the result of a request
+ * @property {Number} retries - The number of times to retry a request when the device is offline, unauthorized
+ * or not found
+ * @property {Number} retryDelay - The milliseconds to wait before the first retry
+ * @property {AbortSignal|null} signal - A signal that cancels pending requests
+ */
+
 /**
  * A function to call when the version has been retreived.
  * @callback ADB~versionCallback
@@ -825,11 +3320,74 @@ ADB.prototype.logcat = function logcat(deviceId, handler, callback) {
  * @param {Buffer} data - The output from the executed command
  */
 
+/**
+ * A function to call when the service has been opened.
+ * @callback Connection~openServiceCallback
+ * @param {Error} err - In the event of an error, an exception, otherwise falsey
+ * @param {net.Socket} socket - The socket connected to the service
+ * @param {Buffer} [data] - Any data received after the service was opened
+ */
+
 /**
  * A function that is called with the list of devices.
  * @callback ADB~devicesCallback
  * @param {Error} err - In the event of an error, an exception, otherwise falsey
- * @param {Array} devices - An array of devices and emulators found
+ * @param {Array} devices - An array of devices and emulators found; each has an `issues` array explaining why it
+ * can't be used, which is empty when the device is ready
+ */
+
+/**
+ * A problem that prevents a device or emulator from being used, in the same
+ * shape as the issues reported by `android.detect()`.
+ * @typedef {Object} ADB~DeviceIssue
+ * @property {String} id - The issue's id such as "ADB_DEVICE_UNAUTHORIZED"
+ * @property {String} type - Either "error" or "warning"
+ * @property {String} message - What's wrong and how to fix it
+ */
+
+/**
+ * A function to call with a device's issues.
+ * @callback ADB~getDeviceIssuesCallback
+ * @param {Error} err - In the event of an error, an exception, otherwise falsey
+ * @param {Array<ADB~DeviceIssue>} issues - The issues; empty when the device is ready
+ */
+
+/**
+ * A function that is called once a device has been paired.
+ * @callback ADB~pairCallback
+ * @param {ADBError} err - In the event of an error, an exception, otherwise falsey
+ * @param {String} message - The message from adb, such as "Successfully paired to 192.168.1.5:37000 [guid=...]"
+ */
+
+/**
+ * A function that is called once connected to a network device.
+ * @callback ADB~connectCallback
+ * @param {ADBError} err - In the event of an error, an exception, otherwise falsey
+ * @param {String} id - The id of the connected device, which is its address
+ */
+
+/**
+ * A function that is called once disconnected from a network device.
+ * @callback ADB~disconnectCallback
+ * @param {ADBError} err - In the event of an error, an exception, otherwise falsey
+ */
+
+/**
+ * A function that is called with the adb services advertised using mDNS.
+ * @callback ADB~mdnsServicesCallback
+ * @param {ADBError} err - In the event of an error, an exception, otherwise falsey
+ * @param {Array<ADB~MdnsService>} services - The services
+ */
+
+/**
+ * An adb service advertised using mDNS.
+ * @typedef {Object} ADB~MdnsService
+ * @property {String} name - The instance name, such as "adb-0123456789-AbCdEf"
+ * @property {String} service - The service type, such as "_adb-tls-connect._tcp"
+ * @property {String|null} type - "pairing" for devices waiting to be paired, "connect" for paired devices that can be
+ * connected to, or "legacy" for devices using "adb tcpip"
+ * @property {String} host - The IP address
+ * @property {Number|null} port - The port
  */
 
 /**
@@ -843,13 +3401,13 @@ ADB.prototype.logcat = function logcat(deviceId, handler, callback) {
 /**
  * A function that is called when the adb start-server has completed.
  * @callback ADB~startServerCallback
- * @param {Number|Error} err - The exit code from adb start-server command or an exception
+ * @param {ADBError} err - In the event of an error, an exception, otherwise falsey
  */
 
 /**
  * A function that is called when the adb kill-server has completed.
  * @callback ADB~stopServerCallback
- * @param {Number|Error} err - The exit code from adb kill-server command or an exception
+ * @param {ADBError} err - In the event of an error, an exception, otherwise falsey
  */
 
 /**
@@ -857,13 +3415,80 @@ ADB.prototype.logcat = function logcat(deviceId, handler, callback) {
  * Called after the shell command completes.
  * @callback ADB~shellCallback
  * @param {Error} err - In the event of an error, an exception, otherwise falsey
- * @param {Buffer} data - The output from the executed command
+ * @param {ADB~ShellResult|Buffer} data - The result of the command or, when called without options, the output
+ * from the executed command
+ */
+
+/**
+ * The result of a shell command.
+ * @typedef {Object} ADB~ShellResult
+ * @property {String|Buffer} stdout - The command's stdout, unless it was streamed
+ * @property {String|Buffer} stderr - The command's stderr, unless it was streamed; always empty for the legacy service
+ * @property {Number|null} exitCode - The command's exit code or null if it was stopped or could not be determined
+ * @property {String} protocol - The shell protocol that was used: "v2" or "legacy"
+ */
+
+/**
+ * A handle to a running shell command.
+ * @typedef {Object} ADB~ShellHandle
+ * @property {Function} stop - Stops the command by closing the connection
+ */
+
+/**
+ * A function that is called with the device info.
+ * @callback ADB~getDeviceInfoCallback
+ * @param {ADBError} err - In the event of an error, an exception, otherwise falsey
+ * @param {ADB~DeviceInfo} info - The device info
+ */
+
+/**
+ * Everything there is to know about a device or emulator. In addition to the
+ * properties below, the device info contains the same product, version and
+ * ABI details as `adb.devices()`.
+ * @typedef {Object} ADB~DeviceInfo
+ * @property {String} id - The id of the device or emulator
+ * @property {Object<String, String>} props - All of the device's properties
+ * @property {Array<String>} features - The features supported by the adb server and device
+ * @property {ADB~ScreenInfo|null} screen - The screen size and density
+ * @property {ADB~BatteryInfo|null} battery - The battery's state
+ * @property {ADB~StorageInfo|null} storage - The space on the data partition
+ * @property {String|null} locale - The locale such as "en-US"
+ * @property {Boolean} rooted - True if adbd runs as root or an "su" binary is installed
+ * @property {Boolean} debuggable - True if the build is debuggable, which allows any app to be debugged
+ */
+
+/**
+ * @typedef {Object} ADB~ScreenInfo
+ * @property {Number} width - The width in pixels
+ * @property {Number} height - The height in pixels
+ * @property {Number|null} density - The density in dpi
+ */
+
+/**
+ * @typedef {Object} ADB~BatteryInfo
+ * @property {Number} level - The charge level as a percentage
+ * @property {Boolean} charging - True if the battery is charging
+ * @property {Boolean} powered - True if the device is plugged in
+ */
+
+/**
+ * @typedef {Object} ADB~StorageInfo
+ * @property {Number} total - The size of the data partition in bytes
+ * @property {Number} available - The free space on the data partition in bytes
+ */
+
+/**
+ * A function that is called with the device's features.
+ * @callback ADB~getFeaturesCallback
+ * @param {ADBError} err - In the event of an error, an exception, otherwise falsey
+ * @param {Array<String>} features - The features supported by the adb server and device
  */
 
 /**
  * A function that is called when the application has been installed.
  * @callback ADB~installAppCallback
- * @param {Number|Error} err - The exit code from adb install command or an exception
+ * @param {ADBError|InstallError} err - In the event of an error, an exception, otherwise falsey. If the package
+ * manager rejected the app, it's an InstallError with the failure `code` such as "INSTALL_FAILED_VERSION_DOWNGRADE".
  */
 
 /**
@@ -873,6 +3498,23 @@ ADB.prototype.logcat = function logcat(deviceId, handler, callback) {
  * @param {Number} pid - The pid or zero if the process is not found
  */
 
+/**
+ * A function that is called with the processes.
+ * @callback ADB~getProcessesCallback
+ * @param {Error} err - In the event of an error, an exception, otherwise falsey
+ * @param {Array<ADB~Process>} processes - The processes
+ */
+
+/**
+ * A process running on a device or emulator.
+ * @typedef {Object} ADB~Process
+ * @property {Number} pid - The process id
+ * @property {Number|null} ppid - The parent process id, if reported
+ * @property {String|null} user - The user the process runs as such as "u0_a123", if reported
+ * @property {String|null} state - The process state such as "S" for sleeping or "R" for running, if reported
+ * @property {String} name - The process name; an app's processes are named after the app id
+ */
+
 /**
  * A function that is called when the application has been started.
  * @callback ADB~startAppCallback
@@ -887,31 +3529,325 @@ ADB.prototype.logcat = function logcat(deviceId, handler, callback) {
  * @param {Buffer} data - The output from the executed command
  */
 
+/**
+ * A function that is called once the application has been uninstalled.
+ * @callback ADB~uninstallAppCallback
+ * @param {ADBError} err - In the event of an error, an exception, otherwise falsey
+ */
+
+/**
+ * A function that is called once the application's data has been cleared.
+ * @callback ADB~clearAppDataCallback
+ * @param {ADBError} err - In the event of an error, an exception, otherwise falsey
+ */
+
+/**
+ * A function that is called with whether the application is installed.
+ * @callback ADB~isInstalledCallback
+ * @param {Error} err - In the event of an error, an exception, otherwise falsey
+ * @param {Boolean} installed - True if the application is installed
+ */
+
+/**
+ * A function that is called with the package info.
+ * @callback ADB~getPackageInfoCallback
+ * @param {Error} err - In the event of an error, an exception, otherwise falsey
+ * @param {ADB~PackageInfo|null} info - The package info or null if the application is not installed
+ */
+
+/**
+ * Information about an installed application.
+ * @typedef {Object} ADB~PackageInfo
+ * @property {String} appid - The application's id
+ * @property {Number|null} versionCode - The version code
+ * @property {String|null} versionName - The version name
+ * @property {Number|null} minSdk - The minimum API level; only reported by Android 7.0 and newer
+ * @property {Number|null} targetSdk - The target API level
+ * @property {String|null} codePath - Where the apk is installed
+ * @property {String|null} firstInstallTime - When the app was first installed, in the device's local time
+ * @property {String|null} lastUpdateTime - When the app was last updated, in the device's local time
+ * @property {Object} permissions - The app's permissions
+ * @property {Array<String>} permissions.requested - The permissions requested by the app's manifest
+ * @property {Array<String>} permissions.granted - The install and runtime permissions that have been granted
+ * @property {Array<String>} permissions.denied - The runtime permissions that have not been granted
+ */
+
+/**
+ * A function that is called once a permission has been granted or revoked.
+ * @callback ADB~permissionCallback
+ * @param {ADBError} err - In the event of an error, an exception, otherwise falsey
+ */
+
+/**
+ * An intent to send with "am start" or "am broadcast".
+ * @typedef {Object} ADB~Intent
+ * @property {String} [action] - The action such as "android.intent.action.VIEW"
+ * @property {String} [data] - The data URI such as a deep link
+ * @property {String} [mimeType] - The MIME type of the data
+ * @property {String|Array<String>} [categories] - One or more categories
+ * @property {String} [component] - The component such as "com.example.app/.MainActivity"
+ * @property {String} [package] - Limits the intent to this application
+ * @property {Number|String} [flags] - The intent flags
+ * @property {Object<String, String|Boolean|Number|Array<String>|null>} [extras] - The extras; the type of each
+ * value determines the type of the extra
+ * @property {Boolean} [broadcast=false] - Broadcasts the intent instead of starting an activity
+ * @property {Boolean} [wait=false] - Waits for the activity to finish launching
+ */
+
+/**
+ * A function that is called once the intent has been sent.
+ * @callback ADB~startIntentCallback
+ * @param {ADBError} err - In the event of an error, an exception, otherwise falsey
+ * @param {String} output - The output of "am"
+ */
+
 /**
  * A function that is called once the sockets have been forwarded.
  * @callback ADB~forwardCallback
- * @param {Number|Error} err - The exit code from adb forward command or an exception
+ * @param {ADBError} err - In the event of an error, an exception, otherwise falsey
+ * @param {String} [socket] - When forwarding or reversing, the socket that was bound
+ */
+
+/**
+ * A function that is called with the active forwards.
+ * @callback ADB~listForwardsCallback
+ * @param {ADBError} err - In the event of an error, an exception, otherwise falsey
+ * @param {Array<ADB~Forward>} forwards - The forwards
+ */
+
+/**
+ * An active forward.
+ * @typedef {Object} ADB~Forward
+ * @property {String} id - The id of the device or emulator
+ * @property {String} local - The socket on this computer such as "tcp:8081"
+ * @property {String} remote - The socket on the device such as "tcp:8081" or "jdwp:1234"
+ */
+
+/**
+ * A function that is called with the active reverse forwards.
+ * @callback ADB~listReversesCallback
+ * @param {ADBError} err - In the event of an error, an exception, otherwise falsey
+ * @param {Array<ADB~Reverse>} reverses - The reverse forwards
+ */
+
+/**
+ * An active reverse forward.
+ * @typedef {Object} ADB~Reverse
+ * @property {String} remote - The socket on the device such as "tcp:8081"
+ * @property {String} local - The socket on this computer such as "tcp:8081"
+ */
+
+/**
+ * A function that is called with the debuggable processes.
+ * @callback ADB~getJdwpProcessesCallback
+ * @param {Error} err - In the event of an error, an exception, otherwise falsey
+ * @param {Array<ADB~JdwpProcess>} processes - The debuggable processes
+ */
+
+/**
+ * A process that a debugger can attach to.
+ * @typedef {Object} ADB~JdwpProcess
+ * @property {Number} pid - The process id
+ * @property {String|null} appid - The process name, which is the app id for an app's main process, or null if the
+ * process exited before it could be looked up
+ * @property {String|null} user - The user the process runs as
+ */
+
+/**
+ * A function that is called once a port has been forwarded to an app's JDWP thread.
+ * @callback ADB~forwardJdwpCallback
+ * @param {Error} err - In the event of an error, an exception, otherwise falsey
+ * @param {ADB~JdwpForward} forward - The forward
+ */
+
+/**
+ * A port forwarded to an app's JDWP thread.
+ * @typedef {Object} ADB~JdwpForward
+ * @property {String} appid - The application's id
+ * @property {Number} pid - The pid of the app's main process
+ * @property {String} local - The local socket such as "tcp:8700"
+ * @property {Number} port - The local port for the debugger to connect to
  */
 
 /**
  * A function that is called once the file has been copied.
  * @callback ADB~pushCallback
- * @param {Number|Error} err - The exit code from adb forward command or an exception
+ * @param {ADBError} err - In the event of an error, an exception, otherwise falsey
+ * @param {ADB~TransferResult} result - The number of files and bytes copied
  */
 
 /**
  * A function that is called once the file has been copied.
  * @callback ADB~pullCallback
- * @param {Number|Error} err - The exit code from adb forward command or an exception
+ * @param {ADBError} err - In the event of an error, an exception, otherwise falsey
+ * @param {ADB~TransferResult} result - The number of files and bytes copied
+ */
+
+/**
+ * A function that is called as a push or pull transfers data.
+ * @callback ADB~transferProgress
+ * @param {Object} info - The progress info
+ * @param {String} info.src - The file being copied
+ * @param {String} info.dest - The destination of the file being copied
+ * @param {Number} info.transferred - The number of bytes of the current file that have been copied
+ * @param {Number} info.size - The size of the current file
+ * @param {Number} info.totalTransferred - The number of bytes copied so far across all files
+ * @param {Number} info.totalSize - The total number of bytes to copy
+ */
+
+/**
+ * The result of a push or pull.
+ * @typedef {Object} ADB~TransferResult
+ * @property {Number} files - The number of files copied
+ * @property {Number} bytes - The number of bytes copied
+ * @property {Array<String>} [skipped] - The symbolic links inside a pulled directory that were not copied because
+ * they point to a directory or to nothing; only set by pull()
+ */
+
+/**
+ * A function that is called with the screenshot.
+ * @callback ADB~screencapCallback
+ * @param {Error} err - In the event of an error, an exception, otherwise falsey
+ * @param {Buffer|String} png - The PNG, or the path of the file it was written to
+ */
+
+/**
+ * A function that is called once the screen recording has been pulled.
+ * @callback ADB~screenrecordCallback
+ * @param {Error} err - In the event of an error, an exception, otherwise falsey
+ * @param {ADB~ScreenrecordResult} result - The recording
+ */
+
+/**
+ * The screen recording that was pulled from the device.
+ * @typedef {Object} ADB~ScreenrecordResult
+ * @property {String} file - The path of the mp4 file
+ * @property {Number} size - The size of the file in bytes
+ */
+
+/**
+ * A handle to stop a screen recording.
+ * @typedef {Object} ADB~ScreenrecordHandle
+ * @property {Function} stop - Stops recording; the video is then pulled and the callback or Promise is resolved
+ */
+
+/**
+ * A function that is called once an input event has been injected.
+ * @callback ADB~inputCallback
+ * @param {Error} err - In the event of an error, an exception, otherwise falsey
+ */
+
+/**
+ * A function that is called with the view hierarchy.
+ * @callback ADB~dumpHierarchyCallback
+ * @param {Error} err - In the event of an error, an exception, otherwise falsey
+ * @param {ADB~UiHierarchy} hierarchy - The view hierarchy
+ */
+
+/**
+ * A function that is called with the views matching a query.
+ * @callback ADB~findNodesCallback
+ * @param {Error} err - In the event of an error, an exception, otherwise falsey
+ * @param {Array<ADB~UiNode>} nodes - The matching views
+ */
+
+/**
+ * A function that is called once a view has been tapped.
+ * @callback ADB~tapNodeCallback
+ * @param {Error} err - In the event of an error, an exception, otherwise falsey
+ * @param {ADB~UiNode} node - The view that was tapped
+ */
+
+/**
+ * The view hierarchy of the screen.
+ * @typedef {Object} ADB~UiHierarchy
+ * @property {Number} rotation - The screen rotation: 0, 1, 2 or 3
+ * @property {Array<ADB~UiNode>} children - The top level views of each window
+ */
+
+/**
+ * A view in the view hierarchy. Every attribute dumped by uiautomator is
+ * copied with its name in camel case; only the common ones are listed here.
+ * @typedef {Object} ADB~UiNode
+ * @property {Number} index - The view's index within its parent
+ * @property {String} text - The view's text
+ * @property {String} resourceId - The view's id such as "com.example.app:id/title"
+ * @property {String} class - The view's class such as "android.widget.TextView"
+ * @property {String} package - The package of the app that owns the view
+ * @property {String} contentDesc - The view's content description
+ * @property {Boolean} clickable - Whether the view is clickable
+ * @property {Boolean} enabled - Whether the view is enabled
+ * @property {ADB~UiBounds|null} bounds - The view's position on the screen
+ * @property {Array<ADB~UiNode>} children - The view's children
+ */
+
+/**
+ * The position of a view on the screen in pixels.
+ * @typedef {Object} ADB~UiBounds
+ * @property {Number} left - The left edge
+ * @property {Number} top - The top edge
+ * @property {Number} right - The right edge
+ * @property {Number} bottom - The bottom edge
+ * @property {Number} centerX - The horizontal center
+ * @property {Number} centerY - The vertical center
+ */
+
+/**
+ * The criteria a view must meet to match a query. Strings must match exactly
+ * and regular expressions are tested against the value.
+ * @typedef {Object} ADB~UiQuery
+ * @property {String|RegExp} [resourceId] - The view's id; an id without a package such as "title" matches any package
+ * @property {String|RegExp} [text] - The view's text
+ * @property {String|RegExp} [contentDesc] - The view's content description
+ * @property {String|RegExp} [class] - The view's class
+ * @property {String|RegExp} [package] - The package of the app that owns the view
+ * @property {Function} [filter] - A function that is called with each view and returns true if it matches
  */
 
 /**
  * A function to call whenever data becomes available.
  * @callback ADB~logcatHandler
- * @param {String} data - One or more lines of logcat output
+ * @param {ADB~LogEntry|String} data - A parsed log entry or, in raw mode, a line of logcat output
+ */
+
+/**
+ * A handle returned by logcat.
+ * @typedef {Object} ADB~LogcatHandle
+ * @property {Function} stop - Stops reading the log
  */
 
 /**
  * A function that is called once 'adb logcat' exits
  * @callback ADB~logcatCallback
+ * @param {ADBError} err - In the event of an error, an exception, otherwise falsey
+ */
+
+/**
+ * A function that is called with the manifest of the collected diagnostics.
+ * @callback ADB~collectDiagnosticsCallback
+ * @param {Error} err - In the event of an error, an exception, otherwise falsey
+ * @param {ADB~DiagnosticsManifest} manifest - The manifest
+ */
+
+/**
+ * Describes the diagnostics that were collected. It's also written to
+ * "manifest.json" in the destination directory.
+ * @typedef {Object} ADB~DiagnosticsManifest
+ * @property {String} deviceId - The id of the device or emulator
+ * @property {String|null} appid - The application's id
+ * @property {String} collectedAt - When the diagnostics were collected as an ISO 8601 date
+ * @property {String} dir - The directory the diagnostics were written to
+ * @property {Array<ADB~DiagnosticsItem>} items - The items that were collected or attempted
+ */
+
+/**
+ * An item in the diagnostics manifest.
+ * @typedef {Object} ADB~DiagnosticsItem
+ * @property {String} name - The item such as "anr", "tombstones", "meminfo", "activity", "crash" or "bugreport"
+ * @property {String} description - A description of the item
+ * @property {String} source - Where the item came from on the device
+ * @property {String|null} file - The file or directory relative to the manifest, or null if it wasn't collected
+ * @property {Number} files - How many files were written
+ * @property {Number} bytes - How many bytes were written
+ * @property {String|null} error - Why the item could not be collected, otherwise null
  */
@@ -0,0 +1,202 @@
+/**
+ * Parses the output of the commands used to inspect a device or emulator.
+ *
+ * @module adb/device-info
+ *
+ * @copyright
+ * Copyright (c) 2009-2017 by Appcelerator, Inc. All Rights Reserved.
+ *
+ * @license
+ * Licensed under the terms of the Apache Public License
+ * Please see the LICENSE included with this distribution for details.
+ */
+'use strict';
+
+/**
+ * Parses the output of "getprop" into a map of properties.
+ * @param {Buffer|String} output - The output of "getprop"
+ * @returns {Object<String, String>}
+ */
+exports.parseProps = function parseProps(output) {
+	const re = /^\[([^\]]*)\]: \[(.*)\]\s*$/;
+	const props = {};
+	(output || '').toString().split('\n').forEach(function (line) {
+		const m = line.match(re);
+		if (m) {
+			props[m[1]] = m[2];
+		}
+	});
+	return props;
+};
+
+/**
+ * Parses the device list returned by "host:devices" and "host:track-devices".
+ * Each line is the device id and its state separated by a tab. The state may
+ * contain spaces, such as "no permissions (user in plugdev group; are your
+ * udev rules wrong?)", in which case the explanation in parentheses is dropped.
+ * @param {Buffer|String} output - The device list
+ * @returns {Array<Object>} The id and state of each device
+ */
+exports.parseDeviceList = function parseDeviceList(output) {
+	const devices = [];
+	(output || '').toString().split('\n').forEach(function (line) {
+		const m = line.trim().match(/^(\S+)\s+(.+)$/);
+		if (m) {
+			devices.push({
+				id: m[1],
+				state: m[2].replace(/\s*[(;[].*$/, '').trim()
+			});
+		}
+	});
+	return devices;
+};
+
+/**
+ * Copies the device's version, product and ABI properties onto the device
+ * info the way they have always been reported by `adb.devices()`.
+ * @param {Object<String, String>} props - The device's properties
+ * @param {Object} info - The device info to copy the properties to
+ * @returns {Object} The device info
+ */
+exports.summarizeProps = function summarizeProps(props, info) {
+	Object.keys(props).forEach(function (key) {
+		const value = props[key];
+		switch (key) {
+			case 'ro.product.model.internal':
+				info.modelnumber = value;
+				break;
+			case 'ro.build.version.release':
+			case 'ro.build.version.sdk':
+			case 'ro.product.brand':
+			case 'ro.product.device':
+			case 'ro.product.manufacturer':
+			case 'ro.product.model':
+			case 'ro.product.name':
+				info[key.split('.').pop()] = value;
+				break;
+			default:
+				if (key.indexOf('ro.product.cpu.abi') === 0) {
+					Array.isArray(info.abi) || (info.abi = []);
+					value.split(',').forEach(function (abi) {
+						abi = abi.trim();
+						if (abi && info.abi.indexOf(abi) === -1) {
+							info.abi.push(abi);
+						}
+					});
+				}
+				break;
+		}
+	});
+	return info;
+};
+
+/**
+ * Parses the output of "wm size; wm density". When the size or density has
+ * been overridden, the override is reported since that's what apps see.
+ * @param {Buffer|String} output - The output of "wm size" followed by the output of "wm density"
+ * @returns {ADB~ScreenInfo|null} The screen info or null if the size is unknown
+ */
+exports.parseScreen = function parseScreen(output) {
+	output = (output || '').toString();
+
+	const size = output.match(/Override size: (\d+)x(\d+)/) || output.match(/Physical size: (\d+)x(\d+)/);
+	if (!size) {
+		return null;
+	}
+	const density = output.match(/Override density: (\d+)/) || output.match(/Physical density: (\d+)/);
+	return {
+		width: parseInt(size[1]),
+		height: parseInt(size[2]),
+		density: density ? parseInt(density[1]) : null
+	};
+};
+
+/**
+ * Parses the output of "dumpsys battery".
+ * @param {Buffer|String} output - The output of "dumpsys battery"
+ * @returns {ADB~BatteryInfo|null} The battery info or null if the level is unknown
+ */
+exports.parseBattery = function parseBattery(output) {
+	const values = {};
+	(output || '').toString().split('\n').forEach(function (line) {
+		const m = line.match(/^\s*([^:]+):\s*(.*?)\s*$/);
+		m && (values[m[1]] = m[2]);
+	});
+
+	if (values.level === undefined) {
+		return null;
+	}
+	const scale = parseInt(values.scale) || 100;
+	return {
+		level: Math.round(parseInt(values.level) * 100 / scale),
+		// BatteryManager.BATTERY_STATUS_CHARGING
+		charging: values.status === '2',
+		powered: [ 'AC powered', 'USB powered', 'Wireless powered' ].some(key => values[key] === 'true')
+	};
+};
+
+/**
+ * Converts a size printed by the legacy toolbox "df" such as "798.6M" into bytes.
+ * @param {String} size - The size
+ * @returns {Number}
+ */
+function parseSize(size) {
+	const m = size.match(/^([\d.]+)([KMGT]?)$/i);
+	if (!m) {
+		return NaN;
+	}
+	const power = ' KMGT'.indexOf(m[2].toUpperCase() || ' ');
+	return Math.round(parseFloat(m[1]) * Math.pow(1024, power));
+}
+
+/**
+ * Parses the output of "df <path>" for a single filesystem. Handles both the
+ * toybox/busybox format which reports 1K blocks and the legacy toolbox format
+ * which reports human readable sizes.
+ * @param {Buffer|String} output - The output of "df"
+ * @returns {ADB~StorageInfo|null} The storage info or null if the output could not be parsed
+ */
+exports.parseDf = function parseDf(output) {
+	const lines = (output || '').toString().split('\n').map(line => line.trim()).filter(Boolean);
+	if (lines.length < 2) {
+		return null;
+	}
+
+	const header = lines[0].split(/\s+/);
+	// a long filesystem name may wrap the values onto the next line
+	const values = lines.slice(1).join(' ').split(/\s+/);
+	let total, available;
+
+	if (/^1K-blocks$/i.test(header[1])) {
+		// Filesystem 1K-blocks Used Available Use% Mounted on
+		total = parseInt(values[1]) * 1024;
+		available = parseInt(values[3]) * 1024;
+	} else if (header.indexOf('Free') !== -1) {
+		// Filesystem Size Used Free Blksize
+		total = parseSize(values[header.indexOf('Size')]);
+		available = parseSize(values[header.indexOf('Free')]);
+	}
+
+	if (isNaN(total) || isNaN(available) || total === undefined) {
+		return null;
+	}
+	return { total: total, available: available };
+};
+
+/**
+ * Determines the device's locale from its properties, such as "en-US".
+ * Android 5.0 and newer store it in a single property while older versions
+ * store the language and country separately.
+ * @param {Object<String, String>} props - The device's properties
+ * @returns {String|null}
+ */
+exports.getLocale = function getLocale(props) {
+	const locale = props['persist.sys.locale'] || props['ro.product.locale'];
+	if (locale) {
+		return locale;
+	}
+
+	const language = props['persist.sys.language'] || props['ro.product.locale.language'];
+	const country = props['persist.sys.country'] || props['ro.product.locale.region'];
+	return language ? language + (country ? '-' + country : '') : null;
+};
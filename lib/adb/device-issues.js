@@ -0,0 +1,149 @@
+/**
+ * Explains why a device or emulator can't be used and how to fix it.
+ *
+ * @module adb/device-issues
+ *
+ * @copyright
+ * Copyright (c) 2009-2017 by Appcelerator, Inc. All Rights Reserved.
+ *
+ * @license
+ * Licensed under the terms of the Apache Public License
+ * Please see the LICENSE included with this distribution for details.
+ */
+'use strict';
+
+const appc = require('node-appc');
+const __ = appc.i18n(__dirname).__;
+
+/**
+ * The instructions for restarting the ADB server, which clears up most stale
+ * connections.
+ * @returns {String}
+ */
+function restartServer() {
+	return __('If that doesn\'t help, restart the adb server by running %s followed by %s.', '__adb kill-server__', '__adb start-server__');
+}
+
+/**
+ * Builds the issues for a device based on its state. The issues have the same
+ * `{ id, type, message }` shape as the issues reported by `android.detect()`
+ * so they can be displayed the same way. Devices in the "device" state have no
+ * issues.
+ * @param {Object} device - A device returned by `adb.devices()`
+ * @param {Object} [opts] - Various options
+ * @param {String} [opts.platform] - The platform to give instructions for; defaults to the current platform
+ * @returns {Array<ADB~DeviceIssue>}
+ */
+exports.getIssues = function getIssues(device, opts) {
+	const platform = opts && opts.platform || process.platform;
+	const name = '__' + device.id + '__';
+	const emulator = !!device.emulator || device.transport === 'emulator';
+	const network = device.transport === 'network';
+	const issues = [];
+
+	switch (device.state) {
+		case 'device':
+			break;
+
+		case 'unauthorized':
+			issues.push({
+				id: 'ADB_DEVICE_UNAUTHORIZED',
+				type: 'error',
+				message: __('Device %s has not authorized this computer for USB debugging.', name) + '\n'
+					+ (emulator
+						? __('Restart the emulator so that it picks up this computer\'s adb key; if it is still unauthorized, wipe its data from the AVD Manager.')
+						: __('Unlock the device and accept the "Allow USB debugging?" prompt, checking "Always allow from this computer" to avoid being asked again.') + '\n'
+							+ __('If the prompt doesn\'t appear, select "Revoke USB debugging authorizations" in the device\'s Developer options and reconnect the device.'))
+			});
+			break;
+
+		case 'authorizing':
+			issues.push({
+				id: 'ADB_DEVICE_AUTHORIZING',
+				type: 'warning',
+				message: __('Device %s is still being authorized.', name) + '\n'
+					+ __('Unlock the device and accept the "Allow USB debugging?" prompt if it is showing.')
+			});
+			break;
+
+		case 'connecting':
+			issues.push({
+				id: 'ADB_DEVICE_CONNECTING',
+				type: 'warning',
+				message: __('Device %s is still connecting.', name) + '\n'
+					+ __('Wait a few seconds for it to come online.') + ' ' + restartServer()
+			});
+			break;
+
+		case 'offline':
+			issues.push({
+				id: 'ADB_DEVICE_OFFLINE',
+				type: 'error',
+				message: __('Device %s is offline.', name) + '\n'
+					+ (emulator
+						? __('The emulator may still be booting; wait for it to finish or restart it.')
+						: network
+							? __('Make sure the device is on the same network and reconnect it by running %s.', '__adb connect ' + device.id + '__')
+							: __('Unplug the device and plug it back in, or restart the device.'))
+					+ ' ' + restartServer()
+			});
+			break;
+
+		case 'no permissions':
+			issues.push({
+				id: 'ADB_DEVICE_NO_PERMISSIONS',
+				type: 'error',
+				message: __('You do not have permission to access device %s.', name) + '\n'
+					+ (platform === 'linux'
+						? __('Add your user to the %s group and install udev rules for Android devices, such as those provided by the %s package, then reconnect the device.', '__plugdev__', '__android-sdk-platform-tools-common__') + '\n'
+							+ __('See %s for details.', '__https://developer.android.com/studio/run/device#setting-up__')
+						: __('Reconnect the device and make sure it is set to transfer files rather than just charge.'))
+					+ '\n' + restartServer()
+			});
+			break;
+
+		case 'recovery':
+		case 'rescue':
+		case 'sideload':
+			issues.push({
+				id: 'ADB_DEVICE_IN_RECOVERY',
+				type: 'error',
+				message: __('Device %s is in %s mode.', name, device.state) + '\n'
+					+ __('Reboot it into Android by running %s.', '__adb -s ' + device.id + ' reboot__')
+			});
+			break;
+
+		case 'bootloader':
+			issues.push({
+				id: 'ADB_DEVICE_IN_BOOTLOADER',
+				type: 'error',
+				message: __('Device %s is in the bootloader.', name) + '\n'
+					+ __('Reboot it into Android by running %s or by using the device\'s buttons.', '__fastboot -s ' + device.id + ' reboot__')
+			});
+			break;
+
+		default:
+			issues.push({
+				id: 'ADB_DEVICE_UNAVAILABLE',
+				type: 'error',
+				message: __('Device %s is in the "%s" state and can\'t be used.', name, device.state) + '\n'
+					+ __('Reconnect the device or restart it.') + ' ' + restartServer()
+			});
+	}
+
+	return issues;
+};
+
+/**
+ * Builds the issue for a device that the ADB server doesn't know about.
+ * @param {String} deviceId - The id of the device or emulator
+ * @returns {ADB~DeviceIssue}
+ */
+exports.notFound = function notFound(deviceId) {
+	return {
+		id: 'ADB_DEVICE_NOT_FOUND',
+		type: 'error',
+		message: __('Device %s was not found.', '__' + deviceId + '__') + '\n'
+			+ __('Make sure the device is connected and USB debugging is enabled in its Developer options, then run %s to list the connected devices.', '__adb devices__')
+	};
+};
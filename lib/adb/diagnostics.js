@@ -0,0 +1,199 @@
+/**
+ * Collects ANR traces, tombstones, dumpsys output, crash logs and bug reports
+ * from a device or emulator into a local directory.
+ *
+ * @module adb/diagnostics
+ *
+ * @copyright
+ * Copyright (c) 2009-2017 by Appcelerator, Inc. All Rights Reserved.
+ *
+ * @license
+ * Licensed under the terms of the Apache Public License
+ * Please see the LICENSE included with this distribution for details.
+ */
+'use strict';
+
+const appc = require('node-appc');
+const __ = appc.i18n(__dirname).__;
+const async = require('async');
+const fs = require('fs-extra');
+const path = require('path');
+const ADBError = require('./errors').ADBError;
+const logcatLib = require('./logcat');
+const shellQuote = require('./util').shellQuote;
+
+/**
+ * The name of the manifest written to the destination directory.
+ * @type {String}
+ */
+const MANIFEST_FILE = exports.MANIFEST_FILE = 'manifest.json';
+
+/**
+ * Runs a shell command and writes its stdout to a file.
+ * @param {ADB} adb - The ADB instance
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {String} cmd - The command to run
+ * @param {String} file - The file to write
+ * @param {Function} callback - A function to call with the number of bytes written
+ */
+function dumpCommand(adb, deviceId, cmd, file, callback) {
+	adb.shell(deviceId, cmd, { encoding: null }, function (err, result) {
+		if (err) {
+			return callback(err);
+		}
+		if (result.exitCode) {
+			const stderr = result.stderr.toString().trim();
+			return callback(new ADBError(__('"%s" exited with code %s: %s', cmd, result.exitCode, stderr || __('no output')), { exitCode: result.exitCode, stderr: stderr }));
+		}
+		fs.outputFile(file, result.stdout, err => callback(err, err ? undefined : { files: 1, bytes: result.stdout.length }));
+	});
+}
+
+/**
+ * Dumps the crash log buffer, which holds the stack traces of apps and native
+ * processes that crashed.
+ * @param {ADB} adb - The ADB instance
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {String} file - The file to write
+ * @param {Function} callback - A function to call with the number of bytes written
+ */
+function dumpCrashLog(adb, deviceId, file, callback) {
+	const lines = [];
+	adb.logcat(deviceId, { transport: 'socket', buffers: [ 'crash' ], dump: true }, function (entry) {
+		lines.push(logcatLib.formatEntry(entry));
+	}, function (err) {
+		if (err) {
+			return callback(err);
+		}
+		const data = lines.length ? lines.join('\n') + '\n' : '';
+		fs.outputFile(file, data, err => callback(err, err ? undefined : { files: 1, bytes: Buffer.byteLength(data) }));
+	});
+}
+
+/**
+ * Generates a bug report. Android 7.0 and newer write a zip file with
+ * "bugreportz" which is then pulled, while older versions print a plain text
+ * report.
+ * @param {ADB} adb - The ADB instance
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {String} dir - The directory to write the report to
+ * @param {Function} callback - A function to call with the file and its size
+ */
+function bugreport(adb, deviceId, dir, callback) {
+	adb.shell(deviceId, 'bugreportz', {}, function (err, result) {
+		if (err) {
+			return callback(err);
+		}
+
+		const output = result.stdout + result.stderr;
+		let m;
+		if ((m = output.match(/^OK:(.+)$/m))) {
+			const remote = m[1].trim();
+			const file = path.join(dir, 'bugreport.zip');
+			return adb.pull(deviceId, remote, file, function (err, stats) {
+				if (err) {
+					return callback(err);
+				}
+				adb.shell(deviceId, 'rm -f ' + shellQuote(remote), () => callback(null, { file: 'bugreport.zip', files: 1, bytes: stats.bytes }));
+			});
+		}
+		if ((m = output.match(/^FAIL:(.+)$/m))) {
+			return callback(new ADBError(__('Failed to generate the bug report: %s', m[1].trim()), { failure: m[1].trim() }));
+		}
+
+		// bugreportz doesn't exist, so fall back to the plain text report
+		dumpCommand(adb, deviceId, 'bugreport', path.join(dir, 'bugreport.txt'), function (err, stats) {
+			callback(err, err ? undefined : Object.assign({ file: 'bugreport.txt' }, stats));
+		});
+	});
+}
+
+/**
+ * Collects diagnostics from a device or emulator into a directory and writes a
+ * manifest describing what was collected. Each item is collected on its own,
+ * so an item that can't be collected, such as ANR traces on a device that
+ * doesn't allow reading them, is recorded in the manifest with its error and
+ * doesn't prevent the others from being collected.
+ * @param {ADB} adb - The ADB instance
+ * @param {String} deviceId - The id of the device or emulator
+ * @param {String} dest - The directory to write the diagnostics to
+ * @param {Object} opts - Which diagnostics to collect; see `ADB.collectDiagnostics()`
+ * @param {Function} callback - A function to call with the manifest
+ */
+exports.collect = function collect(adb, deviceId, dest, opts, callback) {
+	dest = path.resolve(dest);
+
+	const items = [];
+	opts.anr !== false && items.push({
+		name: 'anr',
+		description: __('ANR traces'),
+		source: '/data/anr',
+		file: 'anr',
+		collect: next => adb.pull(deviceId, '/data/anr', path.join(dest, 'anr'), next)
+	});
+	opts.tombstones !== false && items.push({
+		name: 'tombstones',
+		description: __('Native crash tombstones'),
+		source: '/data/tombstones',
+		file: 'tombstones',
+		collect: next => adb.pull(deviceId, '/data/tombstones', path.join(dest, 'tombstones'), next)
+	});
+	opts.appid && opts.meminfo !== false && items.push({
+		name: 'meminfo',
+		description: __('Memory usage of %s', opts.appid),
+		source: 'dumpsys meminfo ' + opts.appid,
+		file: 'meminfo.txt',
+		collect: next => dumpCommand(adb, deviceId, 'dumpsys meminfo ' + shellQuote(opts.appid), path.join(dest, 'meminfo.txt'), next)
+	});
+	opts.activity !== false && items.push({
+		name: 'activity',
+		description: __('Activity manager state'),
+		source: 'dumpsys activity',
+		file: 'activity.txt',
+		collect: next => dumpCommand(adb, deviceId, 'dumpsys activity', path.join(dest, 'activity.txt'), next)
+	});
+	opts.crashLog !== false && items.push({
+		name: 'crash',
+		description: __('Crash log buffer'),
+		source: 'logcat -b crash',
+		file: 'crash.log',
+		collect: next => dumpCrashLog(adb, deviceId, path.join(dest, 'crash.log'), next)
+	});
+	opts.bugreport && items.push({
+		name: 'bugreport',
+		description: __('Bug report'),
+		source: 'bugreport',
+		file: null,
+		collect: next => bugreport(adb, deviceId, dest, next)
+	});
+
+	fs.mkdirp(dest, function (err) {
+		if (err) {
+			return callback(err);
+		}
+
+		async.mapSeries(items, function (item, next) {
+			opts.logger && opts.logger.debug(__('Collecting %s', item.description));
+			item.collect(function (err, stats) {
+				next(null, {
+					name: item.name,
+					description: item.description,
+					source: item.source,
+					file: err ? null : stats && stats.file || item.file,
+					files: err ? 0 : stats.files,
+					bytes: err ? 0 : stats.bytes,
+					error: err ? err.message || String(err) : null
+				});
+			});
+		}, function (err, results) {
+			const manifest = {
+				deviceId: deviceId,
+				appid: opts.appid || null,
+				collectedAt: new Date().toISOString(),
+				dir: dest,
+				items: results
+			};
+			fs.writeJson(path.join(dest, MANIFEST_FILE), manifest, { spaces: '\t' }, err => callback(err, err ? undefined : manifest));
+		});
+	});
+};
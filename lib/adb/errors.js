@@ -0,0 +1,223 @@
+/**
+ * Error types returned by the adb library along with the catalog of package
+ * manager install failures.
+ *
+ * @module adb/errors
+ *
+ * @copyright
+ * Copyright (c) 2009-2017 by Appcelerator, Inc. All Rights Reserved.
+ *
+ * @license
+ * Licensed under the terms of the Apache Public License
+ * Please see the LICENSE included with this distribution for details.
+ */
+'use strict';
+
+const appc = require('node-appc');
+const __ = appc.i18n(__dirname).__;
+const util = require('util');
+
+/**
+ * Creates an ADBError object.
+ * @class
+ * @extends Error
+ * @classdesc An error produced by an adb operation. Depending on where the
+ * error originated, it carries the adb executable's exit code and stderr
+ * output and/or the failure string returned by the adb server or the package
+ * manager.
+ * @constructor
+ * @param {String} message - The error message
+ * @param {Object} [info] - Additional error details
+ * @param {Number} [info.exitCode] - The exit code of the adb executable
+ * @param {String} [info.stderr] - The stderr output of the adb executable
+ * @param {String} [info.failure] - The failure string reported by adb, such as "device offline" or "INSTALL_FAILED_INSUFFICIENT_STORAGE"
+ */
+function ADBError(message, info) {
+	Error.call(this);
+	Error.captureStackTrace && Error.captureStackTrace(this, this.constructor);
+	info || (info = {});
+	this.name = 'ADBError';
+	this.message = message;
+	this.exitCode = info.exitCode !== undefined ? info.exitCode : null;
+	this.stderr = info.stderr || null;
+	this.failure = info.failure || null;
+}
+util.inherits(ADBError, Error);
+exports.ADBError = ADBError;
+
+/**
+ * The stages of a request to the ADB server, used to describe where a request
+ * timed out.
+ * @type {Object<String, String>}
+ */
+const STAGES = {
+	connect: 'connecting to the adb server',
+	response: 'waiting for the adb server to respond',
+	data: 'waiting for the result'
+};
+
+/**
+ * Creates a TimeoutError object.
+ * @class
+ * @extends ADBError
+ * @classdesc An error produced when a request to the ADB server takes too
+ * long. The `stage` tells whether it was connecting to the server, waiting
+ * for the server to accept the request or waiting for the result.
+ * @constructor
+ * @param {String} stage - The stage that timed out: "connect", "response" or "data"
+ * @param {Number} timeout - The timeout in milliseconds
+ * @param {String} [request] - The request that timed out such as "host:devices"
+ */
+function TimeoutError(stage, timeout, request) {
+	ADBError.call(this, request
+		? __('Timed out after %sms %s for "%s"', timeout, __(STAGES[stage] || stage), request)
+		: __('Timed out after %sms %s', timeout, __(STAGES[stage] || stage)));
+	this.name = 'TimeoutError';
+	this.code = 'ETIMEDOUT';
+	this.stage = stage;
+	this.timeout = timeout;
+	this.request = request || null;
+}
+util.inherits(TimeoutError, ADBError);
+exports.TimeoutError = TimeoutError;
+
+/**
+ * Creates an AbortError object.
+ * @class
+ * @extends ADBError
+ * @classdesc An error produced when a request is cancelled using an AbortSignal.
+ * @constructor
+ * @param {String} [request] - The request that was cancelled such as "host:devices"
+ */
+function AbortError(request) {
+	ADBError.call(this, request ? __('The request "%s" was aborted', request) : __('The request was aborted'));
+	this.name = 'AbortError';
+	this.code = 'ABORT_ERR';
+	this.request = request || null;
+}
+util.inherits(AbortError, ADBError);
+exports.AbortError = AbortError;
+
+/**
+ * The package manager install failures keyed by the failure code. The values
+ * are the numeric result codes defined by Android's PackageManager along with
+ * a description of the failure.
+ * @type {Object<String, {code: Number, message: String}>}
+ */
+const INSTALL_FAILURES = exports.INSTALL_FAILURES = {
+	INSTALL_FAILED_ALREADY_EXISTS:                         { code: -1,   message: 'The app is already installed' },
+	INSTALL_FAILED_INVALID_APK:                            { code: -2,   message: 'The APK file is invalid' },
+	INSTALL_FAILED_INVALID_URI:                            { code: -3,   message: 'The APK location is invalid' },
+	INSTALL_FAILED_INSUFFICIENT_STORAGE:                   { code: -4,   message: 'Not enough free space on device' },
+	INSTALL_FAILED_DUPLICATE_PACKAGE:                      { code: -5,   message: 'A package with the same name is already installed' },
+	INSTALL_FAILED_NO_SHARED_USER:                         { code: -6,   message: 'The requested shared user does not exist' },
+	INSTALL_FAILED_UPDATE_INCOMPATIBLE:                    { code: -7,   message: 'The installed app is signed with a different certificate; uninstall it first' },
+	INSTALL_FAILED_SHARED_USER_INCOMPATIBLE:               { code: -8,   message: 'The requested shared user is signed with a different certificate' },
+	INSTALL_FAILED_MISSING_SHARED_LIBRARY:                 { code: -9,   message: 'The app requires a shared library that is not available on the device' },
+	INSTALL_FAILED_REPLACE_COULDNT_DELETE:                 { code: -10,  message: 'The installed app could not be removed' },
+	INSTALL_FAILED_DEXOPT:                                 { code: -11,  message: 'The app\'s dex files could not be optimized, possibly due to insufficient storage' },
+	INSTALL_FAILED_OLDER_SDK:                              { code: -12,  message: 'The device\'s Android version is older than the app\'s minimum SDK version' },
+	INSTALL_FAILED_CONFLICTING_PROVIDER:                   { code: -13,  message: 'The app declares a content provider authority that is already used by another app' },
+	INSTALL_FAILED_NEWER_SDK:                              { code: -14,  message: 'The device\'s Android version is newer than the app\'s maximum SDK version' },
+	INSTALL_FAILED_TEST_ONLY:                              { code: -15,  message: 'The app is marked as test only; allow test packages to install it' },
+	INSTALL_FAILED_CPU_ABI_INCOMPATIBLE:                   { code: -16,  message: 'The app contains native code that is incompatible with the device\'s CPU' },
+	INSTALL_FAILED_MISSING_FEATURE:                        { code: -17,  message: 'The app requires a feature that the device does not have' },
+	INSTALL_FAILED_CONTAINER_ERROR:                        { code: -18,  message: 'The secure container could not be accessed' },
+	INSTALL_FAILED_INVALID_INSTALL_LOCATION:               { code: -19,  message: 'The app cannot be installed in the requested location' },
+	INSTALL_FAILED_MEDIA_UNAVAILABLE:                      { code: -20,  message: 'The install location is currently unavailable' },
+	INSTALL_FAILED_VERIFICATION_TIMEOUT:                   { code: -21,  message: 'The package verifier timed out' },
+	INSTALL_FAILED_VERIFICATION_FAILURE:                   { code: -22,  message: 'The package verifier rejected the app' },
+	INSTALL_FAILED_PACKAGE_CHANGED:                        { code: -23,  message: 'The APK changed while it was being installed' },
+	INSTALL_FAILED_UID_CHANGED:                            { code: -24,  message: 'The app\'s user id changed since it was last installed' },
+	INSTALL_FAILED_VERSION_DOWNGRADE:                      { code: -25,  message: 'The app\'s version code is older than the installed app\'s' },
+	INSTALL_FAILED_PERMISSION_MODEL_DOWNGRADE:             { code: -26,  message: 'The app targets an older SDK than the installed app and cannot downgrade its permission model' },
+	INSTALL_FAILED_SANDBOX_VERSION_DOWNGRADE:              { code: -27,  message: 'The app\'s target sandbox version is older than the installed app\'s' },
+	INSTALL_FAILED_MISSING_SPLIT:                          { code: -28,  message: 'The app requires a split APK that was not installed' },
+	INSTALL_FAILED_DEPRECATED_SDK_VERSION:                 { code: -29,  message: 'The app targets an SDK version that is too old to be installed on this device' },
+	INSTALL_PARSE_FAILED_NOT_APK:                          { code: -100, message: 'The file is not an APK' },
+	INSTALL_PARSE_FAILED_BAD_MANIFEST:                     { code: -101, message: 'The APK\'s AndroidManifest.xml could not be parsed' },
+	INSTALL_PARSE_FAILED_UNEXPECTED_EXCEPTION:             { code: -102, message: 'The APK could not be parsed' },
+	INSTALL_PARSE_FAILED_NO_CERTIFICATES:                  { code: -103, message: 'The APK is not signed' },
+	INSTALL_PARSE_FAILED_INCONSISTENT_CERTIFICATES:        { code: -104, message: 'The app is already installed, but signed with a different certificate' },
+	INSTALL_PARSE_FAILED_CERTIFICATE_ENCODING:             { code: -105, message: 'The APK\'s certificates could not be read' },
+	INSTALL_PARSE_FAILED_BAD_PACKAGE_NAME:                 { code: -106, message: 'The app\'s package name is invalid' },
+	INSTALL_PARSE_FAILED_BAD_SHARED_USER_ID:               { code: -107, message: 'The app\'s shared user id is invalid' },
+	INSTALL_PARSE_FAILED_MANIFEST_MALFORMED:               { code: -108, message: 'The APK\'s AndroidManifest.xml is malformed' },
+	INSTALL_PARSE_FAILED_MANIFEST_EMPTY:                   { code: -109, message: 'The APK\'s AndroidManifest.xml is empty' },
+	INSTALL_FAILED_INTERNAL_ERROR:                         { code: -110, message: 'The package manager encountered an internal error' },
+	INSTALL_FAILED_USER_RESTRICTED:                        { code: -111, message: 'The current user is not allowed to install apps; check "Install via USB" in the developer options' },
+	INSTALL_FAILED_DUPLICATE_PERMISSION:                   { code: -112, message: 'The app defines a permission that is already defined by another app' },
+	INSTALL_FAILED_NO_MATCHING_ABIS:                       { code: -113, message: 'The app does not contain native libraries for the device\'s CPU architecture' },
+	INSTALL_FAILED_ABORTED:                                { code: -115, message: 'The install was aborted' },
+	INSTALL_FAILED_INSTANT_APP_INVALID:                    { code: -116, message: 'The instant app is invalid' },
+	INSTALL_FAILED_BAD_DEX_METADATA:                       { code: -117, message: 'The app\'s dex metadata is invalid' },
+	INSTALL_FAILED_BAD_SIGNATURE:                          { code: -118, message: 'The APK signature is invalid' },
+	INSTALL_FAILED_OTHER_STAGED_SESSION_IN_PROGRESS:       { code: -119, message: 'Another staged install is already in progress' },
+	INSTALL_FAILED_MULTIPACKAGE_INCONSISTENCY:             { code: -120, message: 'The packages in the install session are inconsistent' },
+	INSTALL_FAILED_WRONG_INSTALLED_VERSION:                { code: -121, message: 'The installed app\'s version does not match the expected version' },
+	INSTALL_FAILED_PROCESS_NOT_DEFINED:                    { code: -122, message: 'The app references a process that is not defined' },
+	INSTALL_PARSE_FAILED_ONLY_COREAPP_ALLOWED:             { code: -123, message: 'Only core apps can be installed while the device is in this state' },
+	INSTALL_PARSE_FAILED_SKIPPED:                          { code: -125, message: 'The package was skipped by the package manager' },
+	INSTALL_FAILED_DUPLICATE_PERMISSION_GROUP:             { code: -126, message: 'The app defines a permission group that is already defined by another app' },
+	INSTALL_FAILED_BAD_PERMISSION_GROUP:                   { code: -127, message: 'The app references a permission group that does not exist' },
+	INSTALL_ACTIVATION_FAILED:                             { code: -128, message: 'The staged install could not be activated' },
+	INSTALL_FAILED_SHARED_LIBRARY_BAD_CERTIFICATE_DIGEST:  { code: -129, message: 'A shared library the app depends on is signed with an unexpected certificate' },
+	// not defined by AOSP, but reported by some vendor builds (i.e. MIUI) when the user rejects the install prompt
+	INSTALL_CANCELED_BY_USER:                              { code: null, message: 'The install was rejected on the device; enable "Install via USB" in the developer options' }
+};
+
+/**
+ * Creates an InstallError object.
+ * @class
+ * @extends ADBError
+ * @classdesc An error returned by the package manager when an app fails to
+ * install.
+ * @constructor
+ * @param {String} failure - The failure reported by the package manager such as
+ * "INSTALL_FAILED_VERSION_DOWNGRADE: Downgrade detected"
+ * @param {Object} [info] - Additional error details
+ * @param {Number} [info.exitCode] - The exit code of the adb executable
+ * @param {String} [info.stderr] - The stderr output of the adb executable
+ */
+function InstallError(failure, info) {
+	const m = String(failure).match(/^([A-Z_]+)(?::\s*(.*))?$/);
+	const code = m ? m[1] : 'INSTALL_FAILED_UNKNOWN';
+	const known = INSTALL_FAILURES[code];
+	const detail = m ? m[2] || null : String(failure);
+
+	let message = known ? __(known.message) : failure;
+	if (code === 'INSTALL_PARSE_FAILED_INCONSISTENT_CERTIFICATES' || code === 'INSTALL_FAILED_UPDATE_INCOMPATIBLE') {
+		message = __('The app is already installed, but signed with a different certificate') + '\n'
+			+ __('You need to either manually uninstall the app or rebuild using the same certificate that was used to sign the installed app');
+	}
+
+	ADBError.call(this, message, {
+		exitCode: info && info.exitCode,
+		stderr: info && info.stderr,
+		failure: String(failure)
+	});
+	this.name = 'InstallError';
+	this.code = code;
+	this.resultCode = known ? known.code : null;
+	this.detail = detail;
+}
+util.inherits(InstallError, ADBError);
+exports.InstallError = InstallError;
+
+/**
+ * Parses the output of a package manager install command.
+ * @param {String} output - The output of "pm install", "cmd package install-commit", or "adb install"
+ * @param {Object} [info] - Additional error details to add to the error
+ * @returns {InstallError|null} An error if the install failed, otherwise null
+ */
+exports.parseInstallOutput = function parseInstallOutput(output, info) {
+	output = String(output);
+	let m = output.match(/^Failure \[(.+)\]\s*$/m) || output.match(/^Failure:?\s*(.+)$/m) || output.match(/^Error: ([A-Z_]+(?::.*)?)$/m);
+	if (m) {
+		return new InstallError(m[1].trim(), info);
+	}
+	if (info && info.stderr && (m = info.stderr.match(/(INSTALL_[A-Z_]+(?::[^\]\n]*)?)/))) {
+		return new InstallError(m[1].trim(), info);
+	}
+	return null;
+};
@@ -0,0 +1,321 @@
+/**
+ * Parses logcat output into log entries.
+ *
+ * @module adb/logcat
+ *
+ * @copyright
+ * Copyright (c) 2009-2017 by Appcelerator, Inc. All Rights Reserved.
+ *
+ * @license
+ * Licensed under the terms of the Apache Public License
+ * Please see the LICENSE included with this distribution for details.
+ */
+'use strict';
+
+/**
+ * Log priorities keyed by the character logcat uses to display them.
+ * @type {Object<String, String>}
+ */
+exports.PRIORITIES = {
+	V: 'verbose',
+	D: 'debug',
+	I: 'info',
+	W: 'warn',
+	E: 'error',
+	F: 'fatal',
+	S: 'silent'
+};
+
+/**
+ * Matches a line in the "threadtime" format:
+ * "01-15 12:34:56.789  1234  1250 I ActivityManager: Start proc"
+ */
+const threadtimeRegExp = /^(\d\d)-(\d\d) (\d\d):(\d\d):(\d\d)\.(\d{3})\s+(\d+)\s+(\d+)\s+([VDIWEFS])\s+(.*?)\s*: ?(.*)$/;
+
+/**
+ * Matches a line in the "brief" format: "I/ActivityManager( 1234): Start proc"
+ */
+const briefRegExp = /^([VDIWEFS])\/(.*?)\(\s*(\d+)\): ?(.*)$/;
+
+/**
+ * @constant
+ * How long to wait for more lines of a multi-line entry before emitting it.
+ */
+const FLUSH_DELAY = 100;
+
+/**
+ * Parses a single line of logcat output in the "threadtime" or "brief" format.
+ * Since logcat does not display the year, the timestamp is assumed to be
+ * within the last year.
+ * @param {String} line - The line to parse
+ * @param {Date} [now] - The current date used to determine the year
+ * @returns {ADB~LogEntry|null} The parsed entry or null if the line could not be parsed
+ */
+function parseLine(line, now) {
+	line = String(line).replace(/\r$/, '');
+
+	let m = line.match(threadtimeRegExp);
+	if (m) {
+		now || (now = new Date());
+		const time = new Date(now.getFullYear(), m[1] - 1, +m[2], +m[3], +m[4], +m[5], +m[6]);
+		if (time.getTime() - now.getTime() > 24 * 60 * 60 * 1000) {
+			// the entry was logged last year
+			time.setFullYear(time.getFullYear() - 1);
+		}
+		return {
+			time: time,
+			pid: parseInt(m[7]),
+			tid: parseInt(m[8]),
+			priority: m[9],
+			tag: m[10],
+			message: m[11]
+		};
+	}
+
+	m = line.match(briefRegExp);
+	if (m) {
+		return {
+			time: null,
+			pid: parseInt(m[3]),
+			tid: null,
+			priority: m[1],
+			tag: m[2].trim(),
+			message: m[4]
+		};
+	}
+
+	return null;
+}
+exports.parseLine = parseLine;
+
+/**
+ * Creates a LogcatParser object.
+ * @class
+ * @classdesc Parses lines of logcat output and joins lines belonging to the
+ * same multi-line message, such as a stack trace, into a single entry. Logcat
+ * prints every line of a multi-line message with the same header, so
+ * consecutive lines with an identical header are joined. Since the parser
+ * cannot know if more lines are coming, an entry is emitted when a line with a
+ * different header arrives, when flush() is called, or after a short delay.
+ * @constructor
+ * @param {Function} handler - A function to call with each log entry
+ */
+function LogcatParser(handler) {
+	this.handler = handler;
+	this.pending = null;
+	this.timer = null;
+}
+exports.LogcatParser = LogcatParser;
+
+/**
+ * Determines if two log entries share the same header.
+ * @param {ADB~LogEntry} a - The first entry
+ * @param {ADB~LogEntry} b - The second entry
+ * @returns {Boolean}
+ */
+function sameHeader(a, b) {
+	return a.pid === b.pid
+		&& a.tid === b.tid
+		&& a.priority === b.priority
+		&& a.tag === b.tag
+		&& (a.time && a.time.getTime()) === (b.time && b.time.getTime());
+}
+
+/**
+ * Parses a line of logcat output. Lines that cannot be parsed, such as the
+ * "--------- beginning of main" dividers, are ignored.
+ * @param {String} line - The line of output
+ */
+LogcatParser.prototype.push = function push(line) {
+	const entry = parseLine(line);
+	if (!entry) {
+		return;
+	}
+
+	if (this.pending && sameHeader(this.pending, entry)) {
+		this.pending.message += '\n' + entry.message;
+	} else {
+		this.flush();
+		this.pending = entry;
+	}
+
+	clearTimeout(this.timer);
+	this.timer = setTimeout(() => this.flush(), FLUSH_DELAY);
+	this.timer.unref && this.timer.unref();
+};
+
+/**
+ * Emits the pending log entry, if any.
+ */
+LogcatParser.prototype.flush = function flush() {
+	clearTimeout(this.timer);
+	this.timer = null;
+	if (this.pending) {
+		const entry = this.pending;
+		this.pending = null;
+		this.handler(entry);
+	}
+};
+
+/**
+ * Formats a date as a logcat "-T" start time in the device's "MM-DD hh:mm:ss.mmm" format.
+ * @param {Date} date - The date to format
+ * @returns {String}
+ */
+exports.formatTime = function formatTime(date) {
+	const pad = (n, len) => ('000' + n).slice(-(len || 2));
+	return pad(date.getMonth() + 1) + '-' + pad(date.getDate()) + ' '
+		+ pad(date.getHours()) + ':' + pad(date.getMinutes()) + ':' + pad(date.getSeconds()) + '.' + pad(date.getMilliseconds(), 3);
+};
+
+/**
+ * Formats a log entry the way logcat's "threadtime" format does, with one line
+ * per line of the message.
+ * @param {ADB~LogEntry} entry - The log entry
+ * @returns {String}
+ */
+exports.formatEntry = function formatEntry(entry) {
+	const pad = (value, len) => (value === null || value === undefined ? '' : String(value)).padStart(len);
+	const prefix = (entry.time ? exports.formatTime(entry.time) : '') + ' ' + pad(entry.pid, 5) + ' ' + pad(entry.tid, 5)
+		+ ' ' + entry.priority + ' ' + entry.tag + ': ';
+	return String(entry.message).split('\n').map(line => prefix + line).join('\n');
+};
+
+/**
+ * Log buffer names keyed by the log id found in binary log entries.
+ * @type {Array<String>}
+ */
+const LOG_IDS = exports.LOG_IDS = [ 'main', 'radio', 'events', 'system', 'crash', 'stats', 'security', 'kernel' ];
+
+/**
+ * Priority characters indexed by the android_LogPriority value found in binary
+ * log entries.
+ * @type {Array<String>}
+ */
+const BINARY_PRIORITIES = [ null, null, 'V', 'D', 'I', 'W', 'E', 'F', 'S' ];
+
+/**
+ * @constant
+ * The size of the version 1 logger_entry header, which has no hdr_size field.
+ */
+const V1_HEADER_SIZE = 20;
+
+/**
+ * Decodes the values of an event log entry into a string such as "[1,foo,2.5]".
+ * @param {Buffer} buf - The payload
+ * @param {Number} offset - The offset of the value's type byte
+ * @returns {{value: String, offset: Number}} The decoded value and the offset after it
+ */
+function decodeEventValue(buf, offset) {
+	const type = buf.readUInt8(offset++);
+	switch (type) {
+		case 0: // int
+			return { value: String(buf.readInt32LE(offset)), offset: offset + 4 };
+		case 1: // long
+			return { value: String(buf.readInt32LE(offset + 4) * 0x100000000 + buf.readUInt32LE(offset)), offset: offset + 8 };
+		case 2: // string
+			const len = buf.readUInt32LE(offset);
+			return { value: buf.toString('utf8', offset + 4, offset + 4 + len), offset: offset + 4 + len };
+		case 3: // list
+			const values = [];
+			let count = buf.readUInt8(offset++);
+			while (count-- > 0) {
+				const result = decodeEventValue(buf, offset);
+				values.push(result.value);
+				offset = result.offset;
+			}
+			return { value: '[' + values.join(',') + ']', offset: offset };
+		case 4: // float
+			return { value: String(buf.readFloatLE(offset)), offset: offset + 4 };
+	}
+	throw new Error('Unknown event value type ' + type);
+}
+
+/**
+ * Decodes a single binary log entry.
+ * @param {Buffer} record - The logger_entry header followed by its payload
+ * @param {Number} headerSize - The size of the header
+ * @returns {ADB~LogEntry}
+ */
+function decodeEntry(record, headerSize) {
+	const entry = {
+		time: new Date(record.readInt32LE(12) * 1000 + Math.floor(record.readInt32LE(16) / 1000000)),
+		pid: record.readInt32LE(4),
+		tid: record.readInt32LE(8),
+		priority: 'I',
+		tag: '',
+		message: '',
+		buffer: headerSize >= 24 ? LOG_IDS[record.readUInt32LE(20)] || null : null
+	};
+	const payload = record.slice(headerSize);
+
+	if (entry.buffer === 'events' || entry.buffer === 'stats' || entry.buffer === 'security') {
+		// binary events start with the numeric event tag followed by the values
+		if (payload.length >= 4) {
+			entry.tag = String(payload.readInt32LE(0));
+			try {
+				entry.message = payload.length > 4 ? decodeEventValue(payload, 4).value : '';
+			} catch (e) {
+				entry.message = payload.slice(4).toString('hex');
+			}
+		}
+		return entry;
+	}
+
+	// text entries are the priority byte, a null terminated tag, then the null terminated message
+	entry.priority = BINARY_PRIORITIES[payload[0]] || 'V';
+	const tagEnd = payload.indexOf(0, 1);
+	if (tagEnd === -1) {
+		entry.tag = payload.toString('utf8', 1);
+	} else {
+		entry.tag = payload.toString('utf8', 1, tagEnd);
+		entry.message = payload.toString('utf8', tagEnd + 1).replace(/\0+$/, '').replace(/\n+$/, '');
+	}
+	return entry;
+}
+
+/**
+ * Creates a BinaryLogDecoder object.
+ * @class
+ * @classdesc Decodes the binary output of "logcat -B", a stream of
+ * logger_entry records, into log entries. Supports all versions of the
+ * logger_entry header.
+ * @constructor
+ * @param {Function} handler - A function to call with each log entry
+ */
+function BinaryLogDecoder(handler) {
+	this.handler = handler;
+	this.buffer = Buffer.alloc(0);
+}
+exports.BinaryLogDecoder = BinaryLogDecoder;
+
+/**
+ * Decodes a chunk of data, emitting any entries that are complete.
+ * @param {Buffer} data - The data received from logcat
+ */
+BinaryLogDecoder.prototype.push = function push(data) {
+	this.buffer = this.buffer.length ? Buffer.concat([ this.buffer, data ]) : data;
+
+	while (this.buffer.length >= 4) {
+		const len = this.buffer.readUInt16LE(0);
+		const headerSize = this.buffer.readUInt16LE(2) || V1_HEADER_SIZE;
+		if (this.buffer.length < headerSize + len) {
+			break;
+		}
+		const record = this.buffer.slice(0, headerSize + len);
+		this.buffer = this.buffer.slice(headerSize + len);
+		this.handler(decodeEntry(record, headerSize));
+	}
+};
+
+/**
+ * A parsed logcat entry.
+ * @typedef {Object} ADB~LogEntry
+ * @property {Date|null} time - When the entry was logged; null for the "brief" format
+ * @property {Number} pid - The id of the process that logged the entry
+ * @property {Number|null} tid - The id of the thread that logged the entry; null for the "brief" format
+ * @property {String} priority - The priority: V, D, I, W, E, F or S
+ * @property {String} tag - The log tag
+ * @property {String} message - The message; multi-line messages are joined with "\n"
+ * @property {String} [buffer] - The buffer the entry was read from; only set when decoding binary entries
+ */
@@ -0,0 +1,940 @@
+/**
+ * A pure JavaScript implementation of the ADB server's smart-socket protocol
+ * for testing code that talks to devices without the Android SDK, a real adb
+ * server or any devices.
+ *
+ * Devices are scripted: their state, properties, features, files and shell
+ * responses can be set up front and changed while a test runs. Changes to the
+ * device list are pushed to "host:track-devices" clients just like the real
+ * server does.
+ *
+ * @example
+ * const MockAdbServer = require('node-titanium-sdk/lib/adb/mock-server');
+ * const server = new MockAdbServer();
+ * server.addDevice('0123456789', { props: { 'ro.build.version.sdk': '28' } })
+ *     .onShell('ps -A', 'USER PID PPID VSZ RSS WCHAN ADDR S NAME\n');
+ * server.listen(function () {
+ *     const adb = new ADB(server.createConfig());
+ * });
+ *
+ * @module adb/mock-server
+ *
+ * @copyright
+ * Copyright (c) 2009-2017 by Appcelerator, Inc. All Rights Reserved.
+ *
+ * @license
+ * Licensed under the terms of the Apache Public License
+ * Please see the LICENSE included with this distribution for details.
+ */
+'use strict';
+
+const events = require('events');
+const net = require('net');
+const shellLib = require('./shell');
+const util = require('util');
+
+module.exports = MockAdbServer;
+
+/**
+ * @constant
+ * The version of the adb server protocol reported by "host:version".
+ */
+const DEFAULT_VERSION = 41;
+
+/**
+ * @constant
+ * File mode of a regular file.
+ */
+const S_IFREG = 0o100000;
+
+/**
+ * @constant
+ * File mode of a directory.
+ */
+const S_IFDIR = 0o040000;
+
+/**
+ * @constant
+ * File mode of a symbolic link.
+ */
+const S_IFLNK = 0o120000;
+
+/**
+ * Prefixes a payload with its length as 4 hex digits.
+ * @param {String|Buffer} payload - The payload
+ * @returns {Buffer}
+ */
+function lengthPrefixed(payload) {
+	payload = Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload));
+	return Buffer.concat([ Buffer.from(('0000' + payload.length.toString(16)).slice(-4)), payload ]);
+}
+
+/**
+ * Writes a FAIL response.
+ * @param {net.Socket} socket - The client socket
+ * @param {String} message - The failure message
+ */
+function fail(socket, message) {
+	socket.end(Buffer.concat([ Buffer.from('FAIL'), lengthPrefixed(message) ]));
+}
+
+/**
+ * Normalizes a shell response into a result.
+ * @param {String|Buffer|Object} response - The response
+ * @returns {{stdout: Buffer, stderr: Buffer, exitCode: Number}}
+ */
+function toResult(response) {
+	if (response === null || response === undefined) {
+		response = '';
+	}
+	if (typeof response === 'string' || Buffer.isBuffer(response)) {
+		response = { stdout: response };
+	}
+	const toBuffer = value => (Buffer.isBuffer(value) ? value : Buffer.from(value === undefined || value === null ? '' : String(value)));
+	return {
+		stdout: toBuffer(response.stdout),
+		stderr: toBuffer(response.stderr),
+		exitCode: response.exitCode === undefined ? 0 : response.exitCode
+	};
+}
+
+/**
+ * Creates a MockDevice object. Use {@link MockAdbServer#addDevice} instead of
+ * creating devices directly.
+ * @class
+ * @classdesc A scriptable device or emulator attached to a {@link MockAdbServer}.
+ * @constructor
+ * @param {MockAdbServer} server - The server the device is attached to
+ * @param {String} id - The device's serial number
+ * @param {Object} [opts] - Device options
+ * @param {String} [opts.state="device"] - The device's state such as "device", "offline" or "unauthorized"
+ * @param {Object<String, String>} [opts.props] - The device's properties returned by "getprop"
+ * @param {Array<String>} [opts.features] - The features supported by the device such as "shell_v2"
+ * @param {Object<String, String|Buffer>} [opts.files] - Files on the device keyed by their absolute path
+ * @param {Object<String, String>} [opts.links] - Symbolic links keyed by their absolute path, such as
+ * `{ '/sdcard': '/storage/self/primary' }`
+ * @param {Array<Number>} [opts.jdwp] - The pids of the debuggable processes reported by "track-jdwp"
+ */
+function MockDevice(server, id, opts) {
+	opts || (opts = {});
+	this.server = server;
+	this.id = id;
+	this.state = opts.state || 'device';
+	this.props = Object.assign({}, opts.props);
+	this.features = (opts.features || [ 'shell_v2', 'cmd', 'stat_v2' ]).slice();
+	this.files = {};
+	this.links = Object.assign({}, opts.links);
+	this.handlers = [];
+	this.sessions = {};
+	this.installed = [];
+	this.reverses = {};
+	this.jdwp = (opts.jdwp || []).slice();
+	this.jdwpTrackers = [];
+	this.nextSession = 1000;
+
+	Object.keys(opts.files || {}).forEach(file => this.writeFile(file, opts.files[file]));
+}
+MockAdbServer.MockDevice = MockDevice;
+
+/**
+ * Changes the device's state and notifies "host:track-devices" clients.
+ * @param {String} state - The new state such as "device", "offline" or "unauthorized"
+ * @returns {MockDevice}
+ */
+MockDevice.prototype.setState = function setState(state) {
+	this.state = state;
+	this.server._notifyTrackers();
+	return this;
+};
+
+/**
+ * Changes the debuggable processes and notifies "track-jdwp" clients.
+ * @param {Array<Number>} pids - The pids of the debuggable processes
+ * @returns {MockDevice}
+ */
+MockDevice.prototype.setJdwp = function setJdwp(pids) {
+	this.jdwp = pids.slice();
+	const list = lengthPrefixed(this._jdwpList());
+	this.jdwpTrackers.forEach(socket => socket.write(list));
+	return this;
+};
+
+/**
+ * Returns the pids reported by "track-jdwp".
+ * @returns {String}
+ */
+MockDevice.prototype._jdwpList = function _jdwpList() {
+	return this.jdwp.map(pid => pid + '\n').join('');
+};
+
+/**
+ * Sets a property returned by "getprop".
+ * @param {String} name - The property name
+ * @param {String} value - The property value
+ * @returns {MockDevice}
+ */
+MockDevice.prototype.setProp = function setProp(name, value) {
+	this.props[name] = String(value);
+	return this;
+};
+
+/**
+ * Scripts the response to a shell command. Handlers added later take
+ * precedence, so a test can override an earlier response.
+ * @param {String|RegExp|Function} matcher - The exact command, a pattern or a function returning true for the
+ * commands to respond to
+ * @param {String|Buffer|Object|Function} response - The stdout, an object containing the `stdout`, `stderr` and
+ * `exitCode`, or a function called with the command, stdin and device that returns one of those
+ * @returns {MockDevice}
+ */
+MockDevice.prototype.onShell = function onShell(matcher, response) {
+	this.handlers.unshift({ matcher: matcher, response: response });
+	return this;
+};
+
+/**
+ * Creates or replaces a file on the device.
+ * @param {String} file - The absolute path of the file
+ * @param {String|Buffer} data - The contents
+ * @param {Object} [opts] - File options
+ * @param {Number} [opts.mode=0o644] - The permissions
+ * @param {Date|Number} [opts.mtime] - The modification time as a Date or seconds since the epoch
+ * @returns {MockDevice}
+ */
+MockDevice.prototype.writeFile = function writeFile(file, data, opts) {
+	opts || (opts = {});
+	file = this._resolve(file);
+	const mtime = opts.mtime instanceof Date ? Math.floor(opts.mtime.getTime() / 1000) : opts.mtime;
+	this.files[file] = {
+		data: Buffer.isBuffer(data) ? data : Buffer.from(String(data)),
+		mode: S_IFREG | (opts.mode === undefined ? 0o644 : opts.mode & 0o7777),
+		mtime: mtime === undefined ? Math.floor(Date.now() / 1000) : mtime
+	};
+	return this;
+};
+
+/**
+ * Returns the contents of a file on the device.
+ * @param {String} file - The absolute path of the file
+ * @returns {Buffer|null} The contents or null if the file does not exist
+ */
+MockDevice.prototype.readFile = function readFile(file) {
+	file = this._resolve(file);
+	return this.files[file] ? this.files[file].data : null;
+};
+
+/**
+ * Creates a symbolic link on the device.
+ * @param {String} link - The absolute path of the link
+ * @param {String} target - The absolute path the link points to
+ * @returns {MockDevice}
+ */
+MockDevice.prototype.symlink = function symlink(link, target) {
+	this.links[link.replace(/(.)\/+$/, '$1')] = target;
+	return this;
+};
+
+/**
+ * Follows the symbolic links in a path.
+ * @param {String} file - The absolute path
+ * @returns {String}
+ */
+MockDevice.prototype._resolve = function _resolve(file) {
+	file = file.replace(/(.)\/+$/, '$1');
+	const link = Object.keys(this.links).filter(link => file === link || file.indexOf(link + '/') === 0).shift();
+	return link ? this._resolve(this.links[link] + file.slice(link.length)) : file;
+};
+
+/**
+ * Returns the names of the entries in a directory. Directories exist
+ * implicitly when there are files inside them.
+ * @param {String} dir - The absolute path of the directory
+ * @returns {Array<String>|null} The entries or null if the directory does not exist
+ */
+MockDevice.prototype._readdir = function _readdir(dir) {
+	const prefix = this._resolve(dir).replace(/\/+$/, '') + '/';
+	const entries = [];
+	let exists = prefix === '/';
+	Object.keys(this.files).concat(Object.keys(this.links)).forEach(function (file) {
+		if (file.indexOf(prefix) === 0) {
+			exists = true;
+			const name = file.slice(prefix.length).split('/')[0];
+			entries.indexOf(name) === -1 && entries.push(name);
+		}
+	});
+	return exists ? entries : null;
+};
+
+/**
+ * Returns the mode, size and mtime of a file or directory without following
+ * a symbolic link at the end of the path, like lstat(). A trailing slash
+ * follows the link and only matches directories.
+ * @param {String} file - The absolute path
+ * @returns {{mode: Number, size: Number, mtime: Number}|null}
+ */
+MockDevice.prototype._stat = function _stat(file) {
+	const dirOnly = /.\/$/.test(file);
+	file = file.replace(/(.)\/+$/, '$1');
+	if (!dirOnly) {
+		// only the parent directory is resolved, so a link at the end of the path is reported as a link
+		const slash = file.lastIndexOf('/');
+		const link = (slash > 0 ? this._resolve(file.slice(0, slash)) : '') + file.slice(slash);
+		if (this.links[link] !== undefined) {
+			return { mode: S_IFLNK | 0o777, size: Buffer.byteLength(this.links[link]), mtime: 0 };
+		}
+	}
+	file = this._resolve(file);
+	if (this.files[file]) {
+		return dirOnly ? null : { mode: this.files[file].mode, size: this.files[file].data.length, mtime: this.files[file].mtime };
+	}
+	return this._readdir(file) ? { mode: S_IFDIR | 0o755, size: 4096, mtime: 0 } : null;
+};
+
+/**
+ * Runs a shell command using the scripted responses, falling back to the
+ * built-in commands.
+ * @param {String} cmd - The command
+ * @param {Buffer} [stdin] - The data written to the command's stdin
+ * @returns {{stdout: Buffer, stderr: Buffer, exitCode: Number}}
+ */
+MockDevice.prototype.run = function run(cmd, stdin) {
+	stdin || (stdin = Buffer.alloc(0));
+	this.server.emit('shell', this, cmd);
+
+	for (const handler of this.handlers) {
+		const m = handler.matcher;
+		const matches = typeof m === 'function' ? m(cmd) : m instanceof RegExp ? m.test(cmd) : m === cmd;
+		if (matches) {
+			const response = typeof handler.response === 'function' ? handler.response(cmd, stdin, this) : handler.response;
+			return toResult(response);
+		}
+	}
+
+	return toResult(this._builtin(cmd, stdin));
+};
+
+/**
+ * The commands every mock device understands: getprop, rm and just enough of
+ * the package manager to install apps.
+ * @param {String} cmd - The command
+ * @param {Buffer} stdin - The data written to the command's stdin
+ * @returns {String|Object}
+ */
+MockDevice.prototype._builtin = function _builtin(cmd, stdin) {
+	const args = cmd.trim().split(/\s+/);
+	let m;
+
+	if (args[0] === 'getprop') {
+		if (args[1]) {
+			return (this.props[args[1]] || '') + '\n';
+		}
+		return Object.keys(this.props).sort().map(key => '[' + key + ']: [' + this.props[key] + ']\n').join('');
+	}
+
+	if (args[0] === 'rm') {
+		args.slice(1).filter(arg => arg[0] !== '-').forEach(file => delete this.files[file]);
+		return '';
+	}
+
+	if (args[0] === 'echo') {
+		return args.slice(1).join(' ') + '\n';
+	}
+
+	if (/^(cmd package|pm) install(\s|$)/.test(cmd)) {
+		const file = args[args.length - 1];
+		if (!this.files[file]) {
+			return { stdout: 'Failure [INSTALL_FAILED_INVALID_URI]\n', exitCode: 1 };
+		}
+		this.installed.push({ flags: args.slice(2, -1), files: [ { name: file, size: this.files[file].data.length } ] });
+		return 'Success\n';
+	}
+
+	if (/^(cmd package|pm) install-create/.test(cmd)) {
+		const session = this.nextSession++;
+		this.sessions[session] = { flags: args.slice(2), files: [] };
+		return 'Success: created install session [' + session + ']\n';
+	}
+
+	if ((m = cmd.match(/^(?:cmd package|pm) install-write -S (\d+) (\d+) (\S+) (\S+)/))) {
+		const session = this.sessions[m[2]];
+		if (!session) {
+			return { stdout: 'Failure [java.lang.SecurityException: Session ' + m[2] + ' does not exist]\n', exitCode: 1 };
+		}
+		const size = m[4] === '-' ? stdin.length : this.files[m[4]] ? this.files[m[4]].data.length : -1;
+		if (size !== parseInt(m[1])) {
+			return { stdout: 'Failure [java.io.IOException: Expected ' + m[1] + ' bytes]\n', exitCode: 1 };
+		}
+		session.files.push({ name: m[3], size: size });
+		return 'Success: streamed ' + size + ' bytes\n';
+	}
+
+	if ((m = cmd.match(/^(?:cmd package|pm) install-(commit|abandon) (\d+)/))) {
+		const session = this.sessions[m[2]];
+		if (!session) {
+			return { stdout: 'Failure [java.lang.SecurityException: Session ' + m[2] + ' does not exist]\n', exitCode: 1 };
+		}
+		delete this.sessions[m[2]];
+		m[1] === 'commit' && this.installed.push(session);
+		return 'Success\n';
+	}
+
+	return { stderr: '/system/bin/sh: ' + args[0] + ': not found\n', exitCode: 127 };
+};
+
+/**
+ * Creates a MockAdbServer object.
+ * @class
+ * @extends EventEmitter
+ * @classdesc A mock ADB server that the ADB library can connect to. Emits a
+ * "request" event with each service requested and the device it was requested
+ * for, and a "shell" event with the device and command for every shell command.
+ * @constructor
+ * @param {Object} [opts] - Server options
+ * @param {Number} [opts.version=41] - The adb server version to report
+ */
+function MockAdbServer(opts) {
+	events.EventEmitter.call(this);
+	this.version = opts && opts.version || DEFAULT_VERSION;
+	this.devices = {};
+	this.forwards = [];
+	this.port = null;
+	this.nextPort = 40000;
+	this.network = {};
+	this.trackers = [];
+	this.sockets = [];
+	this.server = net.createServer(socket => this._accept(socket));
+}
+util.inherits(MockAdbServer, events.EventEmitter);
+
+/**
+ * Starts listening for connections on the loopback interface.
+ * @param {Number} [port=0] - The port to listen on; 0 picks a free port
+ * @param {Function} [callback] - A function to call with the port once listening
+ * @returns {Promise<Number>|undefined} Resolves the port when no callback is specified
+ */
+MockAdbServer.prototype.listen = function listen(port, callback) {
+	if (typeof port === 'function') {
+		callback = port;
+		port = 0;
+	}
+	const start = done => {
+		this.server.once('error', done);
+		this.server.listen(port || 0, '127.0.0.1', () => {
+			this.server.removeListener('error', done);
+			this.port = this.server.address().port;
+			done(null, this.port);
+		});
+	};
+	if (typeof callback === 'function') {
+		return start(callback);
+	}
+	return new Promise((resolve, reject) => start((err, port) => (err ? reject(err) : resolve(port))));
+};
+
+/**
+ * Stops the server and disconnects every client.
+ * @param {Function} [callback] - A function to call once the server has stopped
+ * @returns {Promise|undefined} Resolves once stopped when no callback is specified
+ */
+MockAdbServer.prototype.close = function close(callback) {
+	const stop = done => {
+		this.sockets.forEach(socket => socket.destroy());
+		this.sockets = [];
+		this.trackers = [];
+		this.server.listening ? this.server.close(() => done()) : done();
+	};
+	if (typeof callback === 'function') {
+		return stop(callback);
+	}
+	return new Promise(resolve => stop(resolve));
+};
+
+/**
+ * Returns a CLI config object that points the ADB library at this server.
+ * @param {Object} [values] - Additional config values
+ * @returns {Config}
+ */
+MockAdbServer.prototype.createConfig = function createConfig(values) {
+	const settings = Object.assign({ 'android.adb.port': this.port }, values);
+	return {
+		get: function (key, defaultValue) {
+			return Object.prototype.hasOwnProperty.call(settings, key) ? settings[key] : defaultValue;
+		}
+	};
+};
+
+/**
+ * Attaches a device and notifies "host:track-devices" clients.
+ * @param {String} id - The device's serial number
+ * @param {Object} [opts] - Device options; see {@link MockDevice}
+ * @returns {MockDevice}
+ */
+MockAdbServer.prototype.addDevice = function addDevice(id, opts) {
+	const device = this.devices[id] = new MockDevice(this, id, opts);
+	this._notifyTrackers();
+	return device;
+};
+
+/**
+ * Detaches a device and notifies "host:track-devices" clients.
+ * @param {String} id - The device's serial number
+ */
+MockAdbServer.prototype.removeDevice = function removeDevice(id) {
+	delete this.devices[id];
+	this.forwards = this.forwards.filter(fwd => fwd.id !== id);
+	this._notifyTrackers();
+};
+
+/**
+ * Returns an attached device.
+ * @param {String} id - The device's serial number
+ * @returns {MockDevice|null}
+ */
+MockAdbServer.prototype.getDevice = function getDevice(id) {
+	return this.devices[id] || null;
+};
+
+/**
+ * Makes a device reachable over the network so that it can be paired with and
+ * connected to. The device isn't attached until a client connects to it.
+ * @param {String} address - The address clients connect to, such as "192.168.1.5:5555"
+ * @param {Object} [opts] - Device options; see {@link MockDevice}
+ * @param {String} [opts.pairingCode] - The code required to pair with the device
+ * @param {String} [opts.pairingAddress] - The address clients pair with; defaults to the connect address
+ * @param {String} [opts.name] - The name the device advertises using mDNS
+ */
+MockAdbServer.prototype.addNetworkDevice = function addNetworkDevice(address, opts) {
+	this.network[address] = Object.assign({ paired: !opts || !opts.pairingCode }, opts);
+};
+
+/**
+ * Handles the wireless debugging host services.
+ * @param {net.Socket} socket - The client socket
+ * @param {String} request - The request such as "connect:192.168.1.5:5555"
+ */
+MockAdbServer.prototype._network = function _network(socket, request) {
+	const reply = message => socket.end(Buffer.concat([ Buffer.from('OKAY'), lengthPrefixed(message) ]));
+	const addresses = Object.keys(this.network);
+	let m;
+
+	if ((m = request.match(/^pair:([^:]+):(.+)$/))) {
+		const address = addresses.filter(a => (this.network[a].pairingAddress || a) === m[2])[0];
+		if (address && this.network[address].pairingCode === m[1]) {
+			this.network[address].paired = true;
+			reply('Successfully paired to ' + m[2] + ' [guid=adb-' + address.replace(/\W/g, '') + ']');
+		} else {
+			reply('Failed: Wrong password or connection was dropped.');
+		}
+	} else if ((m = request.match(/^connect:(.+)$/))) {
+		const address = m[1];
+		if (this.devices[address]) {
+			reply('already connected to ' + address);
+		} else if (!this.network[address] || !this.network[address].paired) {
+			reply('failed to connect to \'' + address + '\': Connection refused');
+		} else {
+			this.addDevice(address, this.network[address]);
+			reply('connected to ' + address);
+		}
+	} else if ((m = request.match(/^disconnect:(.*)$/))) {
+		if (m[1] && !this.devices[m[1]]) {
+			fail(socket, 'no such device \'' + m[1] + '\'');
+		} else {
+			(m[1] ? [ m[1] ] : addresses.filter(a => this.devices[a])).forEach(address => this.removeDevice(address));
+			reply(m[1] ? 'disconnected ' + m[1] : 'disconnected everything');
+		}
+	} else {
+		// mdns:services
+		reply(addresses.filter(a => this.network[a].name).map(a => {
+			const device = this.network[a];
+			return device.paired
+				? device.name + '\t_adb-tls-connect._tcp.\t' + a + '\n'
+				: device.name + '\t_adb-tls-pairing._tcp.\t' + (device.pairingAddress || a) + '\n';
+		}).join(''));
+	}
+};
+
+/**
+ * Formats the device list the way "host:devices" does.
+ * @returns {String}
+ */
+MockAdbServer.prototype._deviceList = function _deviceList() {
+	return Object.keys(this.devices).map(id => id + '\t' + this.devices[id].state + '\n').join('');
+};
+
+/**
+ * Sends the device list to every "host:track-devices" client.
+ */
+MockAdbServer.prototype._notifyTrackers = function _notifyTrackers() {
+	const list = lengthPrefixed(this._deviceList());
+	this.trackers.forEach(socket => socket.write(list));
+};
+
+/**
+ * Reads requests from a newly connected client.
+ * @param {net.Socket} socket - The client socket
+ */
+MockAdbServer.prototype._accept = function _accept(socket) {
+	let buffer = Buffer.alloc(0);
+	let device = null;
+	const conn = { socket: socket, handler: null };
+
+	this.sockets.push(socket);
+	socket.on('close', () => {
+		this.sockets = this.sockets.filter(s => s !== socket);
+		this.trackers = this.trackers.filter(s => s !== socket);
+	});
+	socket.on('error', () => {});
+
+	socket.on('data', data => {
+		buffer = Buffer.concat([ buffer, data ]);
+		while (buffer.length) {
+			// once a device service has been opened, it owns the rest of the data
+			if (conn.handler) {
+				const rest = buffer;
+				buffer = Buffer.alloc(0);
+				return conn.handler(rest);
+			}
+			if (buffer.length < 4) {
+				return;
+			}
+			const len = parseInt(buffer.slice(0, 4).toString(), 16);
+			if (isNaN(len) || buffer.length < 4 + len) {
+				return;
+			}
+			const service = buffer.slice(4, 4 + len).toString();
+			buffer = buffer.slice(4 + len);
+
+			this.emit('request', service, device ? device.id : null);
+			if (device) {
+				this._deviceService(conn, device, service);
+			} else {
+				device = this._hostService(socket, service);
+			}
+		}
+	});
+};
+
+/**
+ * Finds the device a request is for and fails the request if it isn't ready.
+ * @param {net.Socket} socket - The client socket
+ * @param {String} id - The device's serial number or null for any device
+ * @returns {MockDevice|null}
+ */
+MockAdbServer.prototype._findDevice = function _findDevice(socket, id) {
+	const ids = id ? [ id ] : Object.keys(this.devices);
+	const device = this.devices[ids[0]];
+	if (!device) {
+		fail(socket, id ? 'device \'' + id + '\' not found' : 'no devices/emulators found');
+	} else if (!id && ids.length > 1) {
+		fail(socket, 'more than one device/emulator');
+	} else if (device.state !== 'device') {
+		fail(socket, 'device ' + device.state);
+	} else {
+		return device;
+	}
+	return null;
+};
+
+/**
+ * Handles a host service.
+ * @param {net.Socket} socket - The client socket
+ * @param {String} service - The requested service
+ * @returns {MockDevice|null} The device when switching to a device's transport
+ */
+MockAdbServer.prototype._hostService = function _hostService(socket, service) {
+	let m;
+
+	if (service === 'host:version') {
+		socket.write(Buffer.concat([ Buffer.from('OKAY'), lengthPrefixed(('0000' + this.version.toString(16)).slice(-4)) ]));
+	} else if (service === 'host:devices' || service === 'host:devices-l') {
+		socket.write(Buffer.concat([ Buffer.from('OKAY'), lengthPrefixed(this._deviceList()) ]));
+	} else if (service === 'host:track-devices') {
+		socket.write(Buffer.concat([ Buffer.from('OKAY'), lengthPrefixed(this._deviceList()) ]));
+		this.trackers.push(socket);
+	} else if (service === 'host:kill') {
+		socket.end('OKAY');
+		this.close();
+	} else if ((m = service.match(/^host:transport(?::(.+)|-any)$/))) {
+		const device = this._findDevice(socket, m[1]);
+		device && socket.write('OKAY');
+		return device;
+	} else if ((m = service.match(/^host:(pair:.+|connect:.+|disconnect:.*|mdns:services)$/))) {
+		this._network(socket, m[1]);
+	} else if (service === 'host:list-forward') {
+		socket.end(Buffer.concat([ Buffer.from('OKAY'), lengthPrefixed(this.forwards.map(fwd => fwd.id + ' ' + fwd.local + ' ' + fwd.remote + '\n').join('')) ]));
+	} else if ((m = service.match(/^host-serial:(.+?):(features|get-state|get-serialno|forward:.*|killforward:.*|killforward-all)$/))) {
+		const device = this._findDevice(socket, m[1]);
+		if (!device) {
+			return null;
+		}
+		const request = m[2];
+		if (request === 'features') {
+			socket.end(Buffer.concat([ Buffer.from('OKAY'), lengthPrefixed(device.features.join(',')) ]));
+		} else if (request === 'get-state') {
+			socket.end(Buffer.concat([ Buffer.from('OKAY'), lengthPrefixed(device.state) ]));
+		} else if (request === 'get-serialno') {
+			socket.end(Buffer.concat([ Buffer.from('OKAY'), lengthPrefixed(device.id) ]));
+		} else if (request === 'killforward-all') {
+			this.forwards = [];
+			socket.end('OKAY');
+		} else if ((m = request.match(/^killforward:(.+)$/))) {
+			const count = this.forwards.length;
+			this.forwards = this.forwards.filter(fwd => fwd.local !== m[1]);
+			socket.end(count === this.forwards.length ? Buffer.concat([ Buffer.from('OKAYFAIL'), lengthPrefixed('listener \'' + m[1] + '\' not found') ]) : 'OKAYOKAY');
+		} else {
+			m = request.match(/^forward:(norebind:)?([^;]+);(.+)$/);
+			this._forward(socket, this.forwards, device.id, m[2], m[3], !!m[1], fwd => fwd.local);
+		}
+	} else {
+		fail(socket, 'unknown host service');
+	}
+	return null;
+};
+
+/**
+ * Creates or rebinds a forward or reverse forward.
+ * @param {net.Socket} socket - The client socket
+ * @param {Array<Object>} list - The forwards to add to
+ * @param {String} id - The device's serial number
+ * @param {String} local - The socket being listened on
+ * @param {String} remote - The socket connections are forwarded to
+ * @param {Boolean} noRebind - Fails if the local socket is already forwarded
+ * @param {Function} key - Returns the listening socket of an existing forward
+ * @param {String} [prefix="OKAY"] - Data to send before the status, such as the host's OKAY
+ */
+MockAdbServer.prototype._forward = function _forward(socket, list, id, local, remote, noRebind, key, prefix) {
+	prefix = prefix === undefined ? 'OKAY' : prefix;
+	let port = null;
+	if (local === 'tcp:0') {
+		port = this.nextPort++;
+		local = 'tcp:' + port;
+	}
+	const existing = list.filter(fwd => key(fwd) === local)[0];
+	if (existing && noRebind) {
+		socket.end(Buffer.concat([ Buffer.from(prefix + 'FAIL'), lengthPrefixed('cannot rebind existing socket') ]));
+		return;
+	}
+	if (existing) {
+		existing.remote = remote;
+	} else {
+		list.push({ id: id, local: local, remote: remote });
+	}
+	socket.end(Buffer.concat([ Buffer.from(prefix + 'OKAY'), port ? lengthPrefixed(String(port)) : Buffer.alloc(0) ]));
+};
+
+/**
+ * Handles a service on a device's transport.
+ * @param {Object} conn - The connection state
+ * @param {MockDevice} device - The device
+ * @param {String} service - The requested service
+ */
+MockAdbServer.prototype._deviceService = function _deviceService(conn, device, service) {
+	const socket = conn.socket;
+	let m;
+
+	if ((m = service.match(/^shell,v2(?:,[^:]*)?:([\s\S]*)$/)) && device.features.indexOf('shell_v2') !== -1) {
+		socket.write('OKAY');
+		const cmd = m[1];
+		const stdin = [];
+		let pending = Buffer.alloc(0);
+		// the command runs once the client closes stdin
+		conn.handler = data => {
+			pending = Buffer.concat([ pending, data ]);
+			while (pending.length >= 5) {
+				const id = pending.readUInt8(0);
+				const len = pending.readUInt32LE(1);
+				if (pending.length < 5 + len) {
+					return;
+				}
+				const payload = pending.slice(5, 5 + len);
+				pending = pending.slice(5 + len);
+				if (id === shellLib.PACKETS.STDIN) {
+					stdin.push(payload);
+				} else if (id === shellLib.PACKETS.CLOSE_STDIN) {
+					const result = device.run(cmd, Buffer.concat(stdin));
+					socket.end(Buffer.concat([
+						result.stdout.length ? shellLib.encode(shellLib.PACKETS.STDOUT, result.stdout) : Buffer.alloc(0),
+						result.stderr.length ? shellLib.encode(shellLib.PACKETS.STDERR, result.stderr) : Buffer.alloc(0),
+						shellLib.encode(shellLib.PACKETS.EXIT, Buffer.from([ result.exitCode & 0xff ]))
+					]));
+				}
+			}
+		};
+	} else if ((m = service.match(/^shell:([\s\S]*)$/))) {
+		// the legacy shell runs in a pty which merges stderr into stdout and converts \n to \r\n
+		socket.write('OKAY');
+		const parts = m[1].split('\necho ' + shellLib.EXIT_MARKER + '$?');
+		const result = device.run(parts[0]);
+		let output = Buffer.concat([ result.stdout, result.stderr ]).toString('latin1');
+		if (parts.length > 1) {
+			output += shellLib.EXIT_MARKER + result.exitCode + '\n';
+		}
+		socket.end(Buffer.from(output.replace(/\r?\n/g, '\r\n'), 'latin1'));
+	} else if ((m = service.match(/^exec:([\s\S]*)$/))) {
+		socket.write('OKAY');
+		const cmd = m[1];
+		// exec can't signal the end of stdin, so commands that read it declare how much they expect
+		const size = (m = cmd.match(/ -S (\d+) .* -$/)) ? parseInt(m[1]) : 0;
+		let stdin = Buffer.alloc(0);
+		const run = () => {
+			const result = device.run(cmd, stdin);
+			socket.end(Buffer.concat([ result.stdout, result.stderr ]));
+		};
+		if (size) {
+			conn.handler = data => {
+				stdin = Buffer.concat([ stdin, data ]);
+				stdin.length >= size && run();
+			};
+		} else {
+			run();
+		}
+	} else if (service === 'sync:') {
+		socket.write('OKAY');
+		this._sync(conn, device);
+	} else if ((m = service.match(/^reverse:(.*)$/))) {
+		this._reverse(socket, device, m[1]);
+	} else if (service === 'track-jdwp') {
+		socket.write(Buffer.concat([ Buffer.from('OKAY'), lengthPrefixed(device._jdwpList()) ]));
+		device.jdwpTrackers.push(socket);
+		socket.on('close', () => (device.jdwpTrackers = device.jdwpTrackers.filter(s => s !== socket)));
+	} else {
+		fail(socket, 'closed');
+	}
+};
+
+/**
+ * Handles a reverse forward request on a device's transport.
+ * @param {net.Socket} socket - The client socket
+ * @param {MockDevice} device - The device
+ * @param {String} request - The request such as "forward:tcp:8081;tcp:8081" or "list-forward"
+ */
+MockAdbServer.prototype._reverse = function _reverse(socket, device, request) {
+	const list = Object.keys(device.reverses).map(remote => device.reverses[remote]);
+	let m;
+
+	if (request === 'list-forward') {
+		socket.end(Buffer.concat([ Buffer.from('OKAYOKAY'), lengthPrefixed(list.map(r => 'host ' + r.local + ' ' + r.remote + '\n').join('')) ]));
+	} else if (request === 'killforward-all') {
+		device.reverses = {};
+		socket.end('OKAYOKAY');
+	} else if ((m = request.match(/^killforward:(.+)$/))) {
+		if (!device.reverses[m[1]]) {
+			socket.end(Buffer.concat([ Buffer.from('OKAYFAIL'), lengthPrefixed('listener \'' + m[1] + '\' not found') ]));
+			return;
+		}
+		delete device.reverses[m[1]];
+		socket.end('OKAYOKAY');
+	} else if ((m = request.match(/^forward:(norebind:)?([^;]+);(.+)$/))) {
+		// the device side of a reverse forward listens on the device and connects to the host
+		this._forward(socket, list, device.id, m[2], m[3], !!m[1], r => r.local, 'OKAY');
+		device.reverses = {};
+		list.forEach(r => (device.reverses[r.local] = r));
+	} else {
+		fail(socket, 'unknown reverse request');
+	}
+};
+
+/**
+ * Speaks the sync protocol on a device's transport.
+ * @param {Object} conn - The connection state
+ * @param {MockDevice} device - The device
+ */
+MockAdbServer.prototype._sync = function _sync(conn, device) {
+	const socket = conn.socket;
+	let buffer = Buffer.alloc(0);
+	let sending = null;
+
+	function reply(id, value, payload) {
+		const header = Buffer.alloc(8);
+		header.write(id, 0, 4, 'ascii');
+		header.writeUInt32LE(value, 4);
+		socket.write(payload ? Buffer.concat([ header, payload ]) : header);
+	}
+
+	function failure(message) {
+		const msg = Buffer.from(message);
+		reply('FAIL', msg.length, msg);
+	}
+
+	conn.handler = data => {
+		buffer = Buffer.concat([ buffer, data ]);
+		while (buffer.length >= 8) {
+			const id = buffer.toString('ascii', 0, 4);
+			const len = buffer.readUInt32LE(4);
+
+			if (id === 'DONE' || id === 'QUIT') {
+				buffer = buffer.slice(8);
+				if (id === 'QUIT') {
+					return socket.end();
+				}
+				device.writeFile(sending.path, Buffer.concat(sending.chunks), { mode: sending.mode, mtime: len });
+				sending = null;
+				reply('OKAY', 0);
+				continue;
+			}
+			if (buffer.length < 8 + len) {
+				return;
+			}
+			const payload = buffer.slice(8, 8 + len);
+			buffer = buffer.slice(8 + len);
+
+			if (id === 'STAT') {
+				const stat = device._stat(payload.toString()) || { mode: 0, size: 0, mtime: 0 };
+				const res = Buffer.alloc(16);
+				res.write('STAT', 0, 4, 'ascii');
+				res.writeUInt32LE(stat.mode, 4);
+				res.writeUInt32LE(stat.size, 8);
+				res.writeUInt32LE(stat.mtime, 12);
+				socket.write(res);
+			} else if (id === 'STA2' && device.features.indexOf('stat_v2') !== -1) {
+				// unlike STAT, follows symbolic links and reports a missing file with ENOENT
+				const stat = device._stat(device._resolve(payload.toString()));
+				const res = Buffer.alloc(72);
+				res.write('STA2', 0, 4, 'ascii');
+				if (stat) {
+					res.writeUInt32LE(stat.mode, 24);
+					res.writeUInt32LE(stat.size, 40);
+					res.writeUInt32LE(stat.mtime, 56);
+				} else {
+					res.writeUInt32LE(2, 4);
+				}
+				socket.write(res);
+			} else if (id === 'LIST') {
+				const dir = payload.toString();
+				(device._readdir(dir) || []).forEach(function (name) {
+					const stat = device._stat(dir.replace(/\/+$/, '') + '/' + name);
+					const dent = Buffer.alloc(20 + Buffer.byteLength(name));
+					dent.write('DENT', 0, 4, 'ascii');
+					dent.writeUInt32LE(stat.mode, 4);
+					dent.writeUInt32LE(stat.size, 8);
+					dent.writeUInt32LE(stat.mtime, 12);
+					dent.writeUInt32LE(Buffer.byteLength(name), 16);
+					dent.write(name, 20);
+					socket.write(dent);
+				});
+				const done = Buffer.alloc(20);
+				done.write('DONE', 0, 4, 'ascii');
+				socket.write(done);
+			} else if (id === 'RECV') {
+				const file = device.files[device._resolve(payload.toString())];
+				if (!file) {
+					failure('No such file or directory');
+				} else {
+					for (let offset = 0; offset < file.data.length; offset += 64 * 1024) {
+						const chunk = file.data.slice(offset, offset + 64 * 1024);
+						reply('DATA', chunk.length, chunk);
+					}
+					reply('DONE', 0);
+				}
+			} else if (id === 'SEND') {
+				const spec = payload.toString();
+				const comma = spec.lastIndexOf(',');
+				sending = { path: spec.slice(0, comma), mode: parseInt(spec.slice(comma + 1)), chunks: [] };
+			} else if (id === 'DATA') {
+				sending && sending.chunks.push(payload);
+			} else {
+				failure('unknown sync request ' + id);
+			}
+		}
+	};
+};
@@ -0,0 +1,308 @@
+/**
+ * Runs ADB operations on several devices and emulators at once.
+ *
+ * @module adb/multi-device
+ *
+ * @copyright
+ * Copyright (c) 2009-2017 by Appcelerator, Inc. All Rights Reserved.
+ *
+ * @license
+ * Licensed under the terms of the Apache Public License
+ * Please see the LICENSE included with this distribution for details.
+ */
+'use strict';
+
+const appc = require('node-appc');
+const __ = appc.i18n(__dirname).__;
+const async = require('async');
+const ADBError = require('./errors').ADBError;
+const callbackOrPromise = require('./util').callbackOrPromise;
+
+module.exports = MultiDevice;
+
+/**
+ * @constant
+ * How many devices to run an operation on at the same time by default.
+ */
+const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Determines if a device is an emulator.
+ * @param {Object} device - The device info from `adb.devices()`
+ * @returns {Boolean}
+ */
+function isEmulator(device) {
+	return !!device.emulator || device.transport === 'emulator';
+}
+
+/**
+ * Creates a function that tests if a device matches a selector.
+ * @param {MultiDevice~Selector} selector - The selector
+ * @returns {Function}
+ */
+function createFilter(selector) {
+	if (typeof selector === 'function') {
+		return selector;
+	}
+	if (!selector || selector === 'all') {
+		return () => true;
+	}
+	if (selector === 'emulators') {
+		return isEmulator;
+	}
+	if (selector === 'devices') {
+		return device => !isEmulator(device);
+	}
+	if (typeof selector === 'string' || Array.isArray(selector)) {
+		const ids = [].concat(selector);
+		return device => ids.indexOf(device.id) !== -1;
+	}
+
+	return function (device) {
+		if (selector.ids && selector.ids.indexOf(device.id) === -1) {
+			return false;
+		}
+		if (selector.emulators !== undefined && isEmulator(device) !== !!selector.emulators) {
+			return false;
+		}
+		if (selector.abi && (!Array.isArray(device.abi) || device.abi.indexOf(selector.abi) === -1)) {
+			return false;
+		}
+		if (selector.minApiLevel && !(parseInt(device.sdk) >= selector.minApiLevel)) {
+			return false;
+		}
+		return true;
+	};
+}
+
+/**
+ * Returns the tag used to prefix the log messages of a device.
+ * @param {Object} device - The device info
+ * @returns {String}
+ */
+function tagFor(device) {
+	return '[' + device.id + (device.model ? ' ' + device.model : '') + ']';
+}
+
+/**
+ * Wraps a logger so that every message is prefixed with the device's tag.
+ * This keeps the interleaved output of several devices readable.
+ * @param {Object} logger - The logger
+ * @param {String} tag - The device's tag
+ * @returns {Object}
+ */
+function taggedLogger(logger, tag) {
+	const tagged = {};
+	[ 'trace', 'debug', 'info', 'log', 'warn', 'error' ].forEach(function (level) {
+		if (typeof logger[level] === 'function') {
+			tagged[level] = function (msg) {
+				const args = Array.prototype.slice.call(arguments, 1);
+				logger[level].apply(logger, [ tag + ' ' + msg ].concat(args));
+			};
+		}
+	});
+	return tagged;
+}
+
+/**
+ * Creates a MultiDevice object.
+ * @class
+ * @classdesc Runs install, start, stop and logcat on every device or emulator
+ * matching a selector. Operations run on a bounded number of devices at a time
+ * and report a result for each device rather than failing as a whole, so one
+ * broken device doesn't prevent the others from being used.
+ * @constructor
+ * @param {ADB} adb - The ADB instance
+ * @param {MultiDevice~Selector} [selector="all"] - Which devices to run operations on
+ * @param {Object} [opts] - Options
+ * @param {Number} [opts.concurrency=4] - How many devices to run an operation on at the same time
+ * @param {Object} [opts.logger] - A logger instance; messages are prefixed with the device they're about
+ */
+function MultiDevice(adb, selector, opts) {
+	this.adb = adb;
+	this.selector = selector || 'all';
+	this.concurrency = opts && opts.concurrency || DEFAULT_CONCURRENCY;
+	this.logger = opts && opts.logger || null;
+}
+
+/**
+ * Returns the devices and emulators matching the selector. Only devices that
+ * are online are selected; offline and unauthorized devices are skipped.
+ * @param {MultiDevice~devicesCallback} [callback] - A function that is called with the devices
+ * @returns {Promise<Array<Object>>|undefined} Resolves the devices when no callback is specified
+ */
+MultiDevice.prototype.devices = function devices(callback) {
+	return callbackOrPromise(callback, callback => {
+		const filter = createFilter(this.selector);
+		this.adb.devices(function (err, devices) {
+			callback(err, err ? undefined : devices.filter(device => device.state === 'device' && filter(device)));
+		});
+	});
+};
+
+/**
+ * Runs an operation on every selected device with bounded concurrency.
+ * @param {String} what - A description of the operation for log messages
+ * @param {Function} operation - A function called with the device, its logger and a callback
+ * @param {MultiDevice~resultsCallback} callback - A function that is called with the results
+ */
+MultiDevice.prototype._run = function _run(what, operation, callback) {
+	this.devices((err, devices) => {
+		if (err) {
+			return callback(err);
+		}
+		if (!devices.length) {
+			return callback(new ADBError(__('No devices match the selector')));
+		}
+
+		async.mapLimit(devices, this.concurrency, (device, next) => {
+			const logger = this.logger && taggedLogger(this.logger, tagFor(device));
+			logger && logger.debug(what);
+			operation(device, logger, function (err, result) {
+				if (err) {
+					logger && logger.error(err.message || String(err));
+				}
+				next(null, { device: device, error: err || null, result: err ? undefined : result });
+			});
+		}, callback);
+	});
+};
+
+/**
+ * Installs an app on every selected device.
+ * @param {String|Array<String>} apkFile - The application apk file or the base and split apk files to install
+ * @param {Object} [opts] - Install options; see `ADB.installApp()`
+ * @param {MultiDevice~resultsCallback} [callback] - A function that is called with the results
+ * @returns {Promise<Array<MultiDevice~Result>>|undefined} Resolves the results when no callback is specified
+ */
+MultiDevice.prototype.installApp = function installApp(apkFile, opts, callback) {
+	if (typeof opts === 'function') {
+		callback = opts;
+		opts = {};
+	}
+
+	return callbackOrPromise(callback, callback => {
+		this._run(__('Installing %s', [].concat(apkFile).join(', ')), (device, logger, next) => {
+			this.adb.installApp(device.id, apkFile, Object.assign({}, opts, logger && { logger: logger }), next);
+		}, callback);
+	});
+};
+
+/**
+ * Starts an app on every selected device.
+ * @param {String} appid - The application's id
+ * @param {String} activity - The name of the activity to run
+ * @param {MultiDevice~resultsCallback} [callback] - A function that is called with the results
+ * @returns {Promise<Array<MultiDevice~Result>>|undefined} Resolves the results when no callback is specified
+ */
+MultiDevice.prototype.startApp = function startApp(appid, activity, callback) {
+	return callbackOrPromise(callback, callback => {
+		this._run(__('Starting %s', appid), (device, logger, next) => {
+			this.adb.startApp(device.id, appid, activity, next);
+		}, callback);
+	});
+};
+
+/**
+ * Stops an app on every selected device.
+ * @param {String} appid - The application's id
+ * @param {MultiDevice~resultsCallback} [callback] - A function that is called with the results
+ * @returns {Promise<Array<MultiDevice~Result>>|undefined} Resolves the results when no callback is specified
+ */
+MultiDevice.prototype.stopApp = function stopApp(appid, callback) {
+	return callbackOrPromise(callback, callback => {
+		this._run(__('Stopping %s', appid), (device, logger, next) => {
+			this.adb.stopApp(device.id, appid, next);
+		}, callback);
+	});
+};
+
+/**
+ * Streams logcat from every selected device into a single handler. Unlike the
+ * other operations, logcat runs on every device at once regardless of the
+ * concurrency since it doesn't end by itself.
+ * @param {Object} [opts] - Logcat options; see `ADB.logcat()`
+ * @param {MultiDevice~logcatHandler} handler - A function to call with each entry and the device it came from
+ * @param {MultiDevice~resultsCallback} [callback] - A function that is called once logcat has ended on every device
+ * @returns {ADB~LogcatHandle} A handle to stop logcat on every device; when no callback is specified, the handle
+ * is also a Promise that resolves the results
+ */
+MultiDevice.prototype.logcat = function logcat(opts, handler, callback) {
+	if (typeof opts === 'function') {
+		callback = handler;
+		handler = opts;
+		opts = {};
+	}
+
+	const handles = [];
+	let stopped = false;
+
+	const handle = callbackOrPromise(callback, callback => {
+		this.devices((err, devices) => {
+			if (err) {
+				return callback(err);
+			}
+			if (stopped) {
+				return callback(null, []);
+			}
+
+			async.map(devices, (device, next) => {
+				const tag = tagFor(device);
+				handles.push(this.adb.logcat(device.id, opts, function (entry) {
+					handler(entry, device, tag);
+				}, function (err) {
+					next(null, { device: device, error: err || null });
+				}));
+			}, callback);
+		});
+	}) || {};
+
+	handle.stop = function stop() {
+		stopped = true;
+		handles.forEach(h => h.stop());
+	};
+
+	return handle;
+};
+
+/**
+ * Which devices to run operations on: "all", "emulators", "devices" for
+ * physical devices only, a device id or array of ids, a function that is
+ * called with each device's info and returns true to select it, or an object
+ * with any of the following criteria.
+ * @typedef {String|Array<String>|Function|Object} MultiDevice~Selector
+ * @property {Array<String>} [ids] - Only these devices
+ * @property {Boolean} [emulators] - True for emulators only, false for physical devices only
+ * @property {String} [abi] - Only devices supporting this ABI such as "x86_64" or "arm64-v8a"
+ * @property {Number} [minApiLevel] - Only devices running this API level or newer
+ */
+
+/**
+ * The result of an operation on a single device.
+ * @typedef {Object} MultiDevice~Result
+ * @property {Object} device - The device info
+ * @property {Error|null} error - The error if the operation failed on this device
+ * @property {*} [result] - The result of the operation if it succeeded
+ */
+
+/**
+ * A function that is called with the selected devices.
+ * @callback MultiDevice~devicesCallback
+ * @param {Error} err - In the event of an error, an exception, otherwise falsey
+ * @param {Array<Object>} devices - The selected devices
+ */
+
+/**
+ * A function that is called with the result of an operation on each device.
+ * @callback MultiDevice~resultsCallback
+ * @param {Error} err - An error if the devices could not be selected, otherwise falsey
+ * @param {Array<MultiDevice~Result>} results - The result for each device
+ */
+
+/**
+ * A function to call with each log entry.
+ * @callback MultiDevice~logcatHandler
+ * @param {ADB~LogEntry|String} entry - The log entry
+ * @param {Object} device - The device the entry came from
+ * @param {String} tag - A tag identifying the device for display, such as "[emulator-5554 Pixel 3]"
+ */
@@ -0,0 +1,151 @@
+/**
+ * Builds package manager and activity manager commands and parses their output.
+ *
+ * @module adb/packages
+ *
+ * @copyright
+ * Copyright (c) 2009-2017 by Appcelerator, Inc. All Rights Reserved.
+ *
+ * @license
+ * Licensed under the terms of the Apache Public License
+ * Please see the LICENSE included with this distribution for details.
+ */
+'use strict';
+
+const shellQuote = require('./util').shellQuote;
+
+/**
+ * Parses the output of "dumpsys package <id>" for the specified package.
+ * @param {Buffer|String} output - The output of "dumpsys package"
+ * @param {String} appid - The application's id
+ * @returns {ADB~PackageInfo|null} The package info or null if the package is not installed
+ */
+exports.parseDumpsysPackage = function parseDumpsysPackage(output, appid) {
+	const lines = (output || '').toString().split(/\r?\n/);
+	const header = '  Package [' + appid + ']';
+	const start = lines.findIndex((line, i) => line.indexOf(header) === 0 && lines.slice(0, i).some(l => /^Packages:/.test(l)));
+	if (start === -1) {
+		return null;
+	}
+
+	const info = {
+		appid: appid,
+		versionCode: null,
+		versionName: null,
+		minSdk: null,
+		targetSdk: null,
+		codePath: null,
+		firstInstallTime: null,
+		lastUpdateTime: null,
+		permissions: {
+			requested: [],
+			granted: [],
+			denied: []
+		}
+	};
+	let section = null;
+
+	for (let i = start + 1; i < lines.length; i++) {
+		const line = lines[i];
+		// the package's block ends when the indentation drops back to the next package or section
+		if (!/^ {3}/.test(line) && line.trim()) {
+			break;
+		}
+
+		const trimmed = line.trim();
+		let m;
+
+		if (/^(requested|install|runtime) permissions:$/.test(trimmed)) {
+			section = trimmed.split(' ')[0];
+			continue;
+		}
+		if (/^[\w]+=/.test(trimmed) || /^User \d+:/.test(trimmed)) {
+			section = null;
+		}
+
+		if (section === 'requested') {
+			const name = trimmed.split(/[:,\s]/)[0];
+			name && info.permissions.requested.push(name);
+		} else if (section && (m = trimmed.match(/^([\w.]+): granted=(true|false)/))) {
+			info.permissions[m[2] === 'true' ? 'granted' : 'denied'].push(m[1]);
+		}
+
+		if ((m = trimmed.match(/(?:^|\s)versionCode=(\d+)/))) {
+			info.versionCode = parseInt(m[1]);
+		}
+		if ((m = trimmed.match(/(?:^|\s)minSdk=(\d+)/))) {
+			info.minSdk = parseInt(m[1]);
+		}
+		if ((m = trimmed.match(/(?:^|\s)targetSdk=(\d+)/))) {
+			info.targetSdk = parseInt(m[1]);
+		}
+		if ((m = trimmed.match(/^versionName=(.*)$/))) {
+			info.versionName = m[1];
+		}
+		if ((m = trimmed.match(/^codePath=(.*)$/))) {
+			info.codePath = m[1];
+		}
+		if ((m = trimmed.match(/^firstInstallTime=(.*)$/))) {
+			info.firstInstallTime = m[1];
+		}
+		if ((m = trimmed.match(/^lastUpdateTime=(.*)$/))) {
+			info.lastUpdateTime = m[1];
+		}
+	}
+
+	return info;
+};
+
+/**
+ * Builds the arguments for "am start" or "am broadcast" from an intent description.
+ * Extras are passed with the flag matching their type: strings use --es,
+ * booleans --ez, integers --ei or --el when they don't fit in 32 bits, other
+ * numbers --ef, arrays of strings --esa and null --esn.
+ * @param {ADB~Intent} intent - The intent
+ * @returns {Array<String>} The quoted arguments
+ */
+exports.buildIntentArgs = function buildIntentArgs(intent) {
+	const args = [];
+	intent.action && args.push('-a', intent.action);
+	intent.data && args.push('-d', intent.data);
+	intent.mimeType && args.push('-t', intent.mimeType);
+	[].concat(intent.categories || []).forEach(category => args.push('-c', category));
+	intent.component && args.push('-n', intent.component);
+	intent.package && args.push('-p', intent.package);
+	if (intent.flags !== undefined) {
+		args.push('-f', typeof intent.flags === 'number' ? '0x' + intent.flags.toString(16) : intent.flags);
+	}
+
+	const extras = intent.extras || {};
+	Object.keys(extras).forEach(function (key) {
+		const value = extras[key];
+		if (value === null || value === undefined) {
+			args.push('--esn', key);
+		} else if (typeof value === 'boolean') {
+			args.push('--ez', key, String(value));
+		} else if (typeof value === 'number') {
+			if (Number.isInteger(value)) {
+				args.push(Math.abs(value) > 0x7fffffff ? '--el' : '--ei', key, String(value));
+			} else {
+				args.push('--ef', key, String(value));
+			}
+		} else if (Array.isArray(value)) {
+			// commas separate the values, so escape any commas within them
+			args.push('--esa', key, value.map(v => String(v).replace(/,/g, '\\,')).join(','));
+		} else {
+			args.push('--es', key, String(value));
+		}
+	});
+
+	return args.map(shellQuote);
+};
+
+/**
+ * Checks the output of "am start" or "am broadcast" for an error.
+ * @param {Buffer|String} output - The output
+ * @returns {String|null} The error message or null if the intent was delivered
+ */
+exports.checkIntentOutput = function checkIntentOutput(output) {
+	const m = (output || '').toString().match(/^(Error(?: type \d+)?: .*|Exception occurred.*|java\.lang\.\w+(?:Exception|Error).*)$/m);
+	return m ? m[1].trim() : null;
+};
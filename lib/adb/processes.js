@@ -0,0 +1,99 @@
+/**
+ * Parses the output of the commands used to find the processes running on a
+ * device or emulator.
+ *
+ * @module adb/processes
+ *
+ * @copyright
+ * Copyright (c) 2009-2017 by Appcelerator, Inc. All Rights Reserved.
+ *
+ * @license
+ * Licensed under the terms of the Apache Public License
+ * Please see the LICENSE included with this distribution for details.
+ */
+'use strict';
+
+/**
+ * The "ps" command that reports just the columns we need. Supported by toybox
+ * which ships with Android 6.0 and newer.
+ * @type {String}
+ */
+exports.PS_COMMAND = 'ps -A -o PID,PPID,USER,S,NAME';
+
+/**
+ * Parses the output of "pidof".
+ * @param {Buffer|String} output - The output of "pidof"
+ * @returns {Array<Number>|null} The pids or null if the output is not a list of
+ * pids, such as when "pidof" does not exist
+ */
+exports.parsePidof = function parsePidof(output) {
+	output = (output || '').toString().trim();
+	if (!/^[\d\s]*$/.test(output)) {
+		return null;
+	}
+	return output ? output.split(/\s+/).map(pid => parseInt(pid)) : [];
+};
+
+/**
+ * Parses the output of "ps". The columns are found using the header, so the
+ * output of the toybox "ps", with or without "-o", and the legacy toolbox "ps"
+ * are all supported. The toolbox "ps" prints the process state in a column
+ * that has no header, just before the name.
+ * @param {Buffer|String} output - The output of "ps"
+ * @returns {Array<ADB~Process>|null} The processes or null if the output has no header
+ */
+exports.parsePs = function parsePs(output) {
+	const lines = (output || '').toString().split(/\r?\n/).filter(line => line.trim());
+	const headerIdx = lines.findIndex(line => /(^|\s)PID(\s|$)/.test(line));
+	if (headerIdx === -1) {
+		return null;
+	}
+
+	const header = lines[headerIdx].trim().split(/\s+/);
+	const pidIdx = header.indexOf('PID');
+	const ppidIdx = header.indexOf('PPID');
+	const userIdx = header.indexOf('USER');
+	const stateIdx = header.indexOf('S');
+	// the name is always last, but may be called NAME, CMD or ARGS
+	const nameIdx = header.length - 1;
+	const processes = [];
+
+	lines.slice(headerIdx + 1).forEach(function (line) {
+		const columns = line.trim().split(/\s+/);
+		if (columns.length < header.length) {
+			return;
+		}
+
+		let state = stateIdx === -1 ? null : columns[stateIdx];
+		let name = columns.slice(nameIdx).join(' ');
+		if (stateIdx === -1 && columns.length > header.length && /^[A-Z]$/.test(columns[nameIdx])) {
+			state = columns[nameIdx];
+			name = columns.slice(nameIdx + 1).join(' ');
+		}
+
+		const pid = parseInt(columns[pidIdx]);
+		if (!isNaN(pid)) {
+			processes.push({
+				pid: pid,
+				ppid: ppidIdx === -1 ? null : parseInt(columns[ppidIdx]),
+				user: userIdx === -1 ? null : columns[userIdx],
+				state: state,
+				name: name
+			});
+		}
+	});
+
+	return processes;
+};
+
+/**
+ * Determines if a process belongs to an app. An app's main process is named
+ * after the app id and its other processes, such as those declared with
+ * `android:process=":remote"`, are named after the app id followed by a colon.
+ * @param {ADB~Process} process - The process
+ * @param {String} appid - The application's id
+ * @returns {Boolean}
+ */
+exports.isAppProcess = function isAppProcess(process, appid) {
+	return process.name === appid || process.name.indexOf(appid + ':') === 0;
+};
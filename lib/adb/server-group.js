@@ -0,0 +1,108 @@
+/**
+ * Merges the devices and emulators of several ADB servers.
+ *
+ * @module adb/server-group
+ *
+ * @copyright
+ * Copyright (c) 2009-2017 by Appcelerator, Inc. All Rights Reserved.
+ *
+ * @license
+ * Licensed under the terms of the Apache Public License
+ * Please see the LICENSE included with this distribution for details.
+ */
+'use strict';
+
+const appc = require('node-appc');
+const __ = appc.i18n(__dirname).__;
+const async = require('async');
+const ADBError = require('./errors').ADBError;
+const callbackOrPromise = require('./util').callbackOrPromise;
+
+module.exports = ServerGroup;
+
+/**
+ * Returns the address of an ADB instance's server such as "127.0.0.1:5037".
+ * @param {ADB} adb - The ADB instance
+ * @returns {String}
+ */
+function addressOf(adb) {
+	const host = adb.server.host.indexOf(':') !== -1 ? '[' + adb.server.host + ']' : adb.server.host;
+	return host + ':' + adb.server.port;
+}
+
+/**
+ * Creates a ServerGroup object.
+ * @class
+ * @classdesc Lists the devices and emulators of several ADB servers, such as
+ * the local server and the servers of a device farm, as a single list. Each
+ * device is tagged with the address of the server it's attached to, and the
+ * ADB instance to use for a device can be looked up to run commands on it.
+ * @example
+ * const group = new ADB.ServerGroup([ new ADB(config), new ADB(config, { host: 'farm.example.com' }) ]);
+ * group.devices().then(devices => group.adbFor(devices[0]).shell(devices[0].id, 'getprop'));
+ * @constructor
+ * @param {Array<ADB>} servers - An ADB instance for each server
+ * @param {Object} [opts] - Various options
+ * @param {Object} [opts.logger] - A logger instance; servers that can't be reached are logged as warnings
+ */
+function ServerGroup(servers, opts) {
+	this.servers = servers.slice();
+	this.logger = opts && opts.logger || null;
+	this.owners = {};
+}
+
+/**
+ * Returns the devices and emulators of every server. A device reported by
+ * several servers is listed once, with the first of those servers. A server
+ * that can't be reached is skipped, unless none of them can be reached.
+ * @param {ServerGroup~devicesCallback} [callback] - A function that is called with the devices
+ * @returns {Promise<Array<Object>>|undefined} Resolves the devices when no callback is specified
+ */
+ServerGroup.prototype.devices = function devices(callback) {
+	return callbackOrPromise(callback, callback => {
+		async.map(this.servers, function (adb, next) {
+			adb.devices(function (err, devices) {
+				next(null, { adb: adb, error: err || null, devices: devices || [] });
+			});
+		}, (err, results) => {
+			const failed = results.filter(r => r.error);
+			if (failed.length && failed.length === results.length) {
+				return callback(new ADBError(__('Unable to connect to any adb server: %s', failed.map(r => addressOf(r.adb) + ' (' + r.error.message + ')').join(', '))));
+			}
+			failed.forEach(r => this.logger && this.logger.warn(__('Unable to list the devices of the adb server at %s: %s', addressOf(r.adb), r.error.message)));
+
+			// remember which server reported each device, the first one wins if the id is reported by several
+			this.owners = {};
+			callback(null, results.reduce((all, r) => {
+				const server = addressOf(r.adb);
+				r.devices.forEach(device => {
+					if (!this.owners[device.id]) {
+						this.owners[device.id] = r.adb;
+						all.push(Object.assign(device, { server: server }));
+					}
+				});
+				return all;
+			}, []));
+		});
+	});
+};
+
+/**
+ * Returns the ADB instance of the server a device is attached to.
+ * @param {Object|String} device - A device returned by `devices()`, or the id of a device reported by the last
+ * call to `devices()`
+ * @returns {ADB|null} The ADB instance or null if the device is unknown
+ */
+ServerGroup.prototype.adbFor = function adbFor(device) {
+	if (typeof device === 'object' && device.server) {
+		return this.servers.filter(adb => addressOf(adb) === device.server)[0] || null;
+	}
+	return this.owners[typeof device === 'object' ? device.id : device] || null;
+};
+
+/**
+ * A function that is called with the devices of every server.
+ * @callback ServerGroup~devicesCallback
+ * @param {Error} err - An error if no server could be reached, otherwise falsey
+ * @param {Array<Object>} devices - The devices; each has a `server` property with the address of its server
+ */
@@ -0,0 +1,201 @@
+/**
+ * An implementation of the adb shell v2 protocol and helpers for the legacy
+ * "shell:" service.
+ *
+ * Devices that advertise the "shell_v2" feature accept the "shell,v2,raw:"
+ * service. Every packet in either direction is a 1 byte id followed by a
+ * 32-bit little endian length and a payload, which allows stdout and stderr to
+ * be told apart, stdin to be closed and the exit code to be reported. The
+ * protocol is described here:
+ * {@link https://android.googlesource.com/platform/packages/modules/adb/+/refs/heads/master/shell_protocol.h}
+ *
+ * @module adb/shell
+ *
+ * @copyright
+ * Copyright (c) 2009-2017 by Appcelerator, Inc. All Rights Reserved.
+ *
+ * @license
+ * Licensed under the terms of the Apache Public License
+ * Please see the LICENSE included with this distribution for details.
+ */
+'use strict';
+
+/**
+ * Shell v2 packet ids.
+ * @type {Object<String, Number>}
+ */
+const PACKETS = exports.PACKETS = {
+	STDIN: 0,
+	STDOUT: 1,
+	STDERR: 2,
+	EXIT: 3,
+	CLOSE_STDIN: 4,
+	WINDOW_SIZE_CHANGE: 5
+};
+
+/**
+ * @constant
+ * The size of a packet header: the id and the length.
+ */
+const HEADER_SIZE = 5;
+
+/**
+ * @constant
+ * The largest payload to send in a single packet. Older versions of adbd only
+ * accept packets that fit in a 4K buffer.
+ */
+const MAX_PAYLOAD = 4096 - HEADER_SIZE;
+
+/**
+ * @constant
+ * Text echoed after a command run with the legacy "shell:" service so that its
+ * exit code can be recovered.
+ */
+const EXIT_MARKER = exports.EXIT_MARKER = ':adb-exit-code:';
+
+/**
+ * Encodes data as one or more shell v2 packets.
+ * @param {Number} id - The packet id
+ * @param {Buffer|String} [data] - The payload
+ * @returns {Buffer}
+ */
+exports.encode = function encode(id, data) {
+	data = Buffer.isBuffer(data) ? data : Buffer.from(data || '');
+
+	const packets = [];
+	let offset = 0;
+	do {
+		const payload = data.slice(offset, offset + MAX_PAYLOAD);
+		const header = Buffer.alloc(HEADER_SIZE);
+		header.writeUInt8(id, 0);
+		header.writeUInt32LE(payload.length, 1);
+		packets.push(header, payload);
+		offset += payload.length;
+	} while (offset < data.length);
+
+	return Buffer.concat(packets);
+};
+
+/**
+ * Creates a ShellV2Decoder object.
+ * @class
+ * @classdesc Decodes the packets received from the "shell,v2" service.
+ * @constructor
+ * @param {Object} handlers - Functions to call as packets are decoded
+ * @param {Function} handlers.stdout - Called with each chunk of stdout
+ * @param {Function} handlers.stderr - Called with each chunk of stderr
+ * @param {Function} handlers.exit - Called with the exit code
+ */
+function ShellV2Decoder(handlers) {
+	this.handlers = handlers;
+	this.buffer = Buffer.alloc(0);
+}
+exports.ShellV2Decoder = ShellV2Decoder;
+
+/**
+ * Decodes a chunk of data, dispatching any packets that are complete.
+ * @param {Buffer} data - The data received from the device
+ */
+ShellV2Decoder.prototype.push = function push(data) {
+	this.buffer = this.buffer.length ? Buffer.concat([ this.buffer, data ]) : data;
+
+	while (this.buffer.length >= HEADER_SIZE) {
+		const id = this.buffer.readUInt8(0);
+		const len = this.buffer.readUInt32LE(1);
+		if (this.buffer.length < HEADER_SIZE + len) {
+			break;
+		}
+		const payload = this.buffer.slice(HEADER_SIZE, HEADER_SIZE + len);
+		this.buffer = this.buffer.slice(HEADER_SIZE + len);
+
+		if (id === PACKETS.STDOUT) {
+			this.handlers.stdout(payload);
+		} else if (id === PACKETS.STDERR) {
+			this.handlers.stderr(payload);
+		} else if (id === PACKETS.EXIT) {
+			this.handlers.exit(payload.length ? payload.readUInt8(0) : null);
+		}
+	}
+};
+
+/**
+ * Wraps a command so that the legacy "shell:" service echoes its exit code
+ * once it finishes. A newline is used instead of ";" so that a trailing
+ * comment or "&" in the command doesn't swallow the echo.
+ * @param {String} cmd - The command to run
+ * @returns {String}
+ */
+exports.wrapLegacyCommand = function wrapLegacyCommand(cmd) {
+	return cmd + '\necho ' + EXIT_MARKER + '$?';
+};
+
+/**
+ * Creates a LegacyOutputFilter object.
+ * @class
+ * @classdesc Cleans up the output of a command run with the legacy "shell:"
+ * service. The pty the command runs in converts every "\n" into "\r\n", so
+ * line endings are restored, and the exit code echoed by
+ * {@link module:adb/shell.wrapLegacyCommand} is removed from the end of the
+ * output. Since the exit code can only be found once the output ends, the last
+ * few bytes are held back until flush() is called.
+ * @constructor
+ * @param {Function} handler - A function to call with each chunk of cleaned up output
+ */
+function LegacyOutputFilter(handler) {
+	this.handler = handler;
+	this.buffer = Buffer.alloc(0);
+	this.exitCode = null;
+}
+exports.LegacyOutputFilter = LegacyOutputFilter;
+
+/**
+ * @constant
+ * How many bytes to hold back: the marker, up to 3 digits and the line ending.
+ */
+const HOLD_BACK = EXIT_MARKER.length + 5;
+
+/**
+ * Filters a chunk of output.
+ * @param {Buffer} data - The data received from the device
+ */
+LegacyOutputFilter.prototype.push = function push(data) {
+	this.buffer = this.buffer.length ? Buffer.concat([ this.buffer, data ]) : data;
+
+	let end = this.buffer.length - HOLD_BACK;
+	if (end > 0 && this.buffer[end - 1] === 0x0d) {
+		// don't split a "\r\n"
+		end--;
+	}
+	if (end > 0) {
+		const chunk = this.buffer.slice(0, end);
+		this.buffer = this.buffer.slice(end);
+		this._emit(chunk);
+	}
+};
+
+/**
+ * Emits whatever output is left and determines the exit code.
+ */
+LegacyOutputFilter.prototype.flush = function flush() {
+	const rest = this.buffer.toString('latin1');
+	this.buffer = Buffer.alloc(0);
+
+	const idx = rest.lastIndexOf(EXIT_MARKER);
+	const m = idx === -1 ? null : rest.slice(idx + EXIT_MARKER.length).match(/^(\d+)\r?\n?$/);
+	if (m) {
+		this.exitCode = parseInt(m[1]);
+		this._emit(Buffer.from(rest.slice(0, idx), 'latin1'));
+	} else {
+		this._emit(Buffer.from(rest, 'latin1'));
+	}
+};
+
+/**
+ * Restores the line endings of a chunk of output and passes it to the handler.
+ * @param {Buffer} chunk - The output
+ */
+LegacyOutputFilter.prototype._emit = function _emit(chunk) {
+	if (chunk.length) {
+		this.handler(Buffer.from(chunk.toString('latin1').replace(/\r\n/g, '\n'), 'latin1'));
+	}
+};
@@ -0,0 +1,506 @@
+/**
+ * An implementation of the adb "sync:" file transfer protocol.
+ *
+ * Once a connection has been switched to a device's transport and the "sync:"
+ * service has been opened, every request is a 4 byte id (STAT, STA2, LIST, SEND,
+ * RECV or QUIT) followed by a 32-bit little endian length and a payload. The
+ * protocol is described here:
+ * {@link https://android.googlesource.com/platform/packages/modules/adb/+/refs/heads/master/SYNC.TXT}
+ *
+ * @module adb/sync
+ *
+ * @copyright
+ * Copyright (c) 2009-2017 by Appcelerator, Inc. All Rights Reserved.
+ *
+ * @license
+ * Licensed under the terms of the Apache Public License
+ * Please see the LICENSE included with this distribution for details.
+ */
+'use strict';
+
+const appc = require('node-appc');
+const __ = appc.i18n(__dirname).__;
+const fs = require('fs-extra');
+
+module.exports = SyncSession;
+
+/**
+ * @constant
+ * The maximum number of bytes adb accepts in a single DATA packet.
+ */
+const MAX_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * @constant
+ * Bit mask for the file type bits of a file mode.
+ */
+const S_IFMT = 0o170000;
+
+/**
+ * @constant
+ * File type bits of a directory.
+ */
+const S_IFDIR = 0o040000;
+
+/**
+ * @constant
+ * File type bits of a regular file.
+ */
+const S_IFREG = 0o100000;
+
+/**
+ * @constant
+ * File type bits of a symbolic link.
+ */
+const S_IFLNK = 0o120000;
+
+/**
+ * Creates a SyncSession object.
+ * @class
+ * @classdesc Speaks the sync protocol over a socket that has already had the
+ * "sync:" service opened. Requests are executed one at a time in the order
+ * they were issued.
+ * @constructor
+ * @param {net.Socket} socket - The socket connected to the device's sync service
+ * @param {Buffer} [leftover] - Any data that was received after the service was opened
+ * @param {Object} [opts] - Session options
+ * @param {Array<String>} [opts.features] - The features supported by the adb server and device; "stat_v2" lets
+ * stat() follow symbolic links to files
+ */
+function SyncSession(socket, leftover, opts) {
+	this.socket = socket;
+	this.buffer = leftover && leftover.length ? Buffer.from(leftover) : Buffer.alloc(0);
+	this.readers = [];
+	this.error = null;
+	this.statV2 = !!(opts && opts.features && opts.features.indexOf('stat_v2') !== -1);
+
+	socket.on('data', data => {
+		this.buffer = Buffer.concat([ this.buffer, data ]);
+		this._drain();
+	});
+
+	socket.on('end', () => {
+		this._abort(new Error(__('Connection closed by the adb server')));
+	});
+
+	socket.on('error', err => {
+		this._abort(err);
+	});
+}
+
+/**
+ * Returns a simplified stat object for the specified mode, size and mtime.
+ * @param {Number} mode - The file mode
+ * @param {Number} size - The file size
+ * @param {Number} mtime - The last modified time in seconds since the epoch
+ * @returns {SyncSession~Stat}
+ */
+function createStat(mode, size, mtime) {
+	return {
+		mode: mode,
+		size: size,
+		mtime: new Date(mtime * 1000),
+		exists: mode !== 0,
+		isDirectory: (mode & S_IFMT) === S_IFDIR,
+		isFile: (mode & S_IFMT) === S_IFREG,
+		isSymbolicLink: (mode & S_IFMT) === S_IFLNK
+	};
+}
+
+SyncSession.createStat = createStat;
+
+/**
+ * Reads an unsigned 64-bit little endian integer.
+ * @param {Buffer} data - The buffer to read from
+ * @param {Number} offset - The offset of the integer
+ * @returns {Number}
+ */
+function readUInt64(data, offset) {
+	return data.readUInt32LE(offset) + data.readUInt32LE(offset + 4) * 0x100000000;
+}
+
+/**
+ * Fails all pending reads and prevents any further requests.
+ * @param {Error} err - The reason the session was aborted
+ */
+SyncSession.prototype._abort = function _abort(err) {
+	this.error || (this.error = err);
+	const readers = this.readers;
+	this.readers = [];
+	readers.forEach(reader => reader.callback(this.error));
+};
+
+/**
+ * Satisfies as many pending reads as there is buffered data for.
+ */
+SyncSession.prototype._drain = function _drain() {
+	while (this.readers.length && this.buffer.length >= this.readers[0].length) {
+		const reader = this.readers.shift();
+		const data = this.buffer.slice(0, reader.length);
+		this.buffer = this.buffer.slice(reader.length);
+		reader.callback(null, data);
+	}
+};
+
+/**
+ * Reads the specified number of bytes from the socket.
+ * @param {Number} length - The number of bytes to read
+ * @param {Function} callback - A function to call with the data
+ * @returns {void}
+ */
+SyncSession.prototype._read = function _read(length, callback) {
+	if (this.error) {
+		return callback(this.error);
+	}
+	this.readers.push({ length: length, callback: callback });
+	this._drain();
+};
+
+/**
+ * Reads a FAIL message and calls back with an error.
+ * @param {Number} length - The length of the failure message
+ * @param {Function} callback - A function to call with the error
+ */
+SyncSession.prototype._readFailure = function _readFailure(length, callback) {
+	this._read(length, function (err, data) {
+		callback(err || new Error(data.toString()));
+	});
+};
+
+/**
+ * Writes a request to the socket.
+ * @param {String} id - The 4 character request id
+ * @param {Buffer|String|Number} [payload] - The request payload or a 32-bit value to send in place of the length
+ * @returns {Boolean} The result of the socket write; false if the caller should wait for "drain"
+ */
+SyncSession.prototype._send = function _send(id, payload) {
+	const header = Buffer.alloc(8);
+	header.write(id, 0, 4, 'ascii');
+	if (typeof payload === 'number') {
+		header.writeUInt32LE(payload, 4);
+		return this.socket.write(header);
+	}
+	payload = Buffer.isBuffer(payload) ? payload : Buffer.from(payload || '', 'utf8');
+	header.writeUInt32LE(payload.length, 4);
+	return this.socket.write(Buffer.concat([ header, payload ]));
+};
+
+/**
+ * Retrieves the mode, size and last modified time of a file on the device
+ * without following symbolic links. A non-existent file is reported with a
+ * mode of zero.
+ * @param {String} remotePath - The path on the device
+ * @param {SyncSession~statCallback} callback - A function to call with the stat info
+ * @returns {void}
+ */
+SyncSession.prototype.lstat = function lstat(remotePath, callback) {
+	if (this.error) {
+		return callback(this.error);
+	}
+	this._send('STAT', remotePath);
+	this._read(16, function (err, data) {
+		if (err) {
+			return callback(err);
+		}
+		if (data.toString('ascii', 0, 4) !== 'STAT') {
+			return callback(new Error(__('Unexpected sync response "%s"', data.toString('ascii', 0, 4))));
+		}
+		callback(null, createStat(data.readUInt32LE(4), data.readUInt32LE(8), data.readUInt32LE(12)));
+	});
+};
+
+/**
+ * Retrieves the mode, size and last modified time of a file on the device,
+ * following symbolic links such as "/sdcard". Devices that support "stat_v2"
+ * follow the link themselves. The original STAT request doesn't, so a link is
+ * stat'ed again with a trailing slash the way adb does; if it points to a
+ * directory, the directory's stat info is returned with `isSymbolicLink` set,
+ * otherwise the target can't be stat'ed and it's reported as a regular file
+ * with an unknown size of zero and default permissions. A non-existent file is
+ * reported with a mode of zero.
+ * @param {String} remotePath - The path on the device
+ * @param {SyncSession~statCallback} callback - A function to call with the stat info
+ * @returns {void}
+ */
+SyncSession.prototype.stat = function stat(remotePath, callback) {
+	if (this.statV2) {
+		return this._statV2(remotePath, callback);
+	}
+	this.lstat(remotePath, (err, stat) => {
+		if (err || !stat.isSymbolicLink) {
+			return callback(err, stat);
+		}
+		this.lstat(remotePath.replace(/\/*$/, '/'), function (err, target) {
+			if (err) {
+				return callback(err);
+			}
+			const resolved = target.isDirectory ? target : createStat(S_IFREG | 0o644, 0, stat.mtime.getTime() / 1000);
+			callback(null, Object.assign(resolved, { isSymbolicLink: true }));
+		});
+	});
+};
+
+/**
+ * Retrieves the mode, size and last modified time of a file on the device
+ * using the STA2 request which follows symbolic links.
+ * @param {String} remotePath - The path on the device
+ * @param {SyncSession~statCallback} callback - A function to call with the stat info
+ * @returns {void}
+ */
+SyncSession.prototype._statV2 = function _statV2(remotePath, callback) {
+	if (this.error) {
+		return callback(this.error);
+	}
+	this._send('STA2', remotePath);
+	this._read(72, function (err, data) {
+		if (err) {
+			return callback(err);
+		}
+		if (data.toString('ascii', 0, 4) !== 'STA2') {
+			return callback(new Error(__('Unexpected sync response "%s"', data.toString('ascii', 0, 4))));
+		}
+		// like STAT, a file that can't be stat'ed is reported with a mode of zero
+		if (data.readUInt32LE(4)) {
+			return callback(null, createStat(0, 0, 0));
+		}
+		callback(null, createStat(data.readUInt32LE(24), readUInt64(data, 40), readUInt64(data, 56)));
+	});
+};
+
+/**
+ * Lists the contents of a directory on the device, excluding "." and "..".
+ * @param {String} remotePath - The directory on the device
+ * @param {SyncSession~listCallback} callback - A function to call with the directory entries
+ * @returns {void}
+ */
+SyncSession.prototype.list = function list(remotePath, callback) {
+	if (this.error) {
+		return callback(this.error);
+	}
+
+	const entries = [];
+	const next = () => {
+		this._read(20, (err, data) => {
+			if (err) {
+				return callback(err);
+			}
+
+			const id = data.toString('ascii', 0, 4);
+			if (id === 'DONE') {
+				return callback(null, entries);
+			}
+			if (id !== 'DENT') {
+				return callback(new Error(__('Unexpected sync response "%s"', id)));
+			}
+
+			const stat = createStat(data.readUInt32LE(4), data.readUInt32LE(8), data.readUInt32LE(12));
+			this._read(data.readUInt32LE(16), function (err, name) {
+				if (err) {
+					return callback(err);
+				}
+				stat.name = name.toString();
+				if (stat.name !== '.' && stat.name !== '..') {
+					entries.push(stat);
+				}
+				next();
+			});
+		});
+	};
+
+	this._send('LIST', remotePath);
+	next();
+};
+
+/**
+ * Sends a local file to the device. Parent directories are created by adb as
+ * needed.
+ * @param {String} localFile - The path of the local file
+ * @param {String} remotePath - The destination path on the device
+ * @param {Object} [opts] - Send options
+ * @param {Number} [opts.mode] - The file mode; defaults to the local file's mode
+ * @param {Date} [opts.mtime] - The last modified time; defaults to the local file's mtime
+ * @param {Function} [opts.progress] - A function called with the number of bytes sent after each chunk
+ * @param {Function} callback - A function to call when the file has been sent
+ * @returns {void}
+ */
+SyncSession.prototype.send = function send(localFile, remotePath, opts, callback) {
+	if (typeof opts === 'function') {
+		callback = opts;
+		opts = {};
+	}
+	if (this.error) {
+		return callback(this.error);
+	}
+
+	let stat;
+	try {
+		stat = fs.statSync(localFile);
+	} catch (e) {
+		return callback(e);
+	}
+
+	const mode = opts.mode !== undefined ? opts.mode : (stat.mode & 0o777) | S_IFREG;
+	const mtime = Math.floor((opts.mtime || stat.mtime).getTime() / 1000);
+	const stream = fs.createReadStream(localFile, { highWaterMark: MAX_CHUNK_SIZE });
+	let sent = 0;
+	let finished = false;
+
+	const done = err => {
+		if (!finished) {
+			finished = true;
+			this.socket.removeListener('drain', onDrain);
+			callback(err);
+		}
+	};
+	const onDrain = () => stream.resume();
+
+	this.socket.on('drain', onDrain);
+	this._send('SEND', remotePath + ',' + mode);
+
+	stream.on('data', chunk => {
+		sent += chunk.length;
+		if (!this._send('DATA', chunk)) {
+			stream.pause();
+		}
+		opts.progress && opts.progress(sent, stat.size);
+	});
+
+	stream.on('error', done);
+
+	stream.on('end', () => {
+		this._send('DONE', mtime);
+		this._read(8, (err, data) => {
+			if (err) {
+				return done(err);
+			}
+			const id = data.toString('ascii', 0, 4);
+			if (id === 'OKAY') {
+				return done();
+			}
+			if (id === 'FAIL') {
+				return this._readFailure(data.readUInt32LE(4), done);
+			}
+			done(new Error(__('Unexpected sync response "%s"', id)));
+		});
+	});
+};
+
+/**
+ * Receives a file from the device and writes it to a local file.
+ * @param {String} remotePath - The path of the file on the device
+ * @param {String} localFile - The destination file
+ * @param {Object} [opts] - Receive options
+ * @param {Number} [opts.size] - The expected file size, reported to the progress function
+ * @param {Function} [opts.progress] - A function called with the number of bytes received after each chunk
+ * @param {Function} callback - A function to call when the file has been received
+ * @returns {void}
+ */
+SyncSession.prototype.recv = function recv(remotePath, localFile, opts, callback) {
+	if (typeof opts === 'function') {
+		callback = opts;
+		opts = {};
+	}
+	if (this.error) {
+		return callback(this.error);
+	}
+
+	let fd;
+	try {
+		fd = fs.openSync(localFile, 'w');
+	} catch (e) {
+		return callback(e);
+	}
+
+	let received = 0;
+	const done = err => {
+		try {
+			fs.closeSync(fd);
+		} catch (e) {
+			err || (err = e);
+		}
+		callback(err);
+	};
+
+	const next = () => {
+		this._read(8, (err, data) => {
+			if (err) {
+				return done(err);
+			}
+
+			const id = data.toString('ascii', 0, 4);
+			const len = data.readUInt32LE(4);
+			if (id === 'DONE') {
+				return done();
+			}
+			if (id === 'FAIL') {
+				return this._readFailure(len, done);
+			}
+			if (id !== 'DATA') {
+				return done(new Error(__('Unexpected sync response "%s"', id)));
+			}
+
+			this._read(len, function (err, chunk) {
+				if (err) {
+					return done(err);
+				}
+				try {
+					fs.writeSync(fd, chunk, 0, chunk.length);
+				} catch (e) {
+					return done(e);
+				}
+				received += chunk.length;
+				opts.progress && opts.progress(received, opts.size);
+				next();
+			});
+		});
+	};
+
+	this._send('RECV', remotePath);
+	next();
+};
+
+/**
+ * Ends the sync session and closes the socket.
+ */
+SyncSession.prototype.end = function end() {
+	if (!this.error) {
+		try {
+			this._send('QUIT', 0);
+		} catch (e) {
+			// ignore
+		}
+		this.error = new Error(__('Sync session has ended'));
+	}
+	try {
+		this.socket.end();
+	} catch (e) {
+		// ignore
+	}
+};
+
+/**
+ * File info returned by stat and list.
+ * @typedef {Object} SyncSession~Stat
+ * @property {String} [name] - The file name; only set for directory entries
+ * @property {Number} mode - The file mode, zero if the file does not exist
+ * @property {Number} size - The file size in bytes
+ * @property {Date} mtime - The last modified time
+ * @property {Boolean} exists - True if the file exists
+ * @property {Boolean} isDirectory - True if the file is a directory
+ * @property {Boolean} isFile - True if the file is a regular file
+ * @property {Boolean} isSymbolicLink - True if the file is a symbolic link
+ */
+
+/**
+ * A function to call with the stat info.
+ * @callback SyncSession~statCallback
+ * @param {Error} err - In the event of an error, an exception, otherwise falsey
+ * @param {SyncSession~Stat} stat - The file info
+ */
+
+/**
+ * A function to call with the directory entries.
+ * @callback SyncSession~listCallback
+ * @param {Error} err - In the event of an error, an exception, otherwise falsey
+ * @param {Array<SyncSession~Stat>} entries - The directory entries
+ */
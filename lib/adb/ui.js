@@ -0,0 +1,221 @@
+/**
+ * Builds "input" commands and parses the view hierarchy dumped by
+ * "uiautomator dump".
+ *
+ * @module adb/ui
+ *
+ * @copyright
+ * Copyright (c) 2009-2017 by Appcelerator, Inc. All Rights Reserved.
+ *
+ * @license
+ * Licensed under the terms of the Apache Public License
+ * Please see the LICENSE included with this distribution for details.
+ */
+'use strict';
+
+const DOMParser = require('xmldom').DOMParser;
+const shellQuote = require('./util').shellQuote;
+
+/**
+ * The attributes that are reported as booleans.
+ * @type {Array<String>}
+ */
+const BOOLEAN_ATTRS = [
+	'checkable',
+	'checked',
+	'clickable',
+	'enabled',
+	'focusable',
+	'focused',
+	'long-clickable',
+	'password',
+	'scrollable',
+	'selected'
+];
+
+/**
+ * Converts an attribute name such as "resource-id" into "resourceId".
+ * @param {String} name - The attribute name
+ * @returns {String}
+ */
+function camelCase(name) {
+	return name.replace(/-([a-z])/g, (s, c) => c.toUpperCase());
+}
+
+/**
+ * Parses the bounds of a node such as "[0,63][1080,210]".
+ * @param {String} bounds - The bounds attribute
+ * @returns {ADB~UiBounds|null}
+ */
+function parseBounds(bounds) {
+	const m = (bounds || '').match(/^\[(-?\d+),(-?\d+)\]\[(-?\d+),(-?\d+)\]$/);
+	if (!m) {
+		return null;
+	}
+	const left = parseInt(m[1]);
+	const top = parseInt(m[2]);
+	const right = parseInt(m[3]);
+	const bottom = parseInt(m[4]);
+	return {
+		left: left,
+		top: top,
+		right: right,
+		bottom: bottom,
+		centerX: Math.round((left + right) / 2),
+		centerY: Math.round((top + bottom) / 2)
+	};
+}
+
+/**
+ * Converts a "node" element into a plain object.
+ * @param {Element} elem - The element
+ * @returns {ADB~UiNode}
+ */
+function toNode(elem) {
+	const node = {
+		index: null,
+		text: '',
+		resourceId: '',
+		class: '',
+		package: '',
+		contentDesc: '',
+		bounds: null,
+		children: []
+	};
+
+	for (let i = 0; i < elem.attributes.length; i++) {
+		const attr = elem.attributes.item(i);
+		if (attr.name === 'bounds') {
+			node.bounds = parseBounds(attr.value);
+		} else if (attr.name === 'index') {
+			node.index = parseInt(attr.value);
+		} else if (BOOLEAN_ATTRS.indexOf(attr.name) !== -1) {
+			node[camelCase(attr.name)] = attr.value === 'true';
+		} else {
+			node[camelCase(attr.name)] = attr.value;
+		}
+	}
+
+	for (let child = elem.firstChild; child; child = child.nextSibling) {
+		if (child.nodeType === 1 && child.tagName === 'node') {
+			node.children.push(toNode(child));
+		}
+	}
+
+	return node;
+}
+
+/**
+ * Parses the XML written by "uiautomator dump".
+ * @param {Buffer|String} xml - The view hierarchy
+ * @returns {ADB~UiHierarchy|null} The hierarchy or null if the output does not contain one
+ */
+exports.parseHierarchy = function parseHierarchy(xml) {
+	// the XML may be followed by "UI hierchary dumped to: ..." when dumped to stdout
+	const m = (xml || '').toString().match(/<hierarchy[\s\S]*<\/hierarchy>|<hierarchy[^>]*\/>/);
+	if (!m) {
+		return null;
+	}
+
+	const root = new DOMParser({ errorHandler: function () {} }).parseFromString(m[0], 'text/xml').documentElement;
+	if (!root || root.tagName !== 'hierarchy') {
+		return null;
+	}
+
+	const hierarchy = {
+		rotation: parseInt(root.getAttribute('rotation')) || 0,
+		children: []
+	};
+	for (let child = root.firstChild; child; child = child.nextSibling) {
+		if (child.nodeType === 1 && child.tagName === 'node') {
+			hierarchy.children.push(toNode(child));
+		}
+	}
+	return hierarchy;
+};
+
+/**
+ * Tests if a node's value matches a query value.
+ * @param {String} value - The node's value
+ * @param {String|RegExp} expected - The query value
+ * @returns {Boolean}
+ */
+function matches(value, expected) {
+	return expected instanceof RegExp ? expected.test(value) : value === expected;
+}
+
+/**
+ * Finds every node in a hierarchy that matches a query, in document order.
+ * A resource id without a package such as "title" matches any package.
+ * @param {ADB~UiHierarchy|ADB~UiNode} root - The hierarchy or the node to search under
+ * @param {ADB~UiQuery} query - The criteria every matching node must meet
+ * @returns {Array<ADB~UiNode>}
+ */
+exports.findNodes = function findNodes(root, query) {
+	const results = [];
+
+	function test(node) {
+		if (query.resourceId !== undefined) {
+			const id = query.resourceId;
+			const ok = typeof id === 'string' && id.indexOf(':id/') === -1
+				? node.resourceId === id || node.resourceId.endsWith(':id/' + id)
+				: matches(node.resourceId, id);
+			if (!ok) {
+				return false;
+			}
+		}
+		if (query.text !== undefined && !matches(node.text, query.text)) {
+			return false;
+		}
+		if (query.contentDesc !== undefined && !matches(node.contentDesc, query.contentDesc)) {
+			return false;
+		}
+		if (query.class !== undefined && !matches(node.class, query.class)) {
+			return false;
+		}
+		if (query.package !== undefined && !matches(node.package, query.package)) {
+			return false;
+		}
+		return typeof query.filter !== 'function' || !!query.filter(node);
+	}
+
+	(function walk(nodes) {
+		nodes.forEach(function (node) {
+			test(node) && results.push(node);
+			walk(node.children);
+		});
+	}(root.children));
+
+	return results;
+};
+
+/**
+ * Builds the "input text" command for a string. "input text" splits its
+ * argument on spaces, so they are encoded as "%s".
+ * @param {String} text - The text to type
+ * @returns {String}
+ */
+exports.inputTextCommand = function inputTextCommand(text) {
+	return 'input text ' + shellQuote(String(text).replace(/ /g, '%s'));
+};
+
+/**
+ * Builds the "input keyevent" command for one or more keys. Keys may be key
+ * codes or names with or without the "KEYCODE_" prefix such as "HOME" or
+ * "KEYCODE_BACK".
+ * @param {Number|String|Array<Number|String>} keys - The keys to press
+ * @returns {String|null} The command or null if a key is invalid
+ */
+exports.keyeventCommand = function keyeventCommand(keys) {
+	keys = [].concat(keys).map(function (key) {
+		if (typeof key === 'number' || /^\d+$/.test(key)) {
+			return String(key);
+		}
+		key = String(key).toUpperCase();
+		if (!/^[A-Z0-9_]+$/.test(key)) {
+			return null;
+		}
+		return key.indexOf('KEYCODE_') === 0 ? key : 'KEYCODE_' + key;
+	});
+	return !keys.length || keys.indexOf(null) !== -1 ? null : 'input keyevent ' + keys.join(' ');
+};
@@ -0,0 +1,43 @@
+/**
+ * Helpers shared by the ADB modules.
+ *
+ * @module adb/util
+ *
+ * @copyright
+ * Copyright (c) 2009-2017 by Appcelerator, Inc. All Rights Reserved.
+ *
+ * @license
+ * Licensed under the terms of the Apache Public License
+ * Please see the LICENSE included with this distribution for details.
+ */
+'use strict';
+
+/**
+ * Invokes an asynchronous operation that reports its result through a
+ * Node-style callback. If the caller supplied a callback, it is passed
+ * through untouched, otherwise a Promise is returned instead.
+ * @param {Function} [callback] - The caller's callback, if any
+ * @param {Function} fn - A function that performs the operation and accepts a Node-style callback
+ * @returns {Promise|undefined} A Promise when no callback was specified
+ */
+exports.callbackOrPromise = function callbackOrPromise(callback, fn) {
+	if (typeof callback === 'function') {
+		fn(callback);
+		return;
+	}
+	return new Promise(function (resolve, reject) {
+		fn(function (err, result) {
+			err ? reject(err) : resolve(result);
+		});
+	});
+};
+
+/**
+ * Quotes an argument so that it's passed as-is through the device's shell.
+ * @param {String} arg - The argument
+ * @returns {String}
+ */
+exports.shellQuote = function shellQuote(arg) {
+	arg = String(arg);
+	return /^[\w@%+=:,./-]+$/.test(arg) ? arg : '\'' + arg.replace(/'/g, '\'\\\'\'') + '\'';
+};
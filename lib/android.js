@@ -65,6 +65,32 @@ exports.androidPackageJson = function (json) {
 	androidPackageJson = json;
 };
 
+/**
+ * Discards the cached Android environment so the next call to `detect()`
+ * re-queries the system, such as after an AVD has been created or deleted.
+ */
+exports.clearCache = function clearCache() {
+	envCache = null;
+};
+
+/**
+ * Returns the directory the emulator keeps its settings in. The "path.rel" of
+ * an AVD's ini file is relative to this directory.
+ * @returns {String}
+ */
+exports.getEmulatorHome = function getEmulatorHome() {
+	return afs.resolvePath(process.env.ANDROID_EMULATOR_HOME || '~/.android');
+};
+
+/**
+ * Returns the directory the AVDs are stored in, using the same environment
+ * variables as the emulator so the AVDs found here are the ones it can start.
+ * @returns {String}
+ */
+exports.getAvdDir = function getAvdDir() {
+	return process.env.ANDROID_AVD_HOME ? afs.resolvePath(process.env.ANDROID_AVD_HOME) : path.join(exports.getEmulatorHome(), 'avd');
+};
+
 /**
  * Detects current Android environment.
  * @param {Object} config - The CLI config object
@@ -322,6 +348,7 @@ exports.detect = function detect(config, opts, finished) {
 		results.vendorDependencies = androidPackageJson.vendorDependencies;
 		results.targets            = {};
 		results.avds               = [];
+		results.systemImages       = [];
 		results.issues             = [];
 
 		function finalize() {
@@ -469,6 +496,18 @@ exports.detect = function detect(config, opts, finished) {
 										tag: tag,
 										abi: abi
 									};
+
+									results.systemImages.push({
+										id: id,
+										apiLevel: ~~props['AndroidVersion.ApiLevel'],
+										codename: props['AndroidVersion.CodeName'] || null,
+										tag: tag,
+										tagDisplay: props['SystemImage.TagDisplay'] || tag,
+										abi: props['SystemImage.Abi'],
+										path: abiDir,
+										sysdir: path.relative(results.sdk.path, abiDir).split(path.sep).join('/') + '/',
+										skins: systemImages[id][tag][systemImages[id][tag].length - 1].skins
+									});
 								}
 							});
 						}
@@ -597,7 +636,7 @@ exports.detect = function detect(config, opts, finished) {
 		}
 
 		// parse the avds
-		var avdDir = afs.resolvePath('~/.android/avd');
+		var avdDir = exports.getAvdDir();
 		var iniRegExp = /^(.+)\.ini$/;
 		if (isDir(avdDir)) {
 			fs.readdirSync(avdDir).forEach(function (name) {
@@ -612,7 +651,7 @@ exports.detect = function detect(config, opts, finished) {
 				}
 
 				var q;
-				var p = isDir(ini.path) ? ini.path : (ini['path.rel'] && isDir(q = path.join(avdDir, ini['path.rel'])) ? q : null);
+				var p = isDir(ini.path) ? ini.path : (ini['path.rel'] && isDir(q = path.join(exports.getEmulatorHome(), ini['path.rel'])) ? q : null);
 				if (!p) {
 					return;
 				}
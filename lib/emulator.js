@@ -26,6 +26,26 @@ require('colors');
 
 module.exports = EmulatorManager;
 
+// loaded once the exports are set since the pool loads the avd module, which loads this module
+const EmulatorConsole = require('./emulators/console'),
+	EmulatorPool = require('./emulators/pool');
+
+/**
+ * The modules in the "emulators" directory that aren't emulator implementations.
+ * @type {Array<String>}
+ */
+const HELPER_MODULES = [ 'console.js', 'pool.js' ];
+
+/**
+ * Returns the emulator implementation modules to load.
+ * @param {Object} [opts] - Detection options
+ * @param {String} [opts.type] - The type of emulator to load (avd); defaults to all
+ * @returns {Array<String>} The filenames of the modules in the "emulators" directory
+ */
+function getEmulatorModules(opts) {
+	return opts && opts.type ? [ opts.type + '.js' ] : fs.readdirSync(path.join(__dirname, 'emulators')).filter(filename => HELPER_MODULES.indexOf(filename) === -1);
+}
+
 /**
  * Creates an Emulator instace.
  * @class
@@ -37,6 +57,23 @@ module.exports = EmulatorManager;
 function Emulator() {}
 util.inherits(EmulatorManager.Emulator = Emulator, events.EventEmitter);
 
+EmulatorManager.EmulatorConsole = EmulatorConsole;
+EmulatorManager.EmulatorPool = EmulatorPool;
+
+/**
+ * Creates a client for the emulator's console, which can simulate location,
+ * telephony, battery, network, sensor and fingerprint events and save and
+ * restore snapshots.
+ * @param {Object} [opts] - Console options; see {@link EmulatorConsole}
+ * @returns {EmulatorConsole}
+ */
+Emulator.prototype.openConsole = function openConsole(opts) {
+	const m = String(this.id || '').match(/^emulator-(\d+)$/);
+	return new EmulatorConsole(Object.assign({
+		port: this.emulator && this.emulator.port || (m ? parseInt(m[1]) : undefined)
+	}, opts));
+};
+
 /**
  * Creates an EmulatorManager instance.
  * @class
@@ -61,7 +98,7 @@ EmulatorManager.prototype.detect = function detect(opts, callback) {
 		opts = {};
 	}
 
-	var files = opts && opts.type ? [ opts.type + '.js' ] : fs.readdirSync(path.join(__dirname, 'emulators')),
+	var files = getEmulatorModules(opts),
 		re = /\.js$/,
 		config = this.config;
 
@@ -183,7 +220,7 @@ EmulatorManager.prototype.isEmulator = function isEmulator(device, opts, callbac
 		opts = {};
 	}
 
-	var files = opts && opts.type ? [ opts.type + '.js' ] : fs.readdirSync(path.join(__dirname, 'emulators')),
+	var files = getEmulatorModules(opts),
 		re = /\.js$/,
 		config = this.config;
 
@@ -284,6 +321,13 @@ function checkedBooted(config, opts, emulator) {
 
 		opts.logger && opts.logger.info(__('Emulator is booted'));
 
+		if (emu.bootSnapshot) {
+			// the snapshot was saved after the SD card was mounted, so there's nothing to wait for
+			opts.logger && opts.logger.info(__('Emulator restored snapshot %s', emu.bootSnapshot.cyan));
+			emulator.emit('ready', emulator);
+			return;
+		}
+
 		if (!opts.checkMounts || !emu.sdcard) {
 			// nothing to do, fire ready event
 			opts.logger && opts.logger.info(__('SD card not required, skipping mount check'));
@@ -370,6 +414,8 @@ function checkedBooted(config, opts, emulator) {
  * Starts the specified emulator, if not already running.
  * @param {String} id - The id of the emulator
  * @param {Object} [opts] - Options for detection and launching the emulator
+ * @param {String} [opts.bootSnapshot] - The name of a snapshot to boot into; if the emulator is already running, the
+ * snapshot is restored in it. The emulator emits "ready" once the snapshot has been restored.
  * @param {Function} callback - A function to call when the emulator as launched
  */
 EmulatorManager.prototype.start = function start(id, opts, callback) {
@@ -391,8 +437,25 @@ EmulatorManager.prototype.start = function start(id, opts, callback) {
 			var emulator = new Emulator();
 			appc.util.mix(emulator, running);
 			opts.logger && opts.logger.info(__('Emulator already running'));
-			checkedBooted(this.config, opts, emulator);
-			callback(null, emulator);
+			if (!opts.bootSnapshot) {
+				checkedBooted(this.config, opts, emulator);
+				callback(null, emulator);
+				return;
+			}
+
+			// restore the snapshot in the running emulator rather than rebooting it
+			opts.logger && opts.logger.info(__('Restoring snapshot %s', opts.bootSnapshot.cyan));
+			var emuConsole = emulator.openConsole();
+			emuConsole.loadSnapshot(opts.bootSnapshot, function (err) {
+				emuConsole.close(function () {
+					if (err) {
+						return callback(err);
+					}
+					emulator.emulator = Object.assign({}, emulator.emulator, { bootSnapshot: opts.bootSnapshot });
+					checkedBooted(this.config, opts, emulator);
+					callback(null, emulator);
+				}.bind(this));
+			}.bind(this));
 			return;
 		}
 
@@ -17,8 +17,11 @@ const appc = require('node-appc'),
 	__ = appc.i18n(__dirname).__,
 	async = require('async'),
 	android = require('../android'),
+	fs = require('fs-extra'),
 	net = require('net'),
+	path = require('path'),
 	spawn = require('child_process').spawn,
+	EmulatorConsole = require('./console'),
 	EmulatorManager = require('../emulator');
 
 /**
@@ -35,33 +38,11 @@ exports.detect = function detect(config, opts, callback) {
 };
 
 function getAvdName(port, callback) {
-	let state = 'connecting',
-		avdName = null,
-		buffer = '';
-	const responseRegExp = /(.*)\r\nOK\r\n/;
-	const socket = net.connect({ port: port });
-
-	socket.on('data', function (data) {
-		buffer += data.toString();
-		const m = buffer.match(responseRegExp);
-		if (!m || state === 'done') {
-			// do nothing
-		} else if (state === 'connecting') {
-			state = 'sending command';
-			buffer = '';
-			socket.write('avd name\n');
-		} else if (state === 'sending command') {
-			state = 'done';
-			avdName = m[1].trim();
-			socket.end('quit\n');
-		}
-	});
-
-	socket.on('end', function () {
-		callback(null, avdName);
+	// "avd name" works without authenticating, so don't require the auth token
+	const emuConsole = new EmulatorConsole({ port: port, auth: false });
+	emuConsole.avdName(function (err, name) {
+		emuConsole.close(() => callback(err, err ? undefined : name));
 	});
-
-	socket.on('error', callback);
 }
 
 /**
@@ -129,6 +110,8 @@ exports.isEmulator = function isEmulator(config, device, callback) {
  * @param {String} [opts.sdcard] - A path to the virtual SD card to use with the emulator
  * @param {String} [opts.logcatFilter="*:d,*,TiAPI:V"] - The filter for logcat to use
  * @param {Number} [opts.partitionSize=128] - The emulator's system/data partition size in MBs
+ * @param {String} [opts.bootSnapshot] - The name of a snapshot to boot into instead of cold booting; the snapshot is
+ * left unchanged when the emulator exits
  * @param {String} [opts.cwd] - The current working directory to pass into spawn()
  * @param {Array|String} [opts.stdio] - The stdio configuration to pass into spawn()
  * @param {Object} [opts.env] - The environment variables to pass into spawn()
@@ -154,6 +137,16 @@ exports.start = function start(config, emu, opts, callback) {
 			}
 		}
 
+		if (opts.bootSnapshot) {
+			if (opts.snapshot || opts.noSnapshot || opts.noSnapshotLoad) {
+				return callback(new Error(__('The "bootSnapshot" option can\'t be combined with "snapshot", "noSnapshot" or "noSnapshotLoad"')));
+			}
+			// the emulator quietly cold boots when the snapshot is missing, so catch it here
+			if (emu.path && !fs.existsSync(path.join(emu.path, 'snapshots', opts.bootSnapshot))) {
+				return callback(new Error(__('Snapshot "%s" does not exist for emulator "%s"', opts.bootSnapshot, emu.name)));
+			}
+		}
+
 		// check that 32-bit libs are good to go
 		if (results.linux64bit) {
 			if (results.linux64bit.ia32libs === false) {
@@ -240,6 +233,7 @@ exports.start = function start(config, emu, opts, callback) {
 				opts.noSnapshotLoad       && args.push('-no-snapshot-load');                   // do not auto-start from snapshot: perform a full boot
 				opts.snapshotList         && args.push('-snapshot-list');                      // show a list of available snapshots
 				opts.noSnapshotUpdateTime && args.push('-no-snapshot-update-time');            // do not do try to correct snapshot time on restore
+				opts.bootSnapshot         && args.push('-snapshot', opts.bootSnapshot, '-no-snapshot-save'); // boot into a snapshot and don't overwrite it on exit
 				opts.wipeData             && args.push('-wipe-data');                          // reset the user data image (copy it from initdata)
 				opts.skindir              && args.push('-skindir', opts.skindir);              // search skins in <dir> (default <system>/skins)
 				opts.skin                 && args.push('-skin', opts.skin);                    // select a given skin
@@ -267,6 +261,7 @@ exports.start = function start(config, emu, opts, callback) {
 				opts.dnsServer            && args.push('-dns-server', opts.dnsServer);         // use this DNS server(s) in the emulated system
 				opts.cpuDelay             && args.push('-cpu-delay', opts.cpuDelay);           // throttle CPU emulation
 				opts.noWindow             && args.push('-no-window');                          // disable graphical window display
+				opts.readOnly             && args.push('-read-only');                          // allow running several instances of the AVD, discarding their changes on exit
 				opts.reportConsole        && args.push('-report-console', opts.reportConsole); // report console port to remote socket
 				opts.gps                  && args.push('-gps', opts.gps);                      // redirect NMEA GPS to character device
 				opts.keyset               && args.push('-keyset', opts.keyset);                // specify keyset file name
@@ -311,7 +306,9 @@ exports.start = function start(config, emu, opts, callback) {
 					device = new EmulatorManager.Emulator();
 
 				device.emulator = {
-					pid: child.pid
+					pid: child.pid,
+					port: port,
+					bootSnapshot: opts.bootSnapshot || null
 				};
 				appc.util.mix(device.emulator, emu);
 
@@ -384,3 +381,412 @@ exports.stop = function stop(config, name, device, opts, callback) {
 		});
 	});
 };
+
+/**
+ * The hardware profiles that can be passed as the `device` when creating an
+ * AVD. They match the device definitions of the same name used by the AVD
+ * Manager.
+ * @type {Object<String, Object>}
+ */
+const DEVICE_PROFILES = exports.DEVICE_PROFILES = {
+	pixel: { name: 'pixel', manufacturer: 'Google', width: 1080, height: 1920, density: 420 },
+	pixel_xl: { name: 'pixel_xl', manufacturer: 'Google', width: 1440, height: 2560, density: 560 },
+	pixel_2: { name: 'pixel_2', manufacturer: 'Google', width: 1080, height: 1920, density: 420 },
+	pixel_3: { name: 'pixel_3', manufacturer: 'Google', width: 1080, height: 2160, density: 440 },
+	pixel_4: { name: 'pixel_4', manufacturer: 'Google', width: 1080, height: 2280, density: 440 },
+	pixel_5: { name: 'pixel_5', manufacturer: 'Google', width: 1080, height: 2340, density: 440 },
+	pixel_6: { name: 'pixel_6', manufacturer: 'Google', width: 1080, height: 2400, density: 420 },
+	pixel_c: { name: 'pixel_c', manufacturer: 'Google', width: 2560, height: 1800, density: 320 },
+	'Nexus 5X': { name: 'Nexus 5X', manufacturer: 'Google', width: 1080, height: 1920, density: 420 },
+	'Nexus 7 2013': { name: 'Nexus 7 2013', manufacturer: 'Google', width: 1200, height: 1920, density: 320 }
+};
+
+/**
+ * The CPU architecture the emulator needs for each ABI.
+ * @type {Object<String, String>}
+ */
+const CPU_ARCHS = {
+	x86: 'x86',
+	x86_64: 'x86_64',
+	'arm64-v8a': 'arm64',
+	'armeabi-v7a': 'arm'
+};
+
+const avdNameRegExp = /^[\w.-]+$/;
+
+/**
+ * Parses an ini file such as an AVD's "config.ini".
+ * @param {String} file - The file to read
+ * @returns {Object|null} The values or null if the file does not exist
+ */
+function readIni(file) {
+	if (!fs.existsSync(file)) {
+		return null;
+	}
+	const values = {};
+	fs.readFileSync(file).toString().split(/\r?\n/).forEach(function (line) {
+		const m = line.match(/^([^=#]+)=(.*)$/);
+		m && (values[m[1].trim()] = m[2].trim());
+	});
+	return values;
+}
+
+/**
+ * Converts values into the contents of an ini file, sorted by key like the
+ * AVD Manager writes them.
+ * @param {Object} values - The values
+ * @returns {String}
+ */
+function stringifyIni(values) {
+	return Object.keys(values).sort().map(key => key + '=' + values[key] + '\n').join('');
+}
+
+/**
+ * Builds the contents of the ini file that points to an AVD's directory. The
+ * "path.rel" is only written when the AVD is inside the emulator's home
+ * directory since it's relative to it.
+ * @param {String} avdPath - The AVD's directory
+ * @param {Object} [values] - Other values to write
+ * @returns {String}
+ */
+function stringifyAvdIni(avdPath, values) {
+	const rel = path.relative(android.getEmulatorHome(), avdPath);
+	const ini = Object.assign({}, values, { path: avdPath });
+	delete ini['path.rel'];
+	if (!/^\.\./.test(rel) && !path.isAbsolute(rel)) {
+		ini['path.rel'] = rel.split(path.sep).join('/');
+	}
+	return stringifyIni(ini);
+}
+
+/**
+ * Loads the description of an AVD from its ini files.
+ * @param {String} avdDir - The directory the AVDs are stored in
+ * @param {String} name - The name of the AVD
+ * @returns {Object|null} The AVD or null if it does not exist
+ */
+function readAvd(avdDir, name) {
+	const ini = readIni(path.join(avdDir, name + '.ini'));
+	const avdPath = ini && ini.path && fs.existsSync(ini.path) ? ini.path : path.join(avdDir, name + '.avd');
+	const config = readIni(path.join(avdPath, 'config.ini'));
+	if (!ini || !config) {
+		return null;
+	}
+	const apiLevel = (config['image.sysdir.1'] || '').match(/android-(\d+)\//);
+	return {
+		type: 'avd',
+		id: config.AvdId || name,
+		name: config['avd.ini.displayname'] || name,
+		device: config['hw.device.name'] + ' (' + config['hw.device.manufacturer'] + ')',
+		path: avdPath,
+		target: ini.target || null,
+		abi: config['abi.type'],
+		skin: config['skin.name'],
+		googleApis: config['tag.id'] === 'google_apis',
+		'api-level': apiLevel ? parseInt(apiLevel[1]) : null
+	};
+}
+
+/**
+ * Determines if an AVD is running. The emulator holds lock files in the AVD's
+ * directory while it runs.
+ * @param {String} avdPath - The AVD's directory
+ * @returns {Boolean}
+ */
+function isLocked(avdPath) {
+	return [ 'hardware-qemu.ini.lock', 'multiinstance.lock' ].some(file => fs.existsSync(path.join(avdPath, file)));
+}
+
+/**
+ * Finds a system image. The image may be specified as an SDK package path such
+ * as "system-images;android-30;google_apis;x86_64", as the image's directory
+ * relative to the SDK such as "system-images/android-30/google_apis/x86_64", or
+ * as an object. Any part of an object that is left out matches any image,
+ * preferring an ABI that the host can run without emulating the CPU.
+ * @param {Array<Object>} images - The system images found by `android.detect()`
+ * @param {String|Object} spec - The system image to find
+ * @param {String|Number} [spec.id] - The platform id such as "android-30", or the API level
+ * @param {String} [spec.tag] - The tag such as "default", "google_apis" or "google_apis_playstore"
+ * @param {String} [spec.abi] - The ABI such as "x86_64" or "arm64-v8a"
+ * @returns {Object|null} The system image or null if none match
+ */
+exports.findSystemImage = function findSystemImage(images, spec) {
+	if (typeof spec === 'string') {
+		const p = spec.replace(/\/$/, '').split(/[;/]/).filter(Boolean);
+		p[0] === 'system-images' && p.shift();
+		spec = { id: p[0], tag: p[1], abi: p[2] };
+	}
+	spec || (spec = {});
+
+	const id = typeof spec.id === 'number' || /^\d+$/.test(spec.id) ? 'android-' + spec.id : spec.id;
+	const preferred = process.arch === 'arm64' ? [ 'arm64-v8a', 'x86_64', 'x86', 'armeabi-v7a' ] : [ 'x86_64', 'x86', 'arm64-v8a', 'armeabi-v7a' ];
+	const rank = abi => (preferred.indexOf(abi) === -1 ? preferred.length : preferred.indexOf(abi));
+
+	return images
+		.filter(image => (!id || image.id === id) && (!spec.tag || image.tag === spec.tag) && (!spec.abi || image.abi === spec.abi))
+		.sort((a, b) => b.apiLevel - a.apiLevel || rank(a.abi) - rank(b.abi))[0] || null;
+};
+
+/**
+ * Builds the values of an AVD's "config.ini".
+ * @param {Object} avd - The AVD to create
+ * @param {String} avd.name - The name of the AVD
+ * @param {String} [avd.displayName] - The name shown in the AVD Manager; defaults to the name
+ * @param {Object} avd.image - The system image returned by `findSystemImage()`
+ * @param {Object} avd.device - The hardware profile; see `DEVICE_PROFILES`
+ * @param {Object} [avd.skin] - The skin's `name` and `path`; defaults to no skin at the device's resolution
+ * @param {String|Boolean} [avd.sdcard] - The size of the SD card such as "512M", or the path of an existing image;
+ * `false` for no SD card
+ * @param {Number|String} [avd.ramSize] - The amount of RAM in megabytes
+ * @param {Object} [avd.props] - Additional "config.ini" values, which take precedence
+ * @returns {Object}
+ */
+exports.buildConfig = function buildConfig(avd) {
+	const image = avd.image;
+	const device = avd.device;
+	const values = {
+		AvdId: avd.name,
+		'avd.ini.displayname': avd.displayName || avd.name,
+		'avd.ini.encoding': 'UTF-8',
+		'abi.type': image.abi,
+		'hw.cpu.arch': CPU_ARCHS[image.abi] || image.abi,
+		'hw.device.manufacturer': device.manufacturer,
+		'hw.device.name': device.name,
+		'hw.gpu.enabled': 'yes',
+		'hw.gpu.mode': 'auto',
+		'hw.keyboard': 'yes',
+		'hw.lcd.density': device.density,
+		'hw.lcd.height': device.height,
+		'hw.lcd.width': device.width,
+		'image.sysdir.1': image.sysdir,
+		'PlayStore.enabled': image.tag === 'google_apis_playstore' ? 'true' : 'false',
+		'skin.dynamic': 'yes',
+		'skin.name': avd.skin ? avd.skin.name : device.width + 'x' + device.height,
+		'skin.path': avd.skin ? avd.skin.path : '_no_skin',
+		'tag.display': image.tagDisplay || image.tag,
+		'tag.id': image.tag
+	};
+
+	image.abi === 'armeabi-v7a' && (values['hw.cpu.model'] = 'cortex-a8');
+
+	if (avd.sdcard === false) {
+		values['hw.sdCard'] = 'no';
+	} else if (typeof avd.sdcard === 'string' && !/^\d+[KMG]?$/i.test(avd.sdcard)) {
+		values['hw.sdCard'] = 'yes';
+		values['hw.sdCard.path'] = avd.sdcard;
+	} else {
+		// the emulator creates the image on first boot
+		values['hw.sdCard'] = 'yes';
+		values['sdcard.size'] = String(avd.sdcard || '512M').toUpperCase();
+	}
+
+	if (avd.ramSize) {
+		values['hw.ramSize'] = parseInt(avd.ramSize);
+	}
+
+	return Object.assign(values, avd.props);
+};
+
+/**
+ * Creates an Android Virtual Device from a system image found by
+ * `android.detect()` by writing its ini files directly, so the AVD Manager is
+ * not required. AVDs are created in the directory the emulator looks in, which
+ * can be changed with the `ANDROID_AVD_HOME` environment variable.
+ * @param {Object} config - The CLI config object
+ * @param {Object} opts - The AVD to create
+ * @param {String} opts.name - The name of the AVD; letters, numbers, ".", "_" and "-" only
+ * @param {String} [opts.displayName] - The name shown in the AVD Manager; defaults to the name
+ * @param {String|Object} [opts.systemImage] - The system image; see `findSystemImage()`. Defaults to the image
+ * with the highest API level.
+ * @param {String|Object} [opts.device="pixel"] - The name of a hardware profile in `DEVICE_PROFILES` or an object
+ * with the `name`, `manufacturer`, `width`, `height` and `density`
+ * @param {String} [opts.skin] - The name of a skin that comes with the system image or the SDK, or a resolution
+ * such as "1080x1920"
+ * @param {String|Boolean} [opts.sdcard="512M"] - The size of the SD card, the path of an existing image, or `false`
+ * for no SD card
+ * @param {Number} [opts.ramSize] - The amount of RAM in megabytes
+ * @param {Object} [opts.props] - Additional "config.ini" values, such as `{ "hw.camera.back": "emulated" }`
+ * @param {Boolean} [opts.force=false] - Replaces an existing AVD with the same name
+ * @param {Boolean} [opts.bypassCache=false] - Bypasses the Android environment detection cache and re-queries the system
+ * @param {Object} [opts.logger] - A logger instance
+ * @param {Function} callback - A function to call with the new AVD
+ * @returns {void}
+ */
+exports.create = function create(config, opts, callback) {
+	opts = opts || {};
+	const name = opts.name;
+	if (!name || !avdNameRegExp.test(name)) {
+		return callback(new Error(__('Invalid AVD name "%s", only letters, numbers, ".", "_" and "-" are allowed', name)));
+	}
+
+	const device = typeof opts.device === 'object' && opts.device ? opts.device : DEVICE_PROFILES[opts.device || 'pixel'];
+	if (!device) {
+		return callback(new Error(__('Invalid device "%s", expected one of: %s', opts.device, Object.keys(DEVICE_PROFILES).join(', '))));
+	}
+
+	const avdDir = android.getAvdDir();
+	const iniFile = path.join(avdDir, name + '.ini');
+	const avdPath = path.join(avdDir, name + '.avd');
+	if (!opts.force && (fs.existsSync(iniFile) || fs.existsSync(avdPath))) {
+		return callback(new Error(__('AVD "%s" already exists', name)));
+	}
+	if (isLocked(avdPath)) {
+		return callback(new Error(__('AVD "%s" is running, stop it before replacing it', name)));
+	}
+
+	android.detect(config, { bypassCache: opts.bypassCache }, function (results) {
+		if (!results.sdk) {
+			return callback(new Error(__('No Android SDK found')));
+		}
+
+		const image = exports.findSystemImage(results.systemImages, opts.systemImage);
+		if (!image) {
+			const available = results.systemImages.map(image => 'system-images;' + image.id + ';' + image.tag + ';' + image.abi);
+			return callback(new Error(opts.systemImage
+				? __('System image "%s" not found, available system images: %s', typeof opts.systemImage === 'string' ? opts.systemImage : JSON.stringify(opts.systemImage), available.join(', ') || __('none'))
+				: __('No system images found, install one using the Android SDK Manager')));
+		}
+
+		let skin = null;
+		if (opts.skin && /^\d+x\d+$/.test(opts.skin)) {
+			skin = { name: opts.skin, path: '_no_skin' };
+		} else if (opts.skin) {
+			const skinPath = [ path.join(image.path, 'skins', opts.skin), path.join(results.sdk.path, 'skins', opts.skin) ].find(dir => fs.existsSync(path.join(dir, 'hardware.ini')));
+			if (!skinPath) {
+				return callback(new Error(__('Invalid skin "%s"', opts.skin)));
+			}
+			skin = { name: opts.skin, path: skinPath };
+		}
+
+		const values = exports.buildConfig({
+			name: name,
+			displayName: opts.displayName,
+			image: image,
+			device: device,
+			skin: skin,
+			sdcard: opts.sdcard,
+			ramSize: opts.ramSize,
+			props: opts.props
+		});
+
+		opts.logger && opts.logger.info(__('Creating AVD %s from %s', name.cyan, image.sysdir.cyan));
+
+		async.series([
+			next => fs.remove(avdPath, next),
+			next => fs.outputFile(path.join(avdPath, 'config.ini'), stringifyIni(values), next),
+			next => fs.outputFile(iniFile, stringifyAvdIni(avdPath, {
+				'avd.ini.encoding': 'UTF-8',
+				target: image.id
+			}), next)
+		], function (err) {
+			if (err) {
+				return callback(err);
+			}
+			android.clearCache();
+			callback(null, readAvd(avdDir, name));
+		});
+	});
+};
+
+/**
+ * Deletes an Android Virtual Device along with its data and snapshots.
+ * @param {Object} config - The CLI config object
+ * @param {String} name - The name of the AVD
+ * @param {Object} [opts] - Various options
+ * @param {Boolean} [opts.force=false] - Deletes the AVD even if it appears to be running
+ * @param {Function} callback - A function to call when the AVD has been deleted
+ * @returns {void}
+ */
+exports.delete = function deleteAvd(config, name, opts, callback) {
+	if (typeof opts === 'function') {
+		callback = opts;
+		opts = {};
+	}
+	opts = opts || {};
+
+	const avdDir = android.getAvdDir();
+	const avd = name && avdNameRegExp.test(name) ? readAvd(avdDir, name) : null;
+	if (!avd) {
+		return callback(new Error(__('Invalid emulator "%s"', name)));
+	}
+	if (!opts.force && isLocked(avd.path)) {
+		return callback(new Error(__('AVD "%s" is running, stop it before deleting it', name)));
+	}
+
+	async.series([
+		next => fs.remove(avd.path, next),
+		next => fs.remove(path.join(avdDir, name + '.ini'), next)
+	], function (err) {
+		android.clearCache();
+		callback(err || null);
+	});
+};
+
+/**
+ * Copies an Android Virtual Device, including its data so that installed apps
+ * are kept. Snapshots are not copied since they refer to the original AVD, so
+ * the copy cold boots the first time it's started.
+ * @param {Object} config - The CLI config object
+ * @param {String} name - The name of the AVD to copy
+ * @param {String} newName - The name of the new AVD
+ * @param {Object} [opts] - Various options
+ * @param {String} [opts.displayName] - The name shown in the AVD Manager; defaults to the new name
+ * @param {Boolean} [opts.force=false] - Replaces an existing AVD with the new name
+ * @param {Function} callback - A function to call with the new AVD
+ * @returns {void}
+ */
+exports.clone = function clone(config, name, newName, opts, callback) {
+	if (typeof opts === 'function') {
+		callback = opts;
+		opts = {};
+	}
+	opts = opts || {};
+
+	if (!newName || !avdNameRegExp.test(newName)) {
+		return callback(new Error(__('Invalid AVD name "%s", only letters, numbers, ".", "_" and "-" are allowed', newName)));
+	}
+	// compared without case since the AVD directory may be on a case-insensitive file system
+	if (name && newName.toLowerCase() === name.toLowerCase()) {
+		return callback(new Error(__('Can\'t copy AVD "%s" onto itself', name)));
+	}
+
+	const avdDir = android.getAvdDir();
+	const avd = name && avdNameRegExp.test(name) ? readAvd(avdDir, name) : null;
+	if (!avd) {
+		return callback(new Error(__('Invalid emulator "%s"', name)));
+	}
+	if (isLocked(avd.path)) {
+		return callback(new Error(__('AVD "%s" is running, stop it before copying it', name)));
+	}
+
+	const iniFile = path.join(avdDir, newName + '.ini');
+	const avdPath = path.join(avdDir, newName + '.avd');
+	if (!opts.force && (fs.existsSync(iniFile) || fs.existsSync(avdPath))) {
+		return callback(new Error(__('AVD "%s" already exists', newName)));
+	}
+	if (isLocked(avdPath)) {
+		return callback(new Error(__('AVD "%s" is running, stop it before replacing it', newName)));
+	}
+
+	const skip = [ 'snapshots', 'hardware-qemu.ini', 'hardware-qemu.ini.lock', 'multiinstance.lock' ];
+	const ini = readIni(path.join(avdDir, name + '.ini'));
+
+	async.series([
+		next => fs.remove(avdPath, next),
+		next => fs.copy(avd.path, avdPath, { filter: file => skip.indexOf(path.relative(avd.path, file).split(path.sep)[0]) === -1 }, next),
+		next => {
+			const config = Object.assign(readIni(path.join(avdPath, 'config.ini')), {
+				AvdId: newName,
+				'avd.ini.displayname': opts.displayName || newName
+			});
+			fs.outputFile(path.join(avdPath, 'config.ini'), stringifyIni(config), next);
+		},
+		next => fs.outputFile(iniFile, stringifyAvdIni(avdPath, ini), next)
+	], function (err) {
+		if (err) {
+			return callback(err);
+		}
+		android.clearCache();
+		callback(null, readAvd(avdDir, newName));
+	});
+};
@@ -0,0 +1,582 @@
+/**
+ * A client for the emulator console, the telnet-style protocol each emulator
+ * serves on its console port to simulate location, telephony, battery,
+ * network, sensor and fingerprint events and to save and restore snapshots.
+ *
+ * @module emulators/console
+ *
+ * @copyright
+ * Copyright (c) 2009-2017 by Appcelerator, Inc. All Rights Reserved.
+ *
+ * @license
+ * Licensed under the terms of the Apache Public License
+ * Please see the LICENSE included with this distribution for details.
+ */
+'use strict';
+
+const appc = require('node-appc');
+const __ = appc.i18n(__dirname).__;
+const async = require('async');
+const events = require('events');
+const fs = require('fs');
+const net = require('net');
+const util = require('util');
+const callbackOrPromise = require('../adb/util').callbackOrPromise;
+
+module.exports = EmulatorConsole;
+
+/**
+ * The file the emulator reads the console's auth token from, unless the
+ * banner names another one.
+ * @type {String}
+ */
+EmulatorConsole.AUTH_TOKEN_FILE = '~/.emulator_console_auth_token';
+
+/**
+ * Creates an EmulatorConsole object.
+ * @class
+ * @extends EventEmitter
+ * @classdesc Sends commands to an emulator's console. Commands are queued and
+ * sent one at a time; the connection and the auth token handshake happen
+ * automatically before the first command.
+ * @example
+ * const console = new EmulatorConsole({ port: 5554 });
+ * console.geoFix({ latitude: 37.422, longitude: -122.084 })
+ *     .then(() => console.setNetwork({ data: 'off' }))
+ *     .then(() => console.close());
+ * @constructor
+ * @param {Object} [opts] - Various options
+ * @param {Number} [opts.port=5554] - The emulator's console port
+ * @param {String} [opts.host="127.0.0.1"] - The host the emulator runs on
+ * @param {String} [opts.authToken] - The auth token; defaults to the contents of the file named in the console's
+ * banner, usually "~/.emulator_console_auth_token"
+ * @param {Boolean} [opts.auth=true] - Authenticates when the console requires it; the "avd name" and "ping"
+ * commands work without authenticating
+ * @param {Number} [opts.timeout=10000] - The number of milliseconds to wait for each response; 0 to wait forever
+ * @param {Number} [opts.snapshotTimeout=120000] - The number of milliseconds to wait for a snapshot to be saved or
+ * loaded; 0 to wait forever
+ */
+function EmulatorConsole(opts) {
+	events.EventEmitter.call(this);
+	opts || (opts = {});
+	this.host = opts.host || '127.0.0.1';
+	this.port = parseInt(opts.port) || 5554;
+	this.authToken = opts.authToken || null;
+	this.auth = opts.auth !== false;
+	this.timeout = opts.timeout !== undefined ? opts.timeout : 10000;
+	this.snapshotTimeout = opts.snapshotTimeout !== undefined ? opts.snapshotTimeout : 120000;
+	this.socket = null;
+	this.connected = false;
+	this.queue = [];
+	this.waiting = [];
+	this.buffer = '';
+}
+util.inherits(EmulatorConsole, events.EventEmitter);
+
+/**
+ * Connects to the console and authenticates if required. Commands connect
+ * automatically, so this only needs to be called to find out early if the
+ * console can be reached.
+ * @param {Function} [callback] - A function to call once connected
+ * @returns {Promise|undefined} Resolves once connected when no callback is specified
+ */
+EmulatorConsole.prototype.connect = function connect(callback) {
+	return callbackOrPromise(callback, callback => {
+		if (this.connected) {
+			return callback();
+		}
+		this.waiting.push(callback);
+		if (this.socket) {
+			return;
+		}
+
+		const socket = this.socket = net.connect({ host: this.host, port: this.port });
+		socket.setEncoding('utf8');
+		// a socket that failed may still emit events after a retry has replaced it, so ignore them
+		socket.on('data', data => socket === this.socket && this._receive(data));
+		socket.on('error', err => socket === this.socket && this._fail(err));
+		socket.on('close', () => {
+			socket === this.socket && this._fail(new Error(__('The emulator console on port %s closed the connection', this.port)));
+			this.emit('close');
+		});
+
+		// the banner ends with "OK" just like a response
+		this._request(null, (err, banner) => {
+			if (socket !== this.socket) {
+				// the connection failed and _fail() has already notified everyone waiting
+				return;
+			}
+			if (err) {
+				return this._connected(err);
+			}
+			if (!this.auth || !banner.some(line => /Authentication required/.test(line))) {
+				return this._connected();
+			}
+
+			let token = this.authToken;
+			if (!token) {
+				const m = banner.join('\n').match(/'([^']+auth_token)'/);
+				const file = appc.fs.resolvePath(m ? m[1] : EmulatorConsole.AUTH_TOKEN_FILE);
+				token = fs.existsSync(file) ? fs.readFileSync(file).toString().trim() : null;
+				if (!token) {
+					return this._connected(new Error(__('The emulator console requires an auth token, but %s does not exist or is empty', file)));
+				}
+			}
+
+			this._request('auth ' + token, err => {
+				this._connected(err ? new Error(__('Unable to authenticate with the emulator console: %s', err.message)) : null);
+			});
+		});
+	});
+};
+
+/**
+ * Finishes connecting and notifies everyone waiting for the connection.
+ * @param {Error} [err] - An error if the connection failed
+ */
+EmulatorConsole.prototype._connected = function _connected(err) {
+	this.connected = !err;
+	if (err && this.socket) {
+		// forget the socket before destroying it so that a retry from a callback gets a new one
+		const socket = this.socket;
+		this.socket = null;
+		this.buffer = '';
+		socket.destroy();
+	}
+	const waiting = this.waiting;
+	this.waiting = [];
+	waiting.forEach(callback => callback(err || null));
+};
+
+/**
+ * Queues a request and sends it once the previous request has been answered.
+ * @param {String|null} cmd - The command or null to wait for the banner
+ * @param {Function} callback - A function to call with the response lines
+ * @param {Number} [timeout] - The number of milliseconds to wait for the response; defaults to `this.timeout`
+ */
+EmulatorConsole.prototype._request = function _request(cmd, callback, timeout) {
+	this.queue.push({ cmd: cmd, callback: callback, lines: [], timer: null, timeout: timeout !== undefined ? timeout : this.timeout });
+	this.queue.length === 1 && this._next();
+};
+
+/**
+ * Sends the request at the head of the queue.
+ */
+EmulatorConsole.prototype._next = function _next() {
+	const request = this.queue[0];
+	if (!request) {
+		return;
+	}
+	if (request.timeout) {
+		request.timer = setTimeout(() => {
+			const socket = this.socket;
+			this._fail(new Error(request.cmd
+				? __('Timed out after %sms waiting for the emulator console to respond to "%s"', request.timeout, request.cmd)
+				: __('Timed out after %sms waiting for the emulator console on port %s', request.timeout, this.port)));
+			socket && socket.destroy();
+		}, request.timeout);
+	}
+	request.cmd && this.socket.write(request.cmd + '\n');
+};
+
+/**
+ * Splits the received data into lines and completes the current request once
+ * it has been answered with "OK" or "KO: <reason>".
+ * @param {String} data - The data received
+ */
+EmulatorConsole.prototype._receive = function _receive(data) {
+	this.buffer += data;
+	const lines = this.buffer.split(/\r?\n/);
+	this.buffer = lines.pop();
+
+	lines.forEach(line => {
+		const request = this.queue[0];
+		if (!request) {
+			return;
+		}
+		let m;
+		if (/^OK(:|$)/.test(line)) {
+			this._complete(null, request.lines);
+		} else if ((m = line.match(/^KO(?::\s*(.*))?$/))) {
+			this._complete(new Error(m[1] || __('The emulator console rejected "%s"', request.cmd)));
+		} else {
+			request.lines.push(line);
+		}
+	});
+};
+
+/**
+ * Completes the current request and sends the next one.
+ * @param {Error} [err] - An error if the request failed
+ * @param {Array<String>} [lines] - The response lines
+ */
+EmulatorConsole.prototype._complete = function _complete(err, lines) {
+	const request = this.queue.shift();
+	clearTimeout(request.timer);
+	// send the next request first since the callback may queue another one
+	this._next();
+	request.callback(err, lines);
+};
+
+/**
+ * Fails every queued request, such as when the connection is lost.
+ * @param {Error} err - The error
+ */
+EmulatorConsole.prototype._fail = function _fail(err) {
+	// reset everything before calling back since a callback may retry and start a new connection
+	const queue = this.queue;
+	const waiting = this.waiting;
+	this.queue = [];
+	this.waiting = [];
+	this.socket = null;
+	this.connected = false;
+	this.buffer = '';
+	queue.forEach(request => {
+		clearTimeout(request.timer);
+		request.callback(err);
+	});
+	waiting.forEach(callback => callback(err));
+};
+
+/**
+ * Sends a command to the console, connecting first if needed.
+ * @param {String} cmd - The command such as "geo fix -122.084 37.422"
+ * @param {EmulatorConsole~commandCallback} [callback] - A function to call with the output
+ * @returns {Promise<Array<String>>|undefined} Resolves the output lines when no callback is specified
+ */
+EmulatorConsole.prototype.command = function command(cmd, callback) {
+	return callbackOrPromise(callback, callback => {
+		this.connect(err => (err ? callback(err) : this._request(cmd, callback)));
+	});
+};
+
+/**
+ * Sends an "avd snapshot" command, which may take much longer than other
+ * commands.
+ * @param {String} action - "save", "load" or "delete"
+ * @param {String} name - The name of the snapshot
+ * @param {Function} callback - A function to call once the command has completed
+ * @returns {void}
+ */
+EmulatorConsole.prototype._snapshot = function _snapshot(action, name, callback) {
+	if (!name || !/^[^\s]+$/.test(name)) {
+		return callback(new Error(__('Invalid snapshot name "%s"', name)));
+	}
+	this.connect(err => {
+		if (err) {
+			return callback(err);
+		}
+		this._request('avd snapshot ' + action + ' ' + name, err => {
+			callback(err ? new Error(__('Unable to %s snapshot "%s": %s', action, name, err.message)) : null);
+		}, this.snapshotTimeout);
+	});
+};
+
+/**
+ * Sends several commands in order, stopping at the first one that fails.
+ * @param {Array<String>} cmds - The commands
+ * @param {Function} callback - A function to call once the commands have been sent
+ */
+EmulatorConsole.prototype._commands = function _commands(cmds, callback) {
+	async.eachSeries(cmds, (cmd, next) => this.command(cmd, next), err => callback(err || null));
+};
+
+/**
+ * Closes the connection to the console. Queued commands fail.
+ * @param {Function} [callback] - A function to call once closed
+ * @returns {Promise|undefined} Resolves once closed when no callback is specified
+ */
+EmulatorConsole.prototype.close = function close(callback) {
+	return callbackOrPromise(callback, callback => {
+		if (!this.socket) {
+			return callback();
+		}
+		this.socket.once('close', () => callback());
+		this.socket.end('quit\n');
+	});
+};
+
+/**
+ * Returns the name of the AVD the emulator is running.
+ * @param {Function} [callback] - A function to call with the name
+ * @returns {Promise<String>|undefined} Resolves the name when no callback is specified
+ */
+EmulatorConsole.prototype.avdName = function avdName(callback) {
+	return callbackOrPromise(callback, callback => {
+		this.command('avd name', (err, lines) => callback(err, err ? undefined : lines.join('\n').trim()));
+	});
+};
+
+/**
+ * Lists the snapshots of the running AVD.
+ * @param {Function} [callback] - A function to call with the snapshots
+ * @returns {Promise<Array<EmulatorConsole~Snapshot>>|undefined} Resolves the snapshots when no callback is specified
+ */
+EmulatorConsole.prototype.snapshots = function snapshots(callback) {
+	return callbackOrPromise(callback, callback => {
+		this.command('avd snapshot list', (err, lines) => {
+			if (err) {
+				return callback(err);
+			}
+			// "--        default_boot      95M 2019-10-04 11:32:21   00:01:05.213", newer emulators show "--" for the id
+			callback(null, lines.reduce((snapshots, line) => {
+				const m = line.trim().match(/^(\S+)\s+(\S+)\s+(\d+(?:\.\d+)?\s?[KMGT]?)\s+(\d{4}-\d\d-\d\d \d\d:\d\d:\d\d)\s+(\S+)$/);
+				m && snapshots.push({
+					id: m[1] === '--' ? null : m[1],
+					name: m[2],
+					size: m[3].replace(/\s/g, ''),
+					date: m[4],
+					clock: m[5]
+				});
+				return snapshots;
+			}, []));
+		});
+	});
+};
+
+/**
+ * Saves the emulator's current state to a snapshot, replacing the snapshot if
+ * it already exists.
+ * @param {String} name - The name of the snapshot
+ * @param {Function} [callback] - A function to call once the snapshot has been saved
+ * @returns {Promise|undefined} Resolves once the snapshot has been saved when no callback is specified
+ */
+EmulatorConsole.prototype.saveSnapshot = function saveSnapshot(name, callback) {
+	return callbackOrPromise(callback, callback => this._snapshot('save', name, callback));
+};
+
+/**
+ * Restores the emulator's state from a snapshot.
+ * @param {String} name - The name of the snapshot
+ * @param {Function} [callback] - A function to call once the snapshot has been restored
+ * @returns {Promise|undefined} Resolves once the snapshot has been restored when no callback is specified
+ */
+EmulatorConsole.prototype.loadSnapshot = function loadSnapshot(name, callback) {
+	return callbackOrPromise(callback, callback => this._snapshot('load', name, callback));
+};
+
+/**
+ * Deletes a snapshot.
+ * @param {String} name - The name of the snapshot
+ * @param {Function} [callback] - A function to call once the snapshot has been deleted
+ * @returns {Promise|undefined} Resolves once the snapshot has been deleted when no callback is specified
+ */
+EmulatorConsole.prototype.deleteSnapshot = function deleteSnapshot(name, callback) {
+	return callbackOrPromise(callback, callback => this._snapshot('delete', name, callback));
+};
+
+/**
+ * Sets the device's location.
+ * @param {Object} location - The location
+ * @param {Number} location.latitude - The latitude in degrees
+ * @param {Number} location.longitude - The longitude in degrees
+ * @param {Number} [location.altitude] - The altitude in meters
+ * @param {Number} [location.satellites] - The number of satellites used to fix the location
+ * @param {Function} [callback] - A function to call once the location has been set
+ * @returns {Promise|undefined} Resolves once the location has been set when no callback is specified
+ */
+EmulatorConsole.prototype.geoFix = function geoFix(location, callback) {
+	return callbackOrPromise(callback, callback => {
+		// the console takes the longitude first
+		const args = [ location.longitude, location.latitude ];
+		if (location.altitude !== undefined || location.satellites !== undefined) {
+			args.push(location.altitude || 0);
+			location.satellites !== undefined && args.push(location.satellites);
+		}
+		this.command('geo fix ' + args.join(' '), err => callback(err || null));
+	});
+};
+
+/**
+ * Simulates an incoming SMS message.
+ * @param {String} from - The sender's phone number
+ * @param {String} text - The message
+ * @param {Function} [callback] - A function to call once the message has been sent
+ * @returns {Promise|undefined} Resolves once the message has been sent when no callback is specified
+ */
+EmulatorConsole.prototype.sendSms = function sendSms(from, text, callback) {
+	return callbackOrPromise(callback, callback => {
+		this.command('sms send ' + from + ' ' + String(text).replace(/\r?\n/g, '\\n'), err => callback(err || null));
+	});
+};
+
+/**
+ * Simulates an incoming phone call.
+ * @param {String} number - The caller's phone number
+ * @param {Function} [callback] - A function to call once the call has started
+ * @returns {Promise|undefined} Resolves once the call has started when no callback is specified
+ */
+EmulatorConsole.prototype.call = function call(number, callback) {
+	return callbackOrPromise(callback, callback => {
+		this.command('gsm call ' + number, err => callback(err || null));
+	});
+};
+
+/**
+ * Answers an incoming phone call as if the caller's side picked up.
+ * @param {String} number - The phone number of the call
+ * @param {Function} [callback] - A function to call once the call has been answered
+ * @returns {Promise|undefined} Resolves once the call has been answered when no callback is specified
+ */
+EmulatorConsole.prototype.acceptCall = function acceptCall(number, callback) {
+	return callbackOrPromise(callback, callback => {
+		this.command('gsm accept ' + number, err => callback(err || null));
+	});
+};
+
+/**
+ * Hangs up a phone call.
+ * @param {String} number - The phone number of the call
+ * @param {Function} [callback] - A function to call once the call has ended
+ * @returns {Promise|undefined} Resolves once the call has ended when no callback is specified
+ */
+EmulatorConsole.prototype.endCall = function endCall(number, callback) {
+	return callbackOrPromise(callback, callback => {
+		this.command('gsm cancel ' + number, err => callback(err || null));
+	});
+};
+
+/**
+ * Sets the battery's state. Only the specified values are changed.
+ * @param {Object} state - The battery state
+ * @param {Number} [state.level] - The charge level from 0 to 100
+ * @param {Boolean} [state.charging] - Whether the charger is plugged in
+ * @param {String} [state.status] - "unknown", "charging", "discharging", "not-charging" or "full"
+ * @param {String} [state.health] - "unknown", "good", "overheat", "dead", "overvoltage" or "failure"
+ * @param {Boolean} [state.present] - Whether a battery is present
+ * @param {Function} [callback] - A function to call once the state has been set
+ * @returns {Promise|undefined} Resolves once the state has been set when no callback is specified
+ */
+EmulatorConsole.prototype.setBattery = function setBattery(state, callback) {
+	return callbackOrPromise(callback, callback => {
+		const cmds = [];
+		state.level !== undefined && cmds.push('power capacity ' + Math.max(0, Math.min(100, parseInt(state.level))));
+		state.charging !== undefined && cmds.push('power ac ' + (state.charging ? 'on' : 'off'));
+		state.status && cmds.push('power status ' + state.status);
+		state.health && cmds.push('power health ' + state.health);
+		state.present !== undefined && cmds.push('power present ' + !!state.present);
+		this._commands(cmds, callback);
+	});
+};
+
+/**
+ * Sets the network conditions. Only the specified values are changed.
+ * @param {Object} conditions - The network conditions
+ * @param {String} [conditions.speed] - "gsm", "hscsd", "gprs", "edge", "umts", "hsdpa", "lte", "evdo", "full" or
+ * "<upload>:<download>" in kbps
+ * @param {String} [conditions.delay] - "gprs", "edge", "umts", "none" or "<min>:<max>" in milliseconds
+ * @param {String} [conditions.data] - The data connection's state: "on", "off", "home", "roaming", "searching",
+ * "denied" or "unregistered"
+ * @param {String} [conditions.voice] - The voice connection's state, with the same values as `data`
+ * @param {Function} [callback] - A function to call once the conditions have been set
+ * @returns {Promise|undefined} Resolves once the conditions have been set when no callback is specified
+ */
+EmulatorConsole.prototype.setNetwork = function setNetwork(conditions, callback) {
+	return callbackOrPromise(callback, callback => {
+		const cmds = [];
+		conditions.speed && cmds.push('network speed ' + conditions.speed);
+		conditions.delay && cmds.push('network delay ' + conditions.delay);
+		conditions.data && cmds.push('gsm data ' + conditions.data);
+		conditions.voice && cmds.push('gsm voice ' + conditions.voice);
+		this._commands(cmds, callback);
+	});
+};
+
+/**
+ * Sets a sensor's values.
+ * @param {String} name - The sensor such as "acceleration", "magnetic-field", "orientation", "temperature" or
+ * "proximity"
+ * @param {Number|Array<Number>} values - The values
+ * @param {Function} [callback] - A function to call once the values have been set
+ * @returns {Promise|undefined} Resolves once the values have been set when no callback is specified
+ */
+EmulatorConsole.prototype.setSensor = function setSensor(name, values, callback) {
+	return callbackOrPromise(callback, callback => {
+		this.command('sensor set ' + name + ' ' + [].concat(values).join(':'), err => callback(err || null));
+	});
+};
+
+/**
+ * Returns a sensor's values.
+ * @param {String} name - The sensor such as "acceleration"
+ * @param {Function} [callback] - A function to call with the values
+ * @returns {Promise<Array<Number>>|undefined} Resolves the values when no callback is specified
+ */
+EmulatorConsole.prototype.getSensor = function getSensor(name, callback) {
+	return callbackOrPromise(callback, callback => {
+		this.command('sensor get ' + name, (err, lines) => {
+			if (err) {
+				return callback(err);
+			}
+			// "acceleration = 0:9.77622:0.812349"
+			const m = lines.join('\n').match(/\s=\s*([-\d.:e]+)/);
+			callback(null, m ? m[1].split(':').map(parseFloat) : []);
+		});
+	});
+};
+
+/**
+ * Simulates a finger touching the fingerprint sensor.
+ * @param {Number} [id=1] - The id of the enrolled fingerprint
+ * @param {Function} [callback] - A function to call once the sensor has been touched
+ * @returns {Promise|undefined} Resolves once the sensor has been touched when no callback is specified
+ */
+EmulatorConsole.prototype.touchFingerprint = function touchFingerprint(id, callback) {
+	if (typeof id === 'function') {
+		callback = id;
+		id = null;
+	}
+	return callbackOrPromise(callback, callback => {
+		this.command('finger touch ' + (id || 1), err => callback(err || null));
+	});
+};
+
+/**
+ * Simulates the finger being lifted from the fingerprint sensor.
+ * @param {Function} [callback] - A function to call once the finger has been removed
+ * @returns {Promise|undefined} Resolves once the finger has been removed when no callback is specified
+ */
+EmulatorConsole.prototype.removeFingerprint = function removeFingerprint(callback) {
+	return callbackOrPromise(callback, callback => {
+		this.command('finger remove', err => callback(err || null));
+	});
+};
+
+/**
+ * Rotates the device 90 degrees counterclockwise.
+ * @param {Function} [callback] - A function to call once the device has been rotated
+ * @returns {Promise|undefined} Resolves once the device has been rotated when no callback is specified
+ */
+EmulatorConsole.prototype.rotate = function rotate(callback) {
+	return callbackOrPromise(callback, callback => {
+		this.command('rotate', err => callback(err || null));
+	});
+};
+
+/**
+ * Kills the emulator.
+ * @param {Function} [callback] - A function to call once the emulator has acknowledged the command
+ * @returns {Promise|undefined} Resolves once the emulator has acknowledged the command when no callback is specified
+ */
+EmulatorConsole.prototype.kill = function kill(callback) {
+	return callbackOrPromise(callback, callback => {
+		this.command('kill', err => callback(err || null));
+	});
+};
+
+/**
+ * A function to call with the output of a console command.
+ * @callback EmulatorConsole~commandCallback
+ * @param {Error} err - An error if the command failed, such as "KO: bad command", otherwise falsey
+ * @param {Array<String>} lines - The output lines before the "OK"
+ */
+
+/**
+ * A snapshot of an AVD.
+ * @typedef {Object} EmulatorConsole~Snapshot
+ * @property {String|null} id - The snapshot's id; newer emulators don't number snapshots
+ * @property {String} name - The name of the snapshot
+ * @property {String} size - The size of the saved memory such as "95M"
+ * @property {String} date - When the snapshot was saved such as "2019-10-04 11:32:21"
+ * @property {String} clock - How long the emulator had been running when the snapshot was saved
+ */
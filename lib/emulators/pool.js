@@ -0,0 +1,543 @@
+/**
+ * Boots several headless instances of an AVD up front and leases them to
+ * jobs, such as parallel test runs, resetting each instance when it's
+ * released.
+ *
+ * @module emulators/pool
+ *
+ * @copyright
+ * Copyright (c) 2009-2017 by Appcelerator, Inc. All Rights Reserved.
+ *
+ * @license
+ * Licensed under the terms of the Apache Public License
+ * Please see the LICENSE included with this distribution for details.
+ */
+'use strict';
+
+const appc = require('node-appc');
+const __ = appc.i18n(__dirname).__;
+const async = require('async');
+const events = require('events');
+const net = require('net');
+const util = require('util');
+const ADB = require('../adb');
+const callbackOrPromise = require('../adb/util').callbackOrPromise;
+const avd = require('./avd');
+require('colors');
+
+module.exports = EmulatorPool;
+
+/**
+ * The number of milliseconds to wait for an instance to exit after killing its
+ * process.
+ * @type {Number}
+ */
+const SIGKILL_TIMEOUT = 2000;
+
+/**
+ * Tests if nothing is listening on a port.
+ * @param {Number} port - The port
+ * @param {Function} callback - A function to call with true if the port is free
+ */
+function isPortFree(port, callback) {
+	const socket = net.connect({ host: '127.0.0.1', port: port }, function () {
+		socket.destroy();
+		callback(false);
+	});
+	socket.on('error', err => callback(err.code === 'ECONNREFUSED'));
+}
+
+/**
+ * Creates an EmulatorPool object.
+ * @class
+ * @extends EventEmitter
+ * @classdesc Boots several headless, read-only instances of the same AVD and
+ * leases them to jobs one at a time. When an instance is released, it's
+ * reverted to the pool's snapshot, or restarted if the pool has no snapshot,
+ * so the next job gets a clean emulator. Idle instances are health checked
+ * and replaced if they stop responding or exit.
+ *
+ * Emits "booted" with the emulator once an instance has booted and
+ * "unhealthy" with the emulator and the error when an instance is replaced.
+ * @example
+ * const pool = new EmulatorPool(config, { avd: 'ci_30', size: 4, snapshot: 'clean' });
+ * pool.start()
+ *     .then(() => pool.acquire())
+ *     .then(emu => runTests(emu.id).then(() => pool.release(emu)))
+ *     .then(() => pool.shutdown());
+ * @constructor
+ * @param {Object} config - The CLI config object
+ * @param {Object} opts - Various options
+ * @param {Object|String} opts.avd - The AVD definition or the name of the AVD
+ * @param {Number} [opts.size=2] - The number of instances to boot
+ * @param {String} [opts.snapshot] - A snapshot to boot the instances into and to revert them to when released
+ * @param {Object} [opts.ports] - The range of console ports to run the instances on; each instance also uses the
+ * port after its console port for adb
+ * @param {Number} [opts.ports.from=5554] - The first port
+ * @param {Number} [opts.ports.to=5584] - The last port
+ * @param {Number} [opts.bootTimeout=240000] - The number of milliseconds to wait for an instance to boot
+ * @param {Number} [opts.healthInterval=30000] - The number of milliseconds between health checks; 0 to disable them
+ * @param {Number} [opts.healthTimeout=10000] - The number of milliseconds to wait for an instance to respond
+ * @param {Number} [opts.pollInterval=2000] - The number of milliseconds between checks while an instance is booting
+ * @param {Number} [opts.killTimeout=10000] - The number of milliseconds to wait for an instance to exit before
+ * killing its process
+ * @param {Object} [opts.emulatorOpts] - Additional options to start the instances with; see `avd.start()`
+ * @param {ADB} [opts.adb] - The ADB instance to check the instances with
+ * @param {Object} [opts.logger] - A logger instance
+ */
+function EmulatorPool(config, opts) {
+	events.EventEmitter.call(this);
+	opts || (opts = {});
+	this.config = config;
+	this.avd = opts.avd;
+	this.size = opts.size !== undefined ? parseInt(opts.size) : 2;
+	this.snapshot = opts.snapshot || null;
+	this.ports = {
+		from: opts.ports && opts.ports.from || 5554,
+		to: opts.ports && opts.ports.to || 5584
+	};
+	this.bootTimeout = opts.bootTimeout || 240000;
+	this.healthInterval = opts.healthInterval !== undefined ? opts.healthInterval : 30000;
+	this.healthTimeout = opts.healthTimeout || 10000;
+	this.pollInterval = opts.pollInterval || 2000;
+	this.killTimeout = opts.killTimeout || 10000;
+	this.emulatorOpts = opts.emulatorOpts || {};
+	this.adb = opts.adb || new ADB(config);
+	this.logger = opts.logger || null;
+	this.state = 'stopped';
+	this.instances = [];
+	this.waiting = [];
+	this.reserved = {};
+	this.healthTimer = null;
+}
+util.inherits(EmulatorPool, events.EventEmitter);
+
+/**
+ * Boots the instances. Resolves once every instance has booted; if any of
+ * them fails to boot, the pool is shut down.
+ * @param {Function} [callback] - A function to call once the instances have booted
+ * @returns {Promise|undefined} Resolves once the instances have booted when no callback is specified
+ */
+EmulatorPool.prototype.start = function start(callback) {
+	return callbackOrPromise(callback, callback => {
+		if (this.state !== 'stopped') {
+			return callback(new Error(__('The emulator pool has already been started')));
+		}
+		if (!this.avd) {
+			return callback(new Error(__('No AVD specified for the emulator pool')));
+		}
+		if (!(this.size > 0)) {
+			return callback(new Error(__('Invalid emulator pool size "%s"', this.size)));
+		}
+
+		this.state = 'starting';
+		this.logger && this.logger.info(__('Booting %s instances of %s', this.size, (this.avd.name || this.avd).cyan));
+
+		async.times(this.size, (n, next) => {
+			const instance = { id: null, port: null, emulator: null, state: 'booting', exited: false };
+			this.instances.push(instance);
+			this._boot(instance, next);
+		}, err => {
+			if (err) {
+				return this.state === 'starting' ? this.shutdown(() => callback(err)) : callback(err);
+			}
+			if (this.state !== 'starting') {
+				return callback(new Error(__('The emulator pool was shut down while starting')));
+			}
+			this.state = 'running';
+			if (this.healthInterval) {
+				this.healthTimer = setInterval(() => this._checkHealth(), this.healthInterval);
+			}
+			this._dispatch();
+			callback();
+		});
+	});
+};
+
+/**
+ * Leases an idle instance. If every instance is busy, waits for one to be
+ * released.
+ * @param {EmulatorPool~acquireCallback} [callback] - A function to call with the emulator
+ * @returns {Promise<Emulator>|undefined} Resolves the emulator when no callback is specified
+ */
+EmulatorPool.prototype.acquire = function acquire(callback) {
+	return callbackOrPromise(callback, callback => {
+		if (this.state !== 'starting' && this.state !== 'running') {
+			return callback(new Error(__('The emulator pool is not running')));
+		}
+		this.waiting.push(callback);
+		this._dispatch();
+	});
+};
+
+/**
+ * Returns a leased instance to the pool. The instance is reverted to the
+ * pool's snapshot, or restarted if the pool has no snapshot, before it's
+ * leased again.
+ * @param {Emulator|String} emulator - The emulator returned by `acquire()` or its id
+ * @param {Function} [callback] - A function to call once the instance is ready to be leased again
+ * @returns {Promise|undefined} Resolves once the instance is ready to be leased again when no callback is
+ * specified
+ */
+EmulatorPool.prototype.release = function release(emulator, callback) {
+	return callbackOrPromise(callback, callback => {
+		const id = typeof emulator === 'object' ? emulator.id : emulator;
+		const instance = this.instances.filter(i => i.id === id).shift();
+		if (!instance || instance.state !== 'leased') {
+			return callback(new Error(__('Emulator "%s" is not leased from this pool', id)));
+		}
+
+		instance.state = 'resetting';
+		this._reset(instance, err => {
+			if (err) {
+				this.emit('unhealthy', instance.emulator, err);
+				return this._replace(instance, callback);
+			}
+			this._idle(instance);
+			callback();
+		});
+	});
+};
+
+/**
+ * Returns the state of each instance.
+ * @returns {Array<EmulatorPool~InstanceStatus>}
+ */
+EmulatorPool.prototype.status = function status() {
+	return this.instances.map(instance => ({ id: instance.id, port: instance.port, state: instance.state }));
+};
+
+/**
+ * Stops the health checks, fails the jobs waiting for an instance and stops
+ * every instance, leased or not.
+ * @param {Function} [callback] - A function to call once every instance has exited
+ * @returns {Promise|undefined} Resolves once every instance has exited when no callback is specified
+ */
+EmulatorPool.prototype.shutdown = function shutdown(callback) {
+	return callbackOrPromise(callback, callback => {
+		if (this.state === 'stopped') {
+			return callback();
+		}
+
+		this.state = 'stopping';
+		clearInterval(this.healthTimer);
+		this.healthTimer = null;
+
+		const waiting = this.waiting;
+		this.waiting = [];
+		waiting.forEach(callback => callback(new Error(__('The emulator pool is shutting down'))));
+
+		this.logger && this.logger.info(__('Shutting down the emulator pool'));
+		async.each(this.instances, (instance, next) => {
+			instance.state = 'stopping';
+			this._stop(instance, () => next());
+		}, () => {
+			this.instances = [];
+			this.reserved = {};
+			this.state = 'stopped';
+			callback();
+		});
+	});
+};
+
+/**
+ * Reserves a free console port. Ports are reserved before they're probed so
+ * instances booting at the same time never get the same port.
+ * @param {Function} callback - A function to call with the port
+ */
+EmulatorPool.prototype._allocatePort = function _allocatePort(callback) {
+	const tryPort = port => {
+		if (port > this.ports.to) {
+			return callback(new Error(__('Unable to find a free port between %s and %s', this.ports.from, this.ports.to)));
+		}
+		if (this.reserved[port]) {
+			return tryPort(port + 2);
+		}
+		this.reserved[port] = true;
+		isPortFree(port, free => isPortFree(port + 1, adbFree => {
+			if (free && adbFree) {
+				return callback(null, port);
+			}
+			delete this.reserved[port];
+			tryPort(port + 2);
+		}));
+	};
+	// the emulator's console port must be even
+	tryPort(this.ports.from + this.ports.from % 2);
+};
+
+/**
+ * Allocates a port if the instance doesn't have one, launches the emulator
+ * and waits for it to boot.
+ * @param {Object} instance - The instance
+ * @param {Function} callback - A function to call once the instance has booted
+ */
+EmulatorPool.prototype._boot = function _boot(instance, callback) {
+	async.series([
+		next => (instance.port ? next() : this._allocatePort((err, port) => {
+			instance.port = port;
+			instance.id = port ? 'emulator-' + port : null;
+			next(err);
+		})),
+		next => this._launch(instance, next),
+		next => this._waitForBoot(instance, next)
+	], err => {
+		if (err) {
+			return callback(err);
+		}
+		instance.state = 'idle';
+		this.logger && this.logger.info(__('Emulator %s is booted', instance.id.cyan));
+		this.emit('booted', instance.emulator);
+		callback();
+	});
+};
+
+/**
+ * Launches an instance's emulator headless and read-only on its port.
+ * @param {Object} instance - The instance
+ * @param {Function} callback - A function to call once the emulator has been launched
+ */
+EmulatorPool.prototype._launch = function _launch(instance, callback) {
+	const opts = Object.assign({}, this.emulatorOpts, {
+		port: instance.port,
+		noWindow: true,
+		readOnly: true,
+		logger: this.logger
+	});
+	this.snapshot && (opts.bootSnapshot = this.snapshot);
+
+	avd.start(this.config, this.avd, opts, (err, emulator) => {
+		if (err) {
+			return callback(err);
+		}
+
+		emulator.id = instance.id;
+		instance.emulator = emulator;
+		instance.exited = false;
+		emulator.on('exit', () => {
+			// a killed emulator may exit after its replacement has been launched
+			if (instance.emulator !== emulator) {
+				return;
+			}
+			instance.exited = true;
+			if (this.state === 'running' && instance.state === 'idle') {
+				this.emit('unhealthy', emulator, new Error(__('Emulator %s exited unexpectedly', instance.id)));
+				this._replace(instance, () => {});
+			}
+		});
+
+		if (this.state === 'stopping' || this.state === 'stopped') {
+			return this._stop(instance, () => callback(new Error(__('The emulator pool is shutting down'))));
+		}
+		callback();
+	});
+};
+
+/**
+ * Polls an instance until Android has finished booting.
+ * @param {Object} instance - The instance
+ * @param {Function} callback - A function to call once the instance has booted
+ */
+EmulatorPool.prototype._waitForBoot = function _waitForBoot(instance, callback) {
+	const deadline = Date.now() + this.bootTimeout;
+	const check = () => {
+		if (this.state === 'stopping' || this.state === 'stopped') {
+			return callback(new Error(__('The emulator pool is shutting down')));
+		}
+		if (instance.exited) {
+			return callback(new Error(__('Emulator %s exited while booting', instance.id)));
+		}
+		this._ping(instance, err => {
+			if (!err) {
+				return callback();
+			}
+			if (Date.now() >= deadline) {
+				return callback(new Error(__('Timed out after %sms waiting for emulator %s to boot', this.bootTimeout, instance.id)));
+			}
+			setTimeout(check, this.pollInterval);
+		});
+	};
+	check();
+};
+
+/**
+ * Checks that an instance has booted and responds to adb.
+ * @param {Object} instance - The instance
+ * @param {Function} callback - A function to call with an error if the instance isn't usable
+ */
+EmulatorPool.prototype._ping = function _ping(instance, callback) {
+	this.adb.shell(instance.id, 'getprop sys.boot_completed', { timeout: this.healthTimeout }, (err, result) => {
+		if (err) {
+			return callback(err);
+		}
+		callback(result.stdout.trim() === '1' ? null : new Error(__('Emulator %s has not finished booting', instance.id)));
+	});
+};
+
+/**
+ * Reverts an instance to the pool's snapshot, or restarts it if the pool has
+ * no snapshot. Instances are read-only, so restarting discards their changes.
+ * @param {Object} instance - The instance
+ * @param {Function} callback - A function to call once the instance has been reset
+ * @returns {void}
+ */
+EmulatorPool.prototype._reset = function _reset(instance, callback) {
+	if (!this.snapshot || instance.exited) {
+		return this._restart(instance, callback);
+	}
+
+	const emuConsole = instance.emulator.openConsole();
+	emuConsole.loadSnapshot(this.snapshot, err => {
+		emuConsole.close(() => (err ? callback(err) : this._waitForBoot(instance, callback)));
+	});
+};
+
+/**
+ * Stops an instance and boots it again on the same port.
+ * @param {Object} instance - The instance
+ * @param {Function} callback - A function to call once the instance has booted
+ */
+EmulatorPool.prototype._restart = function _restart(instance, callback) {
+	this._stop(instance, () => {
+		if (this.state !== 'running') {
+			return callback(new Error(__('The emulator pool is shutting down')));
+		}
+		async.series([
+			next => this._launch(instance, next),
+			next => this._waitForBoot(instance, next)
+		], callback);
+	});
+};
+
+/**
+ * Replaces a broken instance with a freshly booted one. If it can't be
+ * booted, the instance is dropped from the pool.
+ * @param {Object} instance - The instance
+ * @param {Function} callback - A function to call once the instance has been replaced
+ */
+EmulatorPool.prototype._replace = function _replace(instance, callback) {
+	instance.state = 'booting';
+	this.logger && this.logger.warn(__('Replacing emulator %s', instance.id.cyan));
+	this._restart(instance, err => {
+		if (err) {
+			if (this.state === 'running') {
+				this.logger && this.logger.error(__('Unable to replace emulator %s: %s', instance.id, err.message));
+				this._stop(instance, () => {});
+				this.instances.splice(this.instances.indexOf(instance), 1);
+				delete this.reserved[instance.port];
+				!this.instances.length && this._failWaiting(new Error(__('Every emulator in the pool has failed')));
+			}
+			return callback(err);
+		}
+		this._idle(instance);
+		this.emit('booted', instance.emulator);
+		callback();
+	});
+};
+
+/**
+ * Stops an instance's emulator, killing its process if it doesn't exit in
+ * time and waiting for it to exit.
+ * @param {Object} instance - The instance
+ * @param {Function} callback - A function to call once the emulator has exited
+ * @returns {void}
+ */
+EmulatorPool.prototype._stop = function _stop(instance, callback) {
+	const emulator = instance.emulator;
+	if (!emulator || instance.exited) {
+		return callback();
+	}
+
+	let done = false;
+	const finish = () => {
+		if (!done) {
+			done = true;
+			clearTimeout(timer);
+			callback();
+		}
+	};
+	let timer = setTimeout(() => {
+		try {
+			process.kill(emulator.emulator.pid, 'SIGKILL');
+		} catch (e) {
+			// already gone
+			return finish();
+		}
+		// the process can't ignore SIGKILL, but it still takes a moment to exit
+		timer = setTimeout(finish, SIGKILL_TIMEOUT);
+	}, this.killTimeout);
+
+	emulator.once('exit', finish);
+	const emuConsole = emulator.openConsole({ timeout: this.killTimeout });
+	emuConsole.kill(() => emuConsole.close(() => {}));
+};
+
+/**
+ * Marks an instance as idle and leases it to the next waiting job.
+ * @param {Object} instance - The instance
+ */
+EmulatorPool.prototype._idle = function _idle(instance) {
+	instance.state = 'idle';
+	this._dispatch();
+};
+
+/**
+ * Leases idle instances to waiting jobs.
+ */
+EmulatorPool.prototype._dispatch = function _dispatch() {
+	if (this.state !== 'running') {
+		return;
+	}
+	while (this.waiting.length) {
+		const instance = this.instances.filter(i => i.state === 'idle').shift();
+		if (!instance) {
+			return;
+		}
+		instance.state = 'leased';
+		this.waiting.shift()(null, instance.emulator);
+	}
+};
+
+/**
+ * Fails every job waiting for an instance.
+ * @param {Error} err - The error
+ */
+EmulatorPool.prototype._failWaiting = function _failWaiting(err) {
+	const waiting = this.waiting;
+	this.waiting = [];
+	waiting.forEach(callback => callback(err));
+};
+
+/**
+ * Checks every idle instance and replaces the ones that don't respond.
+ */
+EmulatorPool.prototype._checkHealth = function _checkHealth() {
+	this.instances.filter(i => i.state === 'idle').forEach(instance => {
+		instance.state = 'checking';
+		this._ping(instance, err => {
+			if (instance.state !== 'checking') {
+				return;
+			}
+			if (!err) {
+				return this._idle(instance);
+			}
+			this.emit('unhealthy', instance.emulator, err);
+			this._replace(instance, () => {});
+		});
+	});
+};
+
+/**
+ * A function to call with a leased emulator.
+ * @callback EmulatorPool~acquireCallback
+ * @param {Error} err - An error if the pool is not running or is shut down while waiting, otherwise falsey
+ * @param {Emulator} emulator - The emulator; its `id` is the adb device id such as "emulator-5554"
+ */
+
+/**
+ * The state of an instance.
+ * @typedef {Object} EmulatorPool~InstanceStatus
+ * @property {String} id - The adb device id such as "emulator-5554"
+ * @property {Number} port - The console port
+ * @property {String} state - "booting", "idle", "checking", "leased", "resetting" or "stopping"
+ */
@@ -0,0 +1,137 @@
+/* eslint no-unused-expressions: "off" */
+/* global AbortController */
+'use strict';
+
+const net = require('net');
+const PassThrough = require('stream').PassThrough;
+const should = require('should'); // eslint-disable-line no-unused-vars
+const ADB = require('../lib/adb');
+const startMockAdb = require('./helpers/mock-adb');
+
+describe('adb connection with a mock adb server', function () {
+	let server;
+	let adb;
+	let device;
+
+	beforeEach(function () {
+		return startMockAdb().then(mock => ({ server, adb, device } = mock));
+	});
+
+	afterEach(function () {
+		return server.close();
+	});
+
+	describe('timeouts and retries', function () {
+		let hung;
+		let hungPort;
+
+		// a server that accepts connections, but never responds
+		beforeEach(function (done) {
+			hung = net.createServer(socket => socket.resume());
+			hung.listen(0, '127.0.0.1', function () {
+				hungPort = hung.address().port;
+				done();
+			});
+		});
+
+		afterEach(function (done) {
+			hung.close(() => done());
+		});
+
+		it('times out waiting for the server to respond', function () {
+			return new ADB(server.createConfig(), { port: hungPort, responseTimeout: 100 }).devices()
+				.then(function () {
+					throw new Error('Expected devices() to time out');
+				}, function (err) {
+					err.should.be.an.instanceOf(ADB.TimeoutError);
+					err.should.be.an.instanceOf(ADB.ADBError);
+					err.code.should.equal('ETIMEDOUT');
+					err.stage.should.equal('response');
+					return err.message.should.equal('Timed out after 100ms waiting for the adb server to respond for "host:devices"');
+				});
+		});
+
+		it('applies per-call options with #withOptions()', function () {
+			const slow = new ADB(server.createConfig(), { port: hungPort, responseTimeout: 0 });
+			return slow.withOptions({ timeout: 400 }).version()
+				.then(function () {
+					throw new Error('Expected version() to time out');
+				}, function (err) {
+					err.stage.should.equal('response');
+					err.timeout.should.equal(400);
+					slow.connectionOptions.timeout.should.equal(0);
+					return err.request.should.equal('host:version');
+				});
+		});
+
+		it('aborts a pending request', function () {
+			const controller = new AbortController();
+			const promise = new ADB(server.createConfig(), { port: hungPort, signal: controller.signal }).devices();
+			setTimeout(() => controller.abort(), 250);
+			return promise
+				.then(function () {
+					throw new Error('Expected devices() to be aborted');
+				}, function (err) {
+					err.should.be.an.instanceOf(ADB.AbortError);
+					return err.message.should.equal('The request "host:devices" was aborted');
+				});
+		});
+
+		it('fails right away when the signal was already aborted', function () {
+			const controller = new AbortController();
+			controller.abort();
+			return adb.withOptions({ signal: controller.signal }).devices()
+				.then(function () {
+					throw new Error('Expected devices() to be aborted');
+				}, function (err) {
+					return err.should.be.an.instanceOf(ADB.AbortError);
+				});
+		});
+
+		it('stops a shell command that takes too long', function () {
+			device.onShell('cat', (cmd, stdin) => stdin);
+			return adb.shell(device.id, 'cat', { stdin: new PassThrough(), timeout: 300 })
+				.then(function () {
+					throw new Error('Expected shell() to time out');
+				}, function (err) {
+					err.should.be.an.instanceOf(ADB.TimeoutError);
+					err.stage.should.equal('data');
+					return err.message.should.match(/waiting for the result for "shell:cat"/);
+				});
+		});
+
+		it('stops a shell command when aborted', function () {
+			const controller = new AbortController();
+			device.onShell('cat', (cmd, stdin) => stdin);
+			const promise = adb.shell(device.id, 'cat', { stdin: new PassThrough(), signal: controller.signal });
+			setTimeout(() => controller.abort(), 300);
+			return promise
+				.then(function () {
+					throw new Error('Expected shell() to be aborted');
+				}, function (err) {
+					return err.should.be.an.instanceOf(ADB.AbortError);
+				});
+		});
+
+		it('retries while the device is offline', function () {
+			device.setState('offline');
+			device.onShell('echo hi', 'hi\n');
+			setTimeout(() => device.setState('device'), 300);
+			return adb.withOptions({ retries: 5, retryDelay: 50 }).shell(device.id, 'echo hi', {})
+				.then(function (result) {
+					return result.stdout.should.equal('hi\n');
+				});
+		});
+
+		it('gives up once the retries are used up', function () {
+			device.setState('unauthorized');
+			return adb.withOptions({ retries: 2, retryDelay: 10 }).shell(device.id, 'echo hi')
+				.then(function () {
+					throw new Error('Expected shell() to fail');
+				}, function (err) {
+					err.should.not.be.an.instanceOf(ADB.TimeoutError);
+					return err.failure.should.equal('device unauthorized');
+				});
+		});
+	});
+});
@@ -0,0 +1,132 @@
+/* eslint no-unused-expressions: "off" */
+'use strict';
+
+const should = require('should'); // eslint-disable-line no-unused-vars
+const deviceInfo = require('../lib/adb/device-info');
+const startMockAdb = require('./helpers/mock-adb');
+
+describe('adb device info', function () {
+	it('#parseProps() parses getprop output', function () {
+		const props = deviceInfo.parseProps('[ro.build.version.sdk]: [28]\r\n[ro.product.cpu.abilist]: [x86_64,x86]\r\n[empty]: []\r\ngarbage\r\n');
+		props.should.eql({
+			'ro.build.version.sdk': '28',
+			'ro.product.cpu.abilist': 'x86_64,x86',
+			empty: ''
+		});
+	});
+
+	it('#parseDeviceList() parses states that contain spaces', function () {
+		deviceInfo.parseDeviceList('0123456789ABCDEF\tdevice\nemulator-5554\toffline\n'
+			+ 'abc\tno permissions (user in plugdev group; are your udev rules wrong?); see [http://developer.android.com/tools/device.html]\n'
+			+ 'def\tno permissions; see [http://developer.android.com/tools/device.html]\n\n').should.eql([
+			{ id: '0123456789ABCDEF', state: 'device' },
+			{ id: 'emulator-5554', state: 'offline' },
+			{ id: 'abc', state: 'no permissions' },
+			{ id: 'def', state: 'no permissions' }
+		]);
+	});
+
+	it('#summarizeProps() copies the version, product and ABIs', function () {
+		const info = deviceInfo.summarizeProps({
+			'ro.build.version.release': '9',
+			'ro.build.version.sdk': '28',
+			'ro.product.model': 'Pixel 3',
+			'ro.product.cpu.abi': 'arm64-v8a',
+			'ro.product.cpu.abilist': 'arm64-v8a,armeabi-v7a,armeabi'
+		}, { id: 'abc' });
+		info.should.eql({
+			id: 'abc',
+			release: '9',
+			sdk: '28',
+			model: 'Pixel 3',
+			abi: [ 'arm64-v8a', 'armeabi-v7a', 'armeabi' ]
+		});
+	});
+
+	describe('#parseScreen()', function () {
+		it('parses the physical size and density', function () {
+			deviceInfo.parseScreen('Physical size: 1080x1920\r\nPhysical density: 420\r\n').should.eql({ width: 1080, height: 1920, density: 420 });
+		});
+
+		it('prefers overrides', function () {
+			deviceInfo.parseScreen('Physical size: 1440x2960\nOverride size: 1080x2220\nPhysical density: 560\nOverride density: 420\n')
+				.should.eql({ width: 1080, height: 2220, density: 420 });
+		});
+
+		it('returns null when wm is not available', function () {
+			should(deviceInfo.parseScreen('/system/bin/sh: wm: not found\n/system/bin/sh: wm: not found\n')).be.null();
+		});
+
+		it('reports a null density when it is unknown', function () {
+			deviceInfo.parseScreen('Physical size: 1080x1920\n').should.eql({ width: 1080, height: 1920, density: null });
+		});
+	});
+
+	it('#parseBattery() parses dumpsys battery', function () {
+		deviceInfo.parseBattery([
+			'Current Battery Service state:',
+			'  AC powered: false',
+			'  USB powered: true',
+			'  Wireless powered: false',
+			'  status: 2',
+			'  health: 2',
+			'  present: true',
+			'  level: 50',
+			'  scale: 200',
+			''
+		].join('\r\n')).should.eql({ level: 25, charging: true, powered: true });
+	});
+
+	describe('#parseDf()', function () {
+		it('parses toybox output', function () {
+			deviceInfo.parseDf('Filesystem     1K-blocks    Used Available Use% Mounted on\n/dev/block/dm-0  5971884 2150208   3805292  37% /data\n')
+				.should.eql({ total: 5971884 * 1024, available: 3805292 * 1024 });
+		});
+
+		it('parses legacy toolbox output', function () {
+			deviceInfo.parseDf('Filesystem               Size     Used     Free   Blksize\n/data                    1.9G     1.1G   798.6M   4096\n')
+				.should.eql({ total: Math.round(1.9 * 1024 * 1024 * 1024), available: Math.round(798.6 * 1024 * 1024) });
+		});
+
+		it('returns null for errors', function () {
+			should(deviceInfo.parseDf('df: /data: Permission denied\n')).be.null();
+		});
+	});
+
+	it('#getLocale() supports new and old style locale properties', function () {
+		deviceInfo.getLocale({ 'persist.sys.locale': 'fr-CA', 'ro.product.locale': 'en-US' }).should.eql('fr-CA');
+		deviceInfo.getLocale({ 'persist.sys.language': 'de', 'persist.sys.country': 'AT' }).should.eql('de-AT');
+		deviceInfo.getLocale({ 'ro.product.locale.language': 'en' }).should.eql('en');
+		should(deviceInfo.getLocale({})).be.null();
+	});
+});
+
+describe('adb device info with a mock adb server', function () {
+	let server;
+	let adb;
+	let device;
+
+	beforeEach(function () {
+		return startMockAdb().then(mock => ({ server, adb, device } = mock));
+	});
+
+	afterEach(function () {
+		return server.close();
+	});
+
+	it('#getDeviceInfo() collects the device details', function () {
+		device.onShell('wm size; wm density', 'Physical size: 1080x2160\nPhysical density: 440\n');
+		device.onShell('dumpsys battery', '  status: 2\n  level: 80\n  scale: 100\n  USB powered: true\n');
+		device.onShell('df /data', 'Filesystem 1K-blocks Used Available Use% Mounted on\n/dev/block/dm-2 100 40 60 40% /data\n');
+		return adb.getDeviceInfo(device.id).then(function (info) {
+			info.props['ro.product.model'].should.eql('Pixel 3');
+			info.features.should.containEql('shell_v2');
+			info.screen.should.eql({ width: 1080, height: 2160, density: 440 });
+			info.battery.should.eql({ level: 80, charging: true, powered: true });
+			info.storage.should.eql({ total: 102400, available: 61440 });
+			info.locale.should.eql('en-US');
+			info.rooted.should.be.false();
+			return info.debuggable.should.be.false();
+		});
+	});
+});
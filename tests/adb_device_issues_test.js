@@ -0,0 +1,101 @@
+/* eslint no-unused-expressions: "off" */
+'use strict';
+
+const should = require('should'); // eslint-disable-line no-unused-vars
+const deviceIssues = require('../lib/adb/device-issues');
+const startMockAdb = require('./helpers/mock-adb');
+
+describe('adb device issues', function () {
+	describe('#getIssues()', function () {
+		it('reports nothing for a ready device', function () {
+			deviceIssues.getIssues({ id: 'abc', state: 'device', transport: 'usb' }).should.eql([]);
+		});
+
+		it('explains how to authorize a device', function () {
+			const issues = deviceIssues.getIssues({ id: 'abc', state: 'unauthorized', transport: 'usb', emulator: false });
+			issues.length.should.eql(1);
+			issues[0].id.should.eql('ADB_DEVICE_UNAUTHORIZED');
+			issues[0].type.should.eql('error');
+			issues[0].message.should.match(/^Device __abc__ has not authorized this computer/);
+			issues[0].message.should.match(/Allow USB debugging\?/);
+		});
+
+		it('tells emulators apart from devices', function () {
+			const issues = deviceIssues.getIssues({ id: 'emulator-5554', state: 'unauthorized', transport: 'emulator' });
+			issues[0].message.should.match(/Restart the emulator/);
+			deviceIssues.getIssues({ id: 'emulator-5554', state: 'offline', transport: 'emulator' })[0].message.should.match(/may still be booting/);
+		});
+
+		it('suggests reconnecting a network device that is offline', function () {
+			const issues = deviceIssues.getIssues({ id: '192.168.1.5:5555', state: 'offline', transport: 'network' });
+			issues[0].id.should.eql('ADB_DEVICE_OFFLINE');
+			issues[0].message.should.match(/__adb connect 192\.168\.1\.5:5555__/);
+			issues[0].message.should.match(/__adb kill-server__/);
+		});
+
+		it('explains udev rules on Linux only', function () {
+			const device = { id: 'abc', state: 'no permissions', transport: 'usb' };
+			deviceIssues.getIssues(device, { platform: 'linux' })[0].message.should.match(/udev rules/);
+			deviceIssues.getIssues(device, { platform: 'darwin' })[0].message.should.not.match(/udev/);
+		});
+
+		it('explains how to leave recovery and the bootloader', function () {
+			deviceIssues.getIssues({ id: 'abc', state: 'sideload' })[0].should.containEql({ id: 'ADB_DEVICE_IN_RECOVERY' });
+			deviceIssues.getIssues({ id: 'abc', state: 'recovery' })[0].message.should.match(/__adb -s abc reboot__/);
+			deviceIssues.getIssues({ id: 'abc', state: 'bootloader' })[0].message.should.match(/__fastboot -s abc reboot__/);
+		});
+
+		it('reports authorizing and connecting devices as warnings', function () {
+			deviceIssues.getIssues({ id: 'abc', state: 'authorizing' })[0].should.containEql({ id: 'ADB_DEVICE_AUTHORIZING', type: 'warning' });
+			deviceIssues.getIssues({ id: 'abc', state: 'connecting' })[0].should.containEql({ id: 'ADB_DEVICE_CONNECTING', type: 'warning' });
+		});
+
+		it('handles unknown states', function () {
+			const issues = deviceIssues.getIssues({ id: 'abc', state: 'host' });
+			issues[0].id.should.eql('ADB_DEVICE_UNAVAILABLE');
+			issues[0].message.should.match(/"host" state/);
+		});
+	});
+
+	it('#notFound() explains how to list the connected devices', function () {
+		const issue = deviceIssues.notFound('abc');
+		issue.id.should.eql('ADB_DEVICE_NOT_FOUND');
+		issue.type.should.eql('error');
+		issue.message.should.match(/__adb devices__/);
+	});
+});
+
+describe('adb device issues with a mock adb server', function () {
+	let server;
+	let adb;
+	let device;
+
+	beforeEach(function () {
+		return startMockAdb().then(mock => ({ server, adb, device } = mock));
+	});
+
+	afterEach(function () {
+		return server.close();
+	});
+
+	it('#devices() explains why a device can\'t be used', function () {
+		server.addDevice('emulator-5556', { state: 'offline' });
+		return adb.devices().then(function (devices) {
+			devices[0].issues.should.eql([]);
+			devices[1].issues.length.should.eql(1);
+			return devices[1].issues[0].id.should.eql('ADB_DEVICE_OFFLINE');
+		});
+	});
+
+	it('#getDeviceIssues() reports unauthorized and unknown devices', function () {
+		device.setState('unauthorized');
+		return adb.getDeviceIssues(device.id)
+			.then(function (issues) {
+				issues.map(issue => issue.id).should.eql([ 'ADB_DEVICE_UNAUTHORIZED' ]);
+				return adb.getDeviceIssues('nope');
+			})
+			.then(function (issues) {
+				return issues.map(issue => issue.id).should.eql([ 'ADB_DEVICE_NOT_FOUND' ]);
+			});
+	});
+});
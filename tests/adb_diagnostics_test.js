@@ -0,0 +1,69 @@
+/* eslint no-unused-expressions: "off" */
+'use strict';
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const should = require('should'); // eslint-disable-line no-unused-vars
+const startMockAdb = require('./helpers/mock-adb');
+
+describe('adb diagnostics with a mock adb server', function () {
+	let server;
+	let adb;
+	let device;
+	let tmpDir;
+
+	beforeEach(function () {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'titanium-sdk-mock-adb-'));
+		return startMockAdb().then(mock => ({ server, adb, device } = mock));
+	});
+
+	afterEach(function () {
+		fs.removeSync(tmpDir);
+		return server.close();
+	});
+
+	it('#collectDiagnostics() collects what it can and writes a manifest', function () {
+		const payload = Buffer.from('\u0006AndroidRuntime\u0000FATAL EXCEPTION: main\njava.lang.RuntimeException: boom\u0000');
+		const header = Buffer.alloc(28);
+		header.writeUInt16LE(payload.length, 0);
+		header.writeUInt16LE(28, 2);
+		header.writeInt32LE(4321, 4);
+		header.writeInt32LE(4321, 8);
+		header.writeInt32LE(1500000000, 12);
+		header.writeUInt32LE(4, 24);
+
+		const commands = [];
+		server.on('shell', (dev, cmd) => commands.push(cmd));
+		device.writeFile('/data/anr/traces.txt', 'ANR in com.example.app\n');
+		device.onShell('dumpsys meminfo com.example.app', '** MEMINFO in pid 4321 [com.example.app] **\n');
+		device.onShell('dumpsys activity', 'ACTIVITY MANAGER\n');
+		device.onShell(/^logcat -B -b crash -d/, Buffer.concat([ header, payload ]));
+		device.onShell('bugreportz', function (cmd, stdin, dev) {
+			dev.writeFile('/data/user_data/bugreports/bugreport.zip', 'zip');
+			return 'OK:/data/user_data/bugreports/bugreport.zip\n';
+		});
+
+		const dest = path.join(tmpDir, 'diagnostics');
+		return adb.collectDiagnostics(device.id, dest, { appid: 'com.example.app', bugreport: true })
+			.then(function (manifest) {
+				manifest.should.eql(fs.readJsonSync(path.join(dest, 'manifest.json')));
+				manifest.appid.should.equal('com.example.app');
+
+				const items = {};
+				manifest.items.forEach(item => (items[item.name] = item));
+				Object.keys(items).should.eql([ 'anr', 'tombstones', 'meminfo', 'activity', 'crash', 'bugreport' ]);
+
+				items.anr.should.containEql({ file: 'anr', files: 1, error: null });
+				fs.readFileSync(path.join(dest, 'anr', 'traces.txt'), 'utf8').should.equal('ANR in com.example.app\n');
+				should(items.tombstones.file).be.null();
+				items.tombstones.error.should.be.a.String();
+				fs.readFileSync(path.join(dest, 'meminfo.txt'), 'utf8').should.match(/MEMINFO/);
+				fs.readFileSync(path.join(dest, 'activity.txt'), 'utf8').should.equal('ACTIVITY MANAGER\n');
+				fs.readFileSync(path.join(dest, 'crash.log'), 'utf8').should.match(/ 4321 {2}4321 E AndroidRuntime: FATAL EXCEPTION: main\n.* 4321 {2}4321 E AndroidRuntime: java.lang.RuntimeException: boom\n$/);
+				items.bugreport.should.containEql({ file: 'bugreport.zip', bytes: 3, error: null });
+				fs.readFileSync(path.join(dest, 'bugreport.zip'), 'utf8').should.equal('zip');
+				return commands.should.containEql('rm -f /data/user_data/bugreports/bugreport.zip');
+			});
+	});
+});
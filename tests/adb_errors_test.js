@@ -0,0 +1,96 @@
+/* eslint no-unused-expressions: "off" */
+'use strict';
+
+const should = require('should'); // eslint-disable-line no-unused-vars
+const ADB = require('../lib/adb');
+const errors = require('../lib/adb/errors');
+
+describe('adb errors', function () {
+	it('exposes the error types on the ADB class', function () {
+		ADB.ADBError.should.equal(errors.ADBError);
+		ADB.InstallError.should.equal(errors.InstallError);
+		ADB.TimeoutError.should.equal(errors.TimeoutError);
+		ADB.AbortError.should.equal(errors.AbortError);
+	});
+
+	it('ADBError carries the exit code, stderr and failure', function () {
+		const err = new ADB.ADBError('boom', { exitCode: 1, stderr: 'adb: error: device offline', failure: 'device offline' });
+		err.should.be.an.instanceOf(Error);
+		err.name.should.eql('ADBError');
+		err.message.should.eql('boom');
+		err.exitCode.should.eql(1);
+		err.stderr.should.eql('adb: error: device offline');
+		err.failure.should.eql('device offline');
+		err.stack.should.match(/boom/);
+	});
+
+	it('InstallError looks up the failure code in the catalog', function () {
+		const err = new ADB.InstallError('INSTALL_FAILED_VERSION_DOWNGRADE: Downgrade detected: Update version code 1 is older than current 2');
+		err.should.be.an.instanceOf(ADB.ADBError);
+		err.name.should.eql('InstallError');
+		err.code.should.eql('INSTALL_FAILED_VERSION_DOWNGRADE');
+		err.resultCode.should.eql(-25);
+		err.detail.should.eql('Downgrade detected: Update version code 1 is older than current 2');
+		err.message.should.eql(errors.INSTALL_FAILURES.INSTALL_FAILED_VERSION_DOWNGRADE.message);
+	});
+
+	it('InstallError handles unknown failure codes', function () {
+		const err = new ADB.InstallError('INSTALL_FAILED_SOMETHING_NEW');
+		err.code.should.eql('INSTALL_FAILED_SOMETHING_NEW');
+		should(err.resultCode).be.null();
+		err.message.should.eql('INSTALL_FAILED_SOMETHING_NEW');
+	});
+
+	it('TimeoutError names the stage that timed out', function () {
+		const err = new ADB.TimeoutError('connect', 10000, 'host:devices');
+		err.should.be.an.instanceOf(ADB.ADBError);
+		err.name.should.eql('TimeoutError');
+		err.code.should.eql('ETIMEDOUT');
+		err.stage.should.eql('connect');
+		err.timeout.should.eql(10000);
+		err.request.should.eql('host:devices');
+		err.message.should.eql('Timed out after 10000ms connecting to the adb server for "host:devices"');
+		new ADB.TimeoutError('data', 50).message.should.eql('Timed out after 50ms waiting for the result');
+	});
+
+	it('AbortError carries the cancelled request', function () {
+		const err = new ADB.AbortError('shell:ls');
+		err.should.be.an.instanceOf(ADB.ADBError);
+		err.name.should.eql('AbortError');
+		err.code.should.eql('ABORT_ERR');
+		err.message.should.eql('The request "shell:ls" was aborted');
+		should(new ADB.AbortError().request).be.null();
+	});
+
+	it('every catalog entry has a message', function () {
+		Object.keys(errors.INSTALL_FAILURES).forEach(function (code) {
+			code.should.match(/^INSTALL_/);
+			errors.INSTALL_FAILURES[code].message.should.be.a.String().and.not.be.empty();
+		});
+	});
+
+	describe('#parseInstallOutput()', function () {
+		it('returns null on success', function () {
+			should(errors.parseInstallOutput('Performing Streamed Install\nSuccess\n')).be.null();
+		});
+
+		it('parses "Failure [...]" output', function () {
+			const err = errors.parseInstallOutput('Performing Push Install\r\nFailure [INSTALL_FAILED_INSUFFICIENT_STORAGE]\r\n');
+			err.should.be.an.instanceOf(ADB.InstallError);
+			err.code.should.eql('INSTALL_FAILED_INSUFFICIENT_STORAGE');
+			err.message.should.eql('Not enough free space on device');
+		});
+
+		it('explains inconsistent certificates', function () {
+			const err = errors.parseInstallOutput('Failure [INSTALL_PARSE_FAILED_INCONSISTENT_CERTIFICATES: Package com.foo signatures do not match]');
+			err.code.should.eql('INSTALL_PARSE_FAILED_INCONSISTENT_CERTIFICATES');
+			err.message.should.match(/signed with a different certificate/);
+		});
+
+		it('finds failures in stderr', function () {
+			const err = errors.parseInstallOutput('', { exitCode: 1, stderr: 'adb: failed to install app.apk: Failure [INSTALL_FAILED_OLDER_SDK: Requires newer sdk version #30 (current version is #28)]' });
+			err.code.should.eql('INSTALL_FAILED_OLDER_SDK');
+			err.exitCode.should.eql(1);
+		});
+	});
+});
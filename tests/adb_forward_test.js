@@ -0,0 +1,34 @@
+/* eslint no-unused-expressions: "off" */
+'use strict';
+
+const should = require('should'); // eslint-disable-line no-unused-vars
+const startMockAdb = require('./helpers/mock-adb');
+
+describe('adb forward with a mock adb server', function () {
+	let server;
+	let adb;
+	let device;
+
+	beforeEach(function () {
+		return startMockAdb().then(mock => ({ server, adb, device } = mock));
+	});
+
+	afterEach(function () {
+		return server.close();
+	});
+
+	it('#forward() and #reverse() manage forwards', function () {
+		return adb.forward(device.id, 'tcp:0', 'jdwp:1234')
+			.then(function (local) {
+				local.should.eql('tcp:40000');
+				return adb.reverse(device.id, 'tcp:8081', 'tcp:8082');
+			})
+			.then(function () {
+				return Promise.all([ adb.listForwards(), adb.listReverses(device.id) ]);
+			})
+			.then(function (results) {
+				results[0].should.eql([ { id: device.id, local: 'tcp:40000', remote: 'jdwp:1234' } ]);
+				return results[1].should.eql([ { remote: 'tcp:8081', local: 'tcp:8082' } ]);
+			});
+	});
+});
@@ -0,0 +1,105 @@
+/* eslint no-unused-expressions: "off" */
+'use strict';
+
+const net = require('net');
+const should = require('should'); // eslint-disable-line no-unused-vars
+const ADB = require('../lib/adb');
+const startMockAdb = require('./helpers/mock-adb');
+
+const PS = '  PID  PPID USER           S NAME\n 4321   612 u0_a123        S com.example.app\n 4400   612 u0_a123        S com.example.app:remote\n 5000   612 u0_a124        S com.example.other\n';
+
+describe('adb jdwp with a mock adb server', function () {
+	let server;
+	let adb;
+	let device;
+
+	beforeEach(function () {
+		return startMockAdb().then(function (mock) {
+			({ server, adb, device } = mock);
+			device.onShell('ps -A -o PID,PPID,USER,S,NAME', PS);
+			return mock;
+		});
+	});
+
+	afterEach(function () {
+		return server.close();
+	});
+
+	it('#trackJdwp() emits debuggable processes as they change', function (finished) {
+		device.setJdwp([ 4321 ]);
+		const tracker = adb.trackJdwp(device.id);
+		const events = [];
+		tracker.on('added', pid => events.push('added ' + pid));
+		tracker.on('removed', pid => events.push('removed ' + pid));
+		tracker.on('pids', function (pids) {
+			events.push(pids);
+			if (events.length === 2) {
+				device.setJdwp([ 4400 ]);
+			} else if (events.length === 5) {
+				tracker.stop();
+			}
+		});
+		tracker.on('end', function (err) {
+			should(err).be.null();
+			events.should.eql([ 'added 4321', [ 4321 ], 'removed 4321', 'added 4400', [ 4400 ] ]);
+			finished();
+		});
+	});
+
+	it('#getJdwpProcesses() maps pids to app ids', function () {
+		device.setJdwp([ 4321, 5000, 6000 ]);
+		return adb.getJdwpProcesses(device.id)
+			.then(function (list) {
+				return list.should.eql([
+					{ pid: 4321, appid: 'com.example.app', user: 'u0_a123' },
+					{ pid: 5000, appid: 'com.example.other', user: 'u0_a124' },
+					{ pid: 6000, appid: null, user: null }
+				]);
+			});
+	});
+
+	it('#forwardJdwp() waits for the app to become debuggable and forwards a port', function () {
+		setTimeout(() => device.setJdwp([ 4321 ]), 50);
+		return adb.forwardJdwp(device.id, 'com.example.app', { timeout: 5000 })
+			.then(function (result) {
+				result.should.eql({ appid: 'com.example.app', pid: 4321, local: 'tcp:40000', port: 40000 });
+				return adb.listForwards(device.id);
+			})
+			.then(function (forwards) {
+				return forwards.should.eql([ { id: device.id, local: 'tcp:40000', remote: 'jdwp:4321' } ]);
+			});
+	});
+
+	it('#forwardJdwp() fails when the app is not debuggable', function () {
+		device.setJdwp([ 5000 ]);
+		return adb.forwardJdwp(device.id, 'com.example.app')
+			.then(function () {
+				throw new Error('Expected forwardJdwp() to fail');
+			}, function (err) {
+				return err.message.should.match(/not running or is not debuggable/);
+			});
+	});
+
+	it('#stop() ends the tracker right away while the service is opening', function () {
+		const tracker = adb.trackJdwp(device.id);
+		const ended = [];
+		tracker.on('end', err => ended.push(err));
+		tracker.stop();
+		return ended.should.eql([ null ]);
+	});
+
+	it('#stop() ends the tracker right away while waiting for the device', function (finished) {
+		let tracker;
+		// a server that accepts the request, but never responds
+		const hung = net.createServer(socket => socket.once('data', function () {
+			const ended = [];
+			tracker.on('end', err => ended.push(err));
+			tracker.stop();
+			ended.should.eql([ null ]);
+			hung.close(() => finished());
+		}));
+		hung.listen(0, '127.0.0.1', function () {
+			tracker = new ADB(null, { port: hung.address().port, responseTimeout: 0 }).trackJdwp(device.id);
+		});
+	});
+});
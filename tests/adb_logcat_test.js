@@ -0,0 +1,205 @@
+/* eslint no-unused-expressions: "off" */
+'use strict';
+
+const should = require('should'); // eslint-disable-line no-unused-vars
+const logcat = require('../lib/adb/logcat');
+const startMockAdb = require('./helpers/mock-adb');
+
+describe('adb logcat', function () {
+	describe('#parseLine()', function () {
+		it('parses the threadtime format', function () {
+			const entry = logcat.parseLine('03-15 12:34:56.789  1234  1250 I ActivityManager: Start proc 1234:com.foo/u0a123', new Date(2024, 5, 1));
+			entry.time.should.eql(new Date(2024, 2, 15, 12, 34, 56, 789));
+			entry.pid.should.eql(1234);
+			entry.tid.should.eql(1250);
+			entry.priority.should.eql('I');
+			entry.tag.should.eql('ActivityManager');
+			entry.message.should.eql('Start proc 1234:com.foo/u0a123');
+		});
+
+		it('assumes entries in the future were logged last year', function () {
+			const entry = logcat.parseLine('12-31 23:59:59.000  1  1 D Foo: bar', new Date(2024, 0, 1));
+			entry.time.getFullYear().should.eql(2023);
+		});
+
+		it('parses the brief format', function () {
+			const entry = logcat.parseLine('E/TiExceptionHandler( 4321): Uncaught TypeError\r');
+			should(entry.time).be.null();
+			should(entry.tid).be.null();
+			entry.pid.should.eql(4321);
+			entry.priority.should.eql('E');
+			entry.tag.should.eql('TiExceptionHandler');
+			entry.message.should.eql('Uncaught TypeError');
+		});
+
+		it('returns null for lines that are not log entries', function () {
+			should(logcat.parseLine('--------- beginning of main')).be.null();
+		});
+	});
+
+	describe('LogcatParser', function () {
+		it('joins the lines of a multi-line message', function () {
+			const entries = [];
+			const parser = new logcat.LogcatParser(entry => entries.push(entry));
+			parser.push('03-15 12:34:56.789  100  100 E AndroidRuntime: FATAL EXCEPTION: main');
+			parser.push('03-15 12:34:56.789  100  100 E AndroidRuntime: java.lang.NullPointerException');
+			parser.push('03-15 12:34:56.789  100  100 E AndroidRuntime: \tat com.foo.Bar.baz(Bar.java:42)');
+			parser.push('03-15 12:34:56.790  100  101 I TiAPI: hello');
+			entries.length.should.eql(1);
+			entries[0].message.should.eql('FATAL EXCEPTION: main\njava.lang.NullPointerException\n\tat com.foo.Bar.baz(Bar.java:42)');
+
+			parser.flush();
+			entries.length.should.eql(2);
+			entries[1].tag.should.eql('TiAPI');
+			entries[1].message.should.eql('hello');
+		});
+
+		it('flushes the last entry after a short delay', function (finished) {
+			const parser = new logcat.LogcatParser(function (entry) {
+				entry.message.should.eql('done');
+				finished();
+			});
+			parser.push('03-15 12:34:56.789  100  100 I TiAPI: done');
+		});
+	});
+
+	describe('BinaryLogDecoder', function () {
+		/**
+		 * Builds a binary logger_entry record.
+		 * @param {Number} headerSize - 0 for a v1 header, otherwise 24 (v3) or 28 (v4)
+		 * @param {Number} lid - The log id
+		 * @param {Buffer} payload - The payload
+		 * @returns {Buffer}
+		 */
+		function record(headerSize, lid, payload) {
+			const header = Buffer.alloc(headerSize || 20);
+			header.writeUInt16LE(payload.length, 0);
+			header.writeUInt16LE(headerSize, 2);
+			header.writeInt32LE(1234, 4);
+			header.writeInt32LE(1250, 8);
+			header.writeInt32LE(1500000000, 12);
+			header.writeInt32LE(250000000, 16);
+			headerSize >= 24 && header.writeUInt32LE(lid, 20);
+			return Buffer.concat([ header, payload ]);
+		}
+
+		function text(priority, tag, message) {
+			return Buffer.concat([ Buffer.from([ priority ]), Buffer.from(tag + '\0' + message + '\0') ]);
+		}
+
+		it('decodes v1 and v4 text entries', function () {
+			const entries = [];
+			const decoder = new logcat.BinaryLogDecoder(entry => entries.push(entry));
+			decoder.push(Buffer.concat([
+				record(0, 0, text(4, 'TiAPI', 'hello')),
+				record(28, 3, text(6, 'ActivityManager', 'line 1\nline 2\n'))
+			]));
+
+			entries.length.should.eql(2);
+			entries[0].should.eql({
+				time: new Date(1500000000250),
+				pid: 1234,
+				tid: 1250,
+				priority: 'I',
+				tag: 'TiAPI',
+				message: 'hello',
+				buffer: null
+			});
+			entries[1].priority.should.eql('E');
+			entries[1].tag.should.eql('ActivityManager');
+			entries[1].message.should.eql('line 1\nline 2');
+			entries[1].buffer.should.eql('system');
+		});
+
+		it('decodes event entries', function () {
+			const payload = Buffer.alloc(4 + 1 + 1 + 5 + 9);
+			payload.writeInt32LE(30001, 0); // tag
+			payload.writeUInt8(3, 4); // list
+			payload.writeUInt8(2, 5); // of 2 values
+			payload.writeUInt8(0, 6); // int
+			payload.writeInt32LE(42, 7);
+			payload.writeUInt8(2, 11); // string
+			payload.writeUInt32LE(4, 12);
+			payload.write('test', 16);
+
+			const entries = [];
+			new logcat.BinaryLogDecoder(entry => entries.push(entry)).push(record(24, 2, payload));
+			entries.length.should.eql(1);
+			entries[0].buffer.should.eql('events');
+			entries[0].tag.should.eql('30001');
+			entries[0].message.should.eql('[42,test]');
+		});
+
+		it('waits for entries split across chunks', function () {
+			const entries = [];
+			const decoder = new logcat.BinaryLogDecoder(entry => entries.push(entry));
+			const data = record(24, 0, text(3, 'TiAPI', 'split'));
+			decoder.push(data.slice(0, 2));
+			decoder.push(data.slice(2, 30));
+			entries.length.should.eql(0);
+			decoder.push(data.slice(30));
+			entries.length.should.eql(1);
+			entries[0].message.should.eql('split');
+			entries[0].priority.should.eql('D');
+		});
+	});
+
+	it('#formatTime() formats dates for "logcat -T"', function () {
+		logcat.formatTime(new Date(2024, 0, 5, 7, 8, 9, 12)).should.eql('01-05 07:08:09.012');
+	});
+
+	it('#formatEntry() formats entries like "logcat -v threadtime"', function () {
+		logcat.formatEntry({
+			time: new Date(2024, 0, 5, 7, 8, 9, 12),
+			pid: 1234,
+			tid: 56,
+			priority: 'E',
+			tag: 'AndroidRuntime',
+			message: 'FATAL EXCEPTION: main\njava.lang.RuntimeException: boom'
+		}).should.eql('01-05 07:08:09.012  1234    56 E AndroidRuntime: FATAL EXCEPTION: main\n'
+			+ '01-05 07:08:09.012  1234    56 E AndroidRuntime: java.lang.RuntimeException: boom');
+	});
+});
+
+describe('adb logcat with a mock adb server', function () {
+	let server;
+	let adb;
+	let device;
+
+	beforeEach(function () {
+		return startMockAdb().then(mock => ({ server, adb, device } = mock));
+	});
+
+	afterEach(function () {
+		return server.close();
+	});
+
+	it('#logcat() reads binary log entries over the socket', function () {
+		const payload = Buffer.from('\u0004TiAPI\u0000Hello from logcat\n\u0000');
+		const header = Buffer.alloc(28);
+		header.writeUInt16LE(payload.length, 0);
+		header.writeUInt16LE(28, 2);
+		header.writeInt32LE(1234, 4);
+		header.writeInt32LE(1234, 8);
+		header.writeInt32LE(1500000000, 12);
+		device.onShell(/^logcat -B/, Buffer.concat([ header, payload ]));
+
+		const entries = [];
+		return adb.logcat(device.id, { transport: 'socket' }, entry => entries.push(entry)).then(function () {
+			entries.length.should.eql(1);
+			entries[0].tag.should.eql('TiAPI');
+			entries[0].priority.should.eql('I');
+			return entries[0].message.should.eql('Hello from logcat');
+		});
+	});
+
+	it('#logcat() dumps the buffers and exits when dump is set', function () {
+		const commands = [];
+		server.on('shell', (dev, cmd) => commands.push(cmd));
+		device.onShell(/^logcat -B/, Buffer.alloc(0));
+
+		return adb.logcat(device.id, { transport: 'socket', buffers: [ 'main', 'crash' ], dump: true, filters: [ '*:E' ] }, function () {}).then(function () {
+			return commands.should.eql([ 'logcat -B -b main -b crash -d \'*:E\'' ]);
+		});
+	});
+});
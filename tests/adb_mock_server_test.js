@@ -0,0 +1,37 @@
+/* eslint no-unused-expressions: "off" */
+'use strict';
+
+const should = require('should'); // eslint-disable-line no-unused-vars
+const startMockAdb = require('./helpers/mock-adb');
+
+describe('adb with a mock adb server', function () {
+	let server;
+	let adb;
+
+	beforeEach(function () {
+		return startMockAdb().then(mock => ({ server, adb } = mock));
+	});
+
+	afterEach(function () {
+		return server.close();
+	});
+
+	it('#version() returns the server version', function () {
+		return adb.version().then(function (ver) {
+			return ver.should.eql('1.0.41');
+		});
+	});
+
+	it('#devices() returns the devices and their properties', function () {
+		server.addDevice('emulator-5556', { state: 'offline' });
+		return adb.devices().then(function (devices) {
+			devices.length.should.eql(2);
+			devices[0].id.should.eql('0123456789ABCDEF');
+			devices[0].state.should.eql('device');
+			devices[0].sdk.should.eql('28');
+			devices[0].model.should.eql('Pixel 3');
+			devices[0].abi.should.eql([ 'arm64-v8a', 'armeabi-v7a' ]);
+			return devices[1].state.should.eql('offline');
+		});
+	});
+});
@@ -0,0 +1,92 @@
+/* eslint no-unused-expressions: "off" */
+'use strict';
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const should = require('should'); // eslint-disable-line no-unused-vars
+const ADB = require('../lib/adb');
+const startMockAdb = require('./helpers/mock-adb');
+
+describe('MultiDevice with a mock adb server', function () {
+	let server;
+	let adb;
+	let device;
+	let tmpDir;
+
+	beforeEach(function () {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'titanium-sdk-mock-adb-'));
+		return startMockAdb().then(function (mock) {
+			({ server, adb, device } = mock);
+			server.addDevice('emulator-5554', {
+				props: { 'ro.build.version.sdk': '30', 'ro.product.model': 'sdk_gphone_x86_64', 'ro.product.cpu.abilist': 'x86_64,x86' }
+			});
+			server.addDevice('0000OLD', {
+				props: { 'ro.build.version.sdk': '19', 'ro.product.cpu.abilist': 'armeabi-v7a' }
+			});
+			server.addDevice('0000OFFLINE', { state: 'offline' });
+			return mock;
+		});
+	});
+
+	afterEach(function () {
+		fs.removeSync(tmpDir);
+		return server.close();
+	});
+
+	function ids(devices) {
+		return devices.map(d => d.id);
+	}
+
+	it('selects devices', function () {
+		return Promise.all([
+			adb.multi().devices(),
+			adb.multi('emulators').devices(),
+			adb.multi('devices').devices(),
+			adb.multi({ abi: 'arm64-v8a' }).devices(),
+			adb.multi({ minApiLevel: 24 }).devices(),
+			adb.multi([ '0000OLD' ]).devices()
+		]).then(function (results) {
+			ids(results[0]).should.eql([ '0123456789ABCDEF', 'emulator-5554', '0000OLD' ]);
+			ids(results[1]).should.eql([ 'emulator-5554' ]);
+			ids(results[2]).should.eql([ '0123456789ABCDEF', '0000OLD' ]);
+			ids(results[3]).should.eql([ '0123456789ABCDEF' ]);
+			ids(results[4]).should.eql([ '0123456789ABCDEF', 'emulator-5554' ]);
+			return ids(results[5]).should.eql([ '0000OLD' ]);
+		});
+	});
+
+	it('#installApp() installs on every selected device with tagged logs', function () {
+		const apk = path.join(tmpDir, 'app.apk');
+		fs.writeFileSync(apk, 'not really an apk');
+		const messages = [];
+		const logger = { trace: msg => messages.push(msg), debug: msg => messages.push(msg), error: msg => messages.push(msg) };
+
+		return adb.multi({ minApiLevel: 24 }, { concurrency: 1, logger: logger }).installApp(apk).then(function (results) {
+			ids(results.map(r => r.device)).should.eql([ '0123456789ABCDEF', 'emulator-5554' ]);
+			results.forEach(r => should(r.error).be.null());
+			device.installed.length.should.eql(1);
+			server.getDevice('emulator-5554').installed.length.should.eql(1);
+			messages.should.containEql('[emulator-5554 sdk_gphone_x86_64] Installing ' + apk);
+			return messages.filter(msg => msg.indexOf('[0123456789ABCDEF Pixel 3] ') === 0).length.should.be.above(1);
+		});
+	});
+
+	it('#stopApp() reports the result of each device', function () {
+		server.getDevice('emulator-5554').onShell('pidof com.example.app', '1234\n');
+		device.onShell('pidof com.example.app', { stdout: '', exitCode: 1 });
+		return adb.multi({ minApiLevel: 24 }).stopApp('com.example.app').then(function (results) {
+			results[0].error.should.be.an.instanceOf(ADB.ADBError);
+			results[0].error.message.should.match(/is not running/);
+			return should(results[1].error).be.null();
+		});
+	});
+
+	it('#logcat() runs on every selected device', function () {
+		device.onShell(/^logcat/, Buffer.alloc(0));
+		server.getDevice('emulator-5554').onShell(/^logcat/, Buffer.alloc(0));
+		return adb.multi('all').logcat({ transport: 'socket' }, function () {}).then(function (results) {
+			return ids(results.map(r => r.device)).should.eql([ '0123456789ABCDEF', 'emulator-5554', '0000OLD' ]);
+		});
+	});
+});
@@ -0,0 +1,243 @@
+/* eslint no-unused-expressions: "off" */
+'use strict';
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const should = require('should'); // eslint-disable-line no-unused-vars
+const ADB = require('../lib/adb');
+const packages = require('../lib/adb/packages');
+const startMockAdb = require('./helpers/mock-adb');
+
+const DUMPSYS = [
+	'Activity Resolver Table:',
+	'  Non-Data Actions:',
+	'      android.intent.action.MAIN:',
+	'        5b3e2b1 com.example.app/.MainActivity filter 9c1a3f0',
+	'',
+	'Packages:',
+	'  Package [com.example.app] (3f8a1c2):',
+	'    userId=10123',
+	'    pkg=Package{8d2e4b7 com.example.app}',
+	'    codePath=/data/app/com.example.app-1',
+	'    versionCode=42 minSdk=21 targetSdk=28',
+	'    versionName=1.2.3',
+	'    firstInstallTime=2019-01-02 03:04:05',
+	'    lastUpdateTime=2019-02-03 04:05:06',
+	'    requested permissions:',
+	'      android.permission.INTERNET',
+	'      android.permission.CAMERA',
+	'      android.permission.ACCESS_FINE_LOCATION: restricted=true',
+	'    install permissions:',
+	'      android.permission.INTERNET: granted=true',
+	'    User 0: ceDataInode=12345 installed=true hidden=false',
+	'      gids=[3003]',
+	'      runtime permissions:',
+	'        android.permission.CAMERA: granted=false, flags=[ USER_SET ]',
+	'        android.permission.ACCESS_FINE_LOCATION: granted=true',
+	'',
+	'Queries:',
+	'  system apps queryable: false'
+].join('\r\n');
+
+describe('adb packages', function () {
+	describe('#parseDumpsysPackage()', function () {
+		it('parses the version, SDK levels and permissions', function () {
+			packages.parseDumpsysPackage(DUMPSYS, 'com.example.app').should.eql({
+				appid: 'com.example.app',
+				versionCode: 42,
+				versionName: '1.2.3',
+				minSdk: 21,
+				targetSdk: 28,
+				codePath: '/data/app/com.example.app-1',
+				firstInstallTime: '2019-01-02 03:04:05',
+				lastUpdateTime: '2019-02-03 04:05:06',
+				permissions: {
+					requested: [ 'android.permission.INTERNET', 'android.permission.CAMERA', 'android.permission.ACCESS_FINE_LOCATION' ],
+					granted: [ 'android.permission.INTERNET', 'android.permission.ACCESS_FINE_LOCATION' ],
+					denied: [ 'android.permission.CAMERA' ]
+				}
+			});
+		});
+
+		it('returns null if the package is not installed', function () {
+			should(packages.parseDumpsysPackage(DUMPSYS, 'com.example.other')).be.null();
+			should(packages.parseDumpsysPackage('Unable to find package: com.example.app\n', 'com.example.app')).be.null();
+		});
+	});
+
+	describe('#buildIntentArgs()', function () {
+		it('builds the intent arguments', function () {
+			packages.buildIntentArgs({
+				action: 'android.intent.action.VIEW',
+				data: 'myapp://items/1?ref=test&x=1',
+				categories: 'android.intent.category.BROWSABLE',
+				component: 'com.example.app/.MainActivity',
+				flags: 0x10000000
+			}).should.eql([
+				'-a', 'android.intent.action.VIEW',
+				'-d', '\'myapp://items/1?ref=test&x=1\'',
+				'-c', 'android.intent.category.BROWSABLE',
+				'-n', 'com.example.app/.MainActivity',
+				'-f', '0x10000000'
+			]);
+		});
+
+		it('passes extras with the flag matching their type', function () {
+			packages.buildIntentArgs({
+				extras: {
+					name: 'it\'s me',
+					enabled: true,
+					count: 3,
+					big: 5000000000,
+					ratio: 0.5,
+					tags: [ 'a', 'b,c' ],
+					nothing: null
+				}
+			}).should.eql([
+				'--es', 'name', '\'it\'\\\'\'s me\'',
+				'--ez', 'enabled', 'true',
+				'--ei', 'count', '3',
+				'--el', 'big', '5000000000',
+				'--ef', 'ratio', '0.5',
+				'--esa', 'tags', '\'a,b\\,c\'',
+				'--esn', 'nothing'
+			]);
+		});
+	});
+
+	it('#checkIntentOutput() finds errors', function () {
+		should(packages.checkIntentOutput('Starting: Intent { act=android.intent.action.VIEW }\n')).be.null();
+		packages.checkIntentOutput('Starting: Intent { cmp=com.example.app/.Nope }\nError type 3\nError: Activity class {com.example.app/com.example.app.Nope} does not exist.\n')
+			.should.equal('Error: Activity class {com.example.app/com.example.app.Nope} does not exist.');
+		packages.checkIntentOutput('Exception occurred while executing \'start\':\njava.lang.SecurityException: Permission Denial\n')
+			.should.equal('Exception occurred while executing \'start\':');
+	});
+});
+
+describe('adb packages with a mock adb server', function () {
+	let server;
+	let adb;
+	let device;
+	let tmpDir;
+
+	beforeEach(function () {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'titanium-sdk-mock-adb-'));
+		return startMockAdb().then(mock => ({ server, adb, device } = mock));
+	});
+
+	afterEach(function () {
+		fs.removeSync(tmpDir);
+		return server.close();
+	});
+
+	describe('#installApp()', function () {
+		let apk;
+
+		beforeEach(function () {
+			apk = path.join(tmpDir, 'app.apk');
+			fs.writeFileSync(apk, Buffer.alloc(100000, 1));
+		});
+
+		it('streams the apk into an install session', function () {
+			return adb.installApp(device.id, apk, { grantPermissions: true }).then(function () {
+				device.installed.length.should.eql(1);
+				device.installed[0].flags.should.containEql('-g');
+				return device.installed[0].files.should.eql([ { name: '0_app.apk', size: 100000 } ]);
+			});
+		});
+
+		it('pushes the apk to older devices', function () {
+			device.setProp('ro.build.version.sdk', '19');
+			return adb.installApp(device.id, apk).then(function () {
+				device.installed.length.should.eql(1);
+				device.installed[0].files[0].name.should.eql('/data/local/tmp/0_app.apk');
+				// the copied apk is cleaned up
+				return should(device.readFile('/data/local/tmp/0_app.apk')).be.null();
+			});
+		});
+
+		it('reports install failures', function () {
+			device.onShell(/install-commit/, 'Failure [INSTALL_FAILED_VERSION_DOWNGRADE]\n');
+			return adb.installApp(device.id, apk).then(function () {
+				throw new Error('Expected installApp() to fail');
+			}, function (err) {
+				err.should.be.an.instanceOf(ADB.InstallError);
+				err.code.should.eql('INSTALL_FAILED_VERSION_DOWNGRADE');
+			});
+		});
+	});
+
+	it('#isInstalled() checks the package path', function () {
+		device.onShell('pm path com.example.app', 'package:/data/app/com.example.app-1/base.apk\n');
+		device.onShell('pm path com.example.other', { stdout: '', exitCode: 1 });
+		return Promise.all([ adb.isInstalled(device.id, 'com.example.app'), adb.isInstalled(device.id, 'com.example.other') ])
+			.then(function (results) {
+				return results.should.eql([ true, false ]);
+			});
+	});
+
+	it('#uninstallApp() keeps the data when asked', function () {
+		const commands = [];
+		device.onShell(/^pm uninstall/, function (cmd) {
+			commands.push(cmd);
+			return 'Success\n';
+		});
+		return adb.uninstallApp(device.id, 'com.example.app', { keepData: true })
+			.then(function () {
+				return commands.should.eql([ 'pm uninstall -k com.example.app' ]);
+			});
+	});
+
+	it('#uninstallApp() reports failures', function () {
+		device.onShell(/^pm uninstall/, 'Failure [DELETE_FAILED_INTERNAL_ERROR]\n');
+		return adb.uninstallApp(device.id, 'com.example.app')
+			.then(function () {
+				throw new Error('Expected uninstall to fail');
+			}, function (err) {
+				err.should.be.an.instanceof(ADB.ADBError);
+				return err.failure.should.equal('DELETE_FAILED_INTERNAL_ERROR');
+			});
+	});
+
+	it('#clearAppData() clears the data', function () {
+		device.onShell('pm clear com.example.app', 'Success\n');
+		return adb.clearAppData(device.id, 'com.example.app');
+	});
+
+	it('#getPackageInfo() parses dumpsys', function () {
+		device.onShell('dumpsys package com.example.app', 'Packages:\n  Package [com.example.app] (3f8a1c2):\n    versionCode=7 minSdk=19 targetSdk=28\n    versionName=0.7\n');
+		return adb.getPackageInfo(device.id, 'com.example.app')
+			.then(function (info) {
+				info.versionCode.should.equal(7);
+				return info.versionName.should.equal('0.7');
+			});
+	});
+
+	it('#grantPermission() and #revokePermission() change permissions', function () {
+		device.onShell(/^pm grant/, '');
+		device.onShell(/^pm revoke/, 'Exception occurred while executing \'revoke\':\njava.lang.IllegalArgumentException: Unknown permission: android.permission.NOPE\n');
+		return adb.grantPermission(device.id, 'com.example.app', 'android.permission.CAMERA')
+			.then(function () {
+				return adb.revokePermission(device.id, 'com.example.app', 'android.permission.NOPE');
+			})
+			.then(function () {
+				throw new Error('Expected revoke to fail');
+			}, function (err) {
+				return err.message.should.match(/Unknown permission: android\.permission\.NOPE/);
+			});
+	});
+
+	it('#startIntent() sends a deep link with extras', function () {
+		const commands = [];
+		device.onShell(/^am start/, function (cmd) {
+			commands.push(cmd);
+			return 'Starting: Intent { act=android.intent.action.VIEW }\n';
+		});
+		return adb.startIntent(device.id, { action: 'android.intent.action.VIEW', data: 'myapp://items/1', extras: { debug: true } })
+			.then(function (output) {
+				output.should.match(/^Starting/);
+				return commands.should.eql([ 'am start -a android.intent.action.VIEW -d myapp://items/1 --ez debug true' ]);
+			});
+	});
+});
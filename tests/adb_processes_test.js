@@ -0,0 +1,115 @@
+/* eslint no-unused-expressions: "off" */
+'use strict';
+
+const should = require('should'); // eslint-disable-line no-unused-vars
+const processes = require('../lib/adb/processes');
+const startMockAdb = require('./helpers/mock-adb');
+
+const PS = '  PID  PPID USER           S NAME\n    1     0 root           S init\n 4321   612 u0_a123        S com.example.app\n 4400   612 u0_a123        R com.example.app:remote\n';
+
+describe('adb processes', function () {
+	it('#parsePidof() parses pids', function () {
+		processes.parsePidof('1234 5678\r\n').should.eql([ 1234, 5678 ]);
+		processes.parsePidof('').should.eql([]);
+		should(processes.parsePidof('/system/bin/sh: pidof: not found\n')).be.null();
+	});
+
+	describe('#parsePs()', function () {
+		it('parses the columns requested with -o', function () {
+			processes.parsePs('  PID  PPID USER           S NAME\r\n    1     0 root           S init\r\n 4321   612 u0_a123        S com.example.app\r\n 4400   612 u0_a123        R com.example.app:remote\r\n').should.eql([
+				{ pid: 1, ppid: 0, user: 'root', state: 'S', name: 'init' },
+				{ pid: 4321, ppid: 612, user: 'u0_a123', state: 'S', name: 'com.example.app' },
+				{ pid: 4400, ppid: 612, user: 'u0_a123', state: 'R', name: 'com.example.app:remote' }
+			]);
+		});
+
+		it('parses the toybox ps', function () {
+			processes.parsePs('USER           PID  PPID     VSZ    RSS WCHAN            ADDR S NAME\nu0_a123       4321   612 1234567  89012 SyS_epoll_wait      0 S com.example.app\n').should.eql([
+				{ pid: 4321, ppid: 612, user: 'u0_a123', state: 'S', name: 'com.example.app' }
+			]);
+		});
+
+		it('parses the legacy toolbox ps', function () {
+			processes.parsePs('USER     PID   PPID  VSIZE  RSS     WCHAN    PC        NAME\nroot      1     0     640    496   c00bd520 00019fb8 S /init\nu0_a12    812   53    512000 30000 ffffffff 00000000 T com.example.app\n').should.eql([
+				{ pid: 1, ppid: 0, user: 'root', state: 'S', name: '/init' },
+				{ pid: 812, ppid: 53, user: 'u0_a12', state: 'T', name: 'com.example.app' }
+			]);
+		});
+
+		it('returns null without a header', function () {
+			should(processes.parsePs('bad pid \'-A\'\n')).be.null();
+		});
+	});
+
+	it('#isAppProcess() matches the main process and named sub-processes', function () {
+		processes.isAppProcess({ name: 'com.example.app' }, 'com.example.app').should.be.true();
+		processes.isAppProcess({ name: 'com.example.app:remote' }, 'com.example.app').should.be.true();
+		processes.isAppProcess({ name: 'com.example.application' }, 'com.example.app').should.be.false();
+	});
+});
+
+describe('adb processes with a mock adb server', function () {
+	let server;
+	let adb;
+	let device;
+
+	beforeEach(function () {
+		return startMockAdb().then(mock => ({ server, adb, device } = mock));
+	});
+
+	afterEach(function () {
+		return server.close();
+	});
+
+	it('#getProcesses() returns every process of an app', function () {
+		device.onShell('ps -A -o PID,PPID,USER,S,NAME', PS);
+		return adb.getProcesses(device.id, 'com.example.app')
+			.then(function (list) {
+				return list.map(p => p.name).should.eql([ 'com.example.app', 'com.example.app:remote' ]);
+			});
+	});
+
+	it('#getPid() uses pidof', function () {
+		device.onShell('pidof com.example.app', '4321\n');
+		return adb.getPid(device.id, 'com.example.app')
+			.then(function (pid) {
+				return pid.should.equal(4321);
+			});
+	});
+
+	it('#getPid() falls back to the legacy ps', function () {
+		device.onShell('ps -A', 'bad pid \'-A\'\n');
+		device.onShell('ps', 'USER     PID   PPID  VSIZE  RSS     WCHAN    PC        NAME\nu0_a12    812   53    512000 30000 ffffffff 00000000 S com.example.app\n');
+		return adb.getPid(device.id, 'com.example.app')
+			.then(function (pid) {
+				return pid.should.equal(812);
+			});
+	});
+
+	it('#waitForProcess() waits for the app to start and exit', function () {
+		let checks = 0;
+		device.onShell('ps -A -o PID,PPID,USER,S,NAME', function () {
+			return ++checks < 3 || checks > 4 ? PS.split('\n').slice(0, 2).join('\n') + '\n' : PS;
+		});
+		return adb.waitForProcess(device.id, 'com.example.app', { interval: 10 })
+			.then(function (list) {
+				list.length.should.equal(2);
+				checks.should.equal(3);
+				return adb.waitForProcess(device.id, 'com.example.app', { exit: true, interval: 10 });
+			})
+			.then(function (list) {
+				list.should.eql([]);
+				return checks.should.equal(5);
+			});
+	});
+
+	it('#waitForProcess() times out', function () {
+		device.onShell('ps -A -o PID,PPID,USER,S,NAME', PS);
+		return adb.waitForProcess(device.id, 'com.example.app', { exit: true, interval: 10, timeout: 50 })
+			.then(function () {
+				throw new Error('Expected waitForProcess() to time out');
+			}, function (err) {
+				return err.message.should.match(/Timed out after 50ms waiting for "com.example.app" to exit/);
+			});
+	});
+});
@@ -0,0 +1,80 @@
+/* eslint no-unused-expressions: "off" */
+'use strict';
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const should = require('should'); // eslint-disable-line no-unused-vars
+const startMockAdb = require('./helpers/mock-adb');
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+describe('adb screen capture with a mock adb server', function () {
+	let server;
+	let adb;
+	let device;
+	let tmpDir;
+
+	beforeEach(function () {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'titanium-sdk-mock-adb-'));
+		return startMockAdb().then(mock => ({ server, adb, device } = mock));
+	});
+
+	afterEach(function () {
+		fs.removeSync(tmpDir);
+		return server.close();
+	});
+
+	it('#screencap() returns the PNG or writes it to a file', function () {
+		device.onShell('screencap -p', PNG);
+		const dest = path.join(tmpDir, 'shots', 'screen.png');
+		return adb.screencap(device.id)
+			.then(function (png) {
+				png.should.eql(PNG);
+				return adb.screencap(device.id, dest);
+			})
+			.then(function (file) {
+				file.should.equal(dest);
+				return fs.readFileSync(dest).should.eql(PNG);
+			});
+	});
+
+	it('#screencap() fails when the output is not a PNG', function () {
+		device.onShell('screencap -p', 'Error: failed to take screenshot\n');
+		return adb.screencap(device.id)
+			.then(function () {
+				throw new Error('Expected screencap() to fail');
+			}, function (err) {
+				return err.message.should.match(/Failed to take a screenshot: Error: failed to take screenshot/);
+			});
+	});
+
+	it('#screenrecord() records and pulls the video', function () {
+		const commands = [];
+		server.on('shell', (dev, cmd) => commands.push(cmd));
+		device.onShell(/screenrecord/, function (cmd, stdin, dev) {
+			dev.writeFile('/sdcard/test.mp4', 'mp4 data');
+			return '4321\n';
+		});
+		device.onShell('kill -2 4321', '');
+
+		const handle = adb.screenrecord(device.id, { dest: tmpDir, remotePath: '/sdcard/test.mp4', size: '1280x720', bitRate: 4000000, timeLimit: 10 });
+		handle.stop();
+		return handle.then(function (result) {
+			result.should.eql({ file: path.join(tmpDir, 'test.mp4'), size: 8 });
+			commands.should.containEql('echo $$; exec screenrecord --size 1280x720 --bit-rate 4000000 --time-limit 10 /sdcard/test.mp4');
+			commands.should.containEql('kill -2 4321');
+			return should(device.readFile('/sdcard/test.mp4')).be.null();
+		});
+	});
+
+	it('#screenrecord() reports errors', function () {
+		device.onShell(/screenrecord/, { stdout: '4321\n', stderr: 'ERROR: unable to create video encoder\n', exitCode: 1 });
+		return adb.screenrecord(device.id, { dest: path.join(tmpDir, 'video.mp4') })
+			.then(function () {
+				throw new Error('Expected screenrecord() to fail');
+			}, function (err) {
+				return err.message.should.match(/unable to create video encoder/);
+			});
+	});
+});
@@ -0,0 +1,127 @@
+/* eslint no-unused-expressions: "off" */
+'use strict';
+
+const should = require('should'); // eslint-disable-line no-unused-vars
+const ADB = require('../lib/adb');
+const MockAdbServer = require('../lib/adb/mock-server');
+const startMockAdb = require('./helpers/mock-adb');
+
+describe('adb servers with a mock adb server', function () {
+	let server;
+	let adb;
+	let device;
+
+	beforeEach(function () {
+		return startMockAdb().then(mock => ({ server, adb, device } = mock));
+	});
+
+	afterEach(function () {
+		return server.close();
+	});
+
+	describe('server address', function () {
+		let env;
+
+		beforeEach(function () {
+			env = { ADB_SERVER_SOCKET: process.env.ADB_SERVER_SOCKET, ANDROID_ADB_SERVER_PORT: process.env.ANDROID_ADB_SERVER_PORT };
+			delete process.env.ADB_SERVER_SOCKET;
+			delete process.env.ANDROID_ADB_SERVER_PORT;
+		});
+
+		afterEach(function () {
+			Object.keys(env).forEach(name => (env[name] === undefined ? delete process.env[name] : (process.env[name] = env[name])));
+		});
+
+		it('defaults to the local server', function () {
+			new ADB().server.should.eql({ host: '127.0.0.1', port: 5037, remote: false });
+		});
+
+		it('reads ADB_SERVER_SOCKET', function () {
+			process.env.ADB_SERVER_SOCKET = 'tcp:host.docker.internal:5038';
+			new ADB().server.should.eql({ host: 'host.docker.internal', port: 5038, remote: true });
+			process.env.ADB_SERVER_SOCKET = 'tcp:[::1]:5039';
+			new ADB().server.should.eql({ host: '::1', port: 5039, remote: false });
+		});
+
+		it('prefers the options, then ADB_SERVER_SOCKET, then the config, then ANDROID_ADB_SERVER_PORT', function () {
+			const config = server.createConfig({ 'android.adb.host': 'localhost' });
+			process.env.ANDROID_ADB_SERVER_PORT = '5040';
+			new ADB().server.should.eql({ host: '127.0.0.1', port: 5040, remote: false });
+			new ADB(config).server.should.eql({ host: 'localhost', port: server.port, remote: false });
+			process.env.ADB_SERVER_SOCKET = 'tcp:host.docker.internal:5038';
+			new ADB(config).server.should.eql({ host: 'host.docker.internal', port: 5038, remote: true });
+			new ADB(config, { host: 'farm.example.com', port: 6000 }).server.should.eql({ host: 'farm.example.com', port: 6000, remote: true });
+		});
+
+		it('uses the local host when ADB_SERVER_SOCKET only has a port', function () {
+			process.env.ADB_SERVER_SOCKET = 'tcp:5041';
+			new ADB(server.createConfig({ 'android.adb.host': 'farm.example.com' })).server.should.eql({ host: '127.0.0.1', port: 5041, remote: false });
+		});
+
+		it('#startServer() does not start a remote server', function () {
+			return new ADB(null, { host: '192.0.2.1' }).startServer()
+				.then(function () {
+					throw new Error('Expected startServer() to fail');
+				}, function (err) {
+					return err.message.should.match(/Unable to start the adb server on 192\.0\.2\.1:5037/);
+				});
+		});
+	});
+
+	describe('ServerGroup', function () {
+		let other;
+
+		beforeEach(function () {
+			other = new MockAdbServer();
+			other.addDevice('emulator-5554');
+			return other.listen();
+		});
+
+		afterEach(function () {
+			return other.close();
+		});
+
+		it('merges the devices of several servers', function () {
+			const otherAdb = new ADB(other.createConfig(), { host: 'localhost' });
+			const unreachable = new ADB(server.createConfig(), { port: 1 });
+			unreachable.startServer = callback => callback(new Error('not started'));
+			const group = new ADB.ServerGroup([ adb, otherAdb, unreachable ]);
+
+			return group.devices().then(function (devices) {
+				devices.map(d => d.id + '@' + d.server).should.eql([
+					device.id + '@127.0.0.1:' + server.port,
+					'emulator-5554@localhost:' + other.port
+				]);
+				group.adbFor(devices[1]).should.equal(otherAdb);
+				group.adbFor(device.id).should.equal(adb);
+				return should(group.adbFor('nope')).be.null();
+			});
+		});
+
+		it('lists a device attached to several servers once', function () {
+			other.addDevice(device.id);
+			const otherAdb = new ADB(other.createConfig(), { host: 'localhost' });
+			const group = new ADB.ServerGroup([ adb, otherAdb ]);
+
+			return group.devices().then(function (devices) {
+				devices.map(d => d.id + '@' + d.server).should.eql([
+					device.id + '@127.0.0.1:' + server.port,
+					'emulator-5554@localhost:' + other.port
+				]);
+				return group.adbFor(device.id).should.equal(adb);
+			});
+		});
+
+		it('fails when no server can be reached', function () {
+			const unreachable = new ADB(server.createConfig(), { port: 1 });
+			unreachable.startServer = callback => callback(new Error('not started'));
+
+			return new ADB.ServerGroup([ unreachable ]).devices()
+				.then(function () {
+					throw new Error('Expected devices() to fail');
+				}, function (err) {
+					return err.message.should.match(/Unable to connect to any adb server: 127\.0\.0\.1:1 \(not started\)/);
+				});
+		});
+	});
+});
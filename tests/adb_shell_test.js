@@ -0,0 +1,159 @@
+/* eslint no-unused-expressions: "off" */
+'use strict';
+
+const should = require('should'); // eslint-disable-line no-unused-vars
+const ADB = require('../lib/adb');
+const shell = require('../lib/adb/shell');
+const startMockAdb = require('./helpers/mock-adb');
+
+describe('adb shell', function () {
+	describe('ShellV2Decoder', function () {
+		it('separates stdout, stderr and the exit code', function () {
+			const out = [];
+			const err = [];
+			let exitCode;
+			const decoder = new shell.ShellV2Decoder({
+				stdout: chunk => out.push(chunk.toString()),
+				stderr: chunk => err.push(chunk.toString()),
+				exit: code => exitCode = code
+			});
+
+			const data = Buffer.concat([
+				shell.encode(shell.PACKETS.STDOUT, 'hello\n'),
+				shell.encode(shell.PACKETS.STDERR, 'oops\n'),
+				shell.encode(shell.PACKETS.STDOUT, 'world\n'),
+				shell.encode(shell.PACKETS.EXIT, Buffer.from([ 3 ]))
+			]);
+
+			// feed it a byte at a time to make sure packets are reassembled
+			for (let i = 0; i < data.length; i++) {
+				decoder.push(data.slice(i, i + 1));
+			}
+
+			out.should.eql([ 'hello\n', 'world\n' ]);
+			err.should.eql([ 'oops\n' ]);
+			exitCode.should.eql(3);
+		});
+	});
+
+	it('#encode() splits large payloads into multiple packets', function () {
+		const data = Buffer.alloc(10000, 'a');
+		const chunks = [];
+		new shell.ShellV2Decoder({
+			stdout: chunk => chunks.push(chunk),
+			stderr: () => {},
+			exit: () => {}
+		}).push(shell.encode(shell.PACKETS.STDOUT, data));
+
+		chunks.length.should.eql(3);
+		chunks.forEach(chunk => chunk.length.should.be.belowOrEqual(4091));
+		Buffer.concat(chunks).equals(data).should.be.true();
+	});
+
+	it('#encode() creates an empty packet to close stdin', function () {
+		shell.encode(shell.PACKETS.CLOSE_STDIN).should.eql(Buffer.from([ 4, 0, 0, 0, 0 ]));
+	});
+
+	describe('LegacyOutputFilter', function () {
+		it('restores line endings and extracts the exit code', function () {
+			const out = [];
+			const filter = new shell.LegacyOutputFilter(chunk => out.push(chunk));
+			const data = Buffer.from('line 1\r\nline 2\r\nthe last line\r\n' + shell.EXIT_MARKER + '127\r\n');
+			for (let i = 0; i < data.length; i += 7) {
+				filter.push(data.slice(i, i + 7));
+			}
+			filter.flush();
+
+			Buffer.concat(out).toString().should.eql('line 1\nline 2\nthe last line\n');
+			filter.exitCode.should.eql(127);
+		});
+
+		it('finds the exit code when the output does not end with a newline', function () {
+			const out = [];
+			const filter = new shell.LegacyOutputFilter(chunk => out.push(chunk));
+			filter.push(Buffer.from('no newline' + shell.EXIT_MARKER + '0\r\n'));
+			filter.flush();
+
+			Buffer.concat(out).toString().should.eql('no newline');
+			filter.exitCode.should.eql(0);
+		});
+
+		it('leaves the exit code null when the marker is missing', function () {
+			const out = [];
+			const filter = new shell.LegacyOutputFilter(chunk => out.push(chunk));
+			filter.push(Buffer.from('killed\r\n'));
+			filter.flush();
+
+			Buffer.concat(out).toString().should.eql('killed\n');
+			should(filter.exitCode).be.null();
+		});
+	});
+
+	it('#wrapLegacyCommand() echoes the exit code on a new line', function () {
+		shell.wrapLegacyCommand('ls /sdcard # list').should.eql('ls /sdcard # list\necho ' + shell.EXIT_MARKER + '$?');
+	});
+});
+
+describe('adb shell with a mock adb server', function () {
+	let server;
+	let adb;
+	let device;
+
+	beforeEach(function () {
+		return startMockAdb().then(mock => ({ server, adb, device } = mock));
+	});
+
+	afterEach(function () {
+		return server.close();
+	});
+
+	describe('#shell()', function () {
+		beforeEach(function () {
+			device.onShell('ls /nope', { stdout: 'some output\n', stderr: 'ls: /nope: No such file or directory\n', exitCode: 1 });
+			device.onShell('cat', (cmd, stdin) => stdin);
+		});
+
+		it('returns the merged output when called without options', function () {
+			return adb.shell(device.id, 'ls /nope').then(function (output) {
+				return output.toString().should.eql('some output\r\nls: /nope: No such file or directory\r\n');
+			});
+		});
+
+		it('separates stdout and stderr using shell v2', function () {
+			return adb.shell(device.id, 'ls /nope', {}).then(function (result) {
+				return result.should.eql({
+					stdout: 'some output\n',
+					stderr: 'ls: /nope: No such file or directory\n',
+					exitCode: 1,
+					protocol: 'v2'
+				});
+			});
+		});
+
+		it('writes stdin', function () {
+			return adb.shell(device.id, 'cat', { stdin: 'hello from stdin' }).then(function (result) {
+				return result.stdout.should.eql('hello from stdin');
+			});
+		});
+
+		it('falls back to the legacy shell', function () {
+			device.features = [ 'cmd' ];
+			return adb.shell(device.id, 'ls /nope', { encoding: null }).then(function (result) {
+				result.protocol.should.eql('legacy');
+				result.stdout.toString().should.eql('some output\nls: /nope: No such file or directory\n');
+				result.stderr.length.should.eql(0);
+				return result.exitCode.should.eql(1);
+			});
+		});
+
+		it('fails when the device is offline', function () {
+			device.setState('offline');
+			return adb.shell(device.id, 'ls', {}).then(function () {
+				throw new Error('Expected shell() to fail');
+			}, function (err) {
+				err.should.be.an.instanceOf(ADB.ADBError);
+				err.message.should.eql('device offline');
+			});
+		});
+	});
+});
@@ -0,0 +1,274 @@
+/* eslint no-unused-expressions: "off" */
+'use strict';
+
+const fs = require('fs-extra');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const should = require('should'); // eslint-disable-line no-unused-vars
+const SyncSession = require('../lib/adb/sync');
+const startMockAdb = require('./helpers/mock-adb');
+
+/**
+ * A tiny in-memory implementation of the device side of the sync protocol.
+ * @param {Object} files - A map of remote paths to { data, mode, mtime }
+ * @param {Function} callback - A function to call with the server and a connected client socket
+ */
+function createSyncServer(files, callback) {
+	const server = net.createServer(function (socket) {
+		let buffer = Buffer.alloc(0);
+		let sending = null;
+
+		function reply(id, value, payload) {
+			const header = Buffer.alloc(8);
+			header.write(id, 0, 4, 'ascii');
+			header.writeUInt32LE(value, 4);
+			socket.write(payload ? Buffer.concat([ header, payload ]) : header);
+		}
+
+		socket.on('data', function (data) {
+			buffer = Buffer.concat([ buffer, data ]);
+			while (buffer.length >= 8) {
+				const id = buffer.toString('ascii', 0, 4);
+				const len = buffer.readUInt32LE(4);
+				if (id === 'DONE' || id === 'QUIT') {
+					buffer = buffer.slice(8);
+					if (id === 'DONE') {
+						files[sending.path] = { data: Buffer.concat(sending.chunks), mode: sending.mode, mtime: len };
+						sending = null;
+						reply('OKAY', 0);
+					}
+					continue;
+				}
+				if (buffer.length < 8 + len) {
+					return;
+				}
+				const payload = buffer.slice(8, 8 + len);
+				buffer = buffer.slice(8 + len);
+
+				if (id === 'STAT') {
+					const file = files[payload.toString()];
+					const stat = Buffer.alloc(16);
+					stat.write('STAT', 0, 4, 'ascii');
+					stat.writeUInt32LE(file ? file.mode : 0, 4);
+					stat.writeUInt32LE(file ? file.data.length : 0, 8);
+					stat.writeUInt32LE(file ? file.mtime : 0, 12);
+					socket.write(stat);
+				} else if (id === 'RECV') {
+					const file = files[payload.toString()];
+					if (!file) {
+						const msg = Buffer.from('No such file or directory');
+						reply('FAIL', msg.length, msg);
+					} else {
+						reply('DATA', file.data.length, file.data);
+						reply('DONE', 0);
+					}
+				} else if (id === 'SEND') {
+					const parts = payload.toString().split(',');
+					sending = { path: parts[0], mode: parseInt(parts[1]), chunks: [] };
+				} else if (id === 'DATA') {
+					sending.chunks.push(payload);
+				}
+			}
+		});
+	});
+
+	server.listen(0, '127.0.0.1', function () {
+		const socket = net.connect(server.address().port, '127.0.0.1', function () {
+			callback(server, socket);
+		});
+	});
+}
+
+describe('adb sync', function () {
+	let server;
+	let sync;
+	let tmpDir;
+	const files = {
+		'/sdcard/hello.txt': { data: Buffer.from('Hello world!\n'), mode: 0o100644, mtime: 1500000000 }
+	};
+
+	before(function (finished) {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'titanium-sdk-sync-'));
+		createSyncServer(files, function (s, socket) {
+			server = s;
+			sync = new SyncSession(socket);
+			finished();
+		});
+	});
+
+	after(function (finished) {
+		sync.end();
+		fs.removeSync(tmpDir);
+		server.close(function () {
+			finished();
+		});
+	});
+
+	it('#stat() returns the mode, size and mtime of a file', function (finished) {
+		sync.stat('/sdcard/hello.txt', function (err, stat) {
+			if (err) {
+				return finished(err);
+			}
+			stat.exists.should.be.true();
+			stat.isFile.should.be.true();
+			stat.isDirectory.should.be.false();
+			stat.size.should.eql(13);
+			stat.mtime.getTime().should.eql(1500000000000);
+			finished();
+		});
+	});
+
+	it('#stat() reports a non-existent file', function (finished) {
+		sync.stat('/sdcard/nope.txt', function (err, stat) {
+			if (err) {
+				return finished(err);
+			}
+			stat.exists.should.be.false();
+			finished();
+		});
+	});
+
+	it('#recv() writes a remote file to disk', function (finished) {
+		const dest = path.join(tmpDir, 'hello.txt');
+		const progress = [];
+		sync.recv('/sdcard/hello.txt', dest, { size: 13, progress: (n, total) => progress.push([ n, total ]) }, function (err) {
+			if (err) {
+				return finished(err);
+			}
+			fs.readFileSync(dest, 'utf8').should.eql('Hello world!\n');
+			progress.should.eql([ [ 13, 13 ] ]);
+			finished();
+		});
+	});
+
+	it('#recv() fails if the remote file does not exist', function (finished) {
+		sync.recv('/sdcard/nope.txt', path.join(tmpDir, 'nope.txt'), function (err) {
+			should(err).be.an.instanceOf(Error);
+			err.message.should.eql('No such file or directory');
+			finished();
+		});
+	});
+
+	it('#send() copies a local file with its mode and mtime', function (finished) {
+		const src = path.join(tmpDir, 'upload.txt');
+		fs.writeFileSync(src, 'upload me');
+		fs.chmodSync(src, 0o755);
+		fs.utimesSync(src, new Date(1600000000000), new Date(1600000000000));
+
+		sync.send(src, '/sdcard/upload.txt', function (err) {
+			if (err) {
+				return finished(err);
+			}
+			const file = files['/sdcard/upload.txt'];
+			file.data.toString().should.eql('upload me');
+			file.mtime.should.eql(1600000000);
+			if (process.platform !== 'win32') {
+				file.mode.should.eql(0o100755);
+			}
+			finished();
+		});
+	});
+});
+
+describe('adb sync with a mock adb server', function () {
+	let server;
+	let adb;
+	let device;
+	let tmpDir;
+
+	beforeEach(function () {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'titanium-sdk-sync-'));
+		return startMockAdb({
+			files: { '/storage/self/primary/existing.txt': 'already here' },
+			links: { '/sdcard': '/storage/self/primary' }
+		}).then(mock => ({ server, adb, device } = mock));
+	});
+
+	afterEach(function () {
+		fs.removeSync(tmpDir);
+		return server.close();
+	});
+
+	it('#push() and #pull() transfer files', function () {
+		const src = path.join(tmpDir, 'hello.txt');
+		const dest = path.join(tmpDir, 'copy.txt');
+		fs.writeFileSync(src, 'Hello world!');
+
+		return adb.push(device.id, src, '/sdcard/hello.txt')
+			.then(function (result) {
+				result.files.should.eql(1);
+				device.readFile('/sdcard/hello.txt').toString().should.eql('Hello world!');
+				return adb.pull(device.id, '/sdcard/hello.txt', dest);
+			})
+			.then(function () {
+				return fs.readFileSync(dest, 'utf8').should.eql('Hello world!');
+			});
+	});
+
+	it('#push() copies into a symlinked directory', function () {
+		const src = path.join(tmpDir, 'a.txt');
+		fs.writeFileSync(src, 'hello');
+		return adb.push(device.id, src, '/sdcard')
+			.then(function () {
+				device.readFile('/storage/self/primary/a.txt').toString().should.eql('hello');
+				return device.readFile('/storage/self/primary/existing.txt').toString().should.eql('already here');
+			});
+	});
+
+	it('#pull() walks a symlinked directory', function () {
+		return adb.pull(device.id, '/sdcard', tmpDir)
+			.then(function () {
+				return fs.readFileSync(path.join(tmpDir, 'sdcard', 'existing.txt'), 'utf8').should.eql('already here');
+			});
+	});
+
+	describe('symbolic links to files', function () {
+		beforeEach(function () {
+			device.writeFile('/data/local/tmp/real.txt', 'real data', { mode: 0o640 });
+			device.symlink('/storage/self/primary/shortcut.txt', '/data/local/tmp/real.txt');
+		});
+
+		function pullShortcut() {
+			const progress = [];
+			return adb.pull(device.id, '/sdcard/shortcut.txt', tmpDir, { progress: p => progress.push(p.size + '/' + p.totalSize) })
+				.then(function (result) {
+					result.should.eql({ files: 1, bytes: 9, skipped: [] });
+					fs.readFileSync(path.join(tmpDir, 'shortcut.txt'), 'utf8').should.eql('real data');
+					return progress;
+				});
+		}
+
+		it('#pull() copies the file a link points to with its size and mode', function () {
+			return pullShortcut().then(function (progress) {
+				progress.should.eql([ '9/9' ]);
+				if (process.platform !== 'win32') {
+					(fs.statSync(path.join(tmpDir, 'shortcut.txt')).mode & 0o777).should.eql(0o640);
+				}
+				return progress;
+			});
+		});
+
+		it('#pull() copies the file a link points to when the device does not support stat_v2', function () {
+			device.features = [ 'shell_v2', 'cmd' ];
+			return pullShortcut().then(function () {
+				if (process.platform !== 'win32') {
+					(fs.statSync(path.join(tmpDir, 'shortcut.txt')).mode & 0o777).should.eql(0o644);
+				}
+				return null;
+			});
+		});
+
+		it('#pull() copies links to files inside a directory and skips links to directories', function () {
+			device.symlink('/storage/self/primary/self', '/storage/self/primary');
+			device.symlink('/storage/self/primary/dangling', '/nope');
+			return adb.pull(device.id, '/sdcard', tmpDir)
+				.then(function (result) {
+					result.files.should.eql(2);
+					result.skipped.sort().should.eql([ '/sdcard/dangling', '/sdcard/self' ]);
+					fs.readFileSync(path.join(tmpDir, 'sdcard', 'shortcut.txt'), 'utf8').should.eql('real data');
+					return fs.existsSync(path.join(tmpDir, 'sdcard', 'self')).should.be.false();
+				});
+		});
+	});
+});
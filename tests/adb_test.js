@@ -1,37 +1,33 @@
 /* eslint no-unused-expressions: "off" */
 'use strict';
 
-function MockConfig() {
-	this.get = function (s, d) {
-		return d;
-	};
-}
-
-const fs = require('fs');
+const fs = require('fs-extra');
+const os = require('os');
 const path = require('path');
 const semver = require('semver');
 const should = require('should'); // eslint-disable-line no-unused-vars
-const android = require('../lib/android');
-android.androidPackageJson({
-	vendorDependencies: {
-		'android sdk': '>=23.x <=27.x',
-		'android build tools': '>=25.x <=27.x',
-		'android platform tools': '27.x',
-		'android tools': '<=26.x',
-		'android ndk': '>=r11c <=r16c',
-		node: '>=4.0 <=8.x',
-		java: '>=1.8.x'
-	},
-});
-
 const ADB = require('../lib/adb');
+const android = require('../lib/android');
 const Emulator = require('../lib/emulator');
+const startMockAdb = require('./helpers/mock-adb');
+const writeFakeSdk = require('./helpers/fake-sdk');
 
-const config = new MockConfig();
-const adb = new ADB(config);
-const emulator = new Emulator(config);
+const AVD = { type: 'avd', id: 'ci_30', name: 'ci_30' };
+const PORT = 15572;
 
 describe('adb', function () {
+	let server;
+	let adb;
+	let tmpDir;
+
+	before(function () {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'titanium-adb-'));
+		return startMockAdb().then(mock => ({ server, adb } = mock));
+	});
+
+	after(function () {
+		return server.close().then(() => fs.remove(tmpDir));
+	});
 
 	it('#version() returns a valid semver string', function (finished) {
 		adb.version(function (err, ver) {
@@ -44,18 +40,53 @@ describe('adb', function () {
 		});
 	});
 
-	// TODO: Add test where we start an emulator first, get it in listing, then stop it?
-	it('#devices() returns empty Array when no emulators running', function (finished) {
+	it('#version() returns a Promise when no callback is passed', function () {
+		return adb.version().then(function (ver) {
+			return ver.should.match(/^1\.0\.\d+/);
+		});
+	});
+
+	it('#installApp() calls back with an ADBError when the apk does not exist', function (finished) {
+		adb.installApp('emulator-5554', path.join(__dirname, 'does-not-exist.apk'), function (err) {
+			should(err).be.an.instanceOf(ADB.ADBError);
+			should(err).be.an.instanceOf(Error);
+			err.message.should.match(/does not exist/);
+			should(err.exitCode).be.null();
+			finished();
+		});
+	});
+
+	it('#installApp() rejects with an ADBError when the apk does not exist', function () {
+		return adb.installApp('emulator-5554', path.join(__dirname, 'does-not-exist.apk')).then(function () {
+			throw new Error('Expected installApp() to reject');
+		}, function (err) {
+			err.should.be.an.instanceOf(ADB.ADBError);
+			err.message.should.match(/does not exist/);
+		});
+	});
+
+	it('#installApp() installs the apk', function () {
+		const apk = path.join(tmpDir, 'app.apk');
+		fs.writeFileSync(apk, Buffer.alloc(1024));
+		return adb.installApp('0123456789ABCDEF', apk).then(function () {
+			const device = server.getDevice('0123456789ABCDEF');
+			device.installed.length.should.eql(1);
+			device.installed[0].flags.should.containEql('-r');
+			return device.installed[0].files.should.eql([ { name: '0_app.apk', size: 1024 } ]);
+		});
+	});
+
+	it('#devices() returns the connected devices', function (finished) {
 		adb.devices(function (err, devices) {
 			if (err) {
 				return finished(err);
 			}
 			devices.should.be.an.Array();
+			devices.map(d => d.id).should.eql([ '0123456789ABCDEF' ]);
 			finished();
 		});
 	});
 
-	// TODO: Start an emulator, make sure we get event?
 	it('#trackDevices()', function (finished) {
 		let connection;
 		function done(e) {
@@ -66,91 +97,107 @@ describe('adb', function () {
 			if (err) {
 				return done(err);
 			}
-			// console.log('trackDevicesCallback: ' + JSON.stringify(devices));
 			devices.should.be.an.Array();
 			done();
 		});
 	});
 
 	describe('with an emulator running', function () {
-		let avd;
+		this.timeout(10000);
+
+		let detect;
+		let emu;
 		let device;
+		let mockDevice;
 
 		before(function (finished) {
-			this.timeout(30000);
+			const sdk = writeFakeSdk(tmpDir, path.join(tmpDir, 'emulator.log'));
+			detect = android.detect;
+			android.detect = (config, opts, finished) => finished({ sdk: sdk, targets: {}, avds: [ Object.assign({}, AVD) ] });
 
-			emulator.detect(function (err, avds) {
+			const emulator = new Emulator(server.createConfig());
+			emulator.start(AVD.id, { port: PORT }, function (err, e) {
 				if (err) {
 					return finished(err);
 				}
-				if (avds.length === 0) {
-					return finished(new Error('Tests require at least one emulator defined!'));
-				}
-				avd = avds[0];
+				emu = e;
 
-				emulator.start(avd.id, function (err, emu) {
-					if (err) {
-						return finished(err);
-					}
+				// the emulator registers with adb once its console is up
+				emu.once('stdout', function () {
+					mockDevice = server.addDevice('emulator-' + PORT, { props: { 'init.svc.bootanim': 'stopped', 'ro.build.version.sdk': '30' } });
+				});
 
-					emu.on('ready', function (d) {
-						device = d;
-						finished();
-					});
+				emu.on('ready', function (d) {
+					device = d;
+					finished();
+				});
 
-					emu.on('timeout', function () {
-						finished(new Error('emulator.start() timed out'));
-					});
+				emu.on('timeout', function () {
+					finished(new Error('emulator.start() timed out'));
 				});
 			});
 		});
 
 		after(function (finished) {
-			this.timeout(35000);
-			// Just call finished if there is no device, there may have been an issue when starting
-			// the emulator in the before
+			// Just kill the emulator if there is no device, there may have been an issue when starting
+			// it in the before
 			if (!device) {
+				android.detect = detect;
+				try {
+					emu && process.kill(emu.emulator.pid);
+				} catch (_error) {
+					// squash
+				}
 				return finished();
 			}
-			emulator.stop(device.emulator.id, function (errOrCode) {
+			emu.once('exit', function () {
+				android.detect = detect;
+				server.removeDevice(device.id);
+				finished();
+			});
+			new Emulator(server.createConfig()).stop(device.emulator.id, function (errOrCode) {
 				errOrCode.should.eql(0);
-				setTimeout(finished, 5000); // let it wait 5 seconds or else adb will still report it as connected
 			});
 		});
 
 		it('#shell()', function (finished) {
-			adb.shell(device.id, 'cat /system/build.prop', function (err, data) {
+			adb.shell(device.id, 'getprop ro.build.version.sdk', function (err, data) {
 				if (err) {
 					return finished(err);
 				}
 
 				// data is a Buffer!
-				data.should.be.ok();
-				// (typeof data).should.eql('Buffer');
+				data.toString().trim().should.eql('30');
 
 				finished();
 			});
 		});
 
 		it('#startApp(), #getPid() and #stopApp()', function (finished) {
-			this.timeout(30000);
-
 			const appId = 'com.android.settings';
+			const commands = [];
+			server.on('shell', (d, cmd) => commands.push(cmd));
+			mockDevice
+				.onShell(/^am start /, 'Starting: Intent { cmp=com.android.settings/.wifi.WifiStatusTest }\n')
+				.onShell('pidof ' + appId, '1234\n')
+				.onShell('am force-stop ' + appId, '');
+
 			adb.startApp(device.id, appId, 'wifi.WifiStatusTest', function (err, data) {
 				should(err).not.be.ok();
 
 				// data is a Buffer!
-				data.should.be.ok(); // TODO: Test data.toString() holds particular text?
+				data.toString().should.match(/WifiStatusTest/);
 
 				adb.getPid(device.id, appId, function (err, pid) {
 					should(err).not.be.ok();
 
-					pid.should.be.a.Number();
-					pid.should.not.eql(0);
+					pid.should.eql(1234);
 
 					adb.stopApp(device.id, appId, function (err) {
 						should(err).not.be.ok();
 
+						server.removeAllListeners('shell');
+						commands.should.containEql('am force-stop ' + appId);
 						finished();
 					});
 				});
@@ -158,22 +205,14 @@ describe('adb', function () {
 		});
 
 		it('#pull()', function (finished) {
-			const dest = path.join(__dirname, 'hosts');
+			const dest = path.join(tmpDir, 'hosts');
 			fs.existsSync(dest).should.eql(false);
+			mockDevice.writeFile('/system/etc/hosts', '127.0.0.1       localhost\n::1             ip6-localhost\n');
 
-			adb.pull(device.id, '/system/etc/hosts', __dirname, function (err) {
+			adb.pull(device.id, '/system/etc/hosts', tmpDir, function (err) {
 				should(err).not.be.ok();
 
-				// verify build.prop exists in current dir now!
-				try {
-					fs.existsSync(dest).should.eql(true);
-				} finally {
-					try {
-						fs.unlinkSync(dest);
-					} catch (_error) {
-						// squash
-					}
-				}
+				fs.readFileSync(dest, 'utf8').should.eql('127.0.0.1       localhost\n::1             ip6-localhost\n');
 				finished();
 			});
 		});
@@ -181,50 +220,37 @@ describe('adb', function () {
 		it('#push()', function (finished) {
 			const dest = '/mnt/sdcard/tmp/test-adb.js';
 
-			// Ensure dest file doesn't exist
-			adb.shell(device.id, 'rm -f ' + dest, function (err) {
+			adb.push(device.id, __filename, dest, function (err) {
 				should(err).not.be.ok();
 
-				// Then piush this file to dest
-				adb.push(device.id, __filename, dest, function (err) {
-					should(err).not.be.ok();
-
-					// verify it now exists and matches
-					adb.shell(device.id, 'cat ' + dest, function (err, data) {
-						should(err).not.be.ok();
+				mockDevice.readFile(dest).toString().should.eql(fs.readFileSync(__filename).toString());
+				finished();
+			});
+		});
 
-						// data is a Buffer!
-						data.should.be.ok();
-						// normalize newlines, android uses \r\n
-						data.toString().replace(/\r\n/g, '\n').should.eql(fs.readFileSync(__filename).toString());
+		it('#forward(), #listForwards() and #removeForward()', function () {
+			let local;
+			return adb.forward(device.id, 'tcp:0', 'tcp:8081')
+				.then(function (result) {
+					local = result;
+					local.should.match(/^tcp:\d+$/);
+					return adb.listForwards(device.id);
+				})
+				.then(function (forwards) {
+					forwards.should.containEql({ id: device.id, local: local, remote: 'tcp:8081' });
+					return adb.removeForward(device.id, local);
+				});
+		});
 
-						finished();
-					});
+		it('#reverse(), #listReverses() and #removeReverse()', function () {
+			return adb.reverse(device.id, 'tcp:8081', 'tcp:8082')
+				.then(function () {
+					return adb.listReverses(device.id);
+				})
+				.then(function (reverses) {
+					reverses.should.containEql({ remote: 'tcp:8081', local: 'tcp:8082' });
+					return adb.removeReverse(device.id, 'tcp:8081');
 				});
-			});
 		});
 	}); // with running emulator
-
-	// TODO: Install a pre-built test app!
-	// function testInstallApp() {
-	// 	adb.installApp('emulator-5554', '~/appc/workspace/testapp2/build/android/bin/app.apk', function (err, data) {
-	// 		if (err) {
-	// 			console.error('ERROR! ' + err + '\n');
-	// 		} else {
-	// 			console.log('-----------------------------------------------------------------');
-	// 			console.log(data);
-	// 			console.log('<EOF>');
-	// 		}
-	// 	});
-	// }
-	//
-	// function testForward() {
-	// 	adb.forward('015d21d4ff181a17', 'tcp:5000', 'tcp:6000', function (err, data) {
-	// 		if (err) {
-	// 			console.error('ERROR! ' + err + '\n');
-	// 		} else {
-	// 			console.log('result = ' + data + '\n');
-	// 		}
-	// 	});
-	// }
 });
@@ -0,0 +1,173 @@
+/* eslint no-unused-expressions: "off" */
+'use strict';
+
+const execFile = require('child_process').execFile;
+const net = require('net');
+const should = require('should'); // eslint-disable-line no-unused-vars
+const ADB = require('../lib/adb');
+const startMockAdb = require('./helpers/mock-adb');
+
+/**
+ * Formats a device list the way the adb server sends it to "host:track-devices".
+ * @param {Object} devices - A map of device ids to states
+ * @returns {String}
+ */
+function deviceList(devices) {
+	const list = Object.keys(devices).map(id => id + '\t' + devices[id] + '\n').join('');
+	return ('0000' + list.length.toString(16)).slice(-4) + list;
+}
+
+describe('DeviceTracker', function () {
+	let server;
+	let sockets = [];
+	let tracker;
+	let adb;
+
+	beforeEach(function (finished) {
+		sockets = [];
+		server = net.createServer(function (socket) {
+			sockets.push(socket);
+			socket.once('data', function () {
+				socket.write('OKAY');
+				server.emit('tracking', socket);
+			});
+		});
+		server.listen(0, '127.0.0.1', function () {
+			const port = server.address().port;
+			adb = new ADB({
+				get: function (key, defaultValue) {
+					return key === 'android.adb.port' ? port : defaultValue;
+				}
+			});
+			finished();
+		});
+	});
+
+	afterEach(function (finished) {
+		tracker && tracker.stop();
+		sockets.forEach(socket => socket.destroy());
+		server.close(() => finished());
+	});
+
+	it('emits added, changed and removed events', function (finished) {
+		const received = [];
+		tracker = new ADB.DeviceTracker(adb);
+		tracker.on('added', device => received.push([ 'added', device.id, device.state ]));
+		tracker.on('changed', (device, previous) => received.push([ 'changed', device.id, previous + '->' + device.state ]));
+		tracker.on('removed', device => received.push([ 'removed', device.id ]));
+
+		let updates = 0;
+		tracker.on('devices', function (devices) {
+			if (++updates < 3) {
+				return;
+			}
+			devices.should.eql([ { id: 'emulator-5554', state: 'device', transport: 'emulator' } ]);
+			received.should.eql([
+				[ 'added', 'emulator-5554', 'offline' ],
+				[ 'added', '0123456789', 'unauthorized' ],
+				[ 'changed', 'emulator-5554', 'offline->device' ],
+				[ 'removed', '0123456789' ]
+			]);
+			finished();
+		});
+
+		server.on('tracking', function (socket) {
+			socket.write(deviceList({ 'emulator-5554': 'offline', '0123456789': 'unauthorized' }));
+			// send the next update split across writes
+			const update = deviceList({ 'emulator-5554': 'device', '0123456789': 'unauthorized' });
+			socket.write(update.slice(0, 3));
+			setTimeout(function () {
+				socket.write(update.slice(3) + deviceList({ 'emulator-5554': 'device' }));
+			}, 10);
+		});
+	});
+
+	it('reconnects when the adb server goes away', function (finished) {
+		this.timeout(5000);
+
+		const received = [];
+		tracker = new ADB.DeviceTracker(adb, { reconnectDelay: 10 });
+		tracker.on('added', device => received.push('added ' + device.id));
+		tracker.on('removed', device => received.push('removed ' + device.id));
+		tracker.on('disconnect', () => received.push('disconnect'));
+
+		let connections = 0;
+		server.on('tracking', function (socket) {
+			if (++connections === 1) {
+				socket.write(deviceList({ 'emulator-5554': 'device' }));
+				setTimeout(() => socket.destroy(), 10);
+			} else {
+				socket.write(deviceList({ 'emulator-5556': 'device' }));
+				tracker.once('devices', function () {
+					received.should.eql([ 'added emulator-5554', 'disconnect', 'removed emulator-5554', 'added emulator-5556' ]);
+					finished();
+				});
+			}
+		});
+	});
+
+	it('#stop() stops reconnecting', function (finished) {
+		tracker = new ADB.DeviceTracker(adb, { reconnectDelay: 10 });
+		server.once('tracking', function (socket) {
+			tracker.stop();
+			server.on('tracking', () => finished(new Error('Expected the tracker not to reconnect')));
+			socket.destroy();
+			setTimeout(() => finished(), 100);
+		});
+	});
+
+	it('#stop() does not keep the process alive while connecting', function (finished) {
+		this.timeout(10000);
+
+		// a server that accepts connections, but never responds
+		const hung = net.createServer(socket => socket.resume());
+		hung.listen(0, '127.0.0.1', function () {
+			const script = `
+				const ADB = require(${JSON.stringify(require.resolve('../lib/adb'))});
+				const adb = new ADB(null, { port: ${hung.address().port} });
+				new ADB.DeviceTracker(adb).stop();
+				const tracker = new ADB.DeviceTracker(adb);
+				setTimeout(() => tracker.stop(), 300);
+			`;
+			const start = Date.now();
+			execFile(process.execPath, [ '-e', script ], { timeout: 8000 }, function (err) {
+				hung.close();
+				if (err) {
+					return finished(err);
+				}
+				(Date.now() - start).should.be.below(5000);
+				finished();
+			});
+		});
+	});
+});
+
+describe('DeviceTracker with a mock adb server', function () {
+	let server;
+	let adb;
+
+	beforeEach(function () {
+		return startMockAdb().then(mock => ({ server, adb } = mock));
+	});
+
+	afterEach(function () {
+		return server.close();
+	});
+
+	it('reports devices as they come and go', function (finished) {
+		const tracker = new ADB.DeviceTracker(adb);
+		tracker.once('devices', function () {
+			tracker.once('added', function (added) {
+				added.should.eql({ id: 'emulator-5554', state: 'offline', transport: 'emulator' });
+				tracker.once('changed', function (changed, previous) {
+					tracker.stop();
+					changed.state.should.eql('device');
+					previous.should.eql('offline');
+					finished();
+				});
+				server.getDevice('emulator-5554').setState('device');
+			});
+			server.addDevice('emulator-5554', { state: 'offline' });
+		});
+	});
+});
@@ -0,0 +1,127 @@
+/* eslint no-unused-expressions: "off" */
+'use strict';
+
+const should = require('should'); // eslint-disable-line no-unused-vars
+const ui = require('../lib/adb/ui');
+const startMockAdb = require('./helpers/mock-adb');
+
+const XML = '<?xml version=\'1.0\' encoding=\'UTF-8\' standalone=\'yes\' ?>'
+	+ '<hierarchy rotation="0">'
+	+ '<node index="0" text="" resource-id="" class="android.widget.FrameLayout" package="com.example.app" content-desc="" clickable="false" enabled="true" bounds="[0,0][1080,2160]">'
+	+ '<node index="0" text="Sign in" resource-id="com.example.app:id/title" class="android.widget.TextView" package="com.example.app" content-desc="" clickable="false" enabled="true" bounds="[0,63][1080,210]" />'
+	+ '<node index="1" text="OK" resource-id="com.example.app:id/ok" class="android.widget.Button" package="com.example.app" content-desc="Confirm" clickable="true" enabled="true" bounds="[100,300][301,400]" />'
+	+ '</node>'
+	+ '</hierarchy>UI hierchary dumped to: /dev/tty\n';
+
+describe('adb ui', function () {
+	describe('#parseHierarchy()', function () {
+		it('parses the view hierarchy', function () {
+			const hierarchy = ui.parseHierarchy(XML);
+			hierarchy.rotation.should.equal(0);
+			hierarchy.children.should.have.length(1);
+
+			const root = hierarchy.children[0];
+			root.class.should.equal('android.widget.FrameLayout');
+			root.children.should.have.length(2);
+			root.children[1].should.eql({
+				index: 1,
+				text: 'OK',
+				resourceId: 'com.example.app:id/ok',
+				class: 'android.widget.Button',
+				package: 'com.example.app',
+				contentDesc: 'Confirm',
+				clickable: true,
+				enabled: true,
+				bounds: { left: 100, top: 300, right: 301, bottom: 400, centerX: 201, centerY: 350 },
+				children: []
+			});
+		});
+
+		it('returns null without a hierarchy', function () {
+			should(ui.parseHierarchy('ERROR: could not get idle state.\n')).be.null();
+		});
+	});
+
+	it('#findNodes() finds nodes by resource id and text', function () {
+		const hierarchy = ui.parseHierarchy(XML);
+		ui.findNodes(hierarchy, { resourceId: 'com.example.app:id/title' }).map(n => n.text).should.eql([ 'Sign in' ]);
+		ui.findNodes(hierarchy, { resourceId: 'ok' }).map(n => n.text).should.eql([ 'OK' ]);
+		ui.findNodes(hierarchy, { text: /^sign/i }).map(n => n.resourceId).should.eql([ 'com.example.app:id/title' ]);
+		ui.findNodes(hierarchy, { class: 'android.widget.Button', text: 'Cancel' }).should.eql([]);
+		ui.findNodes(hierarchy, { filter: node => node.clickable }).map(n => n.text).should.eql([ 'OK' ]);
+	});
+
+	it('#inputTextCommand() encodes spaces and quotes the text', function () {
+		ui.inputTextCommand('hello').should.equal('input text hello');
+		ui.inputTextCommand('it\'s me').should.equal('input text \'it\'\\\'\'s%sme\'');
+	});
+
+	it('#keyeventCommand() accepts key codes and names', function () {
+		ui.keyeventCommand('home').should.equal('input keyevent KEYCODE_HOME');
+		ui.keyeventCommand([ 'KEYCODE_BACK', 66 ]).should.equal('input keyevent KEYCODE_BACK 66');
+		should(ui.keyeventCommand('rm -rf')).be.null();
+	});
+});
+
+describe('adb ui with a mock adb server', function () {
+	let server;
+	let adb;
+	let device;
+	let commands;
+
+	beforeEach(function () {
+		return startMockAdb().then(function (mock) {
+			({ server, adb, device } = mock);
+			commands = [];
+			device.onShell(/^input /, function (cmd) {
+				commands.push(cmd);
+				return '';
+			});
+			return mock;
+		});
+	});
+
+	afterEach(function () {
+		return server.close();
+	});
+
+	it('#tap(), #swipe(), #inputText() and #keyevent() inject input', function () {
+		return adb.tap(device.id, 10, 20)
+			.then(function () {
+				return adb.swipe(device.id, 0, 500, 0, 100, 300);
+			})
+			.then(function () {
+				return adb.inputText(device.id, 'hello world');
+			})
+			.then(function () {
+				return adb.keyevent(device.id, 'ENTER');
+			})
+			.then(function () {
+				return commands.should.eql([
+					'input tap 10 20',
+					'input swipe 0 500 0 100 300',
+					'input text hello%sworld',
+					'input keyevent KEYCODE_ENTER'
+				]);
+			});
+	});
+
+	it('#tapNode() taps the center of a view from the dumped hierarchy', function () {
+		device.onShell(/^uiautomator dump/, '<?xml version=\'1.0\' encoding=\'UTF-8\' standalone=\'yes\' ?><hierarchy rotation="0"><node index="0" text="OK" resource-id="com.example.app:id/ok" bounds="[100,300][300,400]" /></hierarchy>');
+		return adb.tapNode(device.id, { resourceId: 'ok' })
+			.then(function (node) {
+				node.text.should.equal('OK');
+				return commands.should.eql([ 'input tap 200 350' ]);
+			});
+	});
+
+	it('#dumpHierarchy() reports errors', function () {
+		device.onShell(/^uiautomator dump/, 'ERROR: could not get idle state.\n');
+		return adb.dumpHierarchy(device.id)
+			.then(function () {
+				throw new Error('Expected dumpHierarchy() to fail');
+			}, function (err) {
+				return err.message.should.match(/could not get idle state/);
+			});
+	});
+});
@@ -0,0 +1,70 @@
+/* eslint no-unused-expressions: "off" */
+'use strict';
+
+const should = require('should'); // eslint-disable-line no-unused-vars
+const ADB = require('../lib/adb');
+const startMockAdb = require('./helpers/mock-adb');
+
+describe('adb wireless debugging with a mock adb server', function () {
+	let server;
+	let adb;
+
+	beforeEach(function () {
+		return startMockAdb().then(function (mock) {
+			({ server, adb } = mock);
+			server.addNetworkDevice('192.168.1.5:41235', {
+				name: 'adb-R5CN123-AbCdEf',
+				pairingCode: '123456',
+				pairingAddress: '192.168.1.5:37001',
+				props: { 'ro.build.version.sdk': '30' }
+			});
+			return mock;
+		});
+	});
+
+	afterEach(function () {
+		return server.close();
+	});
+
+	it('#pair() and #connect() attach a network device', function () {
+		return adb.mdnsServices()
+			.then(function (services) {
+				services.should.eql([ { name: 'adb-R5CN123-AbCdEf', service: '_adb-tls-pairing._tcp', type: 'pairing', host: '192.168.1.5', port: 37001 } ]);
+				return adb.pair('192.168.1.5', 37001, '123456');
+			})
+			.then(function (message) {
+				message.should.match(/^Successfully paired to 192\.168\.1\.5:37001/);
+				return adb.connect('192.168.1.5', 41235);
+			})
+			.then(function (id) {
+				id.should.eql('192.168.1.5:41235');
+				return adb.devices();
+			})
+			.then(function (devices) {
+				devices.map(d => d.id + ' ' + d.transport).should.eql([ '0123456789ABCDEF usb', '192.168.1.5:41235 network' ]);
+				devices[1].sdk.should.eql('30');
+				return adb.disconnect('192.168.1.5:41235');
+			})
+			.then(function () {
+				return should(server.getDevice('192.168.1.5:41235')).be.null();
+			});
+	});
+
+	it('#pair() fails with the wrong code', function () {
+		return adb.pair('192.168.1.5', 37001, '000000').then(function () {
+			throw new Error('Expected pair() to fail');
+		}, function (err) {
+			err.should.be.an.instanceOf(ADB.ADBError);
+			err.message.should.match(/Wrong password/);
+		});
+	});
+
+	it('#connect() fails when the device has not been paired', function () {
+		return adb.connect('192.168.1.5:41235').then(function () {
+			throw new Error('Expected connect() to fail');
+		}, function (err) {
+			err.should.be.an.instanceOf(ADB.ADBError);
+			err.message.should.match(/failed to connect/);
+		});
+	});
+});
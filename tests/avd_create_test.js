@@ -0,0 +1,269 @@
+/* eslint no-unused-expressions: "off" */
+'use strict';
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const should = require('should'); // eslint-disable-line no-unused-vars
+const android = require('../lib/android');
+const avd = require('../lib/emulators/avd');
+
+const images = [
+	{ id: 'android-28', apiLevel: 28, codename: null, tag: 'google_apis', tagDisplay: 'Google APIs', abi: 'x86', path: '/sdk/system-images/android-28/google_apis/x86', sysdir: 'system-images/android-28/google_apis/x86/', skins: [] },
+	{ id: 'android-30', apiLevel: 30, codename: null, tag: 'google_apis', tagDisplay: 'Google APIs', abi: 'arm64-v8a', path: '/sdk/system-images/android-30/google_apis/arm64-v8a', sysdir: 'system-images/android-30/google_apis/arm64-v8a/', skins: [] },
+	{ id: 'android-30', apiLevel: 30, codename: null, tag: 'google_apis', tagDisplay: 'Google APIs', abi: 'x86_64', path: '/sdk/system-images/android-30/google_apis/x86_64', sysdir: 'system-images/android-30/google_apis/x86_64/', skins: [] },
+	{ id: 'android-30', apiLevel: 30, codename: null, tag: 'google_apis_playstore', tagDisplay: 'Google Play', abi: 'x86_64', path: '/sdk/system-images/android-30/google_apis_playstore/x86_64', sysdir: 'system-images/android-30/google_apis_playstore/x86_64/', skins: [] }
+];
+
+function readIni(file) {
+	const values = {};
+	fs.readFileSync(file, 'utf8').split('\n').forEach(function (line) {
+		const m = line.match(/^([^=]+)=(.*)$/);
+		m && (values[m[1]] = m[2]);
+	});
+	return values;
+}
+
+describe('avd', function () {
+	describe('#findSystemImage()', function () {
+		it('finds an image by its SDK package path or directory', function () {
+			avd.findSystemImage(images, 'system-images;android-30;google_apis_playstore;x86_64').should.equal(images[3]);
+			avd.findSystemImage(images, 'system-images/android-28/google_apis/x86/').should.equal(images[0]);
+			should(avd.findSystemImage(images, 'system-images;android-29;google_apis;x86')).be.null();
+		});
+
+		it('fills in what is left out, preferring the highest API level', function () {
+			avd.findSystemImage(images, { id: 28 }).should.equal(images[0]);
+			avd.findSystemImage(images, { tag: 'google_apis', abi: 'arm64-v8a' }).should.equal(images[1]);
+			avd.findSystemImage(images, { id: 'android-30', tag: 'google_apis' }).apiLevel.should.equal(30);
+			avd.findSystemImage(images).apiLevel.should.equal(30);
+		});
+	});
+
+	describe('#buildConfig()', function () {
+		it('describes the image and device', function () {
+			const values = avd.buildConfig({ name: 'ci_30', image: images[3], device: avd.DEVICE_PROFILES.pixel_4, ramSize: '2048M', props: { 'hw.camera.back': 'emulated' } });
+			values.should.containEql({
+				AvdId: 'ci_30',
+				'avd.ini.displayname': 'ci_30',
+				'abi.type': 'x86_64',
+				'hw.cpu.arch': 'x86_64',
+				'hw.device.name': 'pixel_4',
+				'hw.device.manufacturer': 'Google',
+				'hw.lcd.width': 1080,
+				'hw.lcd.height': 2280,
+				'hw.lcd.density': 440,
+				'hw.ramSize': 2048,
+				'hw.sdCard': 'yes',
+				'sdcard.size': '512M',
+				'image.sysdir.1': 'system-images/android-30/google_apis_playstore/x86_64/',
+				'PlayStore.enabled': 'true',
+				'skin.name': '1080x2280',
+				'skin.path': '_no_skin',
+				'tag.id': 'google_apis_playstore',
+				'hw.camera.back': 'emulated'
+			});
+		});
+
+		it('supports an existing SD card image or none at all', function () {
+			const base = { name: 'x', image: images[1], device: avd.DEVICE_PROFILES.pixel };
+			avd.buildConfig(Object.assign({ sdcard: '/tmp/sdcard.img' }, base)).should.containEql({ 'hw.sdCard': 'yes', 'hw.sdCard.path': '/tmp/sdcard.img', 'hw.cpu.arch': 'arm64' });
+			const values = avd.buildConfig(Object.assign({ sdcard: false }, base));
+			values['hw.sdCard'].should.equal('no');
+			values.should.not.have.property('sdcard.size');
+		});
+	});
+
+	describe('#start()', function () {
+		let avdDir;
+		let detect;
+
+		beforeEach(function () {
+			avdDir = fs.mkdtempSync(path.join(os.tmpdir(), 'titanium-avd-'));
+			detect = android.detect;
+			android.detect = (config, opts, finished) => finished({ sdk: { path: '/sdk', executables: {} }, avds: [] });
+		});
+
+		afterEach(function () {
+			android.detect = detect;
+			fs.removeSync(avdDir);
+		});
+
+		it('fails when the boot snapshot does not exist', function (finished) {
+			fs.mkdirsSync(path.join(avdDir, 'ci_30.avd', 'snapshots', 'default_boot'));
+			avd.start(null, { type: 'avd', id: 'ci_30', name: 'ci_30', path: path.join(avdDir, 'ci_30.avd') }, { bootSnapshot: 'clean' }, function (err) {
+				should(err).be.an.Error();
+				err.message.should.equal('Snapshot "clean" does not exist for emulator "ci_30"');
+				finished();
+			});
+		});
+
+		it('does not combine the boot snapshot with other snapshot options', function (finished) {
+			avd.start(null, { type: 'avd', id: 'ci_30', name: 'ci_30' }, { bootSnapshot: 'clean', noSnapshotLoad: true }, function (err) {
+				should(err).be.an.Error();
+				err.message.should.match(/can't be combined/);
+				finished();
+			});
+		});
+	});
+
+	describe('#create(), #clone() and #delete()', function () {
+		let avdDir;
+		let detect;
+
+		let avdHome;
+
+		beforeEach(function () {
+			avdDir = fs.mkdtempSync(path.join(os.tmpdir(), 'titanium-avd-'));
+			avdHome = process.env.ANDROID_AVD_HOME;
+			process.env.ANDROID_AVD_HOME = avdDir;
+			detect = android.detect;
+			android.detect = (config, opts, finished) => finished({ sdk: { path: '/sdk' }, systemImages: images });
+		});
+
+		afterEach(function () {
+			android.detect = detect;
+			avdHome === undefined ? delete process.env.ANDROID_AVD_HOME : process.env.ANDROID_AVD_HOME = avdHome;
+			fs.removeSync(avdDir);
+		});
+
+		it('writes the ini files', function (finished) {
+			avd.create(null, { name: 'ci_30', systemImage: 'system-images;android-30;google_apis;x86_64', device: 'pixel_5' }, function (err, emu) {
+				if (err) {
+					return finished(err);
+				}
+				emu.should.containEql({ type: 'avd', id: 'ci_30', name: 'ci_30', device: 'pixel_5 (Google)', abi: 'x86_64', target: 'android-30', 'api-level': 30 });
+				emu.path.should.equal(path.join(avdDir, 'ci_30.avd'));
+				readIni(path.join(avdDir, 'ci_30.ini')).should.eql({
+					'avd.ini.encoding': 'UTF-8',
+					path: path.join(avdDir, 'ci_30.avd'),
+					target: 'android-30'
+				});
+				readIni(path.join(avdDir, 'ci_30.avd', 'config.ini'))['hw.lcd.height'].should.equal('2340');
+				finished();
+			});
+		});
+
+		it('writes the relative path when the AVD is in the emulator\'s home directory', function (finished) {
+			const emulatorHome = process.env.ANDROID_EMULATOR_HOME;
+			process.env.ANDROID_EMULATOR_HOME = avdDir;
+			delete process.env.ANDROID_AVD_HOME;
+			android.getAvdDir().should.equal(path.join(avdDir, 'avd'));
+
+			avd.create(null, { name: 'ci_30' }, function (err, emu) {
+				emulatorHome === undefined ? delete process.env.ANDROID_EMULATOR_HOME : process.env.ANDROID_EMULATOR_HOME = emulatorHome;
+				if (err) {
+					return finished(err);
+				}
+				emu.path.should.equal(path.join(avdDir, 'avd', 'ci_30.avd'));
+				readIni(path.join(avdDir, 'avd', 'ci_30.ini'))['path.rel'].should.equal('avd/ci_30.avd');
+				finished();
+			});
+		});
+
+		it('refuses to overwrite an AVD unless forced', function (finished) {
+			const opts = { name: 'ci_30' };
+			avd.create(null, opts, function (err) {
+				if (err) {
+					return finished(err);
+				}
+				avd.create(null, opts, function (err) {
+					err.message.should.equal('AVD "ci_30" already exists');
+					avd.create(null, Object.assign({ force: true, device: 'pixel_c' }, opts), function (err, emu) {
+						emu && emu.device.should.equal('pixel_c (Google)');
+						finished(err);
+					});
+				});
+			});
+		});
+
+		it('refuses to replace a running AVD or to copy an AVD onto itself', function (finished) {
+			avd.create(null, { name: 'base' }, function (err) {
+				if (err) {
+					return finished(err);
+				}
+				avd.clone(null, 'base', 'BASE', { force: true }, function (err) {
+					err.message.should.equal('Can\'t copy AVD "base" onto itself');
+					fs.existsSync(path.join(avdDir, 'base.avd', 'config.ini')).should.be.true();
+
+					fs.outputFileSync(path.join(avdDir, 'base.avd', 'multiinstance.lock'), '');
+					avd.create(null, { name: 'base', force: true }, function (err) {
+						err.message.should.equal('AVD "base" is running, stop it before replacing it');
+						fs.existsSync(path.join(avdDir, 'base.avd', 'config.ini')).should.be.true();
+
+						fs.removeSync(path.join(avdDir, 'base.avd', 'multiinstance.lock'));
+						avd.clone(null, 'base', 'copy', {}, function (err) {
+							if (err) {
+								return finished(err);
+							}
+							fs.outputFileSync(path.join(avdDir, 'copy.avd', 'hardware-qemu.ini.lock'), '');
+							avd.clone(null, 'base', 'copy', { force: true }, function (err) {
+								err.message.should.equal('AVD "copy" is running, stop it before replacing it');
+								finished();
+							});
+						});
+					});
+				});
+			});
+		});
+
+		it('validates the name, device and system image', function (finished) {
+			avd.create(null, { name: 'my avd' }, function (err) {
+				err.message.should.match(/Invalid AVD name "my avd"/);
+				avd.create(null, { name: 'ok', device: 'brick' }, function (err) {
+					err.message.should.match(/Invalid device "brick"/);
+					avd.create(null, { name: 'ok', systemImage: 'system-images;android-99;default;x86' }, function (err) {
+						err.message.should.match(/System image "system-images;android-99;default;x86" not found, available system images: system-images;android-28;google_apis;x86/);
+						finished();
+					});
+				});
+			});
+		});
+
+		it('clones an AVD without its snapshots', function (finished) {
+			avd.create(null, { name: 'base' }, function (err) {
+				if (err) {
+					return finished(err);
+				}
+				fs.outputFileSync(path.join(avdDir, 'base.avd', 'userdata-qemu.img'), 'data');
+				fs.outputFileSync(path.join(avdDir, 'base.avd', 'snapshots', 'default_boot', 'ram.bin'), 'ram');
+				fs.outputFileSync(path.join(avdDir, 'base.avd', 'hardware-qemu.ini'), 'generated');
+
+				avd.clone(null, 'base', 'copy', { displayName: 'Copy of base' }, function (err, emu) {
+					if (err) {
+						return finished(err);
+					}
+					emu.should.containEql({ id: 'copy', name: 'Copy of base', path: path.join(avdDir, 'copy.avd'), target: 'android-30' });
+					fs.readFileSync(path.join(avdDir, 'copy.avd', 'userdata-qemu.img'), 'utf8').should.equal('data');
+					fs.existsSync(path.join(avdDir, 'copy.avd', 'snapshots')).should.be.false();
+					fs.existsSync(path.join(avdDir, 'copy.avd', 'hardware-qemu.ini')).should.be.false();
+					readIni(path.join(avdDir, 'copy.ini')).path.should.equal(path.join(avdDir, 'copy.avd'));
+					readIni(path.join(avdDir, 'base.avd', 'config.ini')).AvdId.should.equal('base');
+					finished();
+				});
+			});
+		});
+
+		it('deletes an AVD unless it is running', function (finished) {
+			avd.create(null, { name: 'gone' }, function (err) {
+				if (err) {
+					return finished(err);
+				}
+				fs.outputFileSync(path.join(avdDir, 'gone.avd', 'hardware-qemu.ini.lock'), '');
+				avd.delete(null, 'gone', {}, function (err) {
+					err.message.should.equal('AVD "gone" is running, stop it before deleting it');
+					avd.delete(null, 'gone', { force: true }, function (err) {
+						if (err) {
+							return finished(err);
+						}
+						fs.readdirSync(avdDir).should.eql([]);
+						avd.delete(null, 'gone', {}, function (err) {
+							err.message.should.equal('Invalid emulator "gone"');
+							finished();
+						});
+					});
+				});
+			});
+		});
+	});
+});
@@ -1,97 +1,113 @@
 /* eslint no-unused-expressions: "off" */
 'use strict';
 
-function MockConfig() {
-	this.get = function (s, d) {
-		return d;
-	};
-}
-
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
 const should = require('should'); // eslint-disable-line no-unused-vars
-
-const config = new MockConfig();
-const Emulator = require('../lib/emulator');
 const android = require('../lib/android');
-android.androidPackageJson({
-	vendorDependencies: {
-		'android sdk': '>=23.x <=27.x',
-		'android build tools': '>=25.x <=27.x',
-		'android platform tools': '27.x',
-		'android tools': '<=26.x',
-		'android ndk': '>=r11c <=r16c',
-		node: '>=4.0 <=8.x',
-		java: '>=1.8.x'
-	},
-});
-const emulator = new Emulator(config);
+const Emulator = require('../lib/emulator');
+const startMockAdb = require('./helpers/mock-adb');
+const writeFakeSdk = require('./helpers/fake-sdk');
+
+const AVD = { type: 'avd', id: 'ci_30', name: 'ci_30', 'sdk-version': '11' };
+const PORT = 15570;
 
 describe('emulator', function () {
+	this.timeout(10000);
+
+	let tmpDir;
+	let detect;
+	let server;
+	let emulator;
+
+	beforeEach(function () {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'titanium-emulator-'));
+		const sdk = writeFakeSdk(tmpDir, path.join(tmpDir, 'emulator.log'));
+		detect = android.detect;
+		android.detect = (config, opts, finished) => finished({
+			sdk: sdk,
+			targets: { 'android-30': { type: 'platform', version: '11', sdk: 30 } },
+			avds: [ Object.assign({}, AVD) ]
+		});
+		return startMockAdb().then(function (mock) {
+			server = mock.server;
+			emulator = new Emulator(server.createConfig());
+			return mock;
+		});
+	});
+
+	afterEach(function () {
+		android.detect = detect;
+		return server.close().then(() => fs.remove(tmpDir));
+	});
+
 	it('#detect() any', function (finished) {
 		emulator.detect(function (err, avds) {
-			avds.should.be.an.Array;
-			finished(err);
+			if (err) {
+				return finished(err);
+			}
+			avds.should.have.length(1);
+			avds[0].id.should.equal('ci_30');
+			avds[0]['api-level'].should.equal(30);
+			finished();
 		});
 	});
 
 	it('#detect() type: avd', function (finished) {
 		emulator.detect({ type: 'avd' }, function (err, avds) {
-			avds.should.be.an.Array;
-			finished(err);
+			if (err) {
+				return finished(err);
+			}
+			avds.map(avd => avd.id).should.eql([ 'ci_30' ]);
+			finished();
 		});
 	});
 
 	describe('lifecycle', function () {
-		let avd;
-
-		before(function (finished) {
-			emulator.detect(function (err, avds) {
-				if (err) {
-					return finished(err);
-				}
-				if (avds.length === 0) {
-					return finished(new Error('Tests require at least one emulator defined!'));
-				}
-				avd = avds[0];
-				finished();
-			});
-		});
-
 		it('#isRunning() returns null object when not running', function (finished) {
-			emulator.isRunning(avd.id, function (err, emu) {
+			emulator.isRunning(AVD.id, function (err, emu) {
 				should(emu).not.be.ok;
 
 				finished(err);
 			});
 		});
 
-		// FIXME: This test isn't right. I think it will only pass when the emulator is running and we pass in the id (that has port in the value)?
-		// it('#isEmulator() returns matching emulator?', function (finished) {
-		// 	emulator.isEmulator(avd.name, function (err, emu) {
-		// 		emu.should.be.ok;
-		// 		finished(err);
-		// 	});
-		// });
-
 		it('#start(), #isRunning() and #stop()', function (finished) {
-			this.slow(30000);
-			this.timeout(280000);
-
-			emulator.start(avd.id, function (err, emu) {
+			emulator.start(AVD.id, { port: PORT }, function (err, emu) {
 				if (err) {
 					return finished(err);
 				}
 
 				emu.should.be.ok();
 
+				// the emulator registers with adb once its console is up and disappears when it exits
+				let exited = false;
+				let onExit = null;
+				emu.once('stdout', () => server.addDevice('emulator-' + PORT, { props: { 'init.svc.bootanim': 'stopped' } }));
+				emu.once('exit', function () {
+					server.removeDevice('emulator-' + PORT);
+					exited = true;
+					onExit && onExit();
+				});
+
 				emu.on('ready', function (device) {
 					device.should.be.ok();
+					device.id.should.equal('emulator-' + PORT);
 
 					emulator.isRunning(device.emulator.id, function (err, emu) {
+						if (err) {
+							return finished(err);
+						}
 						emu.should.be.ok();
 
 						emulator.stop(device.emulator.id, function (errOrCode) {
 							errOrCode.should.eql(0);
-							setTimeout(finished, 6000); // let it wait 5 seconds or else adb will still report it as connected
+							onExit = () => emulator.isRunning(device.emulator.id, function (err, emu) {
+								should(emu).not.be.ok;
+								finished(err);
+							});
+							exited && onExit();
 						});
 					});
 				});
@@ -0,0 +1,295 @@
+/* eslint no-unused-expressions: "off" */
+'use strict';
+
+const fs = require('fs-extra');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const should = require('should'); // eslint-disable-line no-unused-vars
+const EmulatorManager = require('../lib/emulator');
+const EmulatorConsole = require('../lib/emulators/console');
+
+/**
+ * Starts a server that speaks the emulator console protocol.
+ * @param {Object} opts - Server options
+ * @param {String} [opts.tokenFile] - Requires authenticating with the token in this file
+ * @param {Number} [opts.silent] - The number of connections to never send the banner to
+ * @param {Function} callback - A function to call with the server and the commands it receives
+ */
+function startConsole(opts, callback) {
+	const commands = [];
+	let connections = 0;
+	const server = net.createServer(function (socket) {
+		let authed = !opts.tokenFile;
+		let buffer = '';
+		if (connections++ < (opts.silent || 0)) {
+			return socket.resume();
+		}
+		socket.write(opts.tokenFile
+			? 'Android Console: Authentication required\r\nAndroid Console: type \'auth <auth_token>\' to authenticate\r\nAndroid Console: you can find your <auth_token> in \r\n\'' + opts.tokenFile + '\'\r\nOK\r\n'
+			: 'Android Console: type \'help\' for a list of commands\r\nOK\r\n');
+		socket.on('data', function (data) {
+			buffer += data.toString();
+			let idx;
+			while ((idx = buffer.indexOf('\n')) !== -1) {
+				const cmd = buffer.slice(0, idx).trim();
+				buffer = buffer.slice(idx + 1);
+				commands.push(cmd);
+				if (cmd === 'quit') {
+					return socket.end();
+				} else if (/^auth /.test(cmd)) {
+					authed = cmd === 'auth ' + fs.readFileSync(opts.tokenFile, 'utf8').trim();
+					socket.write(authed ? 'OK\r\n' : 'KO: authentication token does not match ~/.emulator_console_auth_token\r\n');
+				} else if (cmd === 'avd name') {
+					socket.write('Pixel_3_API_28\r\nOK\r\n');
+				} else if (!authed) {
+					socket.write('KO: unknown command, try \'help\'\r\n');
+				} else if (cmd === 'sensor get acceleration') {
+					socket.write('acceleration = 0:9.77622:0.812349\r\nOK\r\n');
+				} else if (cmd === 'avd snapshot list') {
+					socket.write('List of snapshots present on all disks:\r\nID        TAG               VM SIZE                DATE       VM CLOCK\r\n'
+						+ '--        default_boot          95M 2019-10-04 11:32:21   00:01:05.213\r\n'
+						+ '--        clean             1.2G 2019-10-05 09:00:00   00:00:42.000\r\nOK\r\n');
+				} else if (cmd === 'avd snapshot load missing') {
+					socket.write('KO: Snapshot \'missing\' does not exist\r\n');
+				} else if (cmd === 'kill') {
+					socket.end('OK: killing emulator, bye bye\r\n');
+				} else if (/^bogus/.test(cmd)) {
+					socket.write('KO: bad sub-command\r\n');
+				} else {
+					socket.write('OK\r\n');
+				}
+			}
+		});
+	});
+	server.listen(0, '127.0.0.1', () => callback(server, commands));
+}
+
+describe('emulator console', function () {
+	let tmpDir;
+	let server;
+	let commands;
+
+	beforeEach(function () {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'titanium-emulator-console-'));
+	});
+
+	afterEach(function (done) {
+		fs.removeSync(tmpDir);
+		server ? server.close(() => done()) : done();
+		server = null;
+	});
+
+	describe('with authentication', function () {
+		let tokenFile;
+
+		beforeEach(function (done) {
+			tokenFile = path.join(tmpDir, '.emulator_console_auth_token');
+			fs.writeFileSync(tokenFile, 's3cret\n');
+			startConsole({ tokenFile: tokenFile }, function (s, c) {
+				server = s;
+				commands = c;
+				done();
+			});
+		});
+
+		it('authenticates with the token file named in the banner', function () {
+			const emuConsole = new EmulatorConsole({ port: server.address().port });
+			return emuConsole.geoFix({ latitude: 37.422, longitude: -122.084, altitude: 10 })
+				.then(() => emuConsole.setBattery({ level: 150, charging: false, status: 'discharging' }))
+				.then(() => emuConsole.setNetwork({ speed: 'edge', delay: 'gprs', data: 'off' }))
+				.then(() => emuConsole.sendSms('5551234', 'hello\nworld'))
+				.then(() => emuConsole.call('5551234'))
+				.then(() => emuConsole.endCall('5551234'))
+				.then(() => emuConsole.setSensor('acceleration', [ 0, 9.8, 0 ]))
+				.then(() => emuConsole.touchFingerprint())
+				.then(() => emuConsole.removeFingerprint())
+				.then(() => emuConsole.rotate())
+				.then(() => emuConsole.close())
+				.then(function () {
+					return commands.should.eql([
+						'auth s3cret',
+						'geo fix -122.084 37.422 10',
+						'power capacity 100',
+						'power ac off',
+						'power status discharging',
+						'network speed edge',
+						'network delay gprs',
+						'gsm data off',
+						'sms send 5551234 hello\\nworld',
+						'gsm call 5551234',
+						'gsm cancel 5551234',
+						'sensor set acceleration 0:9.8:0',
+						'finger touch 1',
+						'finger remove',
+						'rotate',
+						'quit'
+					]);
+				});
+		});
+
+		it('fails when the token is rejected', function () {
+			const emuConsole = new EmulatorConsole({ port: server.address().port, authToken: 'wrong' });
+			return emuConsole.rotate()
+				.then(function () {
+					throw new Error('Expected rotate() to fail');
+				}, function (err) {
+					return err.message.should.match(/^Unable to authenticate with the emulator console: authentication token does not match/);
+				});
+		});
+
+		it('fails when the token file does not exist', function () {
+			fs.removeSync(tokenFile);
+			return new EmulatorConsole({ port: server.address().port }).connect()
+				.then(function () {
+					throw new Error('Expected connect() to fail');
+				}, function (err) {
+					return err.message.should.match(/requires an auth token, but .+ does not exist or is empty/);
+				});
+		});
+
+		it('reads the AVD name without authenticating', function () {
+			const emuConsole = new EmulatorConsole({ port: server.address().port, auth: false });
+			return emuConsole.avdName()
+				.then(function (name) {
+					name.should.equal('Pixel_3_API_28');
+					return emuConsole.close();
+				})
+				.then(function () {
+					return commands.should.eql([ 'avd name', 'quit' ]);
+				});
+		});
+	});
+
+	describe('without authentication', function () {
+		beforeEach(function (done) {
+			startConsole({}, function (s, c) {
+				server = s;
+				commands = c;
+				done();
+			});
+		});
+
+		it('parses sensor values', function () {
+			const emuConsole = new EmulatorConsole({ port: server.address().port });
+			return emuConsole.getSensor('acceleration')
+				.then(function (values) {
+					values.should.eql([ 0, 9.77622, 0.812349 ]);
+					return emuConsole.close();
+				});
+		});
+
+		it('lists snapshots', function () {
+			const emuConsole = new EmulatorConsole({ port: server.address().port });
+			return emuConsole.snapshots()
+				.then(function (snapshots) {
+					snapshots.should.eql([
+						{ id: null, name: 'default_boot', size: '95M', date: '2019-10-04 11:32:21', clock: '00:01:05.213' },
+						{ id: null, name: 'clean', size: '1.2G', date: '2019-10-05 09:00:00', clock: '00:00:42.000' }
+					]);
+					return emuConsole.close();
+				});
+		});
+
+		it('saves, loads and deletes snapshots', function () {
+			const emuConsole = new EmulatorConsole({ port: server.address().port });
+			return emuConsole.saveSnapshot('clean')
+				.then(() => emuConsole.loadSnapshot('clean'))
+				.then(() => emuConsole.deleteSnapshot('clean'))
+				.then(() => emuConsole.loadSnapshot('missing'))
+				.then(function () {
+					throw new Error('Expected loadSnapshot() to fail');
+				}, function (err) {
+					err.message.should.equal('Unable to load snapshot "missing": Snapshot \'missing\' does not exist');
+					return emuConsole.saveSnapshot('has spaces');
+				})
+				.then(function () {
+					throw new Error('Expected saveSnapshot() to fail');
+				}, function (err) {
+					err.message.should.equal('Invalid snapshot name "has spaces"');
+					return emuConsole.close();
+				})
+				.then(function () {
+					return commands.should.eql([
+						'avd snapshot save clean',
+						'avd snapshot load clean',
+						'avd snapshot delete clean',
+						'avd snapshot load missing',
+						'quit'
+					]);
+				});
+		});
+
+		it('reports KO responses as errors and keeps going', function () {
+			const emuConsole = new EmulatorConsole({ port: server.address().port });
+			return emuConsole.command('bogus thing')
+				.then(function () {
+					throw new Error('Expected the command to fail');
+				}, function (err) {
+					err.message.should.equal('bad sub-command');
+					return emuConsole.command('ping');
+				})
+				.then(function (lines) {
+					lines.should.eql([]);
+					return emuConsole.kill();
+				})
+				.then(function () {
+					return commands.should.eql([ 'bogus thing', 'ping', 'kill' ]);
+				});
+		});
+	});
+
+	it('times out when the console does not respond', function (done) {
+		startConsole({ silent: Infinity }, function (s) {
+			server = s;
+			new EmulatorConsole({ port: server.address().port, timeout: 100 }).connect(function (err) {
+				err.message.should.equal('Timed out after 100ms waiting for the emulator console on port ' + server.address().port);
+				done();
+			});
+		});
+	});
+
+	it('reconnects when a command is retried from its error callback', function (done) {
+		startConsole({ silent: 1 }, function (s, c) {
+			server = s;
+			const emuConsole = new EmulatorConsole({ port: server.address().port, timeout: 100 });
+			emuConsole.rotate(function (err) {
+				err.message.should.match(/^Timed out after 100ms/);
+				emuConsole.rotate(function (err) {
+					if (err) {
+						return done(err);
+					}
+					c.should.eql([ 'rotate' ]);
+					emuConsole.close(done);
+				});
+			});
+		});
+	});
+
+	it('reconnects when a command is retried after the failed connection has closed', function (done) {
+		startConsole({ silent: 1 }, function (s, c) {
+			server = s;
+			const emuConsole = new EmulatorConsole({ port: server.address().port, timeout: 100 });
+			emuConsole.rotate(function (err) {
+				err.message.should.match(/^Timed out after 100ms/);
+				setImmediate(function () {
+					emuConsole.rotate(function (err) {
+						if (err) {
+							return done(err);
+						}
+						c.should.eql([ 'rotate' ]);
+						emuConsole.close(done);
+					});
+				});
+			});
+		});
+	});
+
+	it('Emulator#openConsole() uses the emulator\'s console port', function () {
+		const emulator = new EmulatorManager.Emulator();
+		emulator.id = 'emulator-5556';
+		emulator.openConsole().port.should.equal(5556);
+		emulator.emulator = { port: 5560 };
+		emulator.openConsole({ host: 'localhost' }).should.containEql({ port: 5560, host: 'localhost' });
+	});
+});
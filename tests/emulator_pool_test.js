@@ -0,0 +1,185 @@
+/* eslint no-unused-expressions: "off" */
+'use strict';
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const should = require('should'); // eslint-disable-line no-unused-vars
+const ADB = require('../lib/adb');
+const MockAdbServer = require('../lib/adb/mock-server');
+const android = require('../lib/android');
+const EmulatorPool = require('../lib/emulator').EmulatorPool;
+const writeFakeSdk = require('./helpers/fake-sdk');
+
+const AVD = { type: 'avd', id: 'ci_30', name: 'ci_30' };
+const PORTS = { from: 15554, to: 15562 };
+
+describe('emulator pool', function () {
+	this.timeout(10000);
+
+	let tmpDir;
+	let logFile;
+	let detect;
+	let server;
+	let pool;
+
+	function entries(filter) {
+		return fs.existsSync(logFile) ? fs.readFileSync(logFile, 'utf8').trim().split('\n').map(line => JSON.parse(line)).filter(filter) : [];
+	}
+
+	function createPool(opts) {
+		return pool = new EmulatorPool(null, Object.assign({
+			avd: AVD,
+			size: 2,
+			ports: PORTS,
+			pollInterval: 20,
+			healthInterval: 0,
+			bootTimeout: 5000,
+			killTimeout: 2000,
+			adb: new ADB(server.createConfig())
+		}, opts));
+	}
+
+	beforeEach(function () {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'titanium-emulator-pool-'));
+		logFile = path.join(tmpDir, 'emulator.log');
+		const sdk = writeFakeSdk(tmpDir, logFile);
+		detect = android.detect;
+		android.detect = (config, opts, finished) => finished({ sdk: sdk, avds: [ AVD ] });
+
+		server = new MockAdbServer();
+		for (let port = PORTS.from; port <= PORTS.to; port += 2) {
+			server.addDevice('emulator-' + port, { props: { 'sys.boot_completed': '1' } });
+		}
+		return server.listen();
+	});
+
+	afterEach(function () {
+		android.detect = detect;
+		const stopping = pool ? pool.shutdown() : Promise.resolve();
+		pool = null;
+		return stopping
+			.then(() => server.close())
+			.then(() => fs.remove(tmpDir));
+	});
+
+	it('boots headless, read-only instances on separate ports', function () {
+		return createPool({ snapshot: 'clean' }).start()
+			.then(function () {
+				pool.status().should.eql([
+					{ id: 'emulator-15554', port: 15554, state: 'idle' },
+					{ id: 'emulator-15556', port: 15556, state: 'idle' }
+				]);
+				const launches = entries(e => e.args);
+				launches.forEach(function (launch) {
+					launch.args.should.containDeep([ '-avd', 'ci_30', '-port', String(launch.port), '-no-window', '-read-only', '-snapshot', 'clean', '-no-snapshot-save' ]);
+				});
+				return launches.should.have.length(2);
+			});
+	});
+
+	it('leases instances and reverts them to the snapshot when released', function () {
+		let first;
+		let third;
+		return createPool({ snapshot: 'clean' }).start()
+			.then(() => Promise.all([ pool.acquire(), pool.acquire() ]))
+			.then(function (emulators) {
+				first = emulators[0];
+				emulators.map(e => e.id).should.eql([ 'emulator-15554', 'emulator-15556' ]);
+				third = pool.acquire();
+				pool.status().map(s => s.state).should.eql([ 'leased', 'leased' ]);
+				return pool.release(first);
+			})
+			.then(() => third)
+			.then(function (emulator) {
+				emulator.should.equal(first);
+				entries(e => e.cmd && e.cmd !== 'quit').should.eql([ { port: 15554, cmd: 'avd snapshot load clean' } ]);
+				return pool.release('emulator-15554');
+			})
+			.then(() => pool.release('emulator-15554'))
+			.then(function () {
+				throw new Error('Expected release() to fail');
+			}, function (err) {
+				err.message.should.equal('Emulator "emulator-15554" is not leased from this pool');
+			});
+	});
+
+	it('restarts instances when released if there is no snapshot', function () {
+		return createPool({ size: 1 }).start()
+			.then(() => pool.acquire())
+			.then(emulator => pool.release(emulator))
+			.then(function () {
+				entries(e => e.args).map(e => e.port).should.eql([ 15554, 15554 ]);
+				entries(e => e.cmd === 'kill').should.have.length(1);
+				return pool.status().should.eql([ { id: 'emulator-15554', port: 15554, state: 'idle' } ]);
+			});
+	});
+
+	it('skips ports that are in use', function () {
+		const other = new MockAdbServer();
+		return other.listen(15555)
+			.then(() => createPool({ size: 1 }).start())
+			.then(function () {
+				pool.status()[0].port.should.equal(15556);
+				return other.close();
+			});
+	});
+
+	it('replaces instances that fail health checks', function () {
+		const device = server.devices['emulator-15554'];
+		const unhealthy = [];
+		createPool({ size: 1, healthInterval: 50 });
+		pool.on('unhealthy', function (emulator, err) {
+			unhealthy.push(emulator.id + ': ' + err.message);
+			device.setProp('sys.boot_completed', '1');
+		});
+		return pool.start()
+			.then(function () {
+				device.setProp('sys.boot_completed', '0');
+				return new Promise(resolve => pool.once('booted', resolve));
+			})
+			.then(function (emulator) {
+				emulator.id.should.equal('emulator-15554');
+				unhealthy.should.eql([ 'emulator-15554: Emulator emulator-15554 has not finished booting' ]);
+				return entries(e => e.args).should.have.length(2);
+			});
+	});
+
+	it('fails waiting jobs when shut down', function () {
+		let waiting;
+		return createPool({ size: 1 }).start()
+			.then(() => pool.acquire())
+			.then(function () {
+				// resolve the error so it's not reported as unhandled while shutting down
+				waiting = new Promise(resolve => pool.acquire(resolve));
+				return pool.shutdown();
+			})
+			.then(() => waiting)
+			.then(function (err) {
+				should(err).be.an.Error();
+				err.message.should.equal('The emulator pool is shutting down');
+				entries(e => e.cmd === 'kill').should.have.length(1);
+				pool.status().should.eql([]);
+				return pool.acquire();
+			})
+			.then(function () {
+				throw new Error('Expected acquire() to fail');
+			}, function (err) {
+				err.message.should.equal('The emulator pool is not running');
+			});
+	});
+
+	it('waits for instances that ignore "kill" to exit after killing them', function () {
+		const exited = [];
+		return createPool({ size: 1, killTimeout: 200, emulatorOpts: { props: { 'fake.ignore_kill': '1' } } }).start()
+			.then(() => pool.acquire())
+			.then(function (emulator) {
+				emulator.once('exit', (code, signal) => exited.push(signal));
+				return pool.shutdown();
+			})
+			.then(function () {
+				entries(e => e.cmd === 'kill').should.have.length(1);
+				return exited.should.eql([ 'SIGKILL' ]);
+			});
+	});
+});
@@ -0,0 +1,87 @@
+/**
+ * A fake Android SDK for the emulator tests. Its "emulator" serves a console
+ * on the port it's launched with instead of booting anything, so the tests
+ * attach a device with the same serial to a mock adb server once the console
+ * is up.
+ *
+ * @example
+ * const sdk = writeFakeSdk(tmpDir, path.join(tmpDir, 'emulator.log'));
+ * android.detect = (config, opts, finished) => finished({ sdk: sdk, targets: {}, avds: [ avd ] });
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Writes an executable node script.
+ * @param {String} file - The path of the script
+ * @param {String} source - The script's source
+ * @returns {String} The path of the script
+ */
+function writeScript(file, source) {
+	fs.writeFileSync(file, `#!${process.execPath}\n${source}`);
+	fs.chmodSync(file, 0o755);
+	return file;
+}
+
+/**
+ * Writes a fake "emulator" and "adb" to a directory. The emulator logs its
+ * arguments and the console commands it receives, answers "avd name" with the
+ * AVD it was launched with, writes a line to stdout once its console is
+ * listening and exits when it receives "kill", unless it's launched with
+ * `-prop fake.ignore_kill=1` so it has to be killed. The adb only supports
+ * "adb -s <serial> emu <command>", which it sends to the emulator's console.
+ * @param {String} dir - The directory to write the executables to
+ * @param {String} log - The file the emulator logs to
+ * @returns {Object} The SDK info as returned by `android.detect()`
+ */
+function writeFakeSdk(dir, log) {
+	const emulator = writeScript(path.join(dir, 'emulator'), `const fs = require('fs');
+const net = require('net');
+const args = process.argv.slice(2);
+const avd = args[args.indexOf('-avd') + 1];
+const port = parseInt(args[args.indexOf('-port') + 1]);
+const ignoreKill = args.indexOf('fake.ignore_kill=1') !== -1;
+const log = entry => fs.appendFileSync(${JSON.stringify(log)}, JSON.stringify(Object.assign({ port: port }, entry)) + '\\n');
+log({ args: args });
+net.createServer(socket => {
+	let buffer = '';
+	socket.write('Android Console: type \\'help\\' for a list of commands\\r\\nOK\\r\\n');
+	socket.on('data', data => {
+		buffer += data;
+		let idx;
+		while ((idx = buffer.indexOf('\\n')) !== -1) {
+			const cmd = buffer.slice(0, idx).trim();
+			buffer = buffer.slice(idx + 1);
+			log({ cmd: cmd });
+			if (cmd === 'kill' && !ignoreKill) {
+				return socket.end('OK: killing emulator, bye bye\\r\\n', () => process.exit(0));
+			}
+			cmd === 'quit' ? socket.end() : socket.write(cmd === 'avd name' ? avd + '\\r\\nOK\\r\\n' : 'OK\\r\\n');
+		}
+	});
+}).listen(port, '127.0.0.1', () => console.log('emulator: console listening on port ' + port));
+setTimeout(() => process.exit(1), 60000);
+`);
+
+	const adb = writeScript(path.join(dir, 'adb'), `const net = require('net');
+const args = process.argv.slice(2);
+const m = args[0] === '-s' && args[2] === 'emu' && args[1].match(/^emulator-(\\d+)$/);
+if (!m) {
+	console.error('error: unsupported command: adb ' + args.join(' '));
+	process.exit(1);
+}
+const socket = net.connect(parseInt(m[1]), '127.0.0.1', () => socket.end(args.slice(3).join(' ') + '\\nquit\\n'));
+socket.on('data', data => process.stdout.write(data));
+socket.on('error', err => {
+	console.error('error: ' + err.message);
+	process.exit(1);
+});
+socket.on('close', () => process.exit(0));
+`);
+
+	return { path: dir, executables: { adb: adb, emulator: emulator } };
+}
+
+module.exports = writeFakeSdk;
@@ -0,0 +1,45 @@
+/**
+ * The mock adb server fixture shared by the adb tests.
+ *
+ * @example
+ * beforeEach(function () {
+ *     return startMockAdb().then(mock => ({ server, adb, device } = mock));
+ * });
+ * afterEach(function () {
+ *     return server.close();
+ * });
+ */
+'use strict';
+
+const ADB = require('../../lib/adb');
+const MockAdbServer = require('../../lib/adb/mock-server');
+
+/**
+ * The properties of the device every fixture starts with.
+ * @type {Object}
+ */
+const DEVICE_PROPS = {
+	'ro.build.version.release': '9',
+	'ro.build.version.sdk': '28',
+	'ro.product.model': 'Pixel 3',
+	'ro.product.cpu.abilist': 'arm64-v8a,armeabi-v7a',
+	'ro.debuggable': '0',
+	'ro.secure': '1',
+	'persist.sys.locale': 'en-US'
+};
+
+/**
+ * Starts a mock adb server with a Pixel 3 running Android 9 attached as
+ * "0123456789ABCDEF" and creates an ADB instance that talks to it.
+ * @param {Object} [deviceOpts] - Additional options for the device such as `files` and `links`
+ * @returns {Promise<Object>} Resolves the `server`, the `adb` instance and the `device`
+ */
+function startMockAdb(deviceOpts) {
+	const server = new MockAdbServer();
+	const device = server.addDevice('0123456789ABCDEF', Object.assign({ props: Object.assign({}, DEVICE_PROPS) }, deviceOpts));
+	return server.listen().then(function () {
+		return { server: server, adb: new ADB(server.createConfig()), device: device };
+	});
+}
+
+module.exports = startMockAdb;